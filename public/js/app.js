@@ -7,12 +7,24 @@ import { initNavigation } from './components/navigation.js';
 import { initCalendar } from './components/calendar.js';
 import { initModal } from './components/modal.js';
 import { initStats } from './components/stats.js';
-import { initSettings } from './components/settings.js';
+import { initSettings, renderSettings } from './components/settings.js';
 import { initBadges } from './components/badges.js';
-import { initFriendsPage } from './pages/friends.js';
-import { initMovementsPage } from './pages/movements.js';
-import { signInWithGoogle as googleSignIn, signOut as authSignOut, onAuthStateChange, getCurrentUser } from './services/auth.service.js';
-import { isSupabaseConfigured, getUserProfile, createUserProfile } from './config/supabase.js';
+import { initRoutineBuilder, renderRoutinesList } from './components/routine-builder.js';
+import { initRewardHistory } from './components/reward-history.js';
+import { initDonationHistory } from './components/donation-history.js';
+import { initStreakFreeze } from './components/streak-freeze.js';
+import { initBackup } from './components/backup.js';
+import { initReports } from './components/reports.js';
+import { initCalendarExport } from './components/calendar-export.js';
+import { initFriendsPage, renderFriendsList, updateInviteCodeDisplay } from './pages/friends.js';
+import { initMovementsPage, renderMovementsList } from './pages/movements.js';
+import { initSyncStatus } from './components/sync-status.js';
+import { offerGuestMigration } from './components/guest-migration.js';
+import { initSync, flushOutbox, onOutboxChange } from './services/sync.service.js';
+import { initStore, notifyChange } from './services/store.service.js';
+import { settlePartialWeeks } from './repositories/reward.repository.js';
+import { signInWithGoogle as googleSignIn, signOut as authSignOut } from './services/auth.service.js';
+import { isSupabaseConfigured, getUserProfile, createUserProfile, getCurrentSession, onAuthStateChange } from './config/supabase.js';
 
 /**
  * Initialize the application
@@ -21,9 +33,15 @@ async function initApp() {
     console.log('🏃‍♀️ WalkToGive - Initializing...');
 
     try {
+        // Load local data into memory, at the current schema, before anything reads it
+        await initStore();
+
         // Initialize authentication first
         await initAuth();
 
+        // Pay out weeks that ended short of the goal since the last visit
+        await settlePartialWeeks();
+
         // Initialize core components
         initNavigation();
         initModal();
@@ -31,11 +49,26 @@ async function initApp() {
         initSettings();
         initCalendar();
         initBadges();
+        initRoutineBuilder();
+        initRewardHistory();
+        initDonationHistory();
+        initStreakFreeze();
+        initBackup(refreshViews);
+        initReports();
+        initCalendarExport();
 
         // Initialize page controllers
         initFriendsPage();
         initMovementsPage();
 
+        // Replay offline writes; views show queued writes at once and refresh once they land
+        initSyncStatus();
+        initSync();
+        onOutboxChange(({ synced }) => {
+            notifyChange('outbox');
+            if (synced > 0) refreshViews();
+        });
+
         // Initialize badges section collapsed state
         initBadgesCollapse();
 
@@ -52,6 +85,20 @@ async function initApp() {
     }
 }
 
+/**
+ * Re-render every view from the active data backend
+ * Called when signing in or out switches between local data and Supabase
+ */
+function refreshViews() {
+    // Stats, calendar, badges and freezes are subscribed to the store
+    notifyChange('backend');
+    renderSettings();
+    renderRoutinesList();
+    updateInviteCodeDisplay();
+    renderFriendsList();
+    renderMovementsList();
+}
+
 /**
  * Initialize badges section collapsed state
  * Starts collapsed by default, remembers user preference
@@ -86,7 +133,7 @@ Movement Meets Purpose
 
 Here's how it works:
 ✓ Complete daily workouts (detailed exercises for each day)
-✓ Finish all 7 days in a week to earn money for charity
+✓ Hit your weekly workout goal to earn money for charity
 ✓ Set your reward range and track your progress
 ✓ Stay consistent and make a difference!
 
@@ -211,11 +258,11 @@ async function initAuth() {
         return;
     }
 
-    // Check current auth state
-    const { user } = await getCurrentUser();
+    // Check current auth state (also switches the data mode to 'authenticated')
+    const { user } = await getCurrentSession();
     await updateAuthUI(user);
 
-    // Listen for auth state changes
+    // Listen for auth state changes (keeps the data mode in sync)
     onAuthStateChange(async (event, session) => {
         console.log('Auth state changed:', event, session?.user?.email);
 
@@ -237,8 +284,18 @@ async function initAuth() {
             }
 
             await updateAuthUI(session.user);
+
+            refreshViews();
+
+            // Auth is back: replay anything queued while signed out or offline
+            flushOutbox();
+
+            // First sign-in on this device: offer to upload offline history.
+            // An upload refreshes the views itself, so nothing waits on the answer
+            offerGuestMigration(session.user);
         } else if (event === 'SIGNED_OUT') {
             await updateAuthUI(null);
+            refreshViews();
         }
     });
 };
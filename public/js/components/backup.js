@@ -0,0 +1,187 @@
+/**
+ * Backup Component
+ * Downloads backup files and restores them after previewing what would change
+ */
+
+import { exportData, previewImport, importData } from '../repositories/workout.repository.js';
+import { getBackupFileName } from '../services/backup.service.js';
+import { showToast, downloadFile } from '../utils/helpers.js';
+import { formatLongDate, pluralize } from '../utils/formatters.js';
+import { sanitizeHTML } from '../utils/validation.js';
+import { openModal, closeModal } from './modal.js';
+
+// Rows of the restore preview: [summary field, label, format]
+const DIFF_ROWS = [
+    ['days', 'Completed days', value => value],
+    ['earned', 'Rewards earned', value => `$${value}`],
+    ['donated', 'Donated', value => `$${value}`],
+    ['routines', 'Routines', value => value],
+    ['friends', 'Friends', value => value],
+    ['movements', 'Movements', value => value],
+    ['badges', 'Badges', value => value]
+];
+
+// Called after a restore, to redraw views that don't follow the store
+let onRestored = null;
+
+/**
+ * Download a backup file
+ */
+async function handleExportBackup() {
+    const backup = await exportData();
+    if (!backup) return;
+
+    downloadFile(getBackupFileName(), JSON.stringify(backup, null, 2), 'application/json');
+    showToast('Backup downloaded', 'success');
+}
+
+/**
+ * Render the before/after table for a restore
+ * @param {Object} diff - From getBackupDiff()
+ * @returns {string}
+ */
+function renderDiffTable(diff) {
+    const cell = (field, format, summary) => {
+        const changed = summary[field] !== diff.current[field];
+        return `<td class="${changed ? 'changed' : ''}">${format(summary[field])}</td>`;
+    };
+
+    return `
+        <table class="backup-diff">
+            <thead>
+                <tr><th></th><th>Now</th><th>After merge</th><th>After replace</th></tr>
+            </thead>
+            <tbody>
+                ${DIFF_ROWS.map(([field, label, format]) => `
+                    <tr>
+                        <td>${label}</td>
+                        <td>${format(diff.current[field])}</td>
+                        ${cell(field, format, diff.merge)}
+                        ${cell(field, format, diff.replace)}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Show why a file can't be restored
+ * @param {Array<string>} errors
+ */
+function showBackupErrors(errors) {
+    openModal({
+        title: '⚠️ Backup can\'t be restored',
+        content: `
+            <p>Nothing was changed. This file has ${pluralize(errors.length, 'problem')}:</p>
+            <ul class="backup-errors">
+                ${errors.map(error => `<li>${sanitizeHTML(error)}</li>`).join('')}
+            </ul>
+        `
+    });
+}
+
+/**
+ * Show the restore preview and let the user merge or replace
+ * @param {string} text - File contents
+ * @param {Object} preview - From previewImport()
+ */
+function showRestorePreview(text, preview) {
+    const { diff, exportedAt, schemaVersion } = preview;
+    const madeOn = exportedAt ? ` from ${formatLongDate(exportedAt)}` : '';
+
+    openModal({
+        title: '💾 Restore Backup',
+        content: `
+            <p class="backup-meta">Backup${madeOn} · data version ${schemaVersion}</p>
+            ${renderDiffTable(diff)}
+            <p class="info-text">
+                Merging adds ${diff.daysOnlyInBackup} completed ${pluralize(diff.daysOnlyInBackup, 'day')} from the backup and keeps everything on this device.
+                Each week keeps the larger of its two rewards, and your settings stay as they are.
+                Replacing swaps your data and settings for the backup's.
+            </p>
+            ${diff.daysOnlyHere > 0 ? `
+                <p class="backup-warning">
+                    Replacing removes ${diff.daysOnlyHere} completed ${pluralize(diff.daysOnlyHere, 'day')} that ${diff.daysOnlyHere === 1 ? 'isn\'t' : 'aren\'t'} in the backup.
+                </p>
+            ` : ''}
+            <div class="backup-actions">
+                <button type="button" class="history-btn" data-mode="replace">Replace</button>
+                <button type="button" class="btn-primary" data-mode="merge">Merge</button>
+            </div>
+        `
+    });
+
+    document.querySelectorAll('.backup-actions [data-mode]').forEach(button => {
+        button.addEventListener('click', () => handleRestore(text, button.dataset.mode, diff));
+    });
+}
+
+/**
+ * Restore a backup once the user has picked how
+ * @param {string} text - File contents
+ * @param {string} mode - 'replace' or 'merge'
+ * @param {Object} diff
+ */
+async function handleRestore(text, mode, diff) {
+    if (mode === 'replace' && diff.daysOnlyHere > 0 &&
+        !confirm(`Replace your data? ${diff.daysOnlyHere} completed ${pluralize(diff.daysOnlyHere, 'day')} will be lost.`)) {
+        return;
+    }
+
+    if (await importData(text, mode)) {
+        closeModal();
+        if (onRestored) onRestored();
+    }
+}
+
+/**
+ * Read the picked file and preview the restore
+ * @param {Event} event
+ */
+async function handleBackupFile(event) {
+    const input = event.target;
+    const file = input.files[0];
+
+    // Picking the same file again should still trigger a change
+    input.value = '';
+    if (!file) return;
+
+    let text;
+    try {
+        text = await file.text();
+    } catch (error) {
+        console.error('Error reading backup file:', error);
+        showBackupErrors(['The file couldn\'t be read']);
+        return;
+    }
+
+    const preview = await previewImport(text);
+    if (!preview) return;
+
+    if (preview.valid) {
+        showRestorePreview(text, preview);
+    } else {
+        showBackupErrors(preview.errors);
+    }
+}
+
+/**
+ * Initialize backup buttons
+ * @param {Function} refreshViews - Redraws views after a restore
+ */
+export function initBackup(refreshViews) {
+    onRestored = refreshViews;
+
+    const exportBtn = document.getElementById('exportBackupBtn');
+    if (exportBtn) {
+        exportBtn.addEventListener('click', handleExportBackup);
+    }
+
+    const fileInput = document.getElementById('importBackupFile');
+    const importBtn = document.getElementById('importBackupBtn');
+    if (fileInput && importBtn) {
+        importBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', handleBackupFile);
+    }
+}
@@ -3,16 +3,17 @@
  * Renders and manages the badge/achievement system
  */
 
-import { getAllBadges, checkAndUnlockBadges } from '../services/badge.service.js';
+import { getAllBadges, checkAndUnlockBadges } from '../repositories/badge.repository.js';
+import { subscribe } from '../services/store.service.js';
 
 /**
  * Render badges section
  */
-export function renderBadges() {
+export async function renderBadges() {
     const container = document.getElementById('badgesGrid');
     if (!container) return;
 
-    const badges = getAllBadges();
+    const badges = await getAllBadges();
     container.innerHTML = '';
 
     badges.forEach(badge => {
@@ -51,6 +52,7 @@ export function renderBadges() {
  */
 export function initBadges() {
     renderBadges();
+    subscribe(() => renderBadges());
 
     // Check for new badges
     checkAndUnlockBadges();
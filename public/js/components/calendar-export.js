@@ -0,0 +1,77 @@
+/**
+ * Calendar Export Component
+ * Downloads the workout schedule and joined movements as .ics files for calendar apps
+ */
+
+import { getActiveProgram } from '../repositories/program.repository.js';
+import { getRoutines } from '../repositories/routine.repository.js';
+import { getStreakFreezes } from '../repositories/freeze.repository.js';
+import { getMovements } from '../repositories/movement.repository.js';
+import { REMINDER_TIMES, toICS, buildWorkoutEvents, buildMovementEvents } from '../services/ical.service.js';
+import { showToast, downloadFile } from '../utils/helpers.js';
+import { formatInputDate } from '../utils/formatters.js';
+
+const ICS_TYPE = 'text/calendar;charset=utf-8';
+
+/**
+ * Download upcoming workouts, starting today
+ */
+async function handleExportSchedule() {
+    const weeks = parseInt(document.getElementById('scheduleWeeks')?.value) || 4;
+    const reminderChoice = document.getElementById('scheduleReminder')?.value || 'none';
+
+    const [activeProgram, routines, { vacations }] = await Promise.all([
+        getActiveProgram(),
+        getRoutines(),
+        getStreakFreezes()
+    ]);
+
+    const today = new Date();
+    const events = buildWorkoutEvents({
+        from: today,
+        days: weeks * 7,
+        activeProgram,
+        routines,
+        vacations,
+        reminder: REMINDER_TIMES[reminderChoice] ?? null
+    });
+
+    if (events.length === 0) {
+        showToast('No workouts planned in these weeks', 'info');
+        return;
+    }
+
+    downloadFile(`walktogive-schedule-${formatInputDate(today)}.ics`, toICS(events, 'WalkToGive Workouts'), ICS_TYPE);
+    showToast('Schedule downloaded. Open it to add it to your calendar.', 'success');
+}
+
+/**
+ * Download each joined movement as an all-day event
+ */
+async function handleExportMovements() {
+    const movements = await getMovements();
+    const events = buildMovementEvents(movements.filter(m => m.isMember));
+
+    if (events.length === 0) {
+        showToast('Join a movement to add it to your calendar', 'info');
+        return;
+    }
+
+    downloadFile('walktogive-movements.ics', toICS(events, 'WalkToGive Movements'), ICS_TYPE);
+    showToast('Movements downloaded. Open the file to add them to your calendar.', 'success');
+}
+
+/**
+ * Initialize calendar export buttons
+ */
+export function initCalendarExport() {
+    const scheduleBtn = document.getElementById('exportScheduleBtn');
+    if (scheduleBtn) {
+        scheduleBtn.addEventListener('click', handleExportSchedule);
+    }
+
+    const movementsBtn = document.getElementById('exportMovementsCalendarBtn');
+    if (movementsBtn) {
+        movementsBtn.addEventListener('click', handleExportMovements);
+    }
+}
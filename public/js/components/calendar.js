@@ -3,11 +3,25 @@
  * Renders and manages the workout calendar
  */
 
-import { getCompletedDays, getWeeklyRewards, getWorkoutsForDay, completeWorkout } from '../services/workout.service.js';
-import { getDaysInMonth, getFirstDayOfMonth, getWeekNumberInMonth } from '../utils/helpers.js';
-import { formatLongDate } from '../utils/formatters.js';
+import { countCompletedDaysInWeek, getMonthlyRewardTotal, summarizeWorkoutLog, isDayCompleteByRule, checkCompletionPolicy, getGoalMetWeeks, getDayState } from '../services/workout.service.js';
+import { canFreezeWeek } from '../services/freeze.service.js';
+import { getProgramById, getProgramWeekIndex, getWorkoutsForDay as getProgramWorkoutsForDay, isBundledWorkoutImage } from '../services/program.service.js';
+import { resolveRoutineForDate } from '../services/routine.service.js';
+import { getMonthKey, getDonationForMonth, MAX_CHARITY_LENGTH, MAX_RECEIPT_LENGTH } from '../services/donation.service.js';
+import { getCompletedDays, completeWorkout, uncompleteWorkout, getWorkoutLog, getWorkoutLogs, saveWorkoutLog, getWorkoutSessions } from '../repositories/workout.repository.js';
+import { getWeeklyRewards, getPartialWeeks } from '../repositories/reward.repository.js';
+import { getWeekStart, getWeeklyGoalSettings, getCompletionRule, getCompletionPolicy } from '../repositories/settings.repository.js';
+import { getActiveProgram, getWorkoutsForDay } from '../repositories/program.repository.js';
+import { getRoutines, getRoutineForDay } from '../repositories/routine.repository.js';
+import { getStreakFreezes, freezeWeek, unfreezeWeek } from '../repositories/freeze.repository.js';
+import { getDonations, recordDonation, completePledge, cancelPledge } from '../repositories/donation.repository.js';
+import { checkAndUnlockBadges, getBadgeProgress, revokeLostBadges } from '../repositories/badge.repository.js';
+import { subscribe } from '../services/store.service.js';
+import { getDaysInMonth, getFirstDayOfMonth, getWeekStartDate, getWeekKey, getWeekDateKeys, parseWeekKey, getTodayString, showToast } from '../utils/helpers.js';
+import { formatLongDate, formatDateRange, pluralize } from '../utils/formatters.js';
+import { sanitizeHTML } from '../utils/validation.js';
 import { openModal, closeModal } from './modal.js';
-import { createStopwatch, cleanupTimer } from './timer.js';
+import { createStopwatch, cleanupTimer, getStopwatchSession } from './timer.js';
 
 const MONTH_NAMES = [
     'January', 'February', 'March', 'April', 'May', 'June',
@@ -16,13 +30,39 @@ const MONTH_NAMES = [
 
 const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
+// How many days ahead the agenda lists
+const AGENDA_DAYS = 14;
+
+// Charities offered for a month's earnings; any other can be typed in
+const CHARITIES = [
+    'American Red Cross',
+    'Feeding America',
+    'Habitat for Humanity',
+    'World Wildlife Fund',
+    'UNICEF',
+    'Doctors Without Borders',
+    'charity: water'
+];
+
 let currentYear = 2026;
 let currentMonth = 0; // January
 
+// 'month', 'week' or 'agenda', and a day in the week the week view shows
+let currentView = 'month';
+let focusDate = new Date();
+
+// Day and checklist shown in the open workout modal
+let modalState = null;
+
 /**
  * Render month selector buttons
  */
 export function renderMonthSelector() {
+    const yearTitle = document.getElementById('yearTitle');
+    if (yearTitle) {
+        yearTitle.textContent = `📅 ${currentYear}`;
+    }
+
     const container = document.getElementById('monthButtons');
     if (!container) return;
 
@@ -46,40 +86,273 @@ export function renderMonthSelector() {
  */
 export function switchMonth(monthIndex) {
     currentMonth = monthIndex;
+    focusOnMonth();
+    renderMonthSelector();
+    renderCalendar();
+}
+
+/**
+ * Point the week view at today if it's in the current month, or else the month's first week
+ */
+function focusOnMonth() {
+    const today = new Date();
+    const isThisMonth = today.getFullYear() === currentYear && today.getMonth() === currentMonth;
+    focusDate = isThisMonth ? today : new Date(currentYear, currentMonth, 1);
+}
+
+/**
+ * Move the week view by whole weeks
+ * The month and year follow along so the month view opens where the week was
+ * @param {number} offset - Weeks to move
+ */
+export function shiftWeek(offset) {
+    focusDate = new Date(focusDate.getFullYear(), focusDate.getMonth(), focusDate.getDate() + offset * 7);
+    currentYear = focusDate.getFullYear();
+    currentMonth = focusDate.getMonth();
+    renderMonthSelector();
+    renderCalendar();
+}
+
+/**
+ * Show today's month or week in whichever view is open
+ */
+export function jumpToToday() {
+    focusDate = new Date();
+    currentYear = focusDate.getFullYear();
+    currentMonth = focusDate.getMonth();
+    renderMonthSelector();
+    renderCalendar();
+}
+
+/**
+ * Switch between the month grid, week view and agenda
+ * @param {string} view - 'month', 'week' or 'agenda'
+ */
+export function switchView(view) {
+    currentView = view;
+    renderCalendar();
+}
+
+/**
+ * Move to the previous or next year, keeping the month
+ * @param {number} offset - -1 or 1
+ */
+export function switchYear(offset) {
+    currentYear += offset;
+    focusOnMonth();
     renderMonthSelector();
     renderCalendar();
 }
 
 /**
- * Render the calendar grid
+ * Render the calendar in the current view
  */
-export function renderCalendar() {
+export async function renderCalendar() {
     const titleEl = document.getElementById('currentMonthTitle');
     const gridEl = document.getElementById('calendarGrid');
+    const listEl = document.getElementById('calendarList');
 
     if (!titleEl || !gridEl) return;
 
-    // Update title
-    titleEl.textContent = `${MONTH_NAMES[currentMonth]} ${currentYear}`;
+    // Fetch before clearing so the grid doesn't flash empty while loading
+    const [
+        completedDays, weeklyRewards, partialWeeks, weekStart, { weeklyGoal }, sessions, freezes, policy, activeProgram, routines, donations
+    ] = await Promise.all([
+        getCompletedDays(),
+        getWeeklyRewards(),
+        getPartialWeeks(),
+        getWeekStart(),
+        getWeeklyGoalSettings(),
+        getWorkoutSessions(),
+        getStreakFreezes(),
+        getCompletionPolicy(),
+        getActiveProgram(),
+        getRoutines(),
+        getDonations()
+    ]);
+    const context = { completedDays, sessions, freezes, policy, activeProgram, routines };
 
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === currentView);
+    });
+
+    if (currentView === 'month' || !listEl) {
+        titleEl.textContent = `${MONTH_NAMES[currentMonth]} ${currentYear}`;
+        gridEl.style.display = '';
+        if (listEl) listEl.style.display = 'none';
+        renderMonthGrid(gridEl, weekStart, context);
+    } else {
+        const days = getListDays(weekStart);
+        titleEl.textContent = currentView === 'week'
+            ? formatDateRange(days[0], days[days.length - 1])
+            : `Next ${AGENDA_DAYS} days`;
+        gridEl.style.display = 'none';
+        listEl.style.display = '';
+        await renderDayList(listEl, days, context);
+    }
+
+    // Render weekly summary, monthly total and the year at a glance
+    renderWeeklySummary(completedDays, weeklyRewards, partialWeeks, weekStart, weeklyGoal, freezes);
+    renderMonthlyTotal(weeklyRewards, donations);
+    renderYearHeatmap(weeklyRewards, weekStart, context);
+}
+
+/**
+ * Get a day's planned exercises and state
+ * A custom routine scheduled for the day replaces the program
+ * @param {Date} date
+ * @param {Object} context - {completedDays, freezes, policy, activeProgram, routines}
+ * @returns {Object} {dateKey, routine, workouts, state, isToday, label} - See getDayState()
+ */
+function describeDay(date, { completedDays, freezes, policy, activeProgram, routines }) {
+    const dateKey = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    const routine = resolveRoutineForDate(routines, date);
+    const workouts = routine ? routine.exercises : getProgramWorkoutsForDay(date, activeProgram);
+
+    return {
+        dateKey,
+        routine,
+        workouts,
+        ...getDayState(date, {
+            completed: Boolean(completedDays[dateKey]),
+            frozenBy: freezes.frozen.days[dateKey] || null,
+            planned: workouts.length,
+            policy
+        })
+    };
+}
+
+/**
+ * CSS classes for a day's state
+ * @param {Object} day - From describeDay()
+ * @param {Object} freezes - From getStreakFreezes()
+ * @returns {Array<string>}
+ */
+function getDayClasses(day, freezes) {
+    const classes = [day.state];
+    if (day.state === 'frozen') classes.push(freezes.frozen.days[day.dateKey]);
+    if (day.isToday && day.state !== 'today') classes.push('today');
+    return classes;
+}
+
+/**
+ * Get the days the week view or agenda lists
+ * @param {number} weekStart
+ * @returns {Array<Date>}
+ */
+function getListDays(weekStart) {
+    const first = currentView === 'week' ? getWeekStartDate(focusDate, weekStart) : new Date();
+    const count = currentView === 'week' ? 7 : AGENDA_DAYS;
+
+    return Array.from({ length: count }, (_, i) =>
+        new Date(first.getFullYear(), first.getMonth(), first.getDate() + i)
+    );
+}
+
+/**
+ * Render days as a list of cards with their exercises, state and stopwatch time
+ * @param {HTMLElement} listEl
+ * @param {Array<Date>} days
+ * @param {Object} context - See describeDay(), plus sessions
+ */
+async function renderDayList(listEl, days, context) {
+    const logs = await getWorkoutLogs();
+    const program = getProgramById(context.activeProgram.id);
+
+    let html = '';
+
+    if (currentView === 'week') {
+        html += `
+            <div class="calendar-list-nav">
+                <button class="history-btn" data-shift="-1" aria-label="Show the previous week">‹ Previous</button>
+                <button class="history-btn" data-shift="1" aria-label="Show the next week">Next ›</button>
+            </div>
+        `;
+    }
+
+    days.forEach(date => {
+        const day = describeDay(date, context);
+        const { dateKey, routine, workouts } = day;
+        const session = context.sessions[dateKey];
+
+        // Checklist progress on days that aren't done yet
+        let label = day.label;
+        if (day.state !== 'completed' && logs[dateKey]) {
+            const { done, total } = summarizeWorkoutLog(logs[dateKey]);
+            if (done > 0) label += ` · ${done}/${total} done`;
+        }
+
+        const source = routine ? `🛠️ ${sanitizeHTML(routine.name)}` : `${program.icon} ${program.name}`;
+        const exercises = workouts.length > 0
+            ? `<ul class="agenda-exercises">
+                ${workouts.map(w => `<li>${sanitizeHTML(w.name)}${w.duration ? ` · ${Number(w.duration)} min` : ''}</li>`).join('')}
+              </ul>`
+            : '<p class="agenda-rest">Rest day</p>';
+
+        html += `
+            <div class="agenda-day ${getDayClasses(day, context.freezes).join(' ')}" data-date="${dateKey}" role="button" tabindex="0"
+                aria-label="${formatLongDate(date)}: ${label}">
+                <div class="agenda-date">
+                    <span class="agenda-weekday">${DAY_NAMES[date.getDay()]}</span>
+                    <span class="agenda-day-number">${date.getDate()}</span>
+                    ${currentView === 'agenda' ? `<span class="agenda-month">${MONTH_NAMES[date.getMonth()].slice(0, 3)}</span>` : ''}
+                </div>
+                <div class="agenda-body">
+                    <p class="agenda-source">${source}</p>
+                    ${exercises}
+                </div>
+                <div class="agenda-status">
+                    <span>${label}</span>
+                    ${session?.seconds > 0 ? `<span class="day-time">⏱ ${Math.max(1, Math.round(session.seconds / 60))}m</span>` : ''}
+                </div>
+            </div>
+        `;
+    });
+
+    listEl.innerHTML = html;
+
+    listEl.querySelectorAll('[data-shift]').forEach(btn => {
+        btn.onclick = () => shiftWeek(Number(btn.dataset.shift));
+    });
+
+    listEl.querySelectorAll('.agenda-day').forEach(card => {
+        const [year, month, day] = card.dataset.date.split('-').map(Number);
+        const open = () => openWorkoutModal(new Date(year, month - 1, day));
+        card.onclick = open;
+        card.onkeydown = event => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                open();
+            }
+        };
+    });
+}
+
+/**
+ * Render the month as a grid of day cells
+ * @param {HTMLElement} gridEl
+ * @param {number} weekStart
+ * @param {Object} context - See describeDay(), plus sessions
+ */
+function renderMonthGrid(gridEl, weekStart, context) {
     // Clear grid
     gridEl.innerHTML = '';
 
-    // Add day labels
-    DAY_NAMES.forEach(day => {
+    // Add day labels, starting from the user's week start so each row is one week
+    DAY_NAMES.forEach((_, i) => {
         const labelDiv = document.createElement('div');
         labelDiv.className = 'day-label';
-        labelDiv.textContent = day;
+        labelDiv.textContent = DAY_NAMES[(weekStart + i) % 7];
         gridEl.appendChild(labelDiv);
     });
 
     // Get calendar data
     const daysInMonth = getDaysInMonth(currentYear, currentMonth);
     const firstDay = getFirstDayOfMonth(currentYear, currentMonth);
-    const completedDays = getCompletedDays();
+    const leadingDays = (firstDay - weekStart + 7) % 7;
 
     // Add empty cells for days before month starts
-    for (let i = 0; i < firstDay; i++) {
+    for (let i = 0; i < leadingDays; i++) {
         const emptyDiv = document.createElement('div');
         emptyDiv.className = 'day-cell empty';
         gridEl.appendChild(emptyDiv);
@@ -88,18 +361,26 @@ export function renderCalendar() {
     // Add day cells
     for (let day = 1; day <= daysInMonth; day++) {
         const dayDiv = document.createElement('div');
-        dayDiv.className = 'day-cell';
+        const dayInfo = describeDay(new Date(currentYear, currentMonth, day), context);
+        const { dateKey, state } = dayInfo;
 
-        const dateKey = `${currentYear}-${currentMonth + 1}-${day}`;
-        const isCompleted = completedDays[dateKey];
-
-        if (isCompleted) {
-            dayDiv.classList.add('completed');
+        // Upcoming days can be previewed but not completed
+        dayDiv.className = ['day-cell', ...getDayClasses(dayInfo, context.freezes)].join(' ');
+        dayDiv.title = dayInfo.label;
 
+        if (state === 'completed') {
             const checkMark = document.createElement('span');
             checkMark.className = 'check-mark';
             checkMark.textContent = '✓';
             dayDiv.appendChild(checkMark);
+        } else if (state === 'frozen') {
+            // Frozen days keep the streak going without counting toward it
+            const frozenBy = context.freezes.frozen.days[dateKey];
+
+            const frozenMark = document.createElement('span');
+            frozenMark.className = 'frozen-mark';
+            frozenMark.textContent = frozenBy === 'vacation' ? '🏖️' : '❄️';
+            dayDiv.appendChild(frozenMark);
         }
 
         const dayNumber = document.createElement('div');
@@ -107,187 +388,699 @@ export function renderCalendar() {
         dayNumber.textContent = day;
         dayDiv.appendChild(dayNumber);
 
-        dayDiv.onclick = () => openWorkoutModal(currentMonth, day);
+        // Stopwatch time saved with the day
+        const session = context.sessions[dateKey];
+        if (session?.seconds > 0) {
+            const timeBadge = document.createElement('span');
+            timeBadge.className = 'day-time';
+            timeBadge.textContent = `⏱ ${Math.max(1, Math.round(session.seconds / 60))}m`;
+            dayDiv.appendChild(timeBadge);
+        }
+
+        dayDiv.onclick = () => openWorkoutModal(new Date(currentYear, currentMonth, day));
 
         gridEl.appendChild(dayDiv);
     }
+}
+
+/**
+ * Render the year as a grid of days, one column per week, with reward markers under each week
+ * A reward sits under the column holding its week's last day, the day monthly totals count it on
+ * @param {Object} weeklyRewards
+ * @param {number} weekStart
+ * @param {Object} context - See describeDay()
+ */
+function renderYearHeatmap(weeklyRewards, weekStart, context) {
+    const container = document.getElementById('yearHeatmap');
+    if (!container) return;
+
+    const gridStart = getWeekStartDate(new Date(currentYear, 0, 1), weekStart);
+    const lastOfYear = new Date(currentYear, 11, 31);
+    const columnOf = date => Math.floor(Math.round((date - gridStart) / 86400000) / 7);
+    const weeks = columnOf(lastOfYear) + 1;
+
+    // Grid rows: month labels, seven days, reward markers. Column 1 holds day labels
+    let cells = '';
+
+    MONTH_NAMES.forEach((monthName, month) => {
+        const column = columnOf(new Date(currentYear, month, 1)) + 2;
+        cells += `<span class="heatmap-month" style="grid-row: 1; grid-column: ${column} / span 4">${monthName.slice(0, 3)}</span>`;
+    });
+
+    [1, 3, 5].forEach(row => {
+        cells += `<span class="heatmap-day-label" style="grid-row: ${row + 2}">${DAY_NAMES[(weekStart + row) % 7]}</span>`;
+    });
+
+    let daysDone = 0;
+    for (let date = new Date(currentYear, 0, 1); date <= lastOfYear; date.setDate(date.getDate() + 1)) {
+        const day = describeDay(date, context);
+        const position = `grid-row: ${(date.getDay() - weekStart + 7) % 7 + 2}; grid-column: ${columnOf(date) + 2}`;
+        if (day.state === 'completed') daysDone++;
+
+        const classes = ['heatmap-cell', ...getDayClasses(day, context.freezes)].join(' ');
+        const label = `${formatLongDate(date)}: ${day.label}`;
+        cells += `<button type="button" class="${classes}" style="${position}" data-date="${day.dateKey}" title="${label}" aria-label="${label}"></button>`;
+    }
+
+    let yearTotal = 0;
+    const rewardsByColumn = {};
+    Object.keys(weeklyRewards).forEach(weekKey => {
+        const lastDayKey = getWeekDateKeys(weekKey)[6];
+        const [year, month, day] = lastDayKey.split('-').map(Number);
+        if (year !== currentYear) return;
+
+        const column = columnOf(new Date(year, month - 1, day));
+        rewardsByColumn[column] = (rewardsByColumn[column] || 0) + weeklyRewards[weekKey];
+        yearTotal += weeklyRewards[weekKey];
+    });
+
+    Object.entries(rewardsByColumn).forEach(([column, amount]) => {
+        const label = `Week reward: $${amount}`;
+        cells += `<span class="heatmap-reward" style="grid-row: 9; grid-column: ${Number(column) + 2}" title="${label}" aria-label="${label}"></span>`;
+    });
 
-    // Render weekly summary and monthly total
-    renderWeeklySummary();
-    renderMonthlyTotal();
+    container.innerHTML = `
+        <p class="heatmap-summary">
+            ${daysDone} ${pluralize(daysDone, 'day')} completed in ${currentYear} · $${yearTotal} earned
+        </p>
+        <div class="heatmap-scroll">
+            <div class="heatmap" style="grid-template-columns: auto repeat(${weeks}, var(--heatmap-cell))">${cells}</div>
+        </div>
+        <div class="heatmap-legend">
+            <span><i class="heatmap-cell completed"></i> Completed</span>
+            <span><i class="heatmap-cell missed"></i> Missed, can still complete</span>
+            <span><i class="heatmap-cell"></i> Missed</span>
+            <span><i class="heatmap-cell rest"></i> Rest day</span>
+            <span><i class="heatmap-cell frozen"></i> Frozen</span>
+            <span><i class="heatmap-cell frozen vacation"></i> Vacation</span>
+            <span><i class="heatmap-reward"></i> Week reward</span>
+        </div>
+    `;
+
+    container.querySelectorAll('.heatmap-cell[data-date]').forEach(cell => {
+        cell.onclick = () => {
+            const [year, month, day] = cell.dataset.date.split('-').map(Number);
+            openWorkoutModal(new Date(year, month - 1, day));
+        };
+    });
 }
 
 /**
- * Render weekly summary
+ * Render weekly summary for every calendar week that overlaps the current month
+ * @param {Object} completedDays
+ * @param {Object} weeklyRewards
+ * @param {Object} partialWeeks - Weeks paid proportionally
+ * @param {number} weekStart
+ * @param {number} weeklyGoal
+ * @param {Object} freezes - From getStreakFreezes()
  */
-function renderWeeklySummary() {
+function renderWeeklySummary(completedDays, weeklyRewards, partialWeeks, weekStart, weeklyGoal, freezes) {
     const container = document.getElementById('weeklySummary');
     if (!container) return;
 
-    const daysInMonth = getDaysInMonth(currentYear, currentMonth);
-    const firstDay = getFirstDayOfMonth(currentYear, currentMonth);
-    const numWeeks = Math.ceil((daysInMonth + firstDay) / 7);
-    const weeklyRewards = getWeeklyRewards();
+    const lastOfMonth = new Date(currentYear, currentMonth, getDaysInMonth(currentYear, currentMonth));
+    const weekDate = getWeekStartDate(new Date(currentYear, currentMonth, 1), weekStart);
+
+    const freezeContext = {
+        weekStart,
+        goalWeeks: getGoalMetWeeks(weeklyRewards, partialWeeks),
+        frozenWeeks: freezes.frozenWeeks,
+        balance: freezes.balance
+    };
+
+    const today = new Date();
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const todayKey = `${today.getFullYear()}-${today.getMonth() + 1}-${today.getDate()}`;
 
     let html = '<h3>📊 Weekly Progress & Rewards</h3>';
 
-    for (let week = 1; week <= numWeeks; week++) {
-        const weekKey = `${currentYear}-${currentMonth + 1}-week${week}`;
+    while (weekDate <= lastOfMonth) {
+        const weekKey = getWeekKey(weekDate, weekStart);
+        const weekEnd = new Date(weekDate.getFullYear(), weekDate.getMonth(), weekDate.getDate() + 6);
         const reward = weeklyRewards[weekKey];
-        const isComplete = !!reward;
+        const daysDone = countCompletedDaysInWeek(completedDays, weekKey);
+
+        let status = `${daysDone}/${weeklyGoal} days`;
+        if (weekKey in partialWeeks) {
+            status = `Partial payout (${partialWeeks[weekKey]}/${weeklyGoal} days)`;
+        } else if (weekKey in weeklyRewards) {
+            status = '✓ Goal reached!';
+        } else if (freezes.frozen.weeks[weekKey] === 'vacation') {
+            status = `🏖️ Vacation (${daysDone}/${weeklyGoal} days)`;
+        } else if (weekKey in freezes.frozen.weeks) {
+            status = `❄️ Frozen (${daysDone}/${weeklyGoal} days)`;
+        } else if (weekDate <= todayStart && todayStart <= weekEnd && daysDone < weeklyGoal) {
+            // Days still ahead in this week, counting today until it's done
+            const needed = weeklyGoal - daysDone;
+            const daysLeft = Math.round((weekEnd - todayStart) / 86400000) + (completedDays[todayKey] ? 0 : 1);
+            status += ` <span class="week-days-left">· ${needed} more needed, ${daysLeft} ${pluralize(daysLeft, 'day')} left</span>`;
+        }
+
+        let action = '';
+        if (weekKey in freezes.frozenWeeks) {
+            action = `<button class="week-freeze-btn" data-week-key="${weekKey}" data-action="unfreeze">Unfreeze</button>`;
+        } else if (!(weekKey in freezes.frozen.weeks) && canFreezeWeek(weekKey, freezeContext).valid) {
+            action = `<button class="week-freeze-btn" data-week-key="${weekKey}" data-action="freeze">❄️ Freeze</button>`;
+        }
 
         html += `
-            <div class="week-item">
-                <span><strong>Week ${week}:</strong> ${isComplete ? '✓ Complete!' : 'In Progress...'}</span>
-                ${reward ? `<span class="reward-badge">$${reward}</span>` : ''}
+            <div class="week-item${weekKey in freezes.frozen.weeks ? ' frozen' : ''}">
+                <span><strong>${formatDateRange(weekDate, weekEnd)}:</strong> ${status}</span>
+                ${weekKey in weeklyRewards ? `<span class="reward-badge">$${reward}</span>` : action}
             </div>
         `;
+
+        weekDate.setDate(weekDate.getDate() + 7);
     }
 
     container.innerHTML = html;
+
+    container.querySelectorAll('.week-freeze-btn').forEach(btn => {
+        btn.onclick = () => handleWeekFreeze(btn.dataset.weekKey, btn.dataset.action === 'freeze');
+    });
+}
+
+/**
+ * Freeze or unfreeze a week from the weekly summary
+ * @param {string} weekKey
+ * @param {boolean} freeze
+ */
+async function handleWeekFreeze(weekKey, freeze) {
+    if (!freeze && !confirm('Unfreeze this week? The streak freeze goes back to your balance, but a missed week will break your streak.')) {
+        return;
+    }
+
+    const previousProgress = await getBadgeProgress();
+    const changed = freeze ? await freezeWeek(weekKey) : await unfreezeWeek(weekKey);
+    if (!changed) return;
+
+    if (freeze) {
+        checkAndUnlockBadges();
+    } else {
+        await revokeLostBadges(previousProgress);
+    }
 }
 
 /**
- * Render monthly total
+ * Render monthly total with the pledge or donation of it
+ * @param {Object} weeklyRewards
+ * @param {Array} donations
  */
-function renderMonthlyTotal() {
+function renderMonthlyTotal(weeklyRewards, donations) {
     const container = document.getElementById('monthlyTotal');
     if (!container) return;
 
-    const weeklyRewards = getWeeklyRewards();
-    let total = 0;
+    const total = getMonthlyRewardTotal(weeklyRewards, currentYear, currentMonth + 1);
+    const monthKey = getMonthKey(currentYear, currentMonth + 1);
+    const donation = getDonationForMonth(donations, monthKey);
 
-    Object.keys(weeklyRewards).forEach(key => {
-        if (key.startsWith(`${currentYear}-${currentMonth + 1}-`)) {
-            total += weeklyRewards[key];
-        }
+    if (total <= 0 && !donation) {
+        container.style.display = 'none';
+        return;
+    }
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <h2>$${total}</h2>
+        <p>You've earned this amount in ${MONTH_NAMES[currentMonth]}!</p>
+        <div class="charity-selector">
+            ${donation ? renderDonationStatus(donation) : renderDonationForm(total)}
+        </div>
+    `;
+
+    container.querySelectorAll('[data-donation-action]').forEach(btn => {
+        btn.onclick = () => handleDonation(btn.dataset.donationAction, monthKey, donation);
     });
 
-    if (total > 0) {
-        container.style.display = 'block';
-        container.innerHTML = `
-            <h2>$${total}</h2>
-            <p>You've earned this amount in ${MONTH_NAMES[currentMonth]}!</p>
-            <div class="charity-selector">
-                <label>💝 Choose Your Charity</label>
-                <select id="charitySelect">
-                    <option value="">Select a charity...</option>
-                    <option value="red-cross">American Red Cross</option>
-                    <option value="feeding-america">Feeding America</option>
-                    <option value="habitat">Habitat for Humanity</option>
-                    <option value="wwf">World Wildlife Fund</option>
-                    <option value="unicef">UNICEF</option>
-                    <option value="doctors">Doctors Without Borders</option>
-                    <option value="water">charity: water</option>
-                    <option value="other">Other charity of my choice</option>
-                </select>
-                <button class="donate-btn" onclick="window.processDonation(${currentMonth}, ${total})">
-                    Give $${total} to Charity
-                </button>
+    const select = document.getElementById('charitySelect');
+    const otherInput = document.getElementById('charityOther');
+    if (select && otherInput) {
+        select.onchange = () => {
+            otherInput.style.display = select.value === 'other' ? '' : 'none';
+        };
+    }
+}
+
+/**
+ * Render the date and receipt inputs for a donation that was made
+ * @returns {string} HTML
+ */
+function renderDonationRecordFields() {
+    const today = getTodayString();
+
+    return `
+        <div class="donation-field">
+            <label for="donationDate">Donated on</label>
+            <input type="date" id="donationDate" value="${today}" max="${today}">
+        </div>
+        <div class="donation-field">
+            <label for="donationReceipt">Receipt reference (optional)</label>
+            <input type="text" id="donationReceipt" maxlength="${MAX_RECEIPT_LENGTH}" placeholder="e.g. confirmation number">
+        </div>
+    `;
+}
+
+/**
+ * Render the form for giving a month's earnings
+ * @param {number} total - What the month earned
+ * @returns {string} HTML
+ */
+function renderDonationForm(total) {
+    return `
+        <label for="charitySelect">💝 Choose Your Charity</label>
+        <select id="charitySelect">
+            <option value="">Select a charity...</option>
+            ${CHARITIES.map(name => `<option value="${name}">${name}</option>`).join('')}
+            <option value="other">Other charity of my choice</option>
+        </select>
+        <input type="text" id="charityOther" class="donation-other" maxlength="${MAX_CHARITY_LENGTH}" placeholder="Charity name" style="display: none;">
+        <div class="donation-fields">
+            <div class="donation-field">
+                <label for="donationAmount">Amount ($)</label>
+                <input type="number" id="donationAmount" min="1" max="${total}" value="${total}">
             </div>
+            ${renderDonationRecordFields()}
+        </div>
+        <p class="donation-hint">Not donated yet? Pledge it now and record the date and receipt once you give.</p>
+        <div class="donation-actions">
+            <button type="button" class="history-btn" data-donation-action="pledge">🤝 Pledge</button>
+            <button type="button" class="donate-btn" data-donation-action="donate">I Donated</button>
+        </div>
+    `;
+}
+
+/**
+ * Render a month's pledge or donation
+ * @param {Object} donation
+ * @returns {string} HTML
+ */
+function renderDonationStatus(donation) {
+    const charity = sanitizeHTML(donation.charity);
+
+    if (donation.status === 'donated') {
+        return `
+            <p class="donation-status">✅ You gave $${donation.amount} to ${charity} on ${formatLongDate(parseWeekKey(donation.donatedOn))}</p>
+            ${donation.receipt ? `<p class="donation-hint">Receipt: ${sanitizeHTML(donation.receipt)}</p>` : ''}
         `;
-    } else {
-        container.style.display = 'none';
+    }
+
+    return `
+        <p class="donation-status">🤝 You pledged $${donation.amount} to ${charity}</p>
+        <div class="donation-fields">
+            ${renderDonationRecordFields()}
+        </div>
+        <div class="donation-actions">
+            <button type="button" class="history-btn" data-donation-action="cancel">Cancel Pledge</button>
+            <button type="button" class="donate-btn" data-donation-action="complete">Mark as Donated</button>
+        </div>
+    `;
+}
+
+/**
+ * Pledge, record, complete or cancel the donation of the month shown
+ * @param {string} action - 'pledge', 'donate', 'complete' or 'cancel'
+ * @param {string} monthKey (YYYY-MM)
+ * @param {Object|null} donation - The month's pledge, for 'complete' and 'cancel'
+ */
+async function handleDonation(action, monthKey, donation) {
+    const donatedOn = document.getElementById('donationDate')?.value || '';
+    const receipt = document.getElementById('donationReceipt')?.value || '';
+
+    if (action === 'complete') {
+        await completePledge(donation.id, { donatedOn, receipt });
+        return;
+    }
+
+    if (action === 'cancel') {
+        if (confirm(`Cancel your $${donation.amount} pledge to ${donation.charity}?`)) {
+            await cancelPledge(donation.id);
+        }
+        return;
+    }
+
+    const select = document.getElementById('charitySelect');
+    const charity = select?.value === 'other'
+        ? document.getElementById('charityOther')?.value || ''
+        : select?.value || '';
+    const amount = Number(document.getElementById('donationAmount')?.value);
+    const status = action === 'donate' ? 'donated' : 'pledged';
+
+    if (status === 'donated' && charity.trim() &&
+        !confirm(`Record your $${amount} donation to ${charity.trim()}? Donations stay on record for good.`)) {
+        return;
+    }
+
+    await recordDonation({ month: monthKey, charity, amount, status, donatedOn, receipt });
+}
+
+/**
+ * Build the metadata tags for an exercise
+ * Custom exercises carry sets/reps instead of program metadata
+ * @param {Object} workout
+ * @returns {string} HTML
+ */
+function renderWorkoutTags(workout) {
+    const tags = [];
+    const sets = Number(workout.sets);
+    const reps = Number(workout.reps);
+
+    if (sets) {
+        tags.push(`<span class="workout-tag">${sets} ${sets === 1 ? 'set' : 'sets'}${reps ? ` × ${reps} reps` : ''}</span>`);
+    } else if (reps) {
+        tags.push(`<span class="workout-tag">${reps} reps</span>`);
+    }
+
+    if (workout.intensity) {
+        tags.push(
+            `<span class="workout-tag intensity-${workout.intensity}">${workout.intensity} intensity</span>`,
+            `<span class="workout-tag">${workout.impact} impact</span>`,
+            ...workout.muscleGroups.map(group => `<span class="workout-tag">${group}</span>`),
+            `<span class="workout-tag">${workout.equipment.length > 0 ? workout.equipment.join(', ') : 'no equipment'}</span>`
+        );
+    }
+
+    return tags.length > 0 ? `<div class="workout-tags">${tags.join('')}</div>` : '';
+}
+
+/**
+ * Get the image for an exercise, escaped for a src attribute
+ * Program exercises name a bundled image; custom ones may link an https image.
+ * Anything else gets the placeholder
+ * @param {Object} workout
+ * @returns {string}
+ */
+function getWorkoutImageSrc(workout) {
+    if (isBundledWorkoutImage(workout.image)) return `/images/workouts/${workout.image}`;
+    if (typeof workout.image === 'string' && /^https:\/\/\S+$/.test(workout.image)) {
+        return sanitizeHTML(encodeURI(workout.image));
+    }
+    return '/images/workouts/placeholder.jpg';
+}
+
+/**
+ * Build the log for a day's exercises, keeping anything already recorded
+ * @param {Array} workouts
+ * @param {Object|null} savedLog
+ * @returns {Object} {exercises: [{name, planned, done, sets, reps, minutes}]}
+ */
+function createExerciseLog(workouts, savedLog) {
+    return {
+        exercises: workouts.map((workout, index) => {
+            const saved = savedLog?.exercises[index];
+            if (saved && saved.name === workout.name) return saved;
+
+            return {
+                name: workout.name,
+                planned: { duration: workout.duration, sets: workout.sets ?? null, reps: workout.reps ?? null },
+                done: false,
+                sets: workout.sets ?? null,
+                reps: workout.reps ?? null,
+                minutes: workout.duration
+            };
+        })
+    };
+}
+
+/**
+ * Build the checklist controls for one exercise
+ * @param {Object} entry - Exercise log entry
+ * @param {number} index
+ * @returns {string} HTML
+ */
+function renderExerciseLogControls(entry, index) {
+    const value = v => (v === null || v === undefined ? '' : Number(v));
+
+    return `
+        <div class="exercise-log" data-index="${index}">
+            <label class="exercise-check">
+                <input type="checkbox" data-log="done" ${entry.done ? 'checked' : ''}>
+                Done
+            </label>
+            <label>Sets <input type="number" data-log="sets" min="0" max="50" value="${value(entry.sets)}" placeholder="-"></label>
+            <label>Reps <input type="number" data-log="reps" min="0" max="500" value="${value(entry.reps)}" placeholder="-"></label>
+            <label>Minutes <input type="number" data-log="minutes" min="0" max="300" value="${value(entry.minutes)}"></label>
+        </div>
+    `;
+}
+
+/**
+ * Describe the completion rule
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeCompletionRule(rule) {
+    switch (rule.type) {
+        case 'count':
+            return `at least ${rule.value} ${pluralize(rule.value, 'exercise')}`;
+        case 'minutes':
+            return `at least ${rule.value} ${pluralize(rule.value, 'minute')}`;
+        case 'timer':
+            return `${rule.value} ${pluralize(rule.value, 'minute')} on the stopwatch`;
+        default:
+            return 'every exercise';
+    }
+}
+
+/**
+ * Read the checklist back out of the open modal
+ * @returns {Object}
+ */
+function readExerciseLog() {
+    const parse = v => (v === '' ? null : Math.max(0, parseInt(v)));
+
+    const exercises = modalState.log.exercises.map((entry, index) => {
+        const row = document.querySelector(`.exercise-log[data-index="${index}"]`);
+        if (!row) return entry;
+
+        const field = name => row.querySelector(`[data-log="${name}"]`);
+        return {
+            ...entry,
+            done: field('done').checked,
+            sets: parse(field('sets').value),
+            reps: parse(field('reps').value),
+            minutes: parse(field('minutes').value) ?? 0
+        };
+    });
+
+    return { exercises, updatedAt: new Date().toISOString() };
+}
+
+/**
+ * Refresh the progress line and complete button as exercises are checked off
+ */
+function updateExerciseProgress() {
+    const log = readExerciseLog();
+    const { done, total, minutes } = summarizeWorkoutLog(log);
+    const session = getStopwatchSession();
+    const ruleMet = isDayCompleteByRule(log, modalState.rule, session);
+    const policyCheck = checkCompletionPolicy(modalState.dateKey, session, modalState.policy);
+
+    const progress = document.getElementById('exerciseProgress');
+    if (progress) {
+        progress.textContent = `${done} of ${total} ${pluralize(total, 'exercise')} done · ${minutes} min · ` +
+            `Day counts as complete after ${describeCompletionRule(modalState.rule)}`;
+        if (!policyCheck.valid && !modalState.isCompleted) {
+            progress.textContent += ` · ${policyCheck.message}`;
+        }
+        progress.classList.toggle('met', ruleMet && policyCheck.valid);
+    }
+
+    const completeBtn = document.getElementById('completeWorkoutBtn');
+    if (completeBtn && !modalState.isCompleted) {
+        completeBtn.disabled = !ruleMet || !policyCheck.valid;
     }
 }
 
 /**
  * Open workout modal for a specific day
- * @param {number} monthIndex
- * @param {number} day
- */
-function openWorkoutModal(monthIndex, day) {
-    const date = new Date(currentYear, monthIndex, day);
-    const dayOfWeek = date.getDay();
-    const workouts = getWorkoutsForDay(dayOfWeek);
-    const dateKey = `${currentYear}-${monthIndex + 1}-${day}`;
-    const completedDays = getCompletedDays();
-    const isCompleted = completedDays[dateKey];
-
-    // Create stopwatch at the top
-    const stopwatchHTML = createStopwatch();
-
-    // Build workout HTML with images
-    let workoutHTML = '';
-    workouts.forEach((workout) => {
+ * @param {Date} date
+ */
+async function openWorkoutModal(date) {
+    const dateKey = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    const [completedDays, savedLog, rule, policy, sessions] = await Promise.all([
+        getCompletedDays(),
+        getWorkoutLog(dateKey),
+        getCompletionRule(),
+        getCompletionPolicy(),
+        getWorkoutSessions()
+    ]);
+    const isCompleted = Boolean(completedDays[dateKey]);
+
+    // A custom routine scheduled for this day replaces the program
+    const routine = await getRoutineForDay(date);
+    let workouts;
+    let sourceLabel;
+
+    if (routine) {
+        workouts = routine.exercises;
+        sourceLabel = `🛠️ ${sanitizeHTML(routine.name)}`;
+        if (!routine.isOwner) {
+            sourceLabel += ` · by ${sanitizeHTML(routine.ownerName)}`;
+        }
+    } else {
+        const activeProgram = await getActiveProgram();
+        const program = getProgramById(activeProgram.id);
+        workouts = await getWorkoutsForDay(date);
+
+        // Program name, plus the plan week for multi-week programs
+        sourceLabel = `${program.icon} ${program.name}`;
+        if (program.weeks.length > 1) {
+            const weekIndex = getProgramWeekIndex(program, date, activeProgram.startedOn);
+            sourceLabel += ` · Week ${weekIndex + 1} of ${program.weeks.length}`;
+        }
+    }
+    const programHTML = `<p class="workout-program-label">${sourceLabel}</p>`;
+
+    // Create stopwatch at the top, resuming any time already saved for the day.
+    // Stopwatch minimums are met mid-session, so re-check progress as it counts
+    const onTick = rule.type === 'timer' || policy.minTimerMinutes > 0 ? updateExerciseProgress : null;
+    const stopwatchHTML = createStopwatch(sessions[dateKey] || null, onTick);
+
+    const log = createExerciseLog(workouts, savedLog);
+    modalState = { dateKey, rule, policy, isCompleted, log };
+
+    // Build workout HTML with images (custom routines hold user-entered text)
+    let workoutHTML = '<p class="exercise-progress" id="exerciseProgress"></p>';
+    workouts.forEach((workout, index) => {
+        const name = sanitizeHTML(workout.name);
         workoutHTML += `
             <div class="workout-item">
                 <img
-                    src="/images/workouts/${workout.image}"
-                    alt="${workout.name}"
+                    src="${getWorkoutImageSrc(workout)}"
+                    alt="${name.replace(/"/g, '&quot;')}"
                     class="workout-image"
                     loading="lazy"
                     decoding="async"
                     onerror="this.src='/images/workouts/placeholder.jpg'"
                 />
                 <h4>
-                    ${workout.name}
-                    <span class="workout-duration-badge">${workout.duration} min</span>
+                    ${name}
+                    <span class="workout-duration-badge">${Number(workout.duration)} min</span>
                 </h4>
-                <p>${workout.desc}</p>
+                ${workout.desc ? `<p>${sanitizeHTML(workout.desc)}</p>` : ''}
+                ${renderWorkoutTags(workout)}
+                ${renderExerciseLogControls(log.exercises[index], index)}
             </div>
         `;
     });
 
-    // Build complete button
+    // Build complete and save buttons
     const buttonHTML = `
         <button
             class="complete-btn ${isCompleted ? 'completed' : ''}"
+            id="completeWorkoutBtn"
             onclick="window.handleCompleteWorkout('${dateKey}')"
             ${isCompleted ? 'disabled' : ''}
         >
             ${isCompleted ? '✓ Workout Completed!' : 'Complete This Workout'}
         </button>
+        <button class="save-progress-btn" onclick="window.handleSaveWorkoutProgress('${dateKey}')">
+            ${isCompleted ? 'Update Exercise Log' : 'Save Progress'}
+        </button>
+        ${isCompleted ? `
+            <button class="uncomplete-btn" onclick="window.handleUncompleteWorkout('${dateKey}')">
+                ↩ Mark as Not Done
+            </button>
+        ` : ''}
     `;
 
     openModal({
         title: formatLongDate(date),
-        content: stopwatchHTML + workoutHTML + buttonHTML,
+        content: programHTML + stopwatchHTML + workoutHTML + buttonHTML,
         onClose: cleanupTimer
     });
+
+    document.querySelectorAll('.exercise-log').forEach(row => {
+        row.addEventListener('input', updateExerciseProgress);
+    });
+    updateExerciseProgress();
 }
 
+/**
+ * Handle saving the exercise checklist without completing the day
+ * @param {string} dateKey
+ */
+window.handleSaveWorkoutProgress = async function(dateKey) {
+    if (modalState?.dateKey !== dateKey) return;
+
+    const saved = await saveWorkoutLog(dateKey, readExerciseLog(), getStopwatchSession());
+    if (saved) {
+        closeModal();
+    }
+};
+
 /**
  * Handle completing a workout
  * @param {string} dateKey
  */
-window.handleCompleteWorkout = function(dateKey) {
-    const result = completeWorkout(dateKey);
+window.handleCompleteWorkout = async function(dateKey) {
+    if (modalState?.dateKey !== dateKey) return;
+
+    const log = readExerciseLog();
+    const session = getStopwatchSession();
+    if (!isDayCompleteByRule(log, modalState.rule, session)) {
+        const missing = modalState.rule.type === 'timer'
+            ? `Log ${describeCompletionRule(modalState.rule)}`
+            : `Check off ${describeCompletionRule(modalState.rule)}`;
+        showToast(`${missing} to complete this day`, 'error');
+        return;
+    }
+
+    const result = await completeWorkout(dateKey, log, session);
 
     if (result.success) {
         closeModal();
-        renderCalendar();
-
-        // Update stats
-        if (window.updateStats) {
-            window.updateStats();
-        }
 
         // Check for badges
-        if (window.checkAndUnlockBadges) {
-            window.checkAndUnlockBadges();
-        }
+        checkAndUnlockBadges();
+
+        // A mistaken tap can be taken back straight away
+        showToast('✓ Workout completed', 'success', 6000, {
+            label: 'Undo',
+            onClick: () => undoCompletion(dateKey)
+        });
     }
 };
 
 /**
- * Process donation
- * @param {number} monthIndex
- * @param {number} amount
+ * Handle un-completing a workout from the day modal
+ * @param {string} dateKey
  */
-window.processDonation = function(monthIndex, amount) {
-    const select = document.getElementById('charitySelect');
-    if (!select || !select.value) {
-        alert('Please select a charity first!');
+window.handleUncompleteWorkout = async function(dateKey) {
+    if (modalState?.dateKey !== dateKey) return;
+
+    if (!confirm('Mark this day as not done? Any reward or badge it earned will be taken back.')) {
         return;
     }
 
-    const charity = select.options[select.selectedIndex].text;
+    closeModal();
+    await undoCompletion(dateKey);
+};
+
+/**
+ * Un-complete a day, taking back the week's reward, movement contributions
+ * and any badge that no longer qualifies
+ * @param {string} dateKey
+ */
+async function undoCompletion(dateKey) {
+    const previousProgress = await getBadgeProgress();
+    const result = await uncompleteWorkout(dateKey);
+    if (!result.success) return;
 
-    if (confirm(`🎉 Ready to make a difference?\n\nYou're about to donate $${amount} to ${charity}!`)) {
-        alert(`🌟 AMAZING WORK! 🌟\n\nThrough ${MONTH_NAMES[monthIndex]}, you:\n✓ Stayed consistent with your fitness\n✓ Earned $${amount} through dedication\n✓ Are about to help others through ${charity}\n\nYou're making the world better, one workout at a time! 💪❤️`);
+    const revokedBadges = await revokeLostBadges(previousProgress);
+
+    // Offline undos already got a "will sync" toast
+    if (!result.pending) {
+        let message = 'Day marked as not done';
+        if (result.revokedReward) {
+            message += ` · $${result.revokedReward} week reward taken back`;
+        }
+        if (revokedBadges.length > 0) {
+            message += ` · ${revokedBadges.map(badge => badge.name).join(', ')} ${pluralize(revokedBadges.length, 'badge')} removed`;
+        }
+        showToast(message, 'info', 5000);
     }
-};
+}
 
 /**
  * Initialize calendar
@@ -297,7 +1090,32 @@ export function initCalendar() {
     const today = new Date();
     currentMonth = today.getMonth();
     currentYear = today.getFullYear();
+    focusDate = today;
+
+    // Phones get this week rather than a cramped month grid
+    if (window.matchMedia?.('(max-width: 768px)').matches) {
+        currentView = 'week';
+    }
 
     renderMonthSelector();
     renderCalendar();
+
+    const prevYearBtn = document.getElementById('prevYearBtn');
+    const nextYearBtn = document.getElementById('nextYearBtn');
+    if (prevYearBtn && nextYearBtn) {
+        prevYearBtn.addEventListener('click', () => switchYear(-1));
+        nextYearBtn.addEventListener('click', () => switchYear(1));
+    }
+
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+        btn.addEventListener('click', () => switchView(btn.dataset.view));
+    });
+
+    const todayBtn = document.getElementById('jumpToTodayBtn');
+    if (todayBtn) {
+        todayBtn.addEventListener('click', jumpToToday);
+    }
+
+    // Redraw whenever workouts, rewards, settings, freezes or donations change
+    subscribe(() => renderCalendar());
 }
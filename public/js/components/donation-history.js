@@ -0,0 +1,95 @@
+/**
+ * Donation History Component
+ * Lists every pledge and donation with what has been earned, pledged and given
+ */
+
+import { getDonationLedger } from '../repositories/donation.repository.js';
+import { parseWeekKey } from '../utils/helpers.js';
+import { formatLongDate } from '../utils/formatters.js';
+import { sanitizeHTML } from '../utils/validation.js';
+import { openModal } from './modal.js';
+
+// Rows of the balance summary: [balance field, label]
+const BALANCE_ROWS = [
+    ['earned', 'Earned'],
+    ['pledged', 'Pledged'],
+    ['donated', 'Donated'],
+    ['unpledged', 'Not yet given']
+];
+
+/**
+ * Name the month a key stands for
+ * @param {string} monthKey (YYYY-MM)
+ * @returns {string} e.g. "March 2026"
+ */
+function formatMonthKey(monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+}
+
+/**
+ * Render one pledge or donation
+ * @param {Object} donation
+ * @returns {string}
+ */
+function renderDonation(donation) {
+    const details = donation.status === 'donated'
+        ? [`donated ${formatLongDate(parseWeekKey(donation.donatedOn))}`]
+        : ['pledged, not yet donated'];
+
+    if (donation.receipt) {
+        details.push(`receipt ${sanitizeHTML(donation.receipt)}`);
+    }
+
+    return `
+        <li class="ledger-event donation-${donation.status}">
+            <div class="ledger-event-main">
+                <span class="ledger-event-type">${formatMonthKey(donation.month)}</span>
+                <span class="ledger-event-week">${sanitizeHTML(donation.charity)}</span>
+                <span class="ledger-event-amount">$${donation.amount}</span>
+            </div>
+            <div class="ledger-event-details">${details.join(' · ')}</div>
+        </li>
+    `;
+}
+
+/**
+ * Open the donation history modal
+ */
+export async function openDonationHistory() {
+    const { donations, balances } = await getDonationLedger();
+
+    const summary = `
+        <div class="donation-balances">
+            ${BALANCE_ROWS.map(([field, label]) => `
+                <div class="donation-balance">
+                    <span class="donation-balance-amount">$${balances[field]}</span>
+                    <span class="donation-balance-label">${label}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+
+    const list = donations.length === 0
+        ? '<p class="empty-state">No donations yet. Give a month\'s earnings from the calendar to start your history!</p>'
+        : `
+            <ul class="ledger-list">
+                ${[...donations].reverse().map(renderDonation).join('')}
+            </ul>
+        `;
+
+    openModal({
+        title: '💝 Donation History',
+        content: summary + list
+    });
+}
+
+/**
+ * Initialize donation history button
+ */
+export function initDonationHistory() {
+    const button = document.getElementById('donationHistoryBtn');
+    if (button) {
+        button.addEventListener('click', openDonationHistory);
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * Guest Migration Component
+ * Previews and uploads offline history the first time a user signs in
+ */
+
+import { openModal, closeModal } from './modal.js';
+import { shouldOfferGuestMigration, previewGuestMigration, migrateGuestData, skipGuestMigration } from '../services/migration.service.js';
+import { showToast } from '../utils/helpers.js';
+import { pluralize } from '../utils/formatters.js';
+
+/**
+ * Build the preview list
+ * @param {Object} preview
+ * @returns {string} HTML
+ */
+function renderPreviewItems(preview) {
+    const items = [];
+
+    if (preview.days.new > 0) {
+        items.push(`✅ ${preview.days.new} completed ${pluralize(preview.days.new, 'day')}`);
+    }
+    if (preview.days.existing > 0) {
+        items.push(`☑️ ${preview.days.existing} ${pluralize(preview.days.existing, 'day')} already in your account`);
+    }
+    if (preview.rewards.new > 0) {
+        items.push(`💰 ${preview.rewards.new} rewarded ${pluralize(preview.rewards.new, 'week')}`);
+    }
+    if (preview.movements.new > 0) {
+        items.push(`🌍 ${preview.movements.new} ${pluralize(preview.movements.new, 'movement')} you created`);
+    }
+
+    return items.map(item => `<li>${item}</li>`).join('');
+}
+
+/**
+ * Build the conflict notes
+ * @param {Object} preview
+ * @returns {string} HTML
+ */
+function renderConflicts(preview) {
+    let html = '';
+
+    if (preview.days.late > 0) {
+        const count = preview.days.late;
+        html += `
+            <p class="migration-note">
+                ${count} ${pluralize(count, 'day')} can't be completed under your account's completion policy
+                (grace window or stopwatch minimum) and will stay on this device only.
+            </p>
+        `;
+    }
+
+    if (preview.rewards.new > 0) {
+        html += `
+            <p class="migration-note">
+                Your account works out the rewards for uploaded weeks itself, so amounts may differ from this device.
+            </p>
+        `;
+    }
+
+    if (preview.days.new > 0) {
+        html += `
+            <p class="migration-note">
+                Badges aren't uploaded; your account unlocks them again from the uploaded days.
+            </p>
+        `;
+    }
+
+    if (preview.rewardRange.differs) {
+        const { device, account } = preview.rewardRange;
+        html += `
+            <label class="migration-option">
+                <input type="checkbox" id="migrationUseDeviceRange">
+                Use this device's reward range ($${device.min}-$${device.max})
+                instead of your account's ($${account.min}-$${account.max})
+            </label>
+        `;
+    }
+
+    return html;
+}
+
+/**
+ * Offer to upload guest data if this is the first sign-in on this device
+ * Closing the modal without choosing asks again on the next sign-in
+ * @param {Object} user
+ * @returns {Promise<void>} Resolves once the offer is shown
+ */
+export async function offerGuestMigration(user) {
+    if (!shouldOfferGuestMigration(user)) return;
+
+    let preview;
+    try {
+        preview = await previewGuestMigration();
+    } catch (error) {
+        console.error('Error previewing guest data:', error);
+        return;
+    }
+
+    openModal({
+        title: '📲 Bring your progress with you',
+        content: `
+            <div class="migration-preview">
+                <p>We found progress saved on this device before you signed in. Upload it to your account?</p>
+                <ul class="migration-list">${renderPreviewItems(preview)}</ul>
+                ${renderConflicts(preview)}
+                <div class="migration-actions">
+                    <button class="btn-primary" id="migrationUploadBtn">Upload to my account</button>
+                    <button class="migration-skip-btn" id="migrationSkipBtn">Keep it on this device</button>
+                </div>
+            </div>
+        `
+    });
+
+    const uploadBtn = document.getElementById('migrationUploadBtn');
+    const skipBtn = document.getElementById('migrationSkipBtn');
+
+    uploadBtn?.addEventListener('click', async () => {
+        uploadBtn.disabled = true;
+        uploadBtn.textContent = 'Uploading...';
+
+        const useDeviceRewardRange = document.getElementById('migrationUseDeviceRange')?.checked || false;
+        const result = await migrateGuestData({ useDeviceRewardRange });
+
+        if (result.success) {
+            showToast('✅ Your progress has been added to your account!', 'success');
+            closeModal();
+        } else {
+            showToast(result.error || 'Failed to upload your progress', 'error');
+            uploadBtn.disabled = false;
+            uploadBtn.textContent = 'Try again';
+        }
+    });
+
+    skipBtn?.addEventListener('click', () => {
+        skipGuestMigration(user);
+        closeModal();
+    });
+}
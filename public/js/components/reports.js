@@ -0,0 +1,91 @@
+/**
+ * Reports Component
+ * Downloads workout and donation history as CSV files
+ */
+
+import { getCompletedDays, getWorkoutLogs, getWorkoutSessions } from '../repositories/workout.repository.js';
+import { getWeeklyRewards } from '../repositories/reward.repository.js';
+import { getMovements } from '../repositories/movement.repository.js';
+import { getRoutines } from '../repositories/routine.repository.js';
+import { getActiveProgram } from '../repositories/program.repository.js';
+import {
+    toCSV,
+    buildCompletionRows,
+    buildRewardRows,
+    buildContributionRows,
+    getReportFileName
+} from '../services/report.service.js';
+import { showToast, downloadFile } from '../utils/helpers.js';
+import { isValidDateRange } from '../utils/validation.js';
+
+// What each report holds, for messages when it comes out empty
+const REPORT_LABELS = {
+    completions: 'completed workouts',
+    rewards: 'weekly rewards',
+    contributions: 'movement contributions'
+};
+
+/**
+ * Build a report's rows from current data
+ * @param {string} report - 'completions', 'rewards' or 'contributions'
+ * @param {Object} range - {from: string, to: string}
+ * @returns {Promise<Object>} {headers, rows}
+ */
+async function buildReport(report, range) {
+    if (report === 'completions') {
+        const [completedDays, logs, sessions, routines, activeProgram] = await Promise.all([
+            getCompletedDays(),
+            getWorkoutLogs(),
+            getWorkoutSessions(),
+            getRoutines(),
+            getActiveProgram()
+        ]);
+        return buildCompletionRows({ completedDays, logs, sessions, routines, activeProgram, range });
+    }
+
+    const movements = await getMovements();
+    if (report === 'contributions') {
+        return buildContributionRows({ movements, range });
+    }
+
+    const weeklyRewards = await getWeeklyRewards();
+    return buildRewardRows({ weeklyRewards, movements, range });
+}
+
+/**
+ * Download a report for the chosen dates
+ * @param {string} report - 'completions', 'rewards' or 'contributions'
+ */
+async function handleDownloadReport(report) {
+    const from = document.getElementById('reportFrom')?.value || '';
+    const to = document.getElementById('reportTo')?.value || '';
+
+    if (from && to) {
+        const validation = isValidDateRange(from, to);
+        if (!validation.valid) {
+            showToast(validation.message, 'error');
+            return;
+        }
+    }
+
+    const range = { from, to };
+    const { headers, rows } = await buildReport(report, range);
+
+    if (rows.length === 0) {
+        showToast(`No ${REPORT_LABELS[report]} in these dates`, 'info');
+        return;
+    }
+
+    // The byte order mark lets Excel read the file as UTF-8
+    downloadFile(getReportFileName(report, range), '\ufeff' + toCSV(headers, rows), 'text/csv;charset=utf-8');
+    showToast('Report downloaded', 'success');
+}
+
+/**
+ * Initialize report buttons
+ */
+export function initReports() {
+    document.querySelectorAll('[data-report]').forEach(button => {
+        button.addEventListener('click', () => handleDownloadReport(button.dataset.report));
+    });
+}
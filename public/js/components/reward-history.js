@@ -0,0 +1,114 @@
+/**
+ * Reward History Component
+ * Lists every reward ledger event with the range, algorithm and seed behind it
+ */
+
+import { getRewardLedger } from '../repositories/reward.repository.js';
+import { REWARD_ALGORITHMS } from '../services/ledger.service.js';
+import { parseWeekKey, showToast } from '../utils/helpers.js';
+import { formatDateRange, formatLongDate, pluralize } from '../utils/formatters.js';
+import { sanitizeHTML } from '../utils/validation.js';
+import { openModal } from './modal.js';
+
+const EVENT_LABELS = {
+    award: 'Reward',
+    adjustment: 'Adjustment',
+    reversal: 'Reversal'
+};
+
+/**
+ * Describe how an event's amount was decided
+ * @param {Object} event
+ * @returns {string}
+ */
+function describeEvent(event) {
+    const details = [];
+
+    if (event.algorithm) {
+        details.push(REWARD_ALGORITHMS[event.algorithm] || event.algorithm);
+    }
+    if (event.range) {
+        details.push(`range $${event.range.min}-$${event.range.max}`);
+    }
+    if (event.rate) {
+        details.push(`$${event.rate} ${event.algorithm === 'per_day' ? 'a day' : 'a week'}`);
+    }
+    if (event.multiplier) {
+        details.push(`×${event.multiplier} streak bonus`);
+    }
+    if (event.monthlyCap) {
+        details.push(`$${event.monthlyCap} monthly cap`);
+    }
+    if (event.daysCompleted !== null && event.weeklyGoal) {
+        details.push(`${event.daysCompleted} of ${event.weeklyGoal} ${pluralize(event.weeklyGoal, 'day')}`);
+    }
+    if (event.seed !== null) {
+        details.push(`seed ${event.seed}`);
+    }
+
+    return details.join(' · ');
+}
+
+/**
+ * Render one ledger event
+ * @param {Object} event
+ * @returns {string}
+ */
+function renderEvent(event) {
+    const weekStart = parseWeekKey(event.weekKey);
+    const weekEnd = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 6);
+    const sign = event.amount < 0 ? '-' : '+';
+
+    return `
+        <li class="ledger-event ledger-${event.type}">
+            <div class="ledger-event-main">
+                <span class="ledger-event-type">${EVENT_LABELS[event.type] || event.type}</span>
+                <span class="ledger-event-week">${formatDateRange(weekStart, weekEnd)}</span>
+                <span class="ledger-event-amount">${sign}$${Math.abs(event.amount)}</span>
+            </div>
+            <div class="ledger-event-details">
+                ${event.reason ? `${sanitizeHTML(event.reason)} · ` : ''}${describeEvent(event)}
+                ${event.createdAt ? ` · recorded ${formatLongDate(event.createdAt)}` : ''}
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Open the reward history modal
+ */
+export async function openRewardHistory() {
+    let ledger;
+    try {
+        ledger = await getRewardLedger();
+    } catch (error) {
+        console.error('Error opening reward history:', error);
+        showToast('Your reward history couldn\'t be loaded. Please try again when you are online.', 'error');
+        return;
+    }
+    const total = ledger.reduce((sum, event) => sum + event.amount, 0);
+
+    const content = ledger.length === 0
+        ? '<p class="empty-state">No rewards yet. Reach your weekly goal to earn your first one!</p>'
+        : `
+            <p class="ledger-total">$${total} earned across ${ledger.length} ${pluralize(ledger.length, 'event')}</p>
+            <ul class="ledger-list">
+                ${[...ledger].reverse().map(renderEvent).join('')}
+            </ul>
+        `;
+
+    openModal({
+        title: '🧾 Reward History',
+        content
+    });
+}
+
+/**
+ * Initialize reward history button
+ */
+export function initRewardHistory() {
+    const button = document.getElementById('rewardHistoryBtn');
+    if (button) {
+        button.addEventListener('click', openRewardHistory);
+    }
+}
@@ -0,0 +1,353 @@
+/**
+ * Routine Builder Component
+ * Lists custom routines and lets users create, edit, share and follow them
+ */
+
+import { openModal, closeModal } from './modal.js';
+import { getRoutines, saveRoutine, deleteRoutine, shareRoutine, setRoutineFollow, canShareRoutines } from '../repositories/routine.repository.js';
+import { getFriends } from '../repositories/friend.repository.js';
+import { getMovements } from '../repositories/movement.repository.js';
+import { WEEKDAY_NAMES, describeSchedule } from '../services/routine.service.js';
+import { sanitizeHTML } from '../utils/validation.js';
+import { pluralize } from '../utils/formatters.js';
+import { getTodayString } from '../utils/helpers.js';
+
+// Exercises being edited in the open builder
+let draftExercises = [];
+
+/**
+ * Create an empty exercise for the builder
+ * @returns {Object}
+ */
+function createBlankExercise() {
+    return { id: null, name: '', desc: '', duration: 10, sets: null, reps: null, image: '' };
+}
+
+/**
+ * Parse an optional whole-number input
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseOptionalInt(value) {
+    return value === '' ? null : Number(value);
+}
+
+/**
+ * Copy the builder inputs back into the draft so re-rendering keeps edits
+ */
+function readDraftExercises() {
+    document.querySelectorAll('#routineExercises .routine-exercise').forEach(row => {
+        const exercise = draftExercises[Number(row.dataset.index)];
+        const field = name => row.querySelector(`[data-field="${name}"]`).value;
+
+        exercise.name = field('name');
+        exercise.desc = field('desc');
+        exercise.duration = Number(field('duration'));
+        exercise.sets = parseOptionalInt(field('sets'));
+        exercise.reps = parseOptionalInt(field('reps'));
+        exercise.image = field('image');
+    });
+}
+
+/**
+ * Render the exercise rows in the builder
+ */
+function renderDraftExercises() {
+    const container = document.getElementById('routineExercises');
+    if (!container) return;
+
+    container.innerHTML = draftExercises.map((exercise, index) => `
+        <div class="routine-exercise" data-index="${index}">
+            <div class="routine-exercise-header">
+                <span>Exercise ${index + 1}</span>
+                <div class="routine-exercise-actions">
+                    <button type="button" data-action="up" aria-label="Move exercise up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" data-action="down" aria-label="Move exercise down" ${index === draftExercises.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" data-action="remove" aria-label="Remove exercise">✕</button>
+                </div>
+            </div>
+            <input type="text" data-field="name" placeholder="Exercise name" maxlength="80" aria-label="Exercise name">
+            <textarea data-field="desc" placeholder="How to do it (optional)" maxlength="1000" aria-label="Exercise description"></textarea>
+            <div class="routine-exercise-numbers">
+                <label>Minutes <input type="number" data-field="duration" min="1" max="180"></label>
+                <label>Sets <input type="number" data-field="sets" min="1" max="20" placeholder="-"></label>
+                <label>Reps <input type="number" data-field="reps" min="1" max="200" placeholder="-"></label>
+            </div>
+            <input type="url" data-field="image" placeholder="Image link, https://... (optional)" aria-label="Exercise image link">
+        </div>
+    `).join('');
+
+    // Set values as properties so user text never passes through HTML
+    container.querySelectorAll('.routine-exercise').forEach(row => {
+        const exercise = draftExercises[Number(row.dataset.index)];
+        row.querySelector('[data-field="name"]').value = exercise.name;
+        row.querySelector('[data-field="desc"]').value = exercise.desc;
+        row.querySelector('[data-field="duration"]').value = exercise.duration;
+        row.querySelector('[data-field="sets"]').value = exercise.sets ?? '';
+        row.querySelector('[data-field="reps"]').value = exercise.reps ?? '';
+        row.querySelector('[data-field="image"]').value = exercise.image;
+    });
+}
+
+/**
+ * Handle move/remove buttons on exercise rows
+ * @param {Event} e
+ */
+function handleExerciseAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    readDraftExercises();
+
+    const index = Number(button.closest('.routine-exercise').dataset.index);
+    const action = button.dataset.action;
+
+    if (action === 'remove') {
+        draftExercises.splice(index, 1);
+    } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        [draftExercises[index], draftExercises[target]] = [draftExercises[target], draftExercises[index]];
+    }
+
+    renderDraftExercises();
+}
+
+/**
+ * Show the weekday or date input to match the schedule type
+ */
+function updateScheduleInputs() {
+    const type = document.getElementById('routineScheduleType')?.value;
+    document.getElementById('routineWeekdayGroup').style.display = type === 'weekday' ? '' : 'none';
+    document.getElementById('routineDateGroup').style.display = type === 'date' ? '' : 'none';
+}
+
+/**
+ * Open the builder for a new or existing routine
+ * @param {Object|null} routine
+ */
+export function openRoutineBuilder(routine = null) {
+    draftExercises = routine
+        ? routine.exercises.map(exercise => ({ ...exercise }))
+        : [createBlankExercise()];
+
+    openModal({
+        title: routine ? 'Edit Routine' : 'New Routine',
+        content: `
+            <div class="routine-builder">
+                <div class="movement-input-group">
+                    <label for="routineName">Routine name</label>
+                    <input type="text" id="routineName" maxlength="60" placeholder="e.g., Lunchtime Legs">
+                </div>
+                <div class="date-range">
+                    <div class="movement-input-group">
+                        <label for="routineScheduleType">Repeat</label>
+                        <select id="routineScheduleType">
+                            <option value="weekday">Every week</option>
+                            <option value="date">One date only</option>
+                        </select>
+                    </div>
+                    <div class="movement-input-group" id="routineWeekdayGroup">
+                        <label for="routineWeekday">Day</label>
+                        <select id="routineWeekday">
+                            ${WEEKDAY_NAMES.map((name, index) => `<option value="${index}">${name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="movement-input-group" id="routineDateGroup">
+                        <label for="routineDate">Date</label>
+                        <input type="date" id="routineDate">
+                    </div>
+                </div>
+                <div id="routineExercises"></div>
+                <button type="button" class="routine-add-btn" id="routineAddExerciseBtn">+ Add exercise</button>
+                <button type="button" class="btn-primary" id="routineSaveBtn">Save Routine</button>
+            </div>
+        `
+    });
+
+    const schedule = routine?.schedule || { type: 'weekday', weekday: new Date().getDay(), date: null };
+    document.getElementById('routineName').value = routine?.name || '';
+    document.getElementById('routineScheduleType').value = schedule.type;
+    document.getElementById('routineWeekday').value = schedule.weekday ?? new Date().getDay();
+    document.getElementById('routineDate').value = schedule.date || getTodayString();
+
+    updateScheduleInputs();
+    renderDraftExercises();
+
+    document.getElementById('routineScheduleType').addEventListener('change', updateScheduleInputs);
+    document.getElementById('routineExercises').addEventListener('click', handleExerciseAction);
+
+    document.getElementById('routineAddExerciseBtn').addEventListener('click', () => {
+        readDraftExercises();
+        draftExercises.push(createBlankExercise());
+        renderDraftExercises();
+    });
+
+    document.getElementById('routineSaveBtn').addEventListener('click', async () => {
+        readDraftExercises();
+
+        const type = document.getElementById('routineScheduleType').value;
+        const result = await saveRoutine({
+            id: routine?.id || null,
+            name: document.getElementById('routineName').value,
+            schedule: {
+                type,
+                weekday: Number(document.getElementById('routineWeekday').value),
+                date: document.getElementById('routineDate').value
+            },
+            exercises: draftExercises
+        });
+
+        if (result.success) {
+            closeModal();
+            renderRoutinesList();
+        }
+    });
+}
+
+/**
+ * Open the share dialog for one of the user's routines
+ * @param {Object} routine
+ */
+async function openShareDialog(routine) {
+    const [friends, movements] = await Promise.all([getFriends(), getMovements()]);
+    const myMovements = movements.filter(m => m.isMember);
+
+    const checkbox = (group, id, label, checked) => `
+        <label class="reward-checkbox routine-share-option">
+            <input type="checkbox" data-share="${group}" value="${id}" ${checked ? 'checked' : ''}>
+            ${sanitizeHTML(label)}
+        </label>
+    `;
+
+    openModal({
+        title: `Share "${routine.name}"`,
+        content: `
+            <div class="routine-share">
+                <p>People you share with can follow this routine, so it shows up on their calendar ${describeSchedule(routine.schedule)}.</p>
+                <h4>👥 Friends</h4>
+                ${friends.length > 0
+                    ? friends.map(f => checkbox('friend', f.id, f.name, routine.sharedWith.friendIds.includes(f.id))).join('')
+                    : '<p class="routine-empty">Add friends to share with them.</p>'}
+                <h4>🌟 Movements</h4>
+                ${myMovements.length > 0
+                    ? myMovements.map(m => checkbox('movement', m.id, m.name, routine.sharedWith.movementIds.includes(m.id))).join('')
+                    : '<p class="routine-empty">Join a movement to share with its members.</p>'}
+                <button type="button" class="btn-primary" id="routineShareSaveBtn">Save Sharing</button>
+            </div>
+        `
+    });
+
+    document.getElementById('routineShareSaveBtn').addEventListener('click', async () => {
+        const checked = group => [...document.querySelectorAll(`[data-share="${group}"]:checked`)].map(input => input.value);
+
+        const shared = await shareRoutine(routine.id, {
+            friendIds: checked('friend'),
+            movementIds: checked('movement')
+        });
+
+        if (shared) {
+            closeModal();
+            renderRoutinesList();
+        }
+    });
+}
+
+/**
+ * Build one routine card
+ * @param {Object} routine
+ * @returns {HTMLElement}
+ */
+function createRoutineCard(routine) {
+    const minutes = routine.exercises.reduce((sum, e) => sum + Number(e.duration), 0);
+    const shareCount = routine.sharedWith.friendIds.length + routine.sharedWith.movementIds.length;
+
+    const details = [
+        `${routine.exercises.length} ${pluralize(routine.exercises.length, 'exercise')}`,
+        `${minutes} min`
+    ];
+    if (routine.isOwner && shareCount > 0) {
+        details.push(`shared with ${shareCount}`);
+    }
+    if (routine.followers > 0) {
+        details.push(`${routine.followers} ${pluralize(routine.followers, 'follower')}`);
+    }
+
+    const card = document.createElement('div');
+    card.className = 'routine-card';
+    card.innerHTML = `
+        <div class="routine-card-info">
+            <div class="routine-card-name">${sanitizeHTML(routine.name)}</div>
+            <div class="routine-card-meta">
+                ${routine.isOwner ? '' : `By ${sanitizeHTML(routine.ownerName)} · `}${describeSchedule(routine.schedule)} · ${details.join(' · ')}
+            </div>
+        </div>
+        <div class="routine-card-actions">
+            ${routine.isOwner ? `
+                <button type="button" data-action="edit">Edit</button>
+                ${canShareRoutines() ? '<button type="button" data-action="share">Share</button>' : ''}
+                <button type="button" data-action="delete">Delete</button>
+            ` : `
+                <button type="button" data-action="follow">${routine.isFollowing ? 'Unfollow' : 'Follow'}</button>
+            `}
+        </div>
+    `;
+
+    card.querySelector('.routine-card-actions').addEventListener('click', async (e) => {
+        const action = e.target.closest('button[data-action]')?.dataset.action;
+
+        if (action === 'edit') {
+            openRoutineBuilder(routine);
+        } else if (action === 'share') {
+            openShareDialog(routine);
+        } else if (action === 'delete') {
+            if (confirm(`Delete "${routine.name}"?`) && await deleteRoutine(routine.id)) {
+                renderRoutinesList();
+            }
+        } else if (action === 'follow') {
+            if (await setRoutineFollow(routine.id, !routine.isFollowing)) {
+                renderRoutinesList();
+            }
+        }
+    });
+
+    return card;
+}
+
+/**
+ * Render own routines and routines shared with the user
+ */
+export async function renderRoutinesList() {
+    const container = document.getElementById('routinesList');
+    if (!container) return;
+
+    const routines = await getRoutines();
+    const own = routines.filter(r => r.isOwner);
+    const shared = routines.filter(r => !r.isOwner);
+
+    container.innerHTML = '';
+
+    if (own.length === 0) {
+        container.innerHTML = '<p class="routine-empty">No custom routines yet. Build one to replace the program on a weekday or a specific date.</p>';
+    }
+    own.forEach(routine => container.appendChild(createRoutineCard(routine)));
+
+    if (shared.length > 0) {
+        const heading = document.createElement('h4');
+        heading.className = 'routine-shared-heading';
+        heading.textContent = '🤝 Shared with you';
+        container.appendChild(heading);
+        shared.forEach(routine => container.appendChild(createRoutineCard(routine)));
+    }
+}
+
+/**
+ * Initialize routine builder
+ */
+export function initRoutineBuilder() {
+    renderRoutinesList();
+
+    const newBtn = document.getElementById('newRoutineBtn');
+    if (newBtn) {
+        newBtn.addEventListener('click', () => openRoutineBuilder());
+    }
+}
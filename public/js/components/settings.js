@@ -1,14 +1,27 @@
 /**
  * Settings Component
- * Handles reward range settings
+ * Handles reward range/strategy, week start, weekly goal, completion rule/policy and workout program settings
  */
 
-import { updateRewardRange, getRewardRange } from '../services/workout.service.js';
+import { updateRewardRange, getRewardRange, getRewardStrategy, updateRewardStrategy } from '../repositories/reward.repository.js';
+import {
+    getWeekStart,
+    updateWeekStart,
+    getWeeklyGoalSettings,
+    updateWeeklyGoalSettings,
+    getCompletionRule,
+    updateCompletionRule,
+    getCompletionPolicy,
+    updateCompletionPolicy
+} from '../repositories/settings.repository.js';
+import { getActiveProgram, updateActiveProgram } from '../repositories/program.repository.js';
+import { PROGRAM_DEFINITIONS, getProgramById, getProgramSummary } from '../services/program.service.js';
+import { pluralize } from '../utils/formatters.js';
 
 /**
  * Update reward range
  */
-export function handleUpdateRewardRange() {
+export async function handleUpdateRewardRange() {
     const minInput = document.getElementById('minReward');
     const maxInput = document.getElementById('maxReward');
 
@@ -17,24 +30,258 @@ export function handleUpdateRewardRange() {
     const min = parseInt(minInput.value);
     const max = parseInt(maxInput.value);
 
-    updateRewardRange(min, max);
+    await updateRewardRange(min, max);
 }
 
 /**
- * Initialize settings
+ * Show the amount input only for strategies that pay a set amount
+ * @param {string} type
  */
-export function initSettings() {
-    const range = getRewardRange();
+function updateRewardStrategyInputs(type) {
+    const amountGroup = document.getElementById('rewardStrategyAmountGroup');
+    if (amountGroup) {
+        amountGroup.style.display = type === 'random' ? 'none' : '';
+    }
+}
+
+/**
+ * Update how weekly rewards are worked out
+ */
+export async function handleUpdateRewardStrategy() {
+    const typeSelect = document.getElementById('rewardStrategyType');
+    const amountInput = document.getElementById('rewardStrategyAmount');
+    const streakSelect = document.getElementById('streakBonus');
+    const capInput = document.getElementById('monthlyCap');
+    if (!typeSelect || !amountInput || !streakSelect || !capInput) return;
+
+    updateRewardStrategyInputs(typeSelect.value);
+
+    const updated = await updateRewardStrategy({
+        type: typeSelect.value,
+        amount: typeSelect.value === 'random' ? null : parseInt(amountInput.value),
+        streakBonus: parseInt(streakSelect.value),
+        monthlyCap: parseInt(capInput.value) || null
+    });
+
+    if (!updated) {
+        renderSettings();
+    }
+}
+
+/**
+ * Update week start day
+ */
+export async function handleUpdateWeekStart() {
+    const select = document.getElementById('weekStart');
+    if (!select) return;
+
+    const updated = await updateWeekStart(parseInt(select.value));
+
+    if (!updated) {
+        renderSettings();
+    }
+}
+
+/**
+ * Update weekly goal and proportional payouts
+ */
+export async function handleUpdateWeeklyGoal() {
+    const goalSelect = document.getElementById('weeklyGoal');
+    const proportionalInput = document.getElementById('proportionalPayouts');
+    if (!goalSelect || !proportionalInput) return;
+
+    const updated = await updateWeeklyGoalSettings({
+        weeklyGoal: parseInt(goalSelect.value),
+        proportionalPayouts: proportionalInput.checked
+    });
+
+    if (!updated) {
+        renderSettings();
+    }
+}
+
+/**
+ * Show the number input only for rules that need one
+ * @param {string} type
+ */
+function updateCompletionRuleInputs(type) {
+    const valueGroup = document.getElementById('completionRuleValueGroup');
+    if (valueGroup) {
+        valueGroup.style.display = type === 'all' ? 'none' : '';
+    }
+}
+
+/**
+ * Update the rule for what counts as a completed day
+ */
+export async function handleUpdateCompletionRule() {
+    const typeSelect = document.getElementById('completionRuleType');
+    const valueInput = document.getElementById('completionRuleValue');
+    if (!typeSelect || !valueInput) return;
+
+    updateCompletionRuleInputs(typeSelect.value);
+
+    const updated = await updateCompletionRule({
+        type: typeSelect.value,
+        value: typeSelect.value === 'all' ? null : parseInt(valueInput.value)
+    });
+
+    if (!updated) {
+        renderSettings();
+    }
+}
+
+/**
+ * Update the backdating and stopwatch policy for completions
+ */
+export async function handleUpdateCompletionPolicy() {
+    const graceSelect = document.getElementById('backfillGraceHours');
+    const timerInput = document.getElementById('minTimerMinutes');
+    if (!graceSelect || !timerInput) return;
+
+    const updated = await updateCompletionPolicy({
+        graceHours: parseInt(graceSelect.value),
+        minTimerMinutes: parseInt(timerInput.value) || 0
+    });
+
+    if (!updated) {
+        renderSettings();
+    }
+}
+
+/**
+ * Switch workout program
+ */
+export async function handleUpdateProgram() {
+    const select = document.getElementById('programSelect');
+    if (!select) return;
+
+    const updated = await updateActiveProgram(select.value);
+
+    if (updated) {
+        renderProgramDescription(select.value);
+    } else {
+        renderSettings();
+    }
+}
+
+/**
+ * Describe a program under the picker
+ * @param {string} programId
+ */
+function renderProgramDescription(programId) {
+    const container = document.getElementById('programDescription');
+    if (!container) return;
+
+    const program = getProgramById(programId);
+    const summary = getProgramSummary(program);
+    const length = summary.weeks > 1 ? `${summary.weeks}-week plan` : 'Weekly rotation';
+    const equipment = summary.equipment.length > 0 ? summary.equipment.join(', ') : 'no equipment';
+
+    container.textContent = `${program.description}. ${length} · ${program.level} · ` +
+        `about ${summary.avgMinutes} ${pluralize(summary.avgMinutes, 'minute')} a day · ${summary.impact} impact · ${equipment}.`;
+}
+
+/**
+ * Fill the settings inputs from the active backend
+ */
+export async function renderSettings() {
+    const [range, rewardStrategy, weekStart, goalSettings, completionRule, completionPolicy, activeProgram] = await Promise.all([
+        getRewardRange(),
+        getRewardStrategy(),
+        getWeekStart(),
+        getWeeklyGoalSettings(),
+        getCompletionRule(),
+        getCompletionPolicy(),
+        getActiveProgram()
+    ]);
 
     const minInput = document.getElementById('minReward');
     const maxInput = document.getElementById('maxReward');
+    const strategyTypeSelect = document.getElementById('rewardStrategyType');
+    const strategyAmountInput = document.getElementById('rewardStrategyAmount');
+    const streakSelect = document.getElementById('streakBonus');
+    const capInput = document.getElementById('monthlyCap');
+    const weekStartSelect = document.getElementById('weekStart');
+    const goalSelect = document.getElementById('weeklyGoal');
+    const proportionalInput = document.getElementById('proportionalPayouts');
+    const ruleTypeSelect = document.getElementById('completionRuleType');
+    const ruleValueInput = document.getElementById('completionRuleValue');
+    const graceSelect = document.getElementById('backfillGraceHours');
+    const timerInput = document.getElementById('minTimerMinutes');
+    const programSelect = document.getElementById('programSelect');
 
     if (minInput) minInput.value = range.min;
     if (maxInput) maxInput.value = range.max;
+    if (strategyTypeSelect) strategyTypeSelect.value = rewardStrategy.type;
+    if (strategyAmountInput && rewardStrategy.amount) strategyAmountInput.value = rewardStrategy.amount;
+    if (streakSelect) streakSelect.value = rewardStrategy.streakBonus;
+    if (capInput) capInput.value = rewardStrategy.monthlyCap || 0;
+    if (weekStartSelect) weekStartSelect.value = weekStart;
+    if (goalSelect) goalSelect.value = goalSettings.weeklyGoal;
+    if (proportionalInput) proportionalInput.checked = goalSettings.proportionalPayouts;
+    if (ruleTypeSelect) ruleTypeSelect.value = completionRule.type;
+    if (ruleValueInput && completionRule.value) ruleValueInput.value = completionRule.value;
+    if (graceSelect) graceSelect.value = completionPolicy.graceHours;
+    if (timerInput) timerInput.value = completionPolicy.minTimerMinutes;
+    if (programSelect) programSelect.value = activeProgram.id;
+
+    updateRewardStrategyInputs(rewardStrategy.type);
+    updateCompletionRuleInputs(completionRule.type);
+
+    renderProgramDescription(activeProgram.id);
+}
+
+/**
+ * Initialize settings
+ */
+export function initSettings() {
+    const programSelect = document.getElementById('programSelect');
+    if (programSelect) {
+        programSelect.innerHTML = PROGRAM_DEFINITIONS
+            .map(program => `<option value="${program.id}">${program.icon} ${program.name}</option>`)
+            .join('');
+        programSelect.addEventListener('change', handleUpdateProgram);
+    }
+
+    renderSettings();
 
     // Set up update button
     const updateBtn = document.querySelector('.btn-update');
     if (updateBtn) {
         updateBtn.addEventListener('click', handleUpdateRewardRange);
     }
+
+    ['rewardStrategyType', 'rewardStrategyAmount', 'streakBonus', 'monthlyCap'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', handleUpdateRewardStrategy);
+        }
+    });
+
+    const weekStartSelect = document.getElementById('weekStart');
+    if (weekStartSelect) {
+        weekStartSelect.addEventListener('change', handleUpdateWeekStart);
+    }
+
+    ['weeklyGoal', 'proportionalPayouts'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', handleUpdateWeeklyGoal);
+        }
+    });
+
+    ['completionRuleType', 'completionRuleValue'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', handleUpdateCompletionRule);
+        }
+    });
+
+    ['backfillGraceHours', 'minTimerMinutes'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', handleUpdateCompletionPolicy);
+        }
+    });
 }
@@ -3,21 +3,32 @@
  * Displays user statistics
  */
 
-import { getStats } from '../services/workout.service.js';
+import { getStats } from '../repositories/workout.repository.js';
+import { subscribe } from '../services/store.service.js';
+import { pluralize } from '../utils/formatters.js';
 
 /**
  * Update and render statistics
  */
-export function updateStats() {
-    const stats = getStats();
+export async function updateStats() {
+    const stats = await getStats();
 
     const totalDaysEl = document.getElementById('totalDays');
     const currentStreakEl = document.getElementById('currentStreak');
+    const streakDetailEl = document.getElementById('streakDetail');
     const totalEarnedEl = document.getElementById('totalEarned');
+    const totalMinutesEl = document.getElementById('totalMinutes');
+    const avgMinutesEl = document.getElementById('avgMinutes');
 
     if (totalDaysEl) totalDaysEl.textContent = stats.totalDays;
     if (currentStreakEl) currentStreakEl.textContent = stats.currentStreak;
+    if (streakDetailEl) {
+        streakDetailEl.textContent = `Best ${stats.longestStreak} ${pluralize(stats.longestStreak, 'week')} · ` +
+            `${stats.dailyStreak}-day run (best ${stats.longestDailyStreak})`;
+    }
     if (totalEarnedEl) totalEarnedEl.textContent = `$${stats.totalEarned}`;
+    if (totalMinutesEl) totalMinutesEl.textContent = stats.totalMinutes;
+    if (avgMinutesEl) avgMinutesEl.textContent = `${stats.avgMinutes} min per timed day`;
 }
 
 /**
@@ -26,6 +37,6 @@ export function updateStats() {
 export function initStats() {
     updateStats();
 
-    // Make updateStats globally available for other components
-    window.updateStats = updateStats;
+    // Redraw whenever the data behind the stats changes
+    subscribe(() => updateStats());
 }
@@ -0,0 +1,123 @@
+/**
+ * Streak Freeze Component
+ * Shows streak freeze tokens and points, and lets users buy freezes and plan vacations
+ */
+
+import { getStreakFreezes, buyStreakFreeze, addVacation, removeVacation } from '../repositories/freeze.repository.js';
+import { FREEZE_POINT_COST, WEEKS_PER_EARNED_FREEZE } from '../services/freeze.service.js';
+import { formatDateRange, pluralize } from '../utils/formatters.js';
+import { sanitizeHTML } from '../utils/validation.js';
+import { subscribe } from '../services/store.service.js';
+import { parseWeekKey, getTodayString } from '../utils/helpers.js';
+
+/**
+ * Render one vacation
+ * @param {Object} vacation
+ * @returns {HTMLElement}
+ */
+function createVacationCard(vacation) {
+    const card = document.createElement('div');
+    card.className = 'routine-card vacation-card';
+    card.innerHTML = `
+        <div class="routine-card-info">
+            <div class="routine-card-name">🏖️ ${formatDateRange(parseWeekKey(vacation.startDate), parseWeekKey(vacation.endDate))}</div>
+            ${vacation.note ? `<div class="routine-card-meta">${sanitizeHTML(vacation.note)}</div>` : ''}
+        </div>
+        <div class="routine-card-actions">
+            <button type="button" data-action="remove">Remove</button>
+        </div>
+    `;
+
+    card.querySelector('[data-action="remove"]').addEventListener('click', async () => {
+        if (!confirm('Remove this vacation? Missed weeks in it will count against your streak again.')) return;
+
+        await removeVacation(vacation.id);
+    });
+
+    return card;
+}
+
+/**
+ * Render the freeze balance and vacation list
+ */
+export async function renderStreakFreezes() {
+    const balanceEl = document.getElementById('freezeBalance');
+    const listEl = document.getElementById('vacationList');
+    if (!balanceEl || !listEl) return;
+
+    const { balance, vacations } = await getStreakFreezes();
+
+    balanceEl.innerHTML = `
+        <div class="freeze-balance-count">❄️ ${balance.available} ${pluralize(balance.available, 'streak freeze')}</div>
+        <div class="routine-card-meta">
+            ${balance.earned} earned (1 per ${WEEKS_PER_EARNED_FREEZE} goal weeks) · ${balance.purchased} bought · ${balance.used} used ·
+            ${balance.points} ${pluralize(balance.points, 'point')} (1 per workout day)
+        </div>
+    `;
+
+    const buyBtn = document.getElementById('buyFreezeBtn');
+    if (buyBtn) {
+        buyBtn.disabled = balance.points < FREEZE_POINT_COST;
+    }
+
+    const startInput = document.getElementById('vacationStart');
+    if (startInput) {
+        startInput.min = getTodayString();
+    }
+
+    listEl.innerHTML = '';
+    if (vacations.length === 0) {
+        listEl.innerHTML = '<p class="routine-empty">No vacations planned. Weeks in a vacation won\'t break your streak.</p>';
+    }
+    vacations.forEach(vacation => listEl.appendChild(createVacationCard(vacation)));
+}
+
+/**
+ * Handle buying a streak freeze
+ */
+async function handleBuyFreeze() {
+    if (!confirm(`Spend ${FREEZE_POINT_COST} points on a streak freeze?`)) return;
+
+    await buyStreakFreeze();
+}
+
+/**
+ * Handle adding a vacation
+ */
+async function handleAddVacation() {
+    const startInput = document.getElementById('vacationStart');
+    const endInput = document.getElementById('vacationEnd');
+    const noteInput = document.getElementById('vacationNote');
+    if (!startInput || !endInput) return;
+
+    const result = await addVacation({
+        startDate: startInput.value,
+        endDate: endInput.value,
+        note: noteInput ? noteInput.value : ''
+    });
+
+    if (result.success) {
+        startInput.value = '';
+        endInput.value = '';
+        if (noteInput) noteInput.value = '';
+    }
+}
+
+/**
+ * Initialize streak freeze panel
+ */
+export function initStreakFreeze() {
+    renderStreakFreezes();
+    subscribe(() => renderStreakFreezes());
+
+    const buyBtn = document.getElementById('buyFreezeBtn');
+    if (buyBtn) {
+        buyBtn.textContent = `Buy a freeze (${FREEZE_POINT_COST} points)`;
+        buyBtn.addEventListener('click', handleBuyFreeze);
+    }
+
+    const addBtn = document.getElementById('addVacationBtn');
+    if (addBtn) {
+        addBtn.addEventListener('click', handleAddVacation);
+    }
+}
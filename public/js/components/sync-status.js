@@ -0,0 +1,43 @@
+/**
+ * Sync Status Component
+ * Header indicator for cloud writes waiting in the offline outbox
+ */
+
+import { getPendingCount, getPendingOperations, flushOutbox, onOutboxChange } from '../services/sync.service.js';
+import { pluralize } from '../utils/formatters.js';
+
+/**
+ * Render the pending sync indicator
+ */
+export function renderSyncStatus() {
+    const indicator = document.getElementById('syncStatus');
+    if (!indicator) return;
+
+    const count = getPendingCount();
+
+    if (count === 0) {
+        indicator.style.display = 'none';
+        return;
+    }
+
+    const lastError = getPendingOperations().map(e => e.lastError).find(Boolean);
+
+    indicator.style.display = 'inline-flex';
+    indicator.textContent = `⏳ ${count} ${pluralize(count, 'change')} pending sync`;
+    indicator.title = lastError
+        ? `Last attempt failed: ${lastError}. Tap to retry now.`
+        : 'Waiting for a connection. Tap to retry now.';
+}
+
+/**
+ * Initialize sync status indicator
+ */
+export function initSyncStatus() {
+    renderSyncStatus();
+    onOutboxChange(renderSyncStatus);
+
+    const indicator = document.getElementById('syncStatus');
+    if (indicator) {
+        indicator.addEventListener('click', flushOutbox);
+    }
+}
@@ -1,25 +1,38 @@
 /**
  * Stopwatch Timer Component
- * Simple timer that counts up from 0 for workout sessions
+ * Simple timer that counts up for workout sessions, remembering each
+ * start/pause segment so the session can be saved with the day
  */
 
 // Timer state
 let timerState = {
     seconds: 0,
     intervalId: null,
-    isRunning: false
+    isRunning: false,
+    segments: [], // [{startedAt, endedAt}] - endedAt is null while running
+    onTick: null
 };
 
 /**
  * Create HTML for a stopwatch timer
+ * @param {Object|null} savedSession - Session saved earlier for this day, to resume from
+ * @param {Function|null} onTick - Called with the elapsed seconds whenever they change
  * @returns {string} HTML string for timer UI
  */
-export function createStopwatch() {
+export function createStopwatch(savedSession = null, onTick = null) {
+    cleanupTimer();
+    timerState.onTick = onTick;
+
+    if (savedSession) {
+        timerState.seconds = savedSession.seconds;
+        timerState.segments = savedSession.segments.map(segment => ({ ...segment }));
+    }
+
     return `
         <div class="stopwatch-section">
             <div class="stopwatch-label">⏱️ Workout Timer</div>
             <div class="stopwatch-display" id="stopwatch-display">
-                00:00
+                ${formatTime(timerState.seconds)}
             </div>
             <div class="stopwatch-controls">
                 <button class="timer-btn timer-start" id="stopwatch-start" onclick="window.startStopwatch()">
@@ -55,6 +68,9 @@ function updateDisplay() {
     if (displayEl) {
         displayEl.textContent = formatTime(timerState.seconds);
     }
+    if (timerState.onTick) {
+        timerState.onTick(timerState.seconds);
+    }
 }
 
 /**
@@ -70,6 +86,7 @@ window.startStopwatch = function() {
     if (pauseBtn) pauseBtn.disabled = false;
 
     timerState.isRunning = true;
+    timerState.segments.push({ startedAt: new Date().toISOString(), endedAt: null });
     timerState.intervalId = setInterval(() => {
         timerState.seconds++;
         updateDisplay();
@@ -85,6 +102,7 @@ window.pauseStopwatch = function() {
     clearInterval(timerState.intervalId);
     timerState.intervalId = null;
     timerState.isRunning = false;
+    timerState.segments[timerState.segments.length - 1].endedAt = new Date().toISOString();
 
     const startBtn = document.getElementById('stopwatch-start');
     const pauseBtn = document.getElementById('stopwatch-pause');
@@ -106,6 +124,7 @@ window.resetStopwatch = function() {
 
     // Reset state
     timerState.seconds = 0;
+    timerState.segments = [];
     updateDisplay();
 
     // Reset buttons
@@ -116,6 +135,26 @@ window.resetStopwatch = function() {
     if (pauseBtn) pauseBtn.disabled = true;
 };
 
+/**
+ * Get the time recorded so far
+ * @returns {Object|null} {seconds, pausedSeconds, segments: [{startedAt, endedAt}]}, or null if never started
+ */
+export function getStopwatchSession() {
+    if (timerState.seconds === 0) return null;
+
+    // Close a running segment without stopping the clock
+    const now = new Date().toISOString();
+    const segments = timerState.segments.map(segment => ({ ...segment, endedAt: segment.endedAt || now }));
+
+    // Pauses are the gaps between segments
+    const pausedSeconds = segments.slice(1).reduce((sum, segment, i) => {
+        const gap = (new Date(segment.startedAt) - new Date(segments[i].endedAt)) / 1000;
+        return sum + Math.max(0, Math.round(gap));
+    }, 0);
+
+    return { seconds: timerState.seconds, pausedSeconds, segments };
+}
+
 /**
  * Clean up timer (call when modal closes)
  */
@@ -126,6 +165,8 @@ export function cleanupTimer() {
     timerState = {
         seconds: 0,
         intervalId: null,
-        isRunning: false
+        isRunning: false,
+        segments: [],
+        onTick: null
     };
 }
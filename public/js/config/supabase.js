@@ -154,6 +154,14 @@ export function isOfflineMode() {
     return supabaseMode === 'offline';
 }
 
+/**
+ * Check if reads and writes should go to Supabase (signed-in user)
+ * @returns {boolean}
+ */
+export function isCloudMode() {
+    return getSupabaseMode() === 'authenticated' && supabase !== null;
+}
+
 /**
  * Get user profile from database
  * @returns {Promise<Object|null>}
@@ -3,36 +3,21 @@
  * Manages the friends page UI and interactions
  */
 
-import { addFriend, getFriends, cheerFriend, hasCheered, removeFriend } from '../services/friend.service.js';
-import { copyToClipboard, storage } from '../utils/helpers.js';
+import { addFriend, getFriends, cheerFriend, getInviteCode, usesInviteCodes } from '../repositories/friend.repository.js';
+import { subscribe } from '../services/store.service.js';
+import { copyToClipboard } from '../utils/helpers.js';
 import { getInitials } from '../utils/formatters.js';
 
-/**
- * Get or generate invite code
- * @returns {string}
- */
-function getInviteCode() {
-    const data = storage.get('walktogive_data') || {};
-    if (!data.inviteCode) {
-        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-        let code = 'WALK';
-        for (let i = 0; i < 6; i++) {
-            code += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        data.inviteCode = code;
-        storage.set('walktogive_data', data);
-    }
-    return data.inviteCode;
-}
-
 /**
  * Render friends list
  */
-export function renderFriendsList() {
+export async function renderFriendsList() {
     const container = document.getElementById('friendsList');
     if (!container) return;
 
-    const friends = getFriends();
+    updateAddFriendPlaceholder();
+
+    const friends = await getFriends();
 
     if (friends.length === 0) {
         container.innerHTML = `
@@ -52,14 +37,14 @@ export function renderFriendsList() {
         card.className = 'friend-card';
 
         const initials = getInitials(friend.name);
-        const cheered = hasCheered(friend.id);
+        const cheered = friend.cheered;
 
         card.innerHTML = `
             <div class="friend-header">
                 <div class="friend-avatar">${initials}</div>
                 <div class="friend-info">
                     <h4>${friend.name}</h4>
-                    <div class="friend-streak">🔥 ${friend.streak} week streak</div>
+                    <div class="friend-streak">🔥 ${friend.streak} week streak${friend.longestStreak ? ` · best ${friend.longestStreak}` : ''}</div>
                 </div>
             </div>
             <div class="friend-stats">
@@ -72,11 +57,16 @@ export function renderFriendsList() {
                     <div class="friend-stat-label">Earned</div>
                 </div>
             </div>
-            <button class="cheer-btn ${cheered ? 'cheered' : ''}" onclick="window.handleCheerFriend(${friend.id})">
+            <button class="cheer-btn ${cheered ? 'cheered' : ''}">
                 ${cheered ? '✓ Cheered!' : '👏 Cheer Them On!'}
             </button>
         `;
 
+        // Bind with a closure so numeric local IDs and UUID cloud IDs both round-trip
+        card.querySelector('.cheer-btn').addEventListener('click', () => {
+            window.handleCheerFriend(friend.id);
+        });
+
         container.appendChild(card);
     });
 }
@@ -84,7 +74,7 @@ export function renderFriendsList() {
 /**
  * Handle add friend
  */
-export function handleAddFriend() {
+export async function handleAddFriend() {
     const input = document.getElementById('friendName');
     if (!input) return;
 
@@ -93,7 +83,7 @@ export function handleAddFriend() {
         return;
     }
 
-    const result = addFriend(name);
+    const result = await addFriend(name);
 
     if (result.success) {
         input.value = '';
@@ -105,16 +95,16 @@ export function handleAddFriend() {
  * Handle cheer friend
  * @param {string|number} friendId
  */
-window.handleCheerFriend = function(friendId) {
-    cheerFriend(friendId);
+window.handleCheerFriend = async function(friendId) {
+    await cheerFriend(friendId);
     renderFriendsList();
 };
 
 /**
  * Copy invite code to clipboard
  */
-export function copyInviteCode() {
-    const code = getInviteCode();
+export async function copyInviteCode() {
+    const code = await getInviteCode();
 
     copyToClipboard(code).then(success => {
         const btn = document.getElementById('copyCodeBtn');
@@ -133,8 +123,8 @@ export function copyInviteCode() {
 /**
  * Share via WhatsApp
  */
-export function shareViaWhatsApp() {
-    const code = getInviteCode();
+export async function shareViaWhatsApp() {
+    const code = await getInviteCode();
     const message = `🏃‍♀️ Join me on WalkToGive! 💪❤️
 
 I'm using this amazing app to stay fit while raising money for charity. Every week I complete my workouts, I earn money to donate to causes I care about.
@@ -151,8 +141,8 @@ Let's make a difference together - one workout at a time! 🌟`;
 /**
  * Share via Email
  */
-export function shareViaEmail() {
-    const code = getInviteCode();
+export async function shareViaEmail() {
+    const code = await getInviteCode();
     const subject = encodeURIComponent('Join Me on WalkToGive! 🏃‍♀️💪');
     const body = encodeURIComponent(`Hey there!
 
@@ -160,7 +150,7 @@ I've been using WalkToGive and I think you'd love it! It's an app that helps me
 
 Here's how it works:
 ✓ Complete daily workouts (detailed and varied!)
-✓ Finish all 7 days in a week to earn money
+✓ Hit your weekly workout goal to earn money
 ✓ Donate your earnings to your favorite charity
 
 The best part? We can connect as friends, cheer each other on, and even create "Movements" together to raise money for causes we care about as a group!
@@ -179,10 +169,20 @@ See you there!`);
 /**
  * Update invite code display
  */
-function updateInviteCodeDisplay() {
+export async function updateInviteCodeDisplay() {
     const codeEl = document.getElementById('inviteCode');
     if (codeEl) {
-        codeEl.textContent = getInviteCode();
+        codeEl.textContent = await getInviteCode();
+    }
+}
+
+/**
+ * Signed-in users add friends by invite code, offline users by name
+ */
+function updateAddFriendPlaceholder() {
+    const input = document.getElementById('friendName');
+    if (input) {
+        input.placeholder = usesInviteCodes() ? "Enter friend's invite code..." : "Enter friend's name...";
     }
 }
 
@@ -193,6 +193,11 @@ export function initFriendsPage() {
     updateInviteCodeDisplay();
     renderFriendsList();
 
+    // This page redraws itself after its own changes; follow other tabs' ones
+    subscribe(({ sources }) => {
+        if (sources.includes('tab')) renderFriendsList();
+    });
+
     // Set up add friend button
     const addBtn = document.querySelector('.add-friend-btn');
     if (addBtn) {
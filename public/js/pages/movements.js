@@ -3,17 +3,19 @@
  * Manages the movements page UI and interactions
  */
 
-import { createMovement, getMovements, joinMovement, leaveMovement, isMovementActive } from '../services/movement.service.js';
+import { isMovementActive } from '../services/movement.service.js';
+import { subscribe } from '../services/store.service.js';
+import { createMovement, getMovements, joinMovement, leaveMovement } from '../repositories/movement.repository.js';
 import { formatDateRange } from '../utils/formatters.js';
 
 /**
  * Render movements list
  */
-export function renderMovementsList() {
+export async function renderMovementsList() {
     const container = document.getElementById('movementsList');
     if (!container) return;
 
-    const movements = getMovements();
+    const movements = await getMovements();
 
     if (movements.length === 0) {
         container.innerHTML = `
@@ -29,7 +31,7 @@ export function renderMovementsList() {
     container.innerHTML = '';
 
     movements.forEach(movement => {
-        const isMember = movement.members.includes('You');
+        const isMember = movement.isMember;
         const isActive = isMovementActive(movement);
 
         const card = document.createElement('div');
@@ -72,11 +74,21 @@ export function renderMovementsList() {
             </div>
 
             ${isMember ?
-                `<button class="leave-movement-btn" onclick="window.handleLeaveMovement(${movement.id})">Leave Movement</button>` :
-                `<button class="join-movement-btn" onclick="window.handleJoinMovement(${movement.id})">Join Movement</button>`
+                '<button class="leave-movement-btn">Leave Movement</button>' :
+                '<button class="join-movement-btn">Join Movement</button>'
             }
         `;
 
+        // Bind with a closure so numeric local IDs and UUID cloud IDs both round-trip
+        const actionBtn = card.querySelector('.leave-movement-btn, .join-movement-btn');
+        actionBtn.addEventListener('click', () => {
+            if (isMember) {
+                window.handleLeaveMovement(movement.id);
+            } else {
+                window.handleJoinMovement(movement.id);
+            }
+        });
+
         container.appendChild(card);
     });
 }
@@ -84,7 +96,7 @@ export function renderMovementsList() {
 /**
  * Handle create movement
  */
-export function handleCreateMovement() {
+export async function handleCreateMovement() {
     const name = document.getElementById('movementName')?.value.trim();
     const charity = document.getElementById('movementCharity')?.value;
     const description = document.getElementById('movementDescription')?.value.trim();
@@ -95,7 +107,7 @@ export function handleCreateMovement() {
         return;
     }
 
-    const result = createMovement({
+    const result = await createMovement({
         name,
         charity,
         description,
@@ -120,8 +132,8 @@ export function handleCreateMovement() {
  * Handle join movement
  * @param {string|number} movementId
  */
-window.handleJoinMovement = function(movementId) {
-    joinMovement(movementId);
+window.handleJoinMovement = async function(movementId) {
+    await joinMovement(movementId);
     renderMovementsList();
 };
 
@@ -129,9 +141,9 @@ window.handleJoinMovement = function(movementId) {
  * Handle leave movement
  * @param {string|number} movementId
  */
-window.handleLeaveMovement = function(movementId) {
+window.handleLeaveMovement = async function(movementId) {
     if (confirm('Are you sure you want to leave this movement?')) {
-        leaveMovement(movementId);
+        await leaveMovement(movementId);
         renderMovementsList();
     }
 };
@@ -142,6 +154,11 @@ window.handleLeaveMovement = function(movementId) {
 export function initMovementsPage() {
     renderMovementsList();
 
+    // This page redraws itself after its own changes; follow other tabs' ones
+    subscribe(({ sources }) => {
+        if (sources.includes('tab')) renderMovementsList();
+    });
+
     // Set up create movement button
     const createBtn = document.querySelector('.create-movement-btn');
     if (createBtn) {
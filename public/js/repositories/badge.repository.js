@@ -0,0 +1,66 @@
+/**
+ * Badge Repository
+ * Routes badge progress and unlocks to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getAllBadges as getLocalBadges,
+    checkAndUnlockBadges as checkAndUnlockLocalBadges,
+    getBadgeProgress as getLocalBadgeProgress,
+    revokeLostBadges as revokeLocalLostBadges,
+    getAllBadgesFromSupabase,
+    checkAndUnlockBadgesInSupabase,
+    getBadgeProgressFromSupabase,
+    revokeLostBadgesInSupabase
+} from '../services/badge.service.js';
+import { notifyChange } from '../services/store.service.js';
+
+/**
+ * Get all badges with unlock status and progress
+ * @returns {Promise<Array>}
+ */
+export async function getAllBadges() {
+    if (isCloudMode()) {
+        return getAllBadgesFromSupabase();
+    }
+    return getLocalBadges();
+}
+
+/**
+ * Check and unlock badges
+ * @returns {Promise<Array>} Newly unlocked badges
+ */
+export async function checkAndUnlockBadges() {
+    if (isCloudMode()) {
+        const unlocked = await checkAndUnlockBadgesInSupabase();
+        if (unlocked.length > 0) notifyChange('cloud');
+        return unlocked;
+    }
+    return checkAndUnlockLocalBadges();
+}
+
+/**
+ * Get current progress for each badge type
+ * @returns {Promise<Object|null>}
+ */
+export async function getBadgeProgress() {
+    if (isCloudMode()) {
+        return getBadgeProgressFromSupabase();
+    }
+    return getLocalBadgeProgress();
+}
+
+/**
+ * Take back badges that an undone workout no longer qualifies for
+ * @param {Object|null} previousProgress - From getBadgeProgress() before the undo
+ * @returns {Promise<Array>} Revoked badges
+ */
+export async function revokeLostBadges(previousProgress) {
+    if (isCloudMode()) {
+        const revoked = await revokeLostBadgesInSupabase(previousProgress);
+        if (revoked.length > 0) notifyChange('cloud');
+        return revoked;
+    }
+    return revokeLocalLostBadges(previousProgress);
+}
@@ -0,0 +1,85 @@
+/**
+ * Donation Repository
+ * Routes pledges and donations to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getDonations as getLocalDonations,
+    recordDonation as recordLocalDonation,
+    completePledge as completeLocalPledge,
+    cancelPledge as cancelLocalPledge,
+    getDonationBalances,
+    getDonationsFromSupabase,
+    recordDonationInSupabase,
+    completePledgeInSupabase,
+    cancelPledgeInSupabase
+} from '../services/donation.service.js';
+import { notifyChange } from '../services/store.service.js';
+import { getWeeklyRewards } from './reward.repository.js';
+
+/**
+ * Get pledges and donations, oldest month first
+ * @returns {Promise<Array>}
+ */
+export async function getDonations() {
+    if (isCloudMode()) {
+        return await getDonationsFromSupabase();
+    }
+    return getLocalDonations();
+}
+
+/**
+ * Get pledges and donations with the earned, pledged and donated balances
+ * @returns {Promise<Object>} {donations, balances}
+ */
+export async function getDonationLedger() {
+    const [donations, weeklyRewards] = await Promise.all([getDonations(), getWeeklyRewards()]);
+    return { donations, balances: getDonationBalances(weeklyRewards, donations) };
+}
+
+/**
+ * Pledge or record a donation of a month's earnings
+ * @param {Object} params - {month, charity, amount, status, donatedOn, receipt}
+ * @returns {Promise<Object>} {success: boolean, donation: Object|null, error: string|null}
+ */
+export async function recordDonation(params) {
+    const weeklyRewards = await getWeeklyRewards();
+
+    if (isCloudMode()) {
+        const donations = await getDonationsFromSupabase();
+        const result = await recordDonationInSupabase(params, { weeklyRewards, donations });
+        if (result.success) notifyChange('cloud');
+        return result;
+    }
+    return recordLocalDonation(params, weeklyRewards);
+}
+
+/**
+ * Mark a pledge as donated
+ * @param {string} donationId
+ * @param {Object} params - {donatedOn, receipt}
+ * @returns {Promise<boolean>}
+ */
+export async function completePledge(donationId, params) {
+    if (isCloudMode()) {
+        const result = await completePledgeInSupabase(donationId, params);
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+    return completeLocalPledge(donationId, params);
+}
+
+/**
+ * Cancel a pledge
+ * @param {string} donationId
+ * @returns {Promise<boolean>}
+ */
+export async function cancelPledge(donationId) {
+    if (isCloudMode()) {
+        const result = await cancelPledgeInSupabase(donationId);
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+    return cancelLocalPledge(donationId);
+}
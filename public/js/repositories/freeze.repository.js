@@ -0,0 +1,129 @@
+/**
+ * Freeze Repository
+ * Routes streak freezes and vacations to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getFreezeState as getLocalFreezeState,
+    buyStreakFreeze as buyLocalStreakFreeze,
+    freezeWeek as freezeLocalWeek,
+    unfreezeWeek as unfreezeLocalWeek,
+    addVacation as addLocalVacation,
+    removeVacation as removeLocalVacation,
+    getFreezeBalance,
+    getFrozenPeriods,
+    getFreezeStateFromSupabase,
+    buyStreakFreezeInSupabase,
+    freezeWeekInSupabase,
+    unfreezeWeekInSupabase,
+    addVacationInSupabase,
+    removeVacationInSupabase
+} from '../services/freeze.service.js';
+import { getGoalMetWeeks } from '../services/workout.service.js';
+import { notifyChange } from '../services/store.service.js';
+import { getStats } from './workout.repository.js';
+import { getWeeklyRewards, getPartialWeeks } from './reward.repository.js';
+import { getWeekStart } from './settings.repository.js';
+
+/**
+ * Get streak freezes and vacations with the token balance and the periods they freeze
+ * @returns {Promise<Object>} {purchases, frozenWeeks, vacations, balance, frozen: {weeks, days}}
+ */
+export async function getStreakFreezes() {
+    const [state, stats, weekStart] = await Promise.all([
+        isCloudMode() ? getFreezeStateFromSupabase() : getLocalFreezeState(),
+        getStats(),
+        getWeekStart()
+    ]);
+
+    return {
+        ...state,
+        balance: getFreezeBalance(stats, state),
+        frozen: getFrozenPeriods(state.frozenWeeks, state.vacations, weekStart)
+    };
+}
+
+/**
+ * Buy a streak freeze with points
+ * @returns {Promise<boolean>}
+ */
+export async function buyStreakFreeze() {
+    if (isCloudMode()) {
+        const result = await buyStreakFreezeInSupabase();
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+
+    const { balance } = await getStreakFreezes();
+    return buyLocalStreakFreeze(balance);
+}
+
+/**
+ * Freeze a week with a token
+ * @param {string} weekKey
+ * @returns {Promise<boolean>}
+ */
+export async function freezeWeek(weekKey) {
+    if (isCloudMode()) {
+        const result = await freezeWeekInSupabase(weekKey);
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+
+    const [{ frozenWeeks, balance }, weeklyRewards, partialWeeks, weekStart] = await Promise.all([
+        getStreakFreezes(),
+        getWeeklyRewards(),
+        getPartialWeeks(),
+        getWeekStart()
+    ]);
+
+    return freezeLocalWeek(weekKey, {
+        weekStart,
+        goalWeeks: getGoalMetWeeks(weeklyRewards, partialWeeks),
+        frozenWeeks,
+        balance
+    });
+}
+
+/**
+ * Unfreeze a week, returning its token
+ * @param {string} weekKey
+ * @returns {Promise<boolean>}
+ */
+export async function unfreezeWeek(weekKey) {
+    if (isCloudMode()) {
+        const result = await unfreezeWeekInSupabase(weekKey);
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+    return unfreezeLocalWeek(weekKey);
+}
+
+/**
+ * Add a vacation
+ * @param {Object} params - {startDate, endDate, note} as ISO dates
+ * @returns {Promise<Object>} {success: boolean, vacation: Object|null, error: string|null}
+ */
+export async function addVacation(params) {
+    if (isCloudMode()) {
+        const result = await addVacationInSupabase(params);
+        if (result.success) notifyChange('cloud');
+        return result;
+    }
+    return addLocalVacation(params);
+}
+
+/**
+ * Remove a vacation
+ * @param {string} vacationId
+ * @returns {Promise<boolean>}
+ */
+export async function removeVacation(vacationId) {
+    if (isCloudMode()) {
+        const result = await removeVacationInSupabase(vacationId);
+        if (result.success) notifyChange('cloud');
+        return result.success;
+    }
+    return removeLocalVacation(vacationId);
+}
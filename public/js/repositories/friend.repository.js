@@ -0,0 +1,91 @@
+/**
+ * Friend Repository
+ * Routes friend management to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    addFriend as addLocalFriend,
+    getFriends as getLocalFriends,
+    removeFriend as removeLocalFriend,
+    cheerFriend as cheerLocalFriend,
+    hasCheered,
+    getInviteCode as getLocalInviteCode,
+    getFriendsFromSupabase,
+    getCheeredFriendIdsFromSupabase,
+    addFriendInSupabase,
+    removeFriendInSupabase,
+    cheerFriendInSupabase,
+    getInviteCodeFromSupabase
+} from '../services/friend.service.js';
+
+/**
+ * Check if friends are added by invite code rather than by name
+ * @returns {boolean}
+ */
+export function usesInviteCodes() {
+    return isCloudMode();
+}
+
+/**
+ * Get all friends, each with a `cheered` flag
+ * @returns {Promise<Array>}
+ */
+export async function getFriends() {
+    if (isCloudMode()) {
+        const [friends, cheeredIds] = await Promise.all([
+            getFriendsFromSupabase(),
+            getCheeredFriendIdsFromSupabase()
+        ]);
+        return friends.map(friend => ({ ...friend, cheered: cheeredIds.has(friend.id) }));
+    }
+
+    return getLocalFriends().map(friend => ({ ...friend, cheered: hasCheered(friend.id) }));
+}
+
+/**
+ * Add a friend by name (offline) or invite code (signed in)
+ * @param {string} nameOrCode
+ * @returns {Promise<Object>} {success: boolean, friend: Object|null, error: string|null}
+ */
+export async function addFriend(nameOrCode) {
+    if (isCloudMode()) {
+        return addFriendInSupabase(nameOrCode);
+    }
+    return addLocalFriend(nameOrCode);
+}
+
+/**
+ * Remove a friend
+ * @param {string|number} friendId
+ * @returns {Promise<boolean>}
+ */
+export async function removeFriend(friendId) {
+    if (isCloudMode()) {
+        return removeFriendInSupabase(friendId);
+    }
+    return removeLocalFriend(friendId);
+}
+
+/**
+ * Cheer a friend
+ * @param {string|number} friendId
+ * @returns {Promise<boolean>}
+ */
+export async function cheerFriend(friendId) {
+    if (isCloudMode()) {
+        return cheerFriendInSupabase(friendId);
+    }
+    return cheerLocalFriend(friendId);
+}
+
+/**
+ * Get the invite code to share
+ * @returns {Promise<string>}
+ */
+export async function getInviteCode() {
+    if (isCloudMode()) {
+        return getInviteCodeFromSupabase();
+    }
+    return getLocalInviteCode();
+}
@@ -0,0 +1,83 @@
+/**
+ * Movement Repository
+ * Routes movement access to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    createMovement as createLocalMovement,
+    getMovements as getLocalMovements,
+    joinMovement as joinLocalMovement,
+    leaveMovement as leaveLocalMovement,
+    createMovementInSupabase,
+    getMovementsFromSupabase,
+    leaveMovementInSupabase
+} from '../services/movement.service.js';
+import { enqueue, flushOutbox, getPendingOperations } from '../services/sync.service.js';
+import { showToast } from '../utils/helpers.js';
+
+/**
+ * Get all movements, each with an `isMember` flag
+ * @returns {Promise<Array>}
+ */
+export async function getMovements() {
+    if (isCloudMode()) {
+        const movements = await getMovementsFromSupabase();
+        const pendingJoins = getPendingOperations('join_movement').map(e => e.payload.movementId);
+
+        return movements.map(movement => (
+            pendingJoins.includes(movement.id) ? { ...movement, isMember: true } : movement
+        ));
+    }
+
+    return getLocalMovements().map(movement => ({
+        ...movement,
+        isMember: movement.members.includes('You')
+    }));
+}
+
+/**
+ * Create a new movement
+ * @param {Object} params - {name, charity, description, startDate, endDate}
+ * @returns {Promise<Object>} {success: boolean, movement: Object|null, error: string|null}
+ */
+export async function createMovement(params) {
+    if (isCloudMode()) {
+        return createMovementInSupabase(params);
+    }
+    return createLocalMovement(params);
+}
+
+/**
+ * Join a movement
+ * @param {string|number} movementId
+ * @returns {Promise<boolean>}
+ */
+export async function joinMovement(movementId) {
+    if (!isCloudMode()) {
+        return joinLocalMovement(movementId);
+    }
+
+    const entry = await enqueue('join_movement', { movementId });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Joined movement!', 'success');
+    } else {
+        showToast('Join saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Leave a movement
+ * @param {string|number} movementId
+ * @returns {Promise<boolean>}
+ */
+export async function leaveMovement(movementId) {
+    if (isCloudMode()) {
+        const result = await leaveMovementInSupabase(movementId);
+        return result.success;
+    }
+    return leaveLocalMovement(movementId);
+}
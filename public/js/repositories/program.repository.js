@@ -0,0 +1,66 @@
+/**
+ * Program Repository
+ * Routes the active workout program to the Supabase profile when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getActiveProgram as getLocalActiveProgram,
+    updateActiveProgram as updateLocalActiveProgram,
+    getActiveProgramFromSupabase,
+    getProgramById,
+    getWorkoutsForDay as getProgramWorkoutsForDay,
+    isValidProgramId
+} from '../services/program.service.js';
+import { enqueue, flushOutbox, getPendingOperations } from '../services/sync.service.js';
+import { showToast, getTodayString } from '../utils/helpers.js';
+
+/**
+ * Get the active program
+ * @returns {Promise<Object>} {id: string, startedOn: string|null}
+ */
+export async function getActiveProgram() {
+    if (isCloudMode()) {
+        // A switch still waiting in the outbox wins over the stored profile
+        const [pending] = getPendingOperations('update_program');
+        return pending
+            ? { id: pending.payload.programId, startedOn: pending.payload.startedOn }
+            : getActiveProgramFromSupabase();
+    }
+    return getLocalActiveProgram();
+}
+
+/**
+ * Switch to a program, starting it today
+ * @param {string} programId
+ * @returns {Promise<boolean>}
+ */
+export async function updateActiveProgram(programId) {
+    if (!isCloudMode()) {
+        return updateLocalActiveProgram(programId);
+    }
+
+    if (!isValidProgramId(programId)) {
+        showToast('Please choose a program from the list', 'error');
+        return false;
+    }
+
+    const entry = await enqueue('update_program', { programId, startedOn: getTodayString() });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast(`Switched to ${getProgramById(programId).name}`, 'success');
+    } else {
+        showToast('Program saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get the exercises for a date from the active program
+ * @param {Date} date
+ * @returns {Promise<Array>}
+ */
+export async function getWorkoutsForDay(date) {
+    return getProgramWorkoutsForDay(date, await getActiveProgram());
+}
@@ -0,0 +1,181 @@
+/**
+ * Reward Repository
+ * Routes weekly reward, reward ledger, reward range and reward strategy access to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getWeeklyRewards as getLocalWeeklyRewards,
+    getRewardRange as getLocalRewardRange,
+    updateRewardRange as updateLocalRewardRange,
+    getRewardRangeFromSupabase,
+    getRewardStrategy as getLocalRewardStrategy,
+    updateRewardStrategy as updateLocalRewardStrategy,
+    getRewardStrategyFromSupabase,
+    normalizeRewardStrategy,
+    getMonthlyRewardTotal,
+    getPartialWeeks as getLocalPartialWeeks,
+    getPartialWeeksFromSupabase,
+    settlePartialWeeks as settleLocalPartialWeeks,
+    settlePartialWeeksInSupabase,
+    showPartialPayoutToast,
+    getRewardLedger as getLocalRewardLedger
+} from '../services/workout.service.js';
+import { getRewardLedgerFromSupabase, getWeeklyRewardsFromLedger } from '../services/ledger.service.js';
+import { readWithCache } from '../services/cache.service.js';
+import { enqueue, flushOutbox, getPendingOperations } from '../services/sync.service.js';
+import { isValidRewardRange, isValidRewardStrategy } from '../utils/validation.js';
+import { showToast } from '../utils/helpers.js';
+
+/**
+ * Get weekly rewards
+ * Signed in, shows none while the ledger can't be read and was never read on
+ * this device; the server checks rewards again on every write
+ * @returns {Promise<Object>} Map of week keys (YYYY-MM-DD) to amounts
+ */
+export async function getWeeklyRewards() {
+    if (isCloudMode()) {
+        try {
+            return getWeeklyRewardsFromLedger(await getRewardLedger());
+        } catch (error) {
+            console.error('Error fetching reward ledger:', error);
+            return {};
+        }
+    }
+    return getLocalWeeklyRewards();
+}
+
+/**
+ * Get every reward event, oldest first
+ * Signed in, a failed read falls back to the last copy read on this device
+ * @returns {Promise<Array>} Throws when the ledger can't be read and there is no copy
+ */
+export async function getRewardLedger() {
+    if (isCloudMode()) {
+        return readWithCache('rewardLedger', getRewardLedgerFromSupabase);
+    }
+    return getLocalRewardLedger();
+}
+
+/**
+ * Get weeks paid proportionally because they missed the weekly goal
+ * @returns {Promise<Object>} Map of week keys (YYYY-MM-DD) to days completed
+ */
+export async function getPartialWeeks() {
+    if (isCloudMode()) {
+        return getPartialWeeksFromSupabase();
+    }
+    return getLocalPartialWeeks();
+}
+
+/**
+ * Pay out finished weeks that missed the weekly goal (proportional payouts)
+ * @returns {Promise<Array>} [{weekKey, daysCompleted, reward}]
+ */
+export async function settlePartialWeeks() {
+    if (!isCloudMode()) {
+        return settleLocalPartialWeeks();
+    }
+
+    try {
+        const settled = await settlePartialWeeksInSupabase();
+        if (settled.length > 0) {
+            showPartialPayoutToast(settled);
+        }
+        return settled;
+    } catch (error) {
+        // Retried on the next completed workout
+        console.error('Error settling partial weeks:', error);
+        return [];
+    }
+}
+
+/**
+ * Get total rewards earned in a month
+ * @param {number} year
+ * @param {number} month (1-12)
+ * @returns {Promise<number>}
+ */
+export async function getMonthlyTotal(year, month) {
+    const weeklyRewards = await getWeeklyRewards();
+    return getMonthlyRewardTotal(weeklyRewards, year, month);
+}
+
+/**
+ * Get reward range
+ * @returns {Promise<Object>} {min: number, max: number}
+ */
+export async function getRewardRange() {
+    if (isCloudMode()) {
+        // An edit still waiting in the outbox wins over the stored profile
+        const [pending] = getPendingOperations('update_reward_range');
+        return pending ? { ...pending.payload } : getRewardRangeFromSupabase();
+    }
+    return getLocalRewardRange();
+}
+
+/**
+ * Update reward range
+ * @param {number} min
+ * @param {number} max
+ * @returns {Promise<boolean>}
+ */
+export async function updateRewardRange(min, max) {
+    if (!isCloudMode()) {
+        return updateLocalRewardRange(min, max);
+    }
+
+    const validation = isValidRewardRange(min, max);
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return false;
+    }
+
+    const entry = await enqueue('update_reward_range', { min, max });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast(`Reward range updated to $${min} - $${max}`, 'success');
+    } else {
+        showToast('Reward range saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get the reward strategy
+ * @returns {Promise<Object>} {type: 'random'|'fixed'|'per_day', amount: number|null, streakBonus: number, monthlyCap: number|null}
+ */
+export async function getRewardStrategy() {
+    if (isCloudMode()) {
+        const [pending] = getPendingOperations('update_reward_strategy');
+        return pending ? { ...pending.payload } : getRewardStrategyFromSupabase();
+    }
+    return getLocalRewardStrategy();
+}
+
+/**
+ * Update the reward strategy
+ * @param {Object} strategy - {type, amount, streakBonus, monthlyCap}
+ * @returns {Promise<boolean>}
+ */
+export async function updateRewardStrategy(strategy) {
+    if (!isCloudMode()) {
+        return updateLocalRewardStrategy(strategy);
+    }
+
+    if (!isValidRewardStrategy(strategy)) {
+        showToast('Please choose a valid reward strategy', 'error');
+        return false;
+    }
+
+    const entry = await enqueue('update_reward_strategy', normalizeRewardStrategy(strategy));
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Reward strategy updated', 'success');
+    } else {
+        showToast('Reward strategy saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
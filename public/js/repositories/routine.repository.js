@@ -0,0 +1,96 @@
+/**
+ * Routine Repository
+ * Routes custom routines to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getRoutines as getLocalRoutines,
+    saveRoutine as saveLocalRoutine,
+    deleteRoutine as deleteLocalRoutine,
+    resolveRoutineForDate,
+    getRoutinesFromSupabase,
+    saveRoutineInSupabase,
+    deleteRoutineInSupabase,
+    shareRoutineInSupabase,
+    setRoutineFollowInSupabase
+} from '../services/routine.service.js';
+
+/**
+ * Check if routines can be shared with friends and movements
+ * @returns {boolean}
+ */
+export function canShareRoutines() {
+    return isCloudMode();
+}
+
+/**
+ * Get own routines plus any shared with the user
+ * @returns {Promise<Array>}
+ */
+export async function getRoutines() {
+    if (isCloudMode()) {
+        return getRoutinesFromSupabase();
+    }
+    return getLocalRoutines();
+}
+
+/**
+ * Create or update a routine
+ * @param {Object} params - {id?, name, schedule: {type, weekday, date}, exercises}
+ * @returns {Promise<Object>} {success: boolean, routine: Object|null, error: string|null}
+ */
+export async function saveRoutine(params) {
+    if (isCloudMode()) {
+        return saveRoutineInSupabase(params);
+    }
+    return saveLocalRoutine(params);
+}
+
+/**
+ * Delete a routine
+ * @param {string} routineId
+ * @returns {Promise<boolean>}
+ */
+export async function deleteRoutine(routineId) {
+    if (isCloudMode()) {
+        const result = await deleteRoutineInSupabase(routineId);
+        return result.success;
+    }
+    return deleteLocalRoutine(routineId);
+}
+
+/**
+ * Replace who a routine is shared with
+ * @param {string} routineId
+ * @param {Object} sharedWith - {friendIds: Array<string>, movementIds: Array<string>}
+ * @returns {Promise<boolean>}
+ */
+export async function shareRoutine(routineId, sharedWith) {
+    if (!canShareRoutines()) return false;
+
+    const result = await shareRoutineInSupabase(routineId, sharedWith);
+    return result.success;
+}
+
+/**
+ * Follow or unfollow a routine someone shared
+ * @param {string} routineId
+ * @param {boolean} following
+ * @returns {Promise<boolean>}
+ */
+export async function setRoutineFollow(routineId, following) {
+    if (!canShareRoutines()) return false;
+
+    const result = await setRoutineFollowInSupabase(routineId, following);
+    return result.success;
+}
+
+/**
+ * Get the custom routine scheduled for a date, if any
+ * @param {Date} date
+ * @returns {Promise<Object|null>}
+ */
+export async function getRoutineForDay(date) {
+    return resolveRoutineForDate(await getRoutines(), date);
+}
@@ -0,0 +1,180 @@
+/**
+ * Settings Repository
+ * Routes calendar, weekly goal and completion rule/policy preferences to the Supabase profile when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getWeekStart as getLocalWeekStart,
+    updateWeekStart as updateLocalWeekStart,
+    getWeekStartFromSupabase,
+    getWeeklyGoalSettings as getLocalWeeklyGoalSettings,
+    updateWeeklyGoalSettings as updateLocalWeeklyGoalSettings,
+    getWeeklyGoalSettingsFromSupabase,
+    getCompletionRule as getLocalCompletionRule,
+    updateCompletionRule as updateLocalCompletionRule,
+    getCompletionRuleFromSupabase,
+    getCompletionPolicy as getLocalCompletionPolicy,
+    updateCompletionPolicy as updateLocalCompletionPolicy,
+    getCompletionPolicyFromSupabase
+} from '../services/workout.service.js';
+import { enqueue, flushOutbox, getPendingOperations } from '../services/sync.service.js';
+import { isValidWeekStart, isValidWeeklyGoal, isValidCompletionRule, isValidCompletionPolicy } from '../utils/validation.js';
+import { showToast } from '../utils/helpers.js';
+
+/**
+ * Get the day the week starts on
+ * @returns {Promise<number>} 0 = Sunday, 1 = Monday, ...
+ */
+export async function getWeekStart() {
+    if (isCloudMode()) {
+        // An edit still waiting in the outbox wins over the stored profile
+        const [pending] = getPendingOperations('update_week_start');
+        return pending ? pending.payload.weekStart : getWeekStartFromSupabase();
+    }
+    return getLocalWeekStart();
+}
+
+/**
+ * Update the day the week starts on
+ * @param {number} weekStart - 0 = Sunday, 1 = Monday, ...
+ * @returns {Promise<boolean>}
+ */
+export async function updateWeekStart(weekStart) {
+    if (!isCloudMode()) {
+        return updateLocalWeekStart(weekStart);
+    }
+
+    if (!isValidWeekStart(weekStart)) {
+        showToast('Please choose a valid day for the week to start on', 'error');
+        return false;
+    }
+
+    const entry = await enqueue('update_week_start', { weekStart });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Week start updated', 'success');
+    } else {
+        showToast('Week start saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get weekly goal settings
+ * @returns {Promise<Object>} {weeklyGoal: number, proportionalPayouts: boolean}
+ */
+export async function getWeeklyGoalSettings() {
+    if (isCloudMode()) {
+        const [pending] = getPendingOperations('update_weekly_goal');
+        return pending ? { ...pending.payload } : getWeeklyGoalSettingsFromSupabase();
+    }
+    return getLocalWeeklyGoalSettings();
+}
+
+/**
+ * Update weekly goal settings
+ * @param {Object} settings
+ * @param {number} settings.weeklyGoal - Days needed each week (1-7)
+ * @param {boolean} settings.proportionalPayouts - Pay partial weeks in proportion to days completed
+ * @returns {Promise<boolean>}
+ */
+export async function updateWeeklyGoalSettings({ weeklyGoal, proportionalPayouts }) {
+    if (!isCloudMode()) {
+        return updateLocalWeeklyGoalSettings({ weeklyGoal, proportionalPayouts });
+    }
+
+    if (!isValidWeeklyGoal(weeklyGoal)) {
+        showToast('Weekly goal must be between 1 and 7 days', 'error');
+        return false;
+    }
+
+    const entry = await enqueue('update_weekly_goal', { weeklyGoal, proportionalPayouts });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast(`Weekly goal set to ${weeklyGoal} ${weeklyGoal === 1 ? 'day' : 'days'}`, 'success');
+    } else {
+        showToast('Weekly goal saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get the rule for what counts as a completed day
+ * @returns {Promise<Object>} {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ */
+export async function getCompletionRule() {
+    if (isCloudMode()) {
+        const [pending] = getPendingOperations('update_completion_rule');
+        return pending ? { ...pending.payload } : getCompletionRuleFromSupabase();
+    }
+    return getLocalCompletionRule();
+}
+
+/**
+ * Update the rule for what counts as a completed day
+ * @param {Object} rule - {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ * @returns {Promise<boolean>}
+ */
+export async function updateCompletionRule(rule) {
+    if (!isCloudMode()) {
+        return updateLocalCompletionRule(rule);
+    }
+
+    if (!isValidCompletionRule(rule)) {
+        showToast('Please choose a valid completion rule', 'error');
+        return false;
+    }
+
+    const value = rule.type === 'all' ? null : rule.value;
+    const entry = await enqueue('update_completion_rule', { type: rule.type, value });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Completion rule updated', 'success');
+    } else {
+        showToast('Completion rule saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get the completion policy (backfill grace window and stopwatch minimum)
+ * @returns {Promise<Object>} {graceHours: number, minTimerMinutes: number}
+ */
+export async function getCompletionPolicy() {
+    if (isCloudMode()) {
+        const [pending] = getPendingOperations('update_completion_policy');
+        return pending ? { ...pending.payload } : getCompletionPolicyFromSupabase();
+    }
+    return getLocalCompletionPolicy();
+}
+
+/**
+ * Update the completion policy
+ * @param {Object} policy - {graceHours: number, minTimerMinutes: number}
+ * @returns {Promise<boolean>}
+ */
+export async function updateCompletionPolicy(policy) {
+    if (!isCloudMode()) {
+        return updateLocalCompletionPolicy(policy);
+    }
+
+    if (!isValidCompletionPolicy(policy)) {
+        showToast('Grace window must be 0-168 hours and stopwatch minimum 0-300 minutes', 'error');
+        return false;
+    }
+
+    const { graceHours, minTimerMinutes } = policy;
+    const entry = await enqueue('update_completion_policy', { graceHours, minTimerMinutes });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Completion policy updated', 'success');
+    } else {
+        showToast('Completion policy saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
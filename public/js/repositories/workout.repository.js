@@ -0,0 +1,265 @@
+/**
+ * Workout Repository
+ * Routes workout reads and writes to Supabase when signed in, localStorage otherwise
+ */
+
+import { isCloudMode } from '../config/supabase.js';
+import {
+    getCompletedDays as getLocalCompletedDays,
+    completeWorkout as completeLocalWorkout,
+    uncompleteWorkout as uncompleteLocalWorkout,
+    getWorkoutLog as getLocalWorkoutLog,
+    getWorkoutLogs as getLocalWorkoutLogs,
+    saveWorkoutLog as saveLocalWorkoutLog,
+    getWorkoutSessions as getLocalWorkoutSessions,
+    getStats as getLocalStats,
+    exportData as exportLocalData,
+    previewImport as previewLocalImport,
+    importData as importLocalData,
+    checkCompletionPolicy,
+    getCompletedDaysFromSupabase,
+    getWorkoutLogFromSupabase,
+    getWorkoutLogsFromSupabase,
+    getWorkoutSessionsFromSupabase,
+    getStatsFromSupabase
+} from '../services/workout.service.js';
+import { getCompletionPolicy } from './settings.repository.js';
+import { getWeeklyRewards } from './reward.repository.js';
+import { enqueue, flushOutbox, getPendingOperations } from '../services/sync.service.js';
+import { readWithCache, getCachedCopy } from '../services/cache.service.js';
+import { showToast } from '../utils/helpers.js';
+
+/**
+ * Overlay completions still waiting in the outbox onto cloud data
+ * @param {Object} completedDays
+ * @returns {Object}
+ */
+function applyPendingWorkouts(completedDays) {
+    const days = { ...completedDays };
+
+    getPendingOperations('complete_workout', 'uncomplete_workout').forEach(({ type, payload }) => {
+        if (type === 'complete_workout') {
+            days[payload.dateKey] = true;
+        } else {
+            delete days[payload.dateKey];
+        }
+    });
+
+    return days;
+}
+
+/**
+ * Get completed days
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to completion flags
+ */
+export async function getCompletedDays() {
+    if (isCloudMode()) {
+        return applyPendingWorkouts(await readWithCache('completedDays', getCompletedDaysFromSupabase, {}));
+    }
+    return getLocalCompletedDays();
+}
+
+/**
+ * Complete a workout for a specific date
+ * Cloud writes go through the outbox so they survive being offline
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {Object|null} log - Per-exercise log to keep with the day
+ * @param {Object|null} session - Stopwatch time {seconds, pausedSeconds, segments}
+ * @returns {Promise<Object>} {success: boolean, weekCompleted: boolean, reward: number|null, pending: boolean}
+ */
+export async function completeWorkout(dateKey, log = null, session = null) {
+    if (!isCloudMode()) {
+        return { ...completeLocalWorkout(dateKey, log, session), pending: false };
+    }
+
+    // Checked up front so a refused completion is never queued; the server checks again
+    const policyCheck = checkCompletionPolicy(dateKey, session, await getCompletionPolicy());
+    if (!policyCheck.valid) {
+        showToast(policyCheck.message, 'error');
+        return { success: false, weekCompleted: false, reward: null, pending: false };
+    }
+
+    // The server checks the policy as of now, not when the outbox gets to it
+    const entry = await enqueue('complete_workout', { dateKey, log, session, completedAt: new Date().toISOString() });
+    const { results } = await flushOutbox();
+
+    if (!(entry.id in results)) {
+        showToast('Saved on this device. It will sync when you are back online.', 'info');
+        return { success: true, weekCompleted: false, reward: null, pending: true };
+    }
+
+    if (results[entry.id]?.rejected) {
+        return { success: false, weekCompleted: false, reward: null, pending: false };
+    }
+
+    return { success: true, weekCompleted: false, reward: null, ...results[entry.id], pending: false };
+}
+
+/**
+ * Un-complete a workout, taking back the week's reward if the week no longer earns it
+ * Cloud writes go through the outbox so they survive being offline
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {Promise<Object>} {success: boolean, revokedReward: number, pending: boolean}
+ */
+export async function uncompleteWorkout(dateKey) {
+    if (!isCloudMode()) {
+        return { ...uncompleteLocalWorkout(dateKey), pending: false };
+    }
+
+    const entry = await enqueue('uncomplete_workout', { dateKey });
+    const { results } = await flushOutbox();
+
+    if (!(entry.id in results)) {
+        showToast('Saved on this device. It will sync when you are back online.', 'info');
+        return { success: true, revokedReward: 0, pending: true };
+    }
+
+    return { success: true, revokedReward: results[entry.id]?.revokedReward || 0, pending: false };
+}
+
+/**
+ * Get the per-exercise log for a day
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {Promise<Object|null>}
+ */
+export async function getWorkoutLog(dateKey) {
+    if (!isCloudMode()) {
+        return getLocalWorkoutLog(dateKey);
+    }
+
+    // The newest queued log for the day wins over the stored one
+    const pending = getPendingOperations('complete_workout', 'save_workout_log')
+        .filter(({ payload }) => payload.dateKey === dateKey && payload.log);
+
+    if (pending.length > 0) {
+        return pending[pending.length - 1].payload.log;
+    }
+
+    try {
+        return await getWorkoutLogFromSupabase(dateKey);
+    } catch (error) {
+        console.error('Error fetching workout log, showing the copy on this device:', error);
+        return (await getCachedCopy('workoutLogs'))?.[dateKey] || null;
+    }
+}
+
+/**
+ * Get the per-exercise logs for every day
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to logs
+ */
+export async function getWorkoutLogs() {
+    if (!isCloudMode()) {
+        return getLocalWorkoutLogs();
+    }
+
+    const logs = await readWithCache('workoutLogs', getWorkoutLogsFromSupabase, {});
+
+    // Queued writes are newer than what the server has
+    getPendingOperations('complete_workout', 'save_workout_log').forEach(({ payload }) => {
+        if (payload.log) {
+            logs[payload.dateKey] = payload.log;
+        }
+    });
+
+    return logs;
+}
+
+/**
+ * Get stopwatch time recorded for each day
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to {seconds, pausedSeconds, segments}
+ */
+export async function getWorkoutSessions() {
+    if (!isCloudMode()) {
+        return getLocalWorkoutSessions();
+    }
+
+    const sessions = await readWithCache('workoutSessions', getWorkoutSessionsFromSupabase, {});
+
+    // Queued writes are newer than what the server has
+    getPendingOperations('complete_workout', 'save_workout_log').forEach(({ payload }) => {
+        if (payload.session) {
+            sessions[payload.dateKey] = payload.session;
+        }
+    });
+
+    return sessions;
+}
+
+/**
+ * Save progress on a day without completing it
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {Object} log
+ * @param {Object|null} session - Stopwatch time so far
+ * @returns {Promise<boolean>}
+ */
+export async function saveWorkoutLog(dateKey, log, session = null) {
+    if (!isCloudMode()) {
+        return saveLocalWorkoutLog(dateKey, log, session);
+    }
+
+    const entry = await enqueue('save_workout_log', { dateKey, log, session });
+    const { results } = await flushOutbox();
+
+    if (entry.id in results) {
+        showToast('Progress saved', 'success');
+    } else {
+        showToast('Progress saved on this device. It will sync when you are back online.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Get statistics for display
+ * @returns {Promise<Object>} {totalDays, currentStreak, longestStreak, dailyStreak, longestDailyStreak, goalWeeks, totalEarned, totalMinutes, avgMinutes}
+ */
+export async function getStats() {
+    if (isCloudMode()) {
+        const [completedDays, weeklyRewards, sessions] = await Promise.all([
+            getCompletedDays(),
+            getWeeklyRewards(),
+            getWorkoutSessions()
+        ]);
+        return getStatsFromSupabase({ completedDays, weeklyRewards, sessions });
+    }
+    return getLocalStats();
+}
+
+/**
+ * Check that backups are available: they hold the data saved on this device,
+ * which isn't what is shown while signed in
+ * @returns {boolean}
+ */
+function canUseBackups() {
+    if (isCloudMode()) {
+        showToast('Backups cover data saved on this device. Signed in, your data is kept in your account', 'info', 5000);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Export a backup file of the data on this device
+ * @returns {Promise<Object|null>} Null while signed in
+ */
+export async function exportData() {
+    return canUseBackups() ? exportLocalData() : null;
+}
+
+/**
+ * Check a backup file and preview what restoring it would change
+ * @param {string} text - File contents
+ * @returns {Promise<Object|null>} Null while signed in
+ */
+export async function previewImport(text) {
+    return canUseBackups() ? previewLocalImport(text) : null;
+}
+
+/**
+ * Restore a backup file, replacing or merging with the data on this device
+ * @param {string} text - File contents
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {Promise<boolean>}
+ */
+export async function importData(text, mode) {
+    return canUseBackups() ? importLocalData(text, mode) : false;
+}
@@ -0,0 +1,372 @@
+/**
+ * Backup Service
+ * Versioned JSON backup files of local data: building them, checking uploaded
+ * ones against the schema, previewing what a restore changes, and merging a
+ * backup into the data already on the device
+ */
+
+import { SCHEMA_VERSION, migrateData } from './store.service.js';
+import { getWeeklyRewardsFromLedger } from './ledger.service.js';
+import {
+    isValidRewardRange,
+    isValidWeekStart,
+    isValidWeeklyGoal,
+    isValidCompletionRule,
+    isValidCompletionPolicy,
+    isValidRewardStrategy
+} from '../utils/validation.js';
+
+// Marks a file as a WalkToGive backup
+export const BACKUP_FORMAT = 'walktogive-backup';
+
+// Problems listed for a file that can't be restored
+const MAX_REPORTED_ERRORS = 5;
+
+const LEDGER_EVENT_TYPES = ['award', 'adjustment', 'reversal'];
+
+const DONATION_STATUSES = ['pledged', 'donated'];
+
+const MAP_FIELDS = ['completedDays', 'workoutLogs', 'workoutSessions', 'weeklyRewards', 'partialWeeks', 'frozenWeeks', 'cheers', 'profiles'];
+const LIST_FIELDS = ['rewardLedger', 'routines', 'unlockedBadges', 'freezePurchases', 'vacations', 'donations', 'friends', 'movements'];
+
+/**
+ * Build a backup file
+ * @param {Object} data - Local data at the current schema
+ * @returns {Object} {format, schemaVersion, exportedAt, data}
+ */
+export function createBackupFile(data) {
+    return {
+        format: BACKUP_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Get a file name for a backup downloaded today
+ * @returns {string}
+ */
+export function getBackupFileName() {
+    return `walktogive-backup-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+/**
+ * Check if a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check backup data against the schema
+ * Fields are optional (older versions didn't save them all), but the ones
+ * present must have the right shape
+ * @param {Object} data
+ * @returns {Array<string>} Problems found, empty if the data is usable
+ */
+export function validateBackupData(data) {
+    const errors = [];
+
+    MAP_FIELDS
+        .filter(field => field in data && !isPlainObject(data[field]))
+        .forEach(field => errors.push(`"${field}" should be a map of entries`));
+
+    LIST_FIELDS
+        .filter(field => field in data && !Array.isArray(data[field]))
+        .forEach(field => errors.push(`"${field}" should be a list`));
+
+    if (isPlainObject(data.completedDays)) {
+        const badDays = Object.keys(data.completedDays).filter(key => !/^\d{4}-\d{1,2}-\d{1,2}$/.test(key));
+        if (badDays.length > 0) {
+            errors.push(`"completedDays" has entries that aren't dates (${badDays.slice(0, 3).join(', ')})`);
+        }
+    }
+
+    ['weeklyRewards', 'partialWeeks'].forEach(field => {
+        if (isPlainObject(data[field]) && Object.values(data[field]).some(amount => !Number.isFinite(amount) || amount < 0)) {
+            errors.push(`"${field}" has amounts that aren't positive numbers`);
+        }
+    });
+
+    if (Array.isArray(data.rewardLedger)) {
+        const badEvents = data.rewardLedger.filter(event =>
+            !isPlainObject(event) ||
+            typeof event.id !== 'string' ||
+            typeof event.weekKey !== 'string' ||
+            !Number.isFinite(event.amount) ||
+            !LEDGER_EVENT_TYPES.includes(event.type)
+        );
+        if (badEvents.length > 0) {
+            errors.push(`"rewardLedger" has ${badEvents.length} malformed reward ${badEvents.length === 1 ? 'event' : 'events'}`);
+        }
+    }
+
+    ['routines', 'freezePurchases', 'vacations', 'donations', 'movements'].forEach(field => {
+        if (Array.isArray(data[field]) && data[field].some(item => !isPlainObject(item) || item.id === undefined)) {
+            errors.push(`"${field}" has entries without an id`);
+        }
+    });
+
+    if (Array.isArray(data.donations)) {
+        const badDonations = data.donations.filter(donation =>
+            !isPlainObject(donation) ||
+            !/^\d{4}-\d{2}$/.test(donation.month) ||
+            !Number.isInteger(donation.amount) || donation.amount < 1 ||
+            !DONATION_STATUSES.includes(donation.status)
+        );
+        if (badDonations.length > 0) {
+            errors.push(`"donations" has ${badDonations.length} malformed ${badDonations.length === 1 ? 'donation' : 'donations'}`);
+        }
+    }
+
+    if (Array.isArray(data.friends) && data.friends.some(friend => !isPlainObject(friend) || typeof friend.name !== 'string')) {
+        errors.push('"friends" has entries without a name');
+    }
+
+    if (Array.isArray(data.unlockedBadges) && data.unlockedBadges.some(id => typeof id !== 'string')) {
+        errors.push('"unlockedBadges" should list badge ids');
+    }
+
+    if (('minReward' in data || 'maxReward' in data) && !isValidRewardRange(data.minReward, data.maxReward).valid) {
+        errors.push('The reward range is invalid');
+    }
+
+    const settingChecks = [
+        ['weekStart', isValidWeekStart, 'The week start day is invalid'],
+        ['weeklyGoal', isValidWeeklyGoal, 'The weekly goal is invalid'],
+        ['completionRule', isValidCompletionRule, 'The completion rule is invalid'],
+        ['completionPolicy', isValidCompletionPolicy, 'The completion policy is invalid'],
+        ['rewardStrategy', isValidRewardStrategy, 'The reward strategy is invalid']
+    ];
+    settingChecks
+        .filter(([field, isValid]) => field in data && !isValid(data[field]))
+        .forEach(([, , message]) => errors.push(message));
+
+    return errors;
+}
+
+/**
+ * Build the result for a file that can't be restored
+ * @param {Array<string>} errors
+ * @returns {Object}
+ */
+function invalidBackup(errors) {
+    return { valid: false, errors: errors.slice(0, MAX_REPORTED_ERRORS), data: null, exportedAt: null, schemaVersion: null };
+}
+
+/**
+ * Parse an uploaded backup file
+ * @param {string} text - File contents
+ * @returns {Object} See readBackupFile()
+ */
+export function parseBackupFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        return invalidBackup(['The file isn\'t valid JSON. Pick the .json file a WalkToGive backup downloaded']);
+    }
+
+    return readBackupFile(file);
+}
+
+/**
+ * Check a backup file and bring its data to the current schema
+ * @param {Object} file - Parsed file contents
+ * @returns {Object} {valid: boolean, errors: Array<string>, data: Object|null, exportedAt: string|null, schemaVersion: number|null}
+ */
+export function readBackupFile(file) {
+    if (!isPlainObject(file) || file.format !== BACKUP_FORMAT || !isPlainObject(file.data)) {
+        return invalidBackup(['This isn\'t a WalkToGive backup file']);
+    }
+
+    const schemaVersion = Number.isInteger(file.data.version) ? file.data.version : file.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0) {
+        return invalidBackup(['The backup doesn\'t say which version of WalkToGive made it']);
+    }
+    if (schemaVersion > SCHEMA_VERSION) {
+        return invalidBackup(['This backup was made by a newer version of WalkToGive. Update the app, then try again']);
+    }
+
+    const errors = validateBackupData(file.data);
+    if (errors.length > 0) {
+        return invalidBackup(errors);
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        data: migrateData({ ...file.data, version: schemaVersion }),
+        exportedAt: typeof file.exportedAt === 'string' ? file.exportedAt : null,
+        schemaVersion
+    };
+}
+
+/**
+ * Add items from a second list that the first doesn't have
+ * @param {Array} current
+ * @param {Array} incoming
+ * @param {Function} getKey - (item) => identity
+ * @returns {Array}
+ */
+function unionBy(current, incoming, getKey) {
+    const keys = new Set(current.map(getKey));
+    return [...current, ...incoming.filter(item => !keys.has(getKey(item)))];
+}
+
+/**
+ * Combine two maps of amounts, keeping the larger amount for each key
+ * @param {Object} current
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+function mergeMaxAmounts(current, incoming) {
+    return Object.entries(incoming).reduce((merged, [key, amount]) => {
+        merged[key] = Math.max(merged[key] ?? amount, amount);
+        return merged;
+    }, { ...current });
+}
+
+/**
+ * Merge two reward ledgers, keeping the larger reward for each week
+ * A week's events are kept together, so an award and its reversal never split
+ * @param {Array} current
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+function mergeLedgers(current, incoming) {
+    const byWeek = ledger => ledger.reduce((weeks, event) => {
+        (weeks[event.weekKey] = weeks[event.weekKey] || []).push(event);
+        return weeks;
+    }, {});
+    const total = events => events.reduce((sum, event) => sum + event.amount, 0);
+
+    const currentWeeks = byWeek(current);
+    const incomingWeeks = byWeek(incoming);
+    const currentIds = new Set(current.map(event => event.id));
+    const incomingIds = new Set(incoming.map(event => event.id));
+
+    return [...new Set([...Object.keys(currentWeeks), ...Object.keys(incomingWeeks)])]
+        .flatMap(weekKey => {
+            const mine = currentWeeks[weekKey] || [];
+            const theirs = incomingWeeks[weekKey] || [];
+
+            // One side already has every event of the other (a backup of this device)
+            if (theirs.every(event => currentIds.has(event.id))) return mine;
+            if (mine.every(event => incomingIds.has(event.id))) return theirs;
+
+            return total(theirs) > total(mine) ? theirs : mine;
+        })
+        .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Merge two copies of the same movement
+ * @param {Object} current
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+function mergeMovement(current, incoming) {
+    const weeklyContributions = mergeMaxAmounts(current.weeklyContributions || {}, incoming.weeklyContributions || {});
+
+    return {
+        ...current,
+        members: [...new Set([...(current.members || []), ...(incoming.members || [])])],
+        weeklyContributions,
+        totalRaised: Object.values(weeklyContributions).reduce((sum, amount) => sum + amount, 0)
+    };
+}
+
+/**
+ * Merge movements, treating ones with the same id, or the same name and dates, as one
+ * @param {Array} current
+ * @param {Array} incoming
+ * @returns {Array}
+ */
+function mergeMovements(current, incoming) {
+    const isSame = (a, b) => a.id === b.id ||
+        (a.name === b.name && a.startDate === b.startDate && a.endDate === b.endDate);
+
+    const merged = current.map(movement => {
+        const match = incoming.find(other => isSame(movement, other));
+        return match ? mergeMovement(movement, match) : movement;
+    });
+
+    return [...merged, ...incoming.filter(movement => !current.some(other => isSame(movement, other)))];
+}
+
+/**
+ * Merge a backup into the data on this device
+ * Completed days, logs, badges, routines, freezes, vacations and donations are combined;
+ * each week keeps the larger reward; movements and friends are de-duplicated.
+ * Settings stay as they are on this device
+ * @param {Object} current - Local data at the current schema
+ * @param {Object} incoming - Backup data at the current schema
+ * @returns {Object}
+ */
+export function mergeBackupData(current, incoming) {
+    const rewardLedger = mergeLedgers(current.rewardLedger, incoming.rewardLedger);
+    const friendKey = friend => friend.name.trim().toLowerCase();
+
+    return {
+        ...current,
+        completedDays: { ...incoming.completedDays, ...current.completedDays },
+        workoutLogs: { ...incoming.workoutLogs, ...current.workoutLogs },
+        workoutSessions: { ...incoming.workoutSessions, ...current.workoutSessions },
+        rewardLedger,
+        weeklyRewards: getWeeklyRewardsFromLedger(rewardLedger),
+        partialWeeks: mergeMaxAmounts(current.partialWeeks, incoming.partialWeeks),
+        routines: unionBy(current.routines, incoming.routines, routine => routine.id),
+        unlockedBadges: [...new Set([...current.unlockedBadges, ...incoming.unlockedBadges])],
+        freezePurchases: unionBy(current.freezePurchases, incoming.freezePurchases, purchase => purchase.id),
+        frozenWeeks: { ...incoming.frozenWeeks, ...current.frozenWeeks },
+        vacations: unionBy(current.vacations, incoming.vacations, vacation => vacation.id),
+        // A month is given once, so the donation on this device wins
+        donations: unionBy(current.donations, incoming.donations, donation => donation.month),
+        friends: unionBy(current.friends, incoming.friends, friendKey),
+        cheers: { ...incoming.cheers, ...current.cheers },
+        movements: mergeMovements(current.movements, incoming.movements),
+        profiles: { ...incoming.profiles, ...current.profiles }
+    };
+}
+
+/**
+ * Count what a copy of the data holds, for comparing before and after a restore
+ * @param {Object} data
+ * @returns {Object} {days, earned, donated, routines, friends, movements, badges}
+ */
+function summarizeData(data) {
+    return {
+        days: Object.keys(data.completedDays).length,
+        earned: data.rewardLedger.reduce((sum, event) => sum + event.amount, 0),
+        donated: data.donations
+            .filter(donation => donation.status === 'donated')
+            .reduce((sum, donation) => sum + donation.amount, 0),
+        routines: data.routines.length,
+        friends: data.friends.length,
+        movements: data.movements.length,
+        badges: data.unlockedBadges.length
+    };
+}
+
+/**
+ * Preview what replacing or merging with a backup would change
+ * @param {Object} current - Local data at the current schema
+ * @param {Object} incoming - Backup data at the current schema
+ * @returns {Object} {current, replace, merge, daysOnlyHere, daysOnlyInBackup}
+ */
+export function getBackupDiff(current, incoming) {
+    const here = Object.keys(current.completedDays);
+    const inBackup = Object.keys(incoming.completedDays);
+
+    return {
+        current: summarizeData(current),
+        replace: summarizeData(incoming),
+        merge: summarizeData(mergeBackupData(current, incoming)),
+        daysOnlyHere: here.filter(key => !(key in incoming.completedDays)).length,
+        daysOnlyInBackup: inBackup.filter(key => !(key in current.completedDays)).length
+    };
+}
@@ -4,10 +4,9 @@
  */
 
 import supabase from '../config/supabase.js';
-import { storage, createConfetti, showToast } from '../utils/helpers.js';
-import { getTotalCompletedDays, getTotalEarnings, getCurrentStreak } from './workout.service.js';
-
-const STORAGE_KEY = 'walktogive_data';
+import { createConfetti, showToast } from '../utils/helpers.js';
+import { getStats, getStatsFromSupabase } from './workout.service.js';
+import { loadData as getData, saveData } from './store.service.js';
 
 // Badge definitions
 export const BADGE_DEFINITIONS = [
@@ -23,7 +22,7 @@ export const BADGE_DEFINITIONS = [
         id: 'week_warrior',
         name: 'Week Warrior',
         icon: '💪',
-        description: 'Complete your first full week',
+        description: 'Reach your weekly goal for the first time',
         requirement: 1,
         type: 'weeks'
     },
@@ -109,47 +108,22 @@ export const BADGE_DEFINITIONS = [
     }
 ];
 
-/**
- * Get data from storage
- * @returns {Object}
- */
-function getData() {
-    const data = storage.get(STORAGE_KEY);
-    return data || {
-        completedDays: {},
-        weeklyRewards: {},
-        unlockedBadges: [],
-        friends: [],
-        movements: []
-    };
-}
-
-/**
- * Save data to storage
- * @param {Object} data
- */
-function saveData(data) {
-    storage.set(STORAGE_KEY, data);
-}
-
 /**
  * Get current progress for each badge type
  * @param {Object} data
  * @returns {Object}
  */
 function getCurrentProgress(data) {
-    const totalDays = getTotalCompletedDays();
-    const totalEarnings = getTotalEarnings();
-    const currentStreak = getCurrentStreak();
-    const totalWeeks = Object.keys(data.weeklyRewards || {}).length;
+    const stats = getStats();
     const totalMovements = (data.movements || []).filter(m => m.creator === 'You').length;
     const totalFriends = (data.friends || []).length;
 
     return {
-        days: totalDays,
-        weeks: totalWeeks,
-        streak: currentStreak,
-        earnings: totalEarnings,
+        days: stats.totalDays,
+        weeks: stats.goalWeeks,
+        // Streak badges are for the best run so far, so a streak that runs out keeps its badge
+        streak: stats.longestStreak,
+        earnings: stats.totalEarned,
         movements: totalMovements,
         friends: totalFriends
     };
@@ -207,6 +181,48 @@ export function checkAndUnlockBadges() {
     return newlyUnlocked;
 }
 
+/**
+ * Get current progress for each badge type
+ * @returns {Object}
+ */
+export function getBadgeProgress() {
+    return getCurrentProgress(getData());
+}
+
+/**
+ * Get unlocked badges that qualified before a change but no longer do
+ * Only badges lost by the change are returned, so a streak that ran out on
+ * its own never takes back the badge it earned
+ * @param {Array<string>} unlockedKeys
+ * @param {Object} previousProgress
+ * @param {Object} progress
+ * @returns {Array}
+ */
+function getLostBadges(unlockedKeys, previousProgress, progress) {
+    return BADGE_DEFINITIONS.filter(badge =>
+        unlockedKeys.includes(badge.id) &&
+        shouldUnlockBadge(badge, previousProgress) &&
+        !shouldUnlockBadge(badge, progress)
+    );
+}
+
+/**
+ * Take back badges that an undone workout no longer qualifies for
+ * @param {Object} previousProgress - From getBadgeProgress() before the undo
+ * @returns {Array} Revoked badges
+ */
+export function revokeLostBadges(previousProgress) {
+    const data = getData();
+    const revoked = getLostBadges(data.unlockedBadges || [], previousProgress, getCurrentProgress(data));
+
+    if (revoked.length > 0) {
+        data.unlockedBadges = data.unlockedBadges.filter(id => !revoked.some(badge => badge.id === id));
+        saveData(data);
+    }
+
+    return revoked;
+}
+
 /**
  * Show badge unlock celebration
  * @param {Object} badge
@@ -238,10 +254,18 @@ function showBadgeCelebration(badge) {
  */
 export function getAllBadges() {
     const data = getData();
-    const progress = getCurrentProgress(data);
+    return mapBadgesWithProgress(data.unlockedBadges || [], getCurrentProgress(data));
+}
 
+/**
+ * Combine badge definitions with unlock status and progress
+ * @param {Array<string>} unlockedBadges - Unlocked badge IDs
+ * @param {Object} progress
+ * @returns {Array}
+ */
+function mapBadgesWithProgress(unlockedBadges, progress) {
     return BADGE_DEFINITIONS.map(badge => {
-        const isUnlocked = data.unlockedBadges?.includes(badge.id) || false;
+        const isUnlocked = unlockedBadges.includes(badge.id);
         const currentProgress = progress[badge.type] || 0;
         const progressPercent = Math.min(100, (currentProgress / badge.requirement) * 100);
 
@@ -331,6 +355,179 @@ export async function syncBadgesWithSupabase() {
     }
 }
 
+/**
+ * Get the signed-in user's unlocked badge keys from Supabase
+ * @param {Object} user
+ * @returns {Promise<Array<string>>}
+ */
+async function getUnlockedBadgeKeysFromSupabase(user) {
+    const { data: userBadges, error } = await supabase
+        .from('user_badges')
+        .select('badges (badge_key)')
+        .eq('user_id', user.id);
+
+    if (error) throw error;
+
+    return userBadges.map(ub => ub.badges.badge_key);
+}
+
+/**
+ * Get current progress for each badge type from Supabase
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+async function getCurrentProgressFromSupabase(user) {
+    const [stats, movementsResult, friendsResult] = await Promise.all([
+        getStatsFromSupabase(),
+        supabase
+            .from('movements')
+            .select('*', { count: 'exact', head: true })
+            .eq('creator_id', user.id),
+        supabase
+            .from('friendships')
+            .select('*', { count: 'exact', head: true })
+            .eq('status', 'accepted')
+            .or(`user_id.eq.${user.id},friend_id.eq.${user.id}`)
+    ]);
+
+    return {
+        days: stats.totalDays,
+        weeks: stats.goalWeeks,
+        streak: stats.longestStreak,
+        earnings: stats.totalEarned,
+        movements: movementsResult.count || 0,
+        friends: friendsResult.count || 0
+    };
+}
+
+/**
+ * Get all badges with unlock status from Supabase
+ * @returns {Promise<Array>}
+ */
+export async function getAllBadgesFromSupabase() {
+    if (!supabase) return getAllBadges();
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return getAllBadges();
+
+        const [unlockedKeys, progress] = await Promise.all([
+            getUnlockedBadgeKeysFromSupabase(user),
+            getCurrentProgressFromSupabase(user)
+        ]);
+
+        return mapBadgesWithProgress(unlockedKeys, progress);
+    } catch (error) {
+        console.error('Error fetching badges:', error);
+        return getAllBadges();
+    }
+}
+
+/**
+ * Get current progress for each badge type from Supabase
+ * @returns {Promise<Object|null>} Null when signed out or the fetch fails
+ */
+export async function getBadgeProgressFromSupabase() {
+    if (!supabase) return null;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return null;
+
+        return await getCurrentProgressFromSupabase(user);
+    } catch (error) {
+        console.error('Error fetching badge progress:', error);
+        return null;
+    }
+}
+
+/**
+ * Take back badges in Supabase that an undone workout no longer qualifies for
+ * @param {Object|null} previousProgress - From getBadgeProgressFromSupabase() before the undo
+ * @returns {Promise<Array>} Revoked badges
+ */
+export async function revokeLostBadgesInSupabase(previousProgress) {
+    if (!supabase || !previousProgress) return [];
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return [];
+
+        const [unlockedKeys, progress, { data: dbBadges, error: fetchError }] = await Promise.all([
+            getUnlockedBadgeKeysFromSupabase(user),
+            getCurrentProgressFromSupabase(user),
+            supabase.from('badges').select('id, badge_key')
+        ]);
+
+        if (fetchError) throw fetchError;
+
+        const revoked = getLostBadges(unlockedKeys, previousProgress, progress);
+        const badgeIds = revoked
+            .map(badge => dbBadges.find(b => b.badge_key === badge.id))
+            .filter(Boolean)
+            .map(dbBadge => dbBadge.id);
+
+        if (badgeIds.length > 0) {
+            const { error } = await supabase
+                .from('user_badges')
+                .delete()
+                .eq('user_id', user.id)
+                .in('badge_id', badgeIds);
+
+            if (error) throw error;
+        }
+
+        return revoked;
+    } catch (error) {
+        console.error('Error revoking badges:', error);
+        return [];
+    }
+}
+
+/**
+ * Check and unlock badges in Supabase
+ * @returns {Promise<Array>} Newly unlocked badges
+ */
+export async function checkAndUnlockBadgesInSupabase() {
+    if (!supabase) return [];
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return [];
+
+        const [unlockedKeys, progress, { data: dbBadges, error: fetchError }] = await Promise.all([
+            getUnlockedBadgeKeysFromSupabase(user),
+            getCurrentProgressFromSupabase(user),
+            supabase.from('badges').select('id, badge_key')
+        ]);
+
+        if (fetchError) throw fetchError;
+
+        const newlyUnlocked = BADGE_DEFINITIONS.filter(badge =>
+            !unlockedKeys.includes(badge.id) && shouldUnlockBadge(badge, progress)
+        );
+
+        const rows = newlyUnlocked
+            .map(badge => dbBadges.find(b => b.badge_key === badge.id))
+            .filter(Boolean)
+            .map(dbBadge => ({ user_id: user.id, badge_id: dbBadge.id }));
+
+        if (rows.length > 0) {
+            const { error } = await supabase.from('user_badges').insert(rows);
+            if (error) throw error;
+
+            setTimeout(() => {
+                showBadgeCelebration(newlyUnlocked[0]);
+            }, 500);
+        }
+
+        return newlyUnlocked;
+    } catch (error) {
+        console.error('Error unlocking badges:', error);
+        return [];
+    }
+}
+
 /**
  * Close celebration modal
  */
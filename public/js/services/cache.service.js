@@ -0,0 +1,53 @@
+/**
+ * Cache Service
+ * Last copy of the signed-in user's data read from Supabase, kept on this device
+ * so a failed read (e.g. offline) can show what was last seen instead of nothing
+ */
+
+import { getCurrentSession } from '../config/supabase.js';
+import { storage } from '../utils/helpers.js';
+
+const CACHE_KEY = 'walktogive_cloud_cache';
+
+/**
+ * Get a user's cached copies
+ * @param {string|undefined} userId
+ * @returns {Object} {userId, ...fields}; fields not read yet are missing
+ */
+function getUserCache(userId) {
+    const cache = storage.get(CACHE_KEY);
+    return cache?.userId === userId ? cache : { userId };
+}
+
+/**
+ * Get the signed-in user's last copy of a field
+ * @param {string} field
+ * @returns {Promise<*>} Undefined if it was never read
+ */
+export async function getCachedCopy(field) {
+    const { user } = await getCurrentSession();
+    return getUserCache(user?.id)[field];
+}
+
+/**
+ * Read from Supabase, keeping a copy on this device
+ * @param {string} field - Name the copy is kept under
+ * @param {Function} read - Supabase getter; must throw on failure
+ * @param {*} fallback - Returned when the read fails and there is no copy; the error is thrown if left out
+ * @returns {Promise<*>}
+ */
+export async function readWithCache(field, read, fallback = undefined) {
+    const { user } = await getCurrentSession();
+
+    try {
+        const value = await read();
+        storage.set(CACHE_KEY, { ...getUserCache(user?.id), [field]: value });
+        return value;
+    } catch (error) {
+        const cached = getUserCache(user?.id)[field];
+        if (cached === undefined && fallback === undefined) throw error;
+
+        console.error(`Error fetching ${field}:`, error);
+        return cached ?? fallback;
+    }
+}
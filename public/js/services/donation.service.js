@@ -0,0 +1,418 @@
+/**
+ * Donation Service
+ * Pledges and donations of each month's earnings to a charity, with localStorage
+ * and Supabase integration
+ */
+
+import supabase from '../config/supabase.js';
+import { showToast, generateId, getTodayString } from '../utils/helpers.js';
+import { loadData as getData, saveData } from './store.service.js';
+import { getMonthlyRewardTotal } from './workout.service.js';
+
+export const DONATION_STATUSES = ['pledged', 'donated'];
+
+export const MAX_CHARITY_LENGTH = 100;
+export const MAX_RECEIPT_LENGTH = 100;
+
+/**
+ * Get the key of a month
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @returns {string} YYYY-MM
+ */
+export function getMonthKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Get the earnings of the month a key names
+ * @param {Object} weeklyRewards
+ * @param {string} monthKey (YYYY-MM)
+ * @returns {number}
+ */
+export function getMonthEarnings(weeklyRewards, monthKey) {
+    const [year, month] = monthKey.split('-').map(Number);
+    return getMonthlyRewardTotal(weeklyRewards, year, month);
+}
+
+/**
+ * Find the pledge or donation recorded for a month
+ * @param {Array} donations
+ * @param {string} monthKey (YYYY-MM)
+ * @returns {Object|null}
+ */
+export function getDonationForMonth(donations, monthKey) {
+    return donations.find(d => d.month === monthKey) || null;
+}
+
+/**
+ * Work out how much has been earned, pledged and donated
+ * @param {Object} weeklyRewards
+ * @param {Array} donations
+ * @returns {Object} {earned, pledged, donated, unpledged}
+ */
+export function getDonationBalances(weeklyRewards, donations) {
+    const earned = Object.values(weeklyRewards).reduce((sum, amount) => sum + amount, 0);
+    const sumOf = status => donations
+        .filter(d => d.status === status)
+        .reduce((sum, d) => sum + d.amount, 0);
+
+    const pledged = sumOf('pledged');
+    const donated = sumOf('donated');
+
+    return {
+        earned,
+        pledged,
+        donated,
+        unpledged: Math.max(0, earned - pledged - donated)
+    };
+}
+
+/**
+ * Validate the date and receipt of a donation that was made
+ * @param {Object} params - {donatedOn: string, receipt: string}
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidDonationRecord({ donatedOn, receipt = '' }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(donatedOn || '')) {
+        return { valid: false, message: 'Please choose the date you donated' };
+    }
+
+    if (donatedOn > getTodayString()) {
+        return { valid: false, message: 'The donation date can\'t be in the future' };
+    }
+
+    if (receipt.trim().length > MAX_RECEIPT_LENGTH) {
+        return { valid: false, message: `Receipt references can be at most ${MAX_RECEIPT_LENGTH} characters` };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a new pledge or donation
+ * Each month's earnings can be given once, up to what the month earned
+ * @param {Object} donation - {month, charity, amount, status, donatedOn, receipt}
+ * @param {Object} context - {weeklyRewards, donations}
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidDonation({ month, charity, amount, status, donatedOn, receipt = '' }, { weeklyRewards, donations }) {
+    if (!/^\d{4}-\d{2}$/.test(month || '')) {
+        return { valid: false, message: 'Invalid month' };
+    }
+
+    if (!DONATION_STATUSES.includes(status)) {
+        return { valid: false, message: 'Invalid donation status' };
+    }
+
+    if (!charity || charity.trim().length === 0) {
+        return { valid: false, message: 'Please choose a charity' };
+    }
+
+    if (charity.trim().length > MAX_CHARITY_LENGTH) {
+        return { valid: false, message: `Charity names can be at most ${MAX_CHARITY_LENGTH} characters` };
+    }
+
+    const existing = getDonationForMonth(donations, month);
+    if (existing) {
+        return {
+            valid: false,
+            message: `You already ${existing.status} $${existing.amount} to ${existing.charity} for this month`
+        };
+    }
+
+    const earnings = getMonthEarnings(weeklyRewards, month);
+    if (!Number.isInteger(amount) || amount < 1) {
+        return { valid: false, message: 'The amount must be a whole number of dollars' };
+    }
+    if (amount > earnings) {
+        return { valid: false, message: `You earned $${earnings} this month` };
+    }
+
+    if (status === 'donated') {
+        return isValidDonationRecord({ donatedOn, receipt });
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Describe a saved pledge or donation in a toast
+ * @param {Object} donation
+ * @returns {string}
+ */
+function getSavedMessage(donation) {
+    return donation.status === 'donated'
+        ? `💝 $${donation.amount} to ${donation.charity} recorded. Thank you!`
+        : `🤝 $${donation.amount} pledged to ${donation.charity}`;
+}
+
+/**
+ * Get pledges and donations, oldest month first
+ * @returns {Array}
+ */
+export function getDonations() {
+    const data = getData();
+    return [...data.donations].sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * Pledge or record a donation of a month's earnings
+ * @param {Object} params - {month, charity, amount, status, donatedOn, receipt}
+ * @param {Object} weeklyRewards - Map of week keys to amounts
+ * @returns {Object} {success: boolean, donation: Object|null, error: string|null}
+ */
+export function recordDonation({ month, charity, amount, status, donatedOn = null, receipt = '' }, weeklyRewards) {
+    const data = getData();
+
+    const validation = isValidDonation(
+        { month, charity, amount, status, donatedOn, receipt },
+        { weeklyRewards, donations: data.donations }
+    );
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, donation: null, error: validation.message };
+    }
+
+    const donated = status === 'donated';
+    const donation = {
+        id: generateId(),
+        month,
+        charity: charity.trim(),
+        amount,
+        status,
+        donatedOn: donated ? donatedOn : null,
+        receipt: donated ? receipt.trim() : '',
+        createdAt: new Date().toISOString()
+    };
+
+    data.donations.push(donation);
+    saveData(data);
+
+    showToast(getSavedMessage(donation), 'success');
+    return { success: true, donation, error: null };
+}
+
+/**
+ * Mark a pledge as donated
+ * @param {string} donationId
+ * @param {Object} params - {donatedOn, receipt}
+ * @returns {boolean}
+ */
+export function completePledge(donationId, { donatedOn, receipt = '' }) {
+    const data = getData();
+    const donation = data.donations.find(d => d.id === donationId);
+
+    if (!donation || donation.status !== 'pledged') {
+        showToast('Pledge not found', 'error');
+        return false;
+    }
+
+    const validation = isValidDonationRecord({ donatedOn, receipt });
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return false;
+    }
+
+    donation.status = 'donated';
+    donation.donatedOn = donatedOn;
+    donation.receipt = receipt.trim();
+    saveData(data);
+
+    showToast(getSavedMessage(donation), 'success');
+    return true;
+}
+
+/**
+ * Cancel a pledge
+ * Donations that were made stay on record
+ * @param {string} donationId
+ * @returns {boolean}
+ */
+export function cancelPledge(donationId) {
+    const data = getData();
+
+    if (!data.donations.some(d => d.id === donationId && d.status === 'pledged')) {
+        showToast('Pledge not found', 'error');
+        return false;
+    }
+
+    data.donations = data.donations.filter(d => d.id !== donationId);
+    saveData(data);
+
+    showToast('Pledge cancelled', 'info');
+    return true;
+}
+
+/**
+ * Convert a donations row into a donation
+ * Rows store the month as its first day
+ * @param {Object} row
+ * @returns {Object}
+ */
+function donationFromRow(row) {
+    return {
+        id: row.id,
+        month: row.month.slice(0, 7),
+        charity: row.charity,
+        amount: row.amount,
+        status: row.status,
+        donatedOn: row.donated_on,
+        receipt: row.receipt || '',
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Get pledges and donations from Supabase, oldest month first
+ * @returns {Promise<Array>}
+ */
+export async function getDonationsFromSupabase() {
+    if (!supabase) return [];
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return [];
+
+        const { data, error } = await supabase
+            .from('donations')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('month', { ascending: true });
+
+        if (error) throw error;
+
+        return data.map(donationFromRow);
+    } catch (error) {
+        console.error('Error fetching donations:', error);
+        return [];
+    }
+}
+
+/**
+ * Pledge or record a donation in Supabase
+ * The donations policies repeat the earnings check and the unique month on the server
+ * @param {Object} params - {month, charity, amount, status, donatedOn, receipt}
+ * @param {Object} context - {weeklyRewards, donations}
+ * @returns {Promise<Object>} {success: boolean, donation: Object|null, error: string|null}
+ */
+export async function recordDonationInSupabase({ month, charity, amount, status, donatedOn = null, receipt = '' }, context) {
+    if (!supabase) {
+        return { success: false, donation: null, error: 'Supabase not configured' };
+    }
+
+    const validation = isValidDonation({ month, charity, amount, status, donatedOn, receipt }, context);
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, donation: null, error: validation.message };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const donated = status === 'donated';
+        const { data, error } = await supabase
+            .from('donations')
+            .insert({
+                user_id: user.id,
+                month: `${month}-01`,
+                charity: charity.trim(),
+                amount,
+                status,
+                donated_on: donated ? donatedOn : null,
+                receipt: donated ? receipt.trim() : null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Another device got there first
+            if (error.code === '23505') throw new Error('A donation is already recorded for this month');
+            throw error;
+        }
+
+        const donation = donationFromRow(data);
+        showToast(getSavedMessage(donation), 'success');
+        return { success: true, donation, error: null };
+    } catch (error) {
+        console.error('Error recording donation:', error);
+        showToast(error.message || 'Failed to record donation', 'error');
+        return { success: false, donation: null, error: error.message };
+    }
+}
+
+/**
+ * Mark a pledge as donated in Supabase
+ * @param {string} donationId
+ * @param {Object} params - {donatedOn, receipt}
+ * @returns {Promise<Object>}
+ */
+export async function completePledgeInSupabase(donationId, { donatedOn, receipt = '' }) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    const validation = isValidDonationRecord({ donatedOn, receipt });
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, error: validation.message };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { data, error } = await supabase
+            .from('donations')
+            .update({ status: 'donated', donated_on: donatedOn, receipt: receipt.trim() || null })
+            .eq('id', donationId)
+            .eq('user_id', user.id)
+            .eq('status', 'pledged')
+            .select();
+
+        if (error) throw error;
+        if (data.length === 0) throw new Error('Pledge not found');
+
+        showToast(getSavedMessage(donationFromRow(data[0])), 'success');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error completing pledge:', error);
+        showToast(error.message || 'Failed to record donation', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Cancel a pledge in Supabase
+ * @param {string} donationId
+ * @returns {Promise<Object>}
+ */
+export async function cancelPledgeInSupabase(donationId) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { data, error } = await supabase
+            .from('donations')
+            .delete()
+            .eq('id', donationId)
+            .eq('user_id', user.id)
+            .eq('status', 'pledged')
+            .select();
+
+        if (error) throw error;
+        if (data.length === 0) throw new Error('Pledge not found');
+
+        showToast('Pledge cancelled', 'info');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error cancelling pledge:', error);
+        showToast(error.message || 'Failed to cancel pledge', 'error');
+        return { success: false, error: error.message };
+    }
+}
@@ -0,0 +1,466 @@
+/**
+ * Freeze Service
+ * Streak freeze tokens and vacation ranges that keep a streak alive through weeks
+ * the user can't train, with localStorage and Supabase integration
+ */
+
+import supabase from '../config/supabase.js';
+import { showToast, generateId, getTodayString, getWeekKey, getWeekDateKeys, parseWeekKey, isoToDateKey } from '../utils/helpers.js';
+import { formatInputDate } from '../utils/formatters.js';
+import { isValidDateRange } from '../utils/validation.js';
+import { loadData as getData, saveData } from './store.service.js';
+
+// One freeze token is earned for every WEEKS_PER_EARNED_FREEZE goal weeks, and more
+// can be bought for FREEZE_POINT_COST points. Every completed day is worth one point
+export const WEEKS_PER_EARNED_FREEZE = 4;
+export const FREEZE_POINT_COST = 10;
+
+export const MAX_VACATION_DAYS = 90;
+
+/**
+ * Work out how many freeze tokens and points are left
+ * Supabase runs the same sums in freeze_balance()
+ * @param {Object} stats - {totalDays, goalWeeks}
+ * @param {Object} state - {purchases, frozenWeeks}
+ * @returns {Object} {points, earned, purchased, used, available}
+ */
+export function getFreezeBalance({ totalDays, goalWeeks }, { purchases, frozenWeeks }) {
+    const earned = Math.floor(goalWeeks / WEEKS_PER_EARNED_FREEZE);
+    const spent = purchases.reduce((sum, purchase) => sum + purchase.points, 0);
+    const used = Object.keys(frozenWeeks).length;
+
+    return {
+        points: Math.max(0, totalDays - spent),
+        earned,
+        purchased: purchases.length,
+        used,
+        available: Math.max(0, earned + purchases.length - used)
+    };
+}
+
+/**
+ * Expand frozen weeks and vacations into the weeks and days they cover
+ * A week with any vacation day in it is frozen as a whole
+ * @param {Object} frozenWeeks - Map of week keys (YYYY-MM-DD) frozen with a token
+ * @param {Array} vacations - [{startDate, endDate}] as ISO dates
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @returns {Object} {weeks, days} maps of week keys and date keys (YYYY-M-D) to 'freeze' | 'vacation'
+ */
+export function getFrozenPeriods(frozenWeeks, vacations, weekStart = 0) {
+    const weeks = {};
+    const days = {};
+
+    vacations.forEach(({ startDate, endDate }) => {
+        const cursor = parseWeekKey(startDate);
+        const end = parseWeekKey(endDate);
+
+        while (cursor <= end) {
+            days[isoToDateKey(formatInputDate(cursor))] = 'vacation';
+            weeks[getWeekKey(cursor, weekStart)] = 'vacation';
+            cursor.setDate(cursor.getDate() + 1);
+        }
+    });
+
+    Object.keys(frozenWeeks).forEach(weekKey => {
+        weeks[weekKey] = 'freeze';
+        getWeekDateKeys(weekKey).forEach(dateKey => {
+            days[dateKey] = days[dateKey] || 'freeze';
+        });
+    });
+
+    return { weeks, days };
+}
+
+/**
+ * Check a week can be frozen with a token
+ * Only this week and last week can be frozen, and only if their goal isn't met
+ * @param {string} weekKey
+ * @param {Object} context
+ * @param {number} context.weekStart
+ * @param {Object} context.goalWeeks - Map of week keys that met the goal
+ * @param {Object} context.frozenWeeks
+ * @param {Object} context.balance - From getFreezeBalance()
+ * @returns {{valid: boolean, message: string}}
+ */
+export function canFreezeWeek(weekKey, { weekStart, goalWeeks, frozenWeeks, balance }) {
+    const currentWeekKey = getWeekKey(new Date(), weekStart);
+    const lastWeek = parseWeekKey(currentWeekKey);
+    lastWeek.setDate(lastWeek.getDate() - 7);
+
+    if (weekKey > currentWeekKey || weekKey < getWeekKey(lastWeek, weekStart)) {
+        return { valid: false, message: 'Only this week or last week can be frozen' };
+    }
+
+    if (weekKey in frozenWeeks) {
+        return { valid: false, message: 'This week is already frozen' };
+    }
+
+    if (weekKey in goalWeeks) {
+        return { valid: false, message: 'This week already met its goal' };
+    }
+
+    if (balance.available < 1) {
+        return { valid: false, message: 'No streak freezes left' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a vacation range
+ * Vacations are planned ahead: they can't start in the past
+ * @param {Object} vacation - {startDate, endDate} as ISO dates
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidVacation({ startDate, endDate }) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+        return { valid: false, message: 'Please choose start and end dates' };
+    }
+
+    const rangeValidation = isValidDateRange(startDate, endDate);
+    if (!rangeValidation.valid) return rangeValidation;
+
+    if (startDate < getTodayString()) {
+        return { valid: false, message: 'Vacations can\'t start in the past' };
+    }
+
+    const days = Math.round((parseWeekKey(endDate) - parseWeekKey(startDate)) / 86400000) + 1;
+    if (days > MAX_VACATION_DAYS) {
+        return { valid: false, message: `Vacations can be at most ${MAX_VACATION_DAYS} days` };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Get freeze purchases, frozen weeks and vacations
+ * @returns {Object} {purchases, frozenWeeks, vacations}
+ */
+export function getFreezeState() {
+    const data = getData();
+    return {
+        purchases: data.freezePurchases,
+        frozenWeeks: data.frozenWeeks,
+        vacations: data.vacations
+    };
+}
+
+/**
+ * Buy a streak freeze with points
+ * @param {Object} balance - From getFreezeBalance()
+ * @returns {boolean}
+ */
+export function buyStreakFreeze(balance) {
+    if (balance.points < FREEZE_POINT_COST) {
+        showToast(`You need ${FREEZE_POINT_COST} points to buy a streak freeze`, 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.freezePurchases.push({ id: generateId(), points: FREEZE_POINT_COST, createdAt: new Date().toISOString() });
+    saveData(data);
+
+    showToast('❄️ Streak freeze added!', 'success');
+    return true;
+}
+
+/**
+ * Freeze a week with a token
+ * @param {string} weekKey
+ * @param {Object} context - See canFreezeWeek()
+ * @returns {boolean}
+ */
+export function freezeWeek(weekKey, context) {
+    const validation = canFreezeWeek(weekKey, context);
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.frozenWeeks[weekKey] = new Date().toISOString();
+    saveData(data);
+
+    showToast('❄️ Week frozen. Your streak is safe', 'success');
+    return true;
+}
+
+/**
+ * Unfreeze a week, returning its token
+ * @param {string} weekKey
+ * @returns {boolean}
+ */
+export function unfreezeWeek(weekKey) {
+    const data = getData();
+
+    if (!(weekKey in data.frozenWeeks)) {
+        showToast('This week isn\'t frozen', 'error');
+        return false;
+    }
+
+    delete data.frozenWeeks[weekKey];
+    saveData(data);
+
+    showToast('Week unfrozen. The streak freeze is back', 'info');
+    return true;
+}
+
+/**
+ * Add a vacation
+ * @param {Object} params - {startDate, endDate, note} as ISO dates
+ * @returns {Object} {success: boolean, vacation: Object|null, error: string|null}
+ */
+export function addVacation({ startDate, endDate, note = '' }) {
+    const validation = isValidVacation({ startDate, endDate });
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, vacation: null, error: validation.message };
+    }
+
+    const data = getData();
+    const vacation = {
+        id: generateId(),
+        startDate,
+        endDate,
+        note: note.trim(),
+        createdAt: new Date().toISOString()
+    };
+
+    data.vacations.push(vacation);
+    saveData(data);
+
+    showToast('🏖️ Vacation added. Your streak will wait for you', 'success');
+    return { success: true, vacation, error: null };
+}
+
+/**
+ * Remove a vacation
+ * @param {string} vacationId
+ * @returns {boolean}
+ */
+export function removeVacation(vacationId) {
+    const data = getData();
+
+    if (!data.vacations.some(v => v.id === vacationId)) {
+        showToast('Vacation not found', 'error');
+        return false;
+    }
+
+    data.vacations = data.vacations.filter(v => v.id !== vacationId);
+    saveData(data);
+
+    showToast('Vacation removed', 'info');
+    return true;
+}
+
+/**
+ * Convert a vacations row into a vacation
+ * @param {Object} row
+ * @returns {Object}
+ */
+function vacationFromRow(row) {
+    return {
+        id: row.id,
+        startDate: row.start_date,
+        endDate: row.end_date,
+        note: row.note || '',
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Get freeze purchases, frozen weeks and vacations from Supabase
+ * @returns {Promise<Object>} {purchases, frozenWeeks, vacations}
+ */
+export async function getFreezeStateFromSupabase() {
+    const empty = { purchases: [], frozenWeeks: {}, vacations: [] };
+    if (!supabase) return empty;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return empty;
+
+        const [purchases, freezes, vacations] = await Promise.all([
+            supabase.from('streak_freeze_purchases').select('*').eq('user_id', user.id),
+            supabase.from('streak_freezes').select('*').eq('user_id', user.id),
+            supabase.from('vacations').select('*').eq('user_id', user.id).order('start_date', { ascending: true })
+        ]);
+
+        const error = purchases.error || freezes.error || vacations.error;
+        if (error) throw error;
+
+        return {
+            purchases: purchases.data.map(row => ({ id: row.id, points: row.points, createdAt: row.created_at })),
+            frozenWeeks: freezes.data.reduce((map, row) => {
+                map[row.week_start] = row.created_at;
+                return map;
+            }, {}),
+            vacations: vacations.data.map(vacationFromRow)
+        };
+    } catch (error) {
+        console.error('Error fetching streak freezes:', error);
+        return empty;
+    }
+}
+
+/**
+ * Buy a streak freeze with points in Supabase
+ * buy_streak_freeze() checks the balance on the server
+ * @returns {Promise<Object>}
+ */
+export async function buyStreakFreezeInSupabase() {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase.rpc('buy_streak_freeze');
+
+        if (error) throw error;
+
+        showToast('❄️ Streak freeze added!', 'success');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error buying streak freeze:', error);
+        showToast(error.message || 'Failed to buy streak freeze', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Freeze a week with a token in Supabase
+ * freeze_week() repeats the canFreezeWeek() checks on the server
+ * @param {string} weekKey
+ * @returns {Promise<Object>}
+ */
+export async function freezeWeekInSupabase(weekKey) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase.rpc('freeze_week', {
+            p_week_start: weekKey,
+            p_today: getTodayString()
+        });
+
+        if (error) throw error;
+
+        showToast('❄️ Week frozen. Your streak is safe', 'success');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error freezing week:', error);
+        showToast(error.message || 'Failed to freeze week', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Unfreeze a week in Supabase, returning its token
+ * @param {string} weekKey
+ * @returns {Promise<Object>}
+ */
+export async function unfreezeWeekInSupabase(weekKey) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase
+            .from('streak_freezes')
+            .delete()
+            .eq('user_id', user.id)
+            .eq('week_start', weekKey);
+
+        if (error) throw error;
+
+        showToast('Week unfrozen. The streak freeze is back', 'info');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error unfreezing week:', error);
+        showToast(error.message || 'Failed to unfreeze week', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Add a vacation in Supabase
+ * @param {Object} params - {startDate, endDate, note} as ISO dates
+ * @returns {Promise<Object>} {success: boolean, vacation: Object|null, error: string|null}
+ */
+export async function addVacationInSupabase({ startDate, endDate, note = '' }) {
+    if (!supabase) {
+        return { success: false, vacation: null, error: 'Supabase not configured' };
+    }
+
+    const validation = isValidVacation({ startDate, endDate });
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, vacation: null, error: validation.message };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { data, error } = await supabase
+            .from('vacations')
+            .insert({
+                user_id: user.id,
+                start_date: startDate,
+                end_date: endDate,
+                note: note.trim()
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        showToast('🏖️ Vacation added. Your streak will wait for you', 'success');
+        return { success: true, vacation: vacationFromRow(data), error: null };
+    } catch (error) {
+        console.error('Error adding vacation:', error);
+        showToast(error.message || 'Failed to add vacation', 'error');
+        return { success: false, vacation: null, error: error.message };
+    }
+}
+
+/**
+ * Remove a vacation in Supabase
+ * @param {string} vacationId
+ * @returns {Promise<Object>}
+ */
+export async function removeVacationInSupabase(vacationId) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase
+            .from('vacations')
+            .delete()
+            .eq('id', vacationId)
+            .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        showToast('Vacation removed', 'info');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error removing vacation:', error);
+        showToast(error.message || 'Failed to remove vacation', 'error');
+        return { success: false, error: error.message };
+    }
+}
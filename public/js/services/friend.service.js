@@ -3,31 +3,28 @@
  * Handles friend management with localStorage and Supabase integration
  */
 
-import supabase from '../config/supabase.js';
-import { storage, showToast } from '../utils/helpers.js';
-import { isValidDisplayName } from '../utils/validation.js';
-import { checkAndUnlockBadges } from './badge.service.js';
-
-const STORAGE_KEY = 'walktogive_data';
-
-/**
- * Get data from storage
- * @returns {Object}
- */
-function getData() {
-    const data = storage.get(STORAGE_KEY);
-    return data || {
-        friends: [],
-        cheers: {}
-    };
-}
+import supabase, { getUserProfile } from '../config/supabase.js';
+import { showToast, getTodayString } from '../utils/helpers.js';
+import { isValidDisplayName, isValidInviteCode } from '../utils/validation.js';
+import { checkAndUnlockBadges, checkAndUnlockBadgesInSupabase } from './badge.service.js';
+import { loadData as getData, saveData } from './store.service.js';
 
 /**
- * Save data to storage
- * @param {Object} data
+ * Get or generate the local invite code
+ * @returns {string}
  */
-function saveData(data) {
-    storage.set(STORAGE_KEY, data);
+export function getInviteCode() {
+    const data = getData();
+    if (!data.inviteCode) {
+        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        let code = 'WALK';
+        for (let i = 0; i < 6; i++) {
+            code += chars.charAt(Math.floor(Math.random() * chars.length));
+        }
+        data.inviteCode = code;
+        saveData(data);
+    }
+    return data.inviteCode;
 }
 
 /**
@@ -42,6 +39,7 @@ function generateMockFriend(name) {
         displayName: name,
         days: Math.floor(Math.random() * 50) + 10,
         streak: Math.floor(Math.random() * 8) + 1,
+        longestStreak: Math.floor(Math.random() * 4) + 8,
         earned: Math.floor(Math.random() * 100) + 20,
         lastActive: new Date().toISOString(),
         isMock: true
@@ -271,7 +269,7 @@ export async function acceptFriendRequest(friendshipId) {
         if (error) throw error;
 
         showToast('Friend request accepted!', 'success');
-        checkAndUnlockBadges();
+        checkAndUnlockBadgesInSupabase();
 
         return { success: true, friendship: data, error: null };
     } catch (error) {
@@ -329,13 +327,22 @@ export async function getFriendsFromSupabase() {
 
                 const totalEarned = rewards?.reduce((sum, r) => sum + r.amount, 0) || 0;
 
+                // Streaks are counted server-side from the friend's own calendar
+                const { data: streaks } = await supabase.rpc('get_streaks', {
+                    p_user_id: friendId,
+                    p_today: getTodayString()
+                });
+                const [streak] = streaks || [];
+
                 return {
                     id: friendId,
                     name: friendship.profiles.display_name,
                     displayName: friendship.profiles.display_name,
                     days: workoutCount || 0,
                     earned: totalEarned,
-                    streak: 0, // Calculate streak separately if needed
+                    streak: streak?.current_weekly || 0,
+                    longestStreak: streak?.longest_weekly || 0,
+                    dailyStreak: streak?.current_daily || 0,
                     inviteCode: friendship.profiles.invite_code
                 };
             })
@@ -347,3 +354,122 @@ export async function getFriendsFromSupabase() {
         return [];
     }
 }
+
+/**
+ * Get the signed-in user's invite code from their profile
+ * @returns {Promise<string>}
+ */
+export async function getInviteCodeFromSupabase() {
+    const profile = await getUserProfile();
+    return profile?.invite_code || getInviteCode();
+}
+
+/**
+ * Add a friend by invite code (Supabase version)
+ * @param {string} inviteCode
+ * @returns {Promise<Object>} {success: boolean, friend: Object|null, error: string|null}
+ */
+export async function addFriendInSupabase(inviteCode) {
+    const validation = isValidInviteCode(inviteCode);
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return { success: false, friend: null, error: validation.message };
+    }
+
+    const lookup = await findFriendByInviteCode(inviteCode);
+    if (!lookup.success) {
+        const msg = 'No one found with that invite code';
+        showToast(msg, 'error');
+        return { success: false, friend: null, error: msg };
+    }
+
+    const request = await sendFriendRequest(lookup.profile.id);
+    if (!request.success) {
+        return { success: false, friend: null, error: request.error };
+    }
+
+    return { success: true, friend: lookup.profile, error: null };
+}
+
+/**
+ * Remove a friend (Supabase version)
+ * @param {string} friendId
+ * @returns {Promise<boolean>}
+ */
+export async function removeFriendInSupabase(friendId) {
+    if (!supabase) return false;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase
+            .from('friendships')
+            .delete()
+            .or(`and(user_id.eq.${user.id},friend_id.eq.${friendId}),and(user_id.eq.${friendId},friend_id.eq.${user.id})`);
+
+        if (error) throw error;
+
+        showToast('Removed friend', 'info');
+        return true;
+    } catch (error) {
+        console.error('Error removing friend:', error);
+        showToast(error.message || 'Failed to remove friend', 'error');
+        return false;
+    }
+}
+
+/**
+ * Cheer a friend (Supabase version)
+ * @param {string} friendId
+ * @returns {Promise<boolean>}
+ */
+export async function cheerFriendInSupabase(friendId) {
+    if (!supabase) return false;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase
+            .from('cheers')
+            .insert({
+                from_user_id: user.id,
+                to_user_id: friendId
+            });
+
+        if (error) throw error;
+
+        showToast('🎉 Cheer sent!', 'success');
+        return true;
+    } catch (error) {
+        console.error('Error cheering friend:', error);
+        showToast(error.message || 'Failed to send cheer', 'error');
+        return false;
+    }
+}
+
+/**
+ * Get IDs of friends the signed-in user has cheered (Supabase version)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getCheeredFriendIdsFromSupabase() {
+    if (!supabase) return new Set();
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return new Set();
+
+        const { data: cheers, error } = await supabase
+            .from('cheers')
+            .select('to_user_id')
+            .eq('from_user_id', user.id);
+
+        if (error) throw error;
+
+        return new Set(cheers.map(c => c.to_user_id));
+    } catch (error) {
+        console.error('Error fetching cheers:', error);
+        return new Set();
+    }
+}
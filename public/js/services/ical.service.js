@@ -0,0 +1,212 @@
+/**
+ * iCalendar Service
+ * Builds .ics files of the upcoming workout schedule and movement periods
+ */
+
+import { formatInputDate } from '../utils/formatters.js';
+import { getProgramById, getWorkoutsForDay } from './program.service.js';
+import { resolveRoutineForDate } from './routine.service.js';
+
+// Reminder choices: minutes after the start of the day an alarm goes off
+export const REMINDER_TIMES = {
+    none: null,
+    morning: 7 * 60,
+    noon: 12 * 60,
+    evening: 18 * 60
+};
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines starting with a space
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for a property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no line is longer than 75 octets
+ * Splits between characters so multi-byte ones (like emoji) stay whole
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        // Continuation lines lose one octet to the leading space
+        const limit = lines.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (octets + size > limit) {
+            lines.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+
+    return lines.join('\r\n ');
+}
+
+/**
+ * Format a date as an iCalendar DATE (YYYYMMDD)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toICSDate(date) {
+    return formatInputDate(date).replace(/-/g, '');
+}
+
+/**
+ * Format a moment as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toICSTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) as a local date
+ * @param {string} isoDate
+ * @returns {Date}
+ */
+function parseISODate(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the day after a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function nextDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+}
+
+/**
+ * Build the lines of one all-day event
+ * @param {Object} event - {uid, start: Date, end: Date (exclusive), summary, description, reminder: number|null}
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>}
+ */
+function buildEventLines({ uid, start, end, summary, description, reminder = null }, stamp) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${toICSDate(start)}`,
+        `DTEND;VALUE=DATE:${toICSDate(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        'TRANSP:TRANSPARENT'
+    ];
+
+    if (description) {
+        lines.push(`DESCRIPTION:${escapeText(description)}`);
+    }
+
+    if (reminder !== null) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeText(summary)}`,
+            `TRIGGER;RELATED=START:PT${Math.floor(reminder / 60)}H${reminder % 60}M`,
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build an .ics document
+ * @param {Array<Object>} events - See buildEventLines()
+ * @param {string} name - Calendar name shown by apps that support it
+ * @returns {string}
+ */
+export function toICS(events, name) {
+    const stamp = toICSTimestamp(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//WalkToGive//Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(event => buildEventLines(event, stamp)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Events for the upcoming workout schedule, one per day with exercises
+ * A routine replaces the program on its days and vacation days are left out, like on the calendar
+ * @param {Object} params
+ * @param {Date} params.from - First day
+ * @param {number} params.days - How many days to include
+ * @param {Object} params.activeProgram - {id: string, startedOn: string|null}
+ * @param {Array} params.routines
+ * @param {Array} params.vacations - [{startDate, endDate}] as ISO dates
+ * @param {number|null} params.reminder - Minutes into the day for an alarm, or null for none
+ * @returns {Array<Object>}
+ */
+export function buildWorkoutEvents({ from, days, activeProgram, routines = [], vacations = [], reminder = null }) {
+    const program = getProgramById(activeProgram.id);
+
+    return Array.from({ length: days }, (_, i) => new Date(from.getFullYear(), from.getMonth(), from.getDate() + i))
+        .filter(date => {
+            const isoDate = formatInputDate(date);
+            return !vacations.some(v => isoDate >= v.startDate && isoDate <= v.endDate);
+        })
+        .map(date => {
+            const routine = resolveRoutineForDate(routines, date);
+            const exercises = routine ? routine.exercises : getWorkoutsForDay(date, activeProgram);
+            return { date, routine, exercises };
+        })
+        .filter(({ exercises }) => exercises.length > 0)
+        .map(({ date, routine, exercises }) => ({
+            uid: `workout-${toICSDate(date)}@walktogive`,
+            start: date,
+            end: nextDay(date),
+            summary: `💪 ${exercises.map(e => e.name).join(', ')}`,
+            description: `${routine ? routine.name : program.name}\n\n` +
+                exercises.map(e => e.duration ? `• ${e.name} (${e.duration} min)` : `• ${e.name}`).join('\n'),
+            reminder
+        }));
+}
+
+/**
+ * All-day events spanning each movement
+ * @param {Array} movements
+ * @returns {Array<Object>}
+ */
+export function buildMovementEvents(movements) {
+    return movements
+        .filter(m => m.startDate && m.endDate)
+        .map(m => ({
+            uid: `movement-${m.id}@walktogive`,
+            start: parseISODate(m.startDate),
+            // DTEND is exclusive, so the event runs through the end date
+            end: nextDay(parseISODate(m.endDate)),
+            summary: `🌟 ${m.name}`,
+            description: `Raising money for ${m.charity}\n\n${m.description || ''}`.trim()
+        }));
+}
@@ -0,0 +1,209 @@
+/**
+ * Ledger Service
+ * Append-only record of every reward event, so each week's payout can be traced
+ * back to the range, algorithm and seed that produced it
+ */
+
+import supabase from '../config/supabase.js';
+import { generateId } from '../utils/helpers.js';
+
+/*
+ * Event fields:
+ *   id, type        - 'award' | 'adjustment' | 'reversal'
+ *   weekKey         - Week the event belongs to (YYYY-MM-DD)
+ *   amount          - Signed dollars; reversals are negative
+ *   range           - {min, max} in effect when the amount was drawn, null if not drawn
+ *   rate            - Fixed weekly or per-day amount, for those reward strategies
+ *   multiplier      - Streak multiplier applied, null if streak bonuses were off
+ *   monthlyCap      - Monthly cap in effect, null if none
+ *   algorithm       - How the amount was decided (see REWARD_ALGORITHMS)
+ *   seed            - Seed for the draw, so the amount can be reproduced
+ *   daysCompleted, weeklyGoal - Week progress when the event was recorded
+ *   reason          - Human-readable note
+ *   reversesId      - Award a reversal cancels, or adjustment a later one takes back
+ *   createdAt       - ISO timestamp
+ *
+ * Amounts drawn on the device use drawReward(); the *_pg algorithms are drawn by
+ * Supabase with setseed()/random(), so a seed only reproduces with its own generator
+ */
+export const REWARD_ALGORITHMS = {
+    uniform: 'Random amount in range',
+    proportional: 'Random amount scaled by days completed',
+    uniform_pg: 'Random amount in range (server)',
+    proportional_pg: 'Random amount scaled by days completed (server)',
+    fixed: 'Fixed weekly amount',
+    fixed_proportional: 'Fixed weekly amount scaled by days completed',
+    per_day: 'Amount per day completed',
+    legacy: 'Recorded before the ledger',
+    imported: 'Uploaded from guest mode'
+};
+
+/**
+ * Create a seed for a reward draw
+ * @returns {number} 32-bit unsigned integer
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 2 ** 32);
+}
+
+/**
+ * Deterministic random number in [0, 1) from a seed (mulberry32)
+ * @param {number} seed
+ * @returns {number}
+ */
+function seededRandom(seed) {
+    let t = (seed + 0x6D2B79F5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Draw a reward in range (inclusive); the same seed always gives the same amount
+ * @param {number} min
+ * @param {number} max
+ * @param {number} seed
+ * @returns {number}
+ */
+export function drawReward(min, max, seed) {
+    return Math.floor(seededRandom(seed) * (max - min + 1)) + min;
+}
+
+/**
+ * Build a ledger event
+ * @param {Object} fields - See the event fields above; id and createdAt are filled in
+ * @returns {Object}
+ */
+export function createRewardEvent({
+    type, weekKey, amount, range = null, rate = null, multiplier = null, monthlyCap = null,
+    algorithm = null, seed = null, daysCompleted = null, weeklyGoal = null, reason = '', reversesId = null
+}) {
+    return {
+        id: generateId(),
+        type,
+        weekKey,
+        amount,
+        range,
+        rate,
+        multiplier,
+        monthlyCap,
+        algorithm,
+        seed,
+        daysCompleted,
+        weeklyGoal,
+        reason,
+        reversesId,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Net reward per week
+ * A week with an award that hasn't been reversed stays rewarded even at $0
+ * (a monthly cap can use up a week's whole amount)
+ * @param {Array} ledger
+ * @returns {Object} Map of week keys to amounts
+ */
+export function getWeeklyRewardsFromLedger(ledger) {
+    const totals = ledger.reduce((map, event) => {
+        map[event.weekKey] = (map[event.weekKey] || 0) + event.amount;
+        return map;
+    }, {});
+
+    const reversed = new Set(ledger.filter(e => e.type === 'reversal').map(e => e.reversesId));
+    const awarded = new Set(ledger
+        .filter(e => e.type === 'award' && !reversed.has(e.id))
+        .map(e => e.weekKey));
+
+    return Object.keys(totals)
+        .filter(weekKey => totals[weekKey] > 0 || (awarded.has(weekKey) && totals[weekKey] === 0))
+        .reduce((map, weekKey) => {
+            map[weekKey] = totals[weekKey];
+            return map;
+        }, {});
+}
+
+/**
+ * Find the award a reversal for a week would cancel
+ * @param {Array} ledger
+ * @param {string} weekKey
+ * @returns {Object|null}
+ */
+export function findActiveAward(ledger, weekKey) {
+    const reversed = new Set(ledger.filter(e => e.type === 'reversal').map(e => e.reversesId));
+    const awards = ledger.filter(e => e.type === 'award' && e.weekKey === weekKey && !reversed.has(e.id));
+    return awards[awards.length - 1] || null;
+}
+
+/**
+ * Turn a bare week-to-amount map (stored before the ledger) into award events
+ * Ids are derived from the week so repeated reads give the same events
+ * @param {Object} weeklyRewards
+ * @param {Object} partialWeeks - Map of week keys paid proportionally to days completed
+ * @returns {Array}
+ */
+export function legacyRewardsToLedger(weeklyRewards, partialWeeks = {}) {
+    return Object.keys(weeklyRewards)
+        .filter(weekKey => weeklyRewards[weekKey] > 0)
+        .sort()
+        .map(weekKey => ({
+            ...createRewardEvent({
+                type: 'award',
+                weekKey,
+                amount: weeklyRewards[weekKey],
+                algorithm: 'legacy',
+                daysCompleted: partialWeeks[weekKey] ?? null,
+                reason: weekKey in partialWeeks ? 'Partial week payout' : 'Weekly goal reached'
+            }),
+            id: `legacy-${weekKey}`,
+            createdAt: null
+        }));
+}
+
+/**
+ * Convert a reward_events row into a ledger event
+ * @param {Object} row
+ * @returns {Object}
+ */
+function eventFromRow(row) {
+    return {
+        id: row.id,
+        type: row.event_type,
+        weekKey: row.week_start,
+        amount: row.amount,
+        range: row.min_reward !== null ? { min: row.min_reward, max: row.max_reward } : null,
+        rate: row.rate,
+        multiplier: row.multiplier !== null ? Number(row.multiplier) : null,
+        monthlyCap: row.monthly_cap,
+        algorithm: row.algorithm,
+        seed: row.seed,
+        daysCompleted: row.days_completed,
+        weeklyGoal: row.weekly_goal,
+        reason: row.reason || '',
+        reversesId: row.reverses_id,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Get the signed-in user's reward ledger from Supabase, oldest first
+ * Throws on failure (e.g. offline): an empty ledger would look like no week was ever paid
+ * @returns {Promise<Array>}
+ */
+export async function getRewardLedgerFromSupabase() {
+    if (!supabase) return [];
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError) throw authError;
+    if (!user) return [];
+
+    const { data: events, error } = await supabase
+        .from('reward_events')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return events.map(eventFromRow);
+}
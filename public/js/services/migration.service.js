@@ -0,0 +1,185 @@
+/**
+ * Migration Service
+ * Uploads history recorded in offline (guest) mode into a signed-in account
+ */
+
+import supabase from '../config/supabase.js';
+import { dateKeyToISO } from '../utils/helpers.js';
+import {
+    getCompletedDaysFromSupabase,
+    getWeeklyRewardsFromSupabase,
+    getRewardRangeFromSupabase,
+    getCompletionPolicyFromSupabase,
+    checkCompletionPolicy
+} from './workout.service.js';
+import { checkAndUnlockBadgesInSupabase } from './badge.service.js';
+import { getMovementsFromSupabase } from './movement.service.js';
+import { loadData, saveData, notifyChange } from './store.service.js';
+
+/**
+ * Get the guest data that can be uploaded
+ * @returns {Object}
+ */
+function getGuestData() {
+    const data = loadData();
+
+    return {
+        completedDays: Object.keys(data.completedDays).filter(key => data.completedDays[key]),
+        weeklyRewards: data.weeklyRewards,
+        movements: data.movements.filter(m => m.creator === 'You'),
+        rewardRange: {
+            min: data.minReward,
+            max: data.maxReward
+        },
+        linkedAccount: data.linkedAccount
+    };
+}
+
+/**
+ * Record which account this device's local data belongs to
+ * @param {string} userId
+ * @param {boolean} migrated - False when the user chose not to upload
+ */
+function markLocalStoreLinked(userId, migrated) {
+    const data = loadData();
+    data.linkedAccount = {
+        userId,
+        migrated,
+        linkedAt: new Date().toISOString()
+    };
+    saveData(data);
+}
+
+/**
+ * Check if a week key is a calendar week start (YYYY-MM-DD)
+ * @param {string} weekKey
+ * @returns {boolean}
+ */
+function isWeekKey(weekKey) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(weekKey);
+}
+
+/**
+ * Get the account this device's local data was linked to
+ * @returns {Object|null} {userId, migrated, linkedAt}
+ */
+export function getLinkedAccount() {
+    return getGuestData().linkedAccount;
+}
+
+/**
+ * Check if the signed-in user should be offered a guest data upload
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export function shouldOfferGuestMigration(user) {
+    if (!user) return false;
+
+    const guest = getGuestData();
+
+    // Already linked (to this or another account) - never ask twice
+    if (guest.linkedAccount) return false;
+
+    return guest.completedDays.length > 0 ||
+        Object.keys(guest.weeklyRewards).length > 0 ||
+        guest.movements.length > 0;
+}
+
+/**
+ * Compare guest data with what the account already has
+ * @returns {Promise<Object>} Counts of new and conflicting items per table
+ */
+export async function previewGuestMigration() {
+    const guest = getGuestData();
+
+    const [accountDays, accountRewards, accountRange, accountPolicy, accountMovements] = await Promise.all([
+        getCompletedDaysFromSupabase(),
+        getWeeklyRewardsFromSupabase(),
+        getRewardRangeFromSupabase(),
+        getCompletionPolicyFromSupabase(),
+        getMovementsFromSupabase()
+    ]);
+
+    // Uploaded days are completed under the account's completion policy, so
+    // days past its grace window are left out
+    const newDays = guest.completedDays.filter(key => !accountDays[key]);
+    const lateDays = newDays.filter(key => !checkCompletionPolicy(key, null, accountPolicy).valid);
+
+    // Rewards aren't uploaded; the account pays the weeks the uploaded days complete
+    const newRewardCount = Object.entries(guest.weeklyRewards)
+        .filter(([weekKey, amount]) => isWeekKey(weekKey) && amount > 0 && accountRewards[weekKey] === undefined)
+        .length;
+
+    const newMovements = guest.movements.filter(m =>
+        !accountMovements.some(am => am.name === m.name && am.startDate === m.startDate)
+    );
+
+    return {
+        days: {
+            new: newDays.length - lateDays.length,
+            existing: guest.completedDays.length - newDays.length,
+            late: lateDays.length
+        },
+        rewards: { new: newRewardCount },
+        movements: { new: newMovements.length },
+        rewardRange: {
+            device: guest.rewardRange,
+            account: accountRange,
+            differs: guest.rewardRange.min !== accountRange.min || guest.rewardRange.max !== accountRange.max
+        }
+    };
+}
+
+/**
+ * Upload guest data into the signed-in account
+ * @param {Object} options
+ * @param {boolean} options.useDeviceRewardRange - Overwrite the account's reward range
+ * @returns {Promise<Object>} {success: boolean, imported: Object|null, error: string|null}
+ */
+export async function migrateGuestData({ useDeviceRewardRange = false } = {}) {
+    if (!supabase) {
+        return { success: false, imported: null, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const guest = getGuestData();
+
+        const { data: imported, error } = await supabase.rpc('import_guest_data', {
+            p_completed_dates: guest.completedDays.map(dateKeyToISO),
+            p_min_reward: useDeviceRewardRange ? guest.rewardRange.min : null,
+            p_max_reward: useDeviceRewardRange ? guest.rewardRange.max : null,
+            p_movements: guest.movements.map(m => ({
+                name: m.name,
+                charity: m.charity,
+                description: m.description,
+                start_date: m.startDate,
+                end_date: m.endDate
+            }))
+        });
+
+        if (error) throw error;
+
+        markLocalStoreLinked(user.id, true);
+        notifyChange('cloud');
+
+        // Badges aren't uploaded; they're earned again from the uploaded days
+        checkAndUnlockBadgesInSupabase();
+
+        return { success: true, imported, error: null };
+    } catch (error) {
+        console.error('Error migrating guest data:', error);
+        return { success: false, imported: null, error: error.message };
+    }
+}
+
+/**
+ * Link the local store without uploading it
+ * @param {Object} user
+ */
+export function skipGuestMigration(user) {
+    if (!user) return;
+    markLocalStoreLinked(user.id, false);
+}
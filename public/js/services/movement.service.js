@@ -4,64 +4,57 @@
  */
 
 import supabase from '../config/supabase.js';
-import { storage, showToast } from '../utils/helpers.js';
+import { showToast } from '../utils/helpers.js';
 import { isValidMovementName, isValidMovementDescription, isValidDateRange } from '../utils/validation.js';
-import { checkAndUnlockBadges } from './badge.service.js';
-
-const STORAGE_KEY = 'walktogive_data';
-
-/**
- * Get data from storage
- * @returns {Object}
- */
-function getData() {
-    const data = storage.get(STORAGE_KEY);
-    return data || {
-        movements: []
-    };
-}
-
-/**
- * Save data to storage
- * @param {Object} data
- */
-function saveData(data) {
-    storage.set(STORAGE_KEY, data);
-}
+import { checkAndUnlockBadges, checkAndUnlockBadgesInSupabase } from './badge.service.js';
+import { loadData as getData, saveData } from './store.service.js';
 
 /**
- * Create a new movement
+ * Validate movement fields, showing a toast for the first problem
  * @param {Object} params
- * @param {string} params.name
- * @param {string} params.charity
- * @param {string} params.description
- * @param {string} params.startDate
- * @param {string} params.endDate
- * @returns {Object}
+ * @returns {{valid: boolean, message: string}}
  */
-export function createMovement({ name, charity, description, startDate, endDate }) {
-    // Validate inputs
+function validateMovement({ name, charity, description, startDate, endDate }) {
     const nameValidation = isValidMovementName(name);
     if (!nameValidation.valid) {
         showToast(nameValidation.message, 'error');
-        return { success: false, movement: null, error: nameValidation.message };
+        return nameValidation;
     }
 
     const descValidation = isValidMovementDescription(description);
     if (!descValidation.valid) {
         showToast(descValidation.message, 'error');
-        return { success: false, movement: null, error: descValidation.message };
+        return descValidation;
     }
 
     const dateValidation = isValidDateRange(startDate, endDate);
     if (!dateValidation.valid) {
         showToast(dateValidation.message, 'error');
-        return { success: false, movement: null, error: dateValidation.message };
+        return dateValidation;
     }
 
     if (!charity) {
         showToast('Please select a charity', 'error');
-        return { success: false, movement: null, error: 'Charity required' };
+        return { valid: false, message: 'Charity required' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Create a new movement
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {string} params.charity
+ * @param {string} params.description
+ * @param {string} params.startDate
+ * @param {string} params.endDate
+ * @returns {Object}
+ */
+export function createMovement({ name, charity, description, startDate, endDate }) {
+    const validation = validateMovement({ name, charity, description, startDate, endDate });
+    if (!validation.valid) {
+        return { success: false, movement: null, error: validation.message };
     }
 
     const data = getData();
@@ -268,6 +261,11 @@ export async function createMovementInSupabase(params) {
         return { success: false, error: 'Supabase not configured' };
     }
 
+    const validation = validateMovement(params);
+    if (!validation.valid) {
+        return { success: false, movement: null, error: validation.message };
+    }
+
     try {
         const { data: { user } } = await supabase.auth.getUser();
         if (!user) throw new Error('Not authenticated');
@@ -296,7 +294,7 @@ export async function createMovementInSupabase(params) {
             });
 
         showToast(`Movement "${params.name}" created!`, 'success');
-        checkAndUnlockBadges();
+        checkAndUnlockBadgesInSupabase();
 
         return { success: true, movement: data, error: null };
     } catch (error) {
@@ -314,6 +312,8 @@ export async function getMovementsFromSupabase() {
     if (!supabase) return [];
 
     try {
+        const { data: { user } } = await supabase.auth.getUser();
+
         const { data: movements, error } = await supabase
             .from('movements')
             .select(`
@@ -323,6 +323,7 @@ export async function getMovementsFromSupabase() {
                     profiles (display_name)
                 ),
                 movement_contributions (
+                    week_key,
                     amount
                 )
             `)
@@ -340,8 +341,12 @@ export async function getMovementsFromSupabase() {
             endDate: m.end_date,
             creator: m.creator_id,
             members: m.movement_members.map(mm => mm.profiles.display_name),
+            isMember: m.movement_members.some(mm => mm.user_id === user?.id),
             totalRaised: m.movement_contributions.reduce((sum, c) => sum + c.amount, 0),
-            weeklyContributions: {},
+            weeklyContributions: m.movement_contributions.reduce((weeks, c) => {
+                weeks[c.week_key] = (weeks[c.week_key] || 0) + c.amount;
+                return weeks;
+            }, {}),
             createdAt: m.created_at
         }));
     } catch (error) {
@@ -350,6 +355,28 @@ export async function getMovementsFromSupabase() {
     }
 }
 
+/**
+ * Add the signed-in user to a movement in Supabase
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string} movementId
+ */
+export async function addMovementMemberInSupabase(movementId) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    // Ignore duplicates so replaying the same join is harmless
+    const { error } = await supabase
+        .from('movement_members')
+        .upsert({
+            movement_id: movementId,
+            user_id: user.id
+        }, { onConflict: 'movement_id,user_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+}
+
 /**
  * Join movement in Supabase
  * @param {string} movementId
@@ -360,24 +387,45 @@ export async function joinMovementInSupabase(movementId) {
         return { success: false, error: 'Supabase not configured' };
     }
 
+    try {
+        await addMovementMemberInSupabase(movementId);
+
+        showToast('Joined movement!', 'success');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error joining movement:', error);
+        showToast(error.message || 'Failed to join movement', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Leave movement in Supabase
+ * @param {string} movementId
+ * @returns {Promise<Object>}
+ */
+export async function leaveMovementInSupabase(movementId) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
     try {
         const { data: { user } } = await supabase.auth.getUser();
         if (!user) throw new Error('Not authenticated');
 
         const { error } = await supabase
             .from('movement_members')
-            .insert({
-                movement_id: movementId,
-                user_id: user.id
-            });
+            .delete()
+            .eq('movement_id', movementId)
+            .eq('user_id', user.id);
 
         if (error) throw error;
 
-        showToast('Joined movement!', 'success');
+        showToast('Left movement', 'info');
         return { success: true, error: null };
     } catch (error) {
-        console.error('Error joining movement:', error);
-        showToast(error.message || 'Failed to join movement', 'error');
+        console.error('Error leaving movement:', error);
+        showToast(error.message || 'Failed to leave movement', 'error');
         return { success: false, error: error.message };
     }
 }
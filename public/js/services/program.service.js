@@ -0,0 +1,412 @@
+/**
+ * Program Service
+ * Workout program library and the active program that decides each day's exercises
+ */
+
+import supabase from '../config/supabase.js';
+import { showToast, getTodayString } from '../utils/helpers.js';
+import { loadData, saveData } from './store.service.js';
+
+export const DEFAULT_PROGRAM_ID = 'balanced';
+
+/*
+ * Each program is a list of weeks; each week is 7 days indexed by Date#getDay() (0 = Sunday).
+ * Exercise fields:
+ *   name, desc, duration (minutes), image (under /images/workouts/)
+ *   muscleGroups - Areas worked
+ *   equipment    - Needed gear, empty when none
+ *   intensity    - 'low' | 'moderate' | 'high'
+ *   impact       - 'low' | 'high' (jumping or running)
+ */
+
+// The original fixed rotation
+const BALANCED_WEEK = [
+    [
+        { name: "Sun Salutation Flow", desc: "Complete 5 rounds of sun salutations. Each round: reach up, fold forward, step back to plank, lower down, upward dog, downward dog, step forward, fold, reach up. Flow smoothly with your breath.", duration: 15, image: "sun-salutation-flow.jpg", muscleGroups: ["full body"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Dynamic Lunges", desc: "12 reps per leg of alternating forward lunges with a twist. As you lunge, rotate your torso toward the front leg. Engage your core and maintain balance throughout.", duration: 10, image: "dynamic-lunges.jpg", muscleGroups: ["legs", "glutes", "core"], equipment: [], intensity: "moderate", impact: "low" },
+        { name: "Arm Circles & Shoulder Rolls", desc: "2 minutes of continuous movement: 20 forward arm circles, 20 backward, 15 shoulder rolls back, 15 forward. Keep movements controlled.", duration: 5, image: "arm-circles-shoulder-rolls.jpg", muscleGroups: ["shoulders"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Morning Stretch Hold", desc: "Hold each for 45 seconds: standing quad stretch both sides, standing hamstring fold, tricep overhead stretch both sides, neck tilts both sides.", duration: 8, image: "morning-stretch-hold.jpg", muscleGroups: ["full body"], equipment: [], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Jumping Jacks Pyramid", desc: "Pyramid style: 10 jumping jacks, 20, 30, 40, 50, then back down: 40, 30, 20, 10. Take 20-second breaks between each set.", duration: 12, image: "jumping-jacks-pyramid.jpg", muscleGroups: ["full body", "cardio"], equipment: [], intensity: "high", impact: "high" },
+        { name: "High Knees Intervals", desc: "6 rounds of 30 seconds high knees at maximum intensity, followed by 30 seconds walking in place. Drive those knees up to hip level.", duration: 6, image: "high-knees-intervals.jpg", muscleGroups: ["legs", "cardio"], equipment: [], intensity: "high", impact: "high" },
+        { name: "Burpee Challenge", desc: "3 sets of 8 burpees. Each burpee: squat, jump back to plank, optional push-up, jump feet forward, explosive jump up. Rest 90 seconds between sets.", duration: 10, image: "burpee-challenge.jpg", muscleGroups: ["full body", "cardio"], equipment: [], intensity: "high", impact: "high" },
+        { name: "Cool Down Walk & Breathe", desc: "5-minute slow walk while practicing deep breathing: 4-count inhale through nose, 4-count hold, 6-count exhale through mouth.", duration: 5, image: "cool-down-walk-breathe.jpg", muscleGroups: ["cardio"], equipment: [], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Plank Variations", desc: "Complete this circuit twice: 45-second standard plank, 30-second right side plank, 30-second left side plank, 45-second plank with hip dips (15 per side). Rest 60 seconds between rounds.", duration: 8, image: "plank-variations.jpg", muscleGroups: ["core", "shoulders"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Bicycle Crunches", desc: "4 sets of 30 reps total (15 per side). Lie on back, hands behind head, bring opposite elbow to opposite knee while extending other leg. Don't pull on neck.", duration: 8, image: "bicycle-crunches.jpg", muscleGroups: ["core"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Dead Bug Exercise", desc: "3 sets of 12 reps per side. Lie on back, arms straight up, knees at 90°. Lower opposite arm and leg toward floor without arching back. Rest 45 seconds between sets.", duration: 10, image: "dead-bug-exercise.jpg", muscleGroups: ["core"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Cat-Cow to Child's Pose", desc: "10 rounds flowing between cat-cow, then rest in child's pose for 5 deep breaths. Finish with gentle spinal twists both sides.", duration: 7, image: "cat-cow-childs-pose.jpg", muscleGroups: ["back", "core"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Bodyweight Squat Pyramid", desc: "Pyramid up then down: 5 squats, 10, 15, 20, 15, 10, 5. Rest 30 seconds between sets. Focus on sitting back, chest up. Total: 80 squats!", duration: 15, image: "bodyweight-squat-pyramid.jpg", muscleGroups: ["legs", "glutes"], equipment: [], intensity: "moderate", impact: "low" },
+        { name: "Reverse Lunges", desc: "4 sets of 12 reps per leg. Step back into lunge, lower back knee almost to floor, drive through front heel to return. Add a knee drive at top. Rest 45 seconds.", duration: 12, image: "reverse-lunges.jpg", muscleGroups: ["legs", "glutes"], equipment: [], intensity: "moderate", impact: "low" },
+        { name: "Single-Leg Glute Bridges", desc: "3 sets of 10 reps per leg. Lie on back, one foot flat, other leg extended. Lift hips high, squeezing glutes at top. Lower with control.", duration: 8, image: "single-leg-glute-bridges.jpg", muscleGroups: ["glutes", "hamstrings"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Wall Sit Hold", desc: "3 rounds of maximum holds: sit against wall with thighs parallel to ground. Hold as long as possible (aim for 45+ seconds). Rest 60 seconds between.", duration: 7, image: "wall-sit-hold.jpg", muscleGroups: ["legs"], equipment: ["wall"], intensity: "moderate", impact: "low" }
+    ],
+    [
+        { name: "Hip Mobility Circuit", desc: "2 rounds of: 10 hip circles each direction per leg, 10 leg swings forward/back per leg, 10 leg swings side-to-side per leg, 8 deep squat holds (5 seconds each).", duration: 12, image: "hip-mobility-circuit.jpg", muscleGroups: ["hips"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Shoulder Mobility Flow", desc: "Complete 2 times: 10 arm circles forward, 10 backward, 8 shoulder pass-throughs, 10 wall slides. Move slowly and feel the stretch.", duration: 8, image: "shoulder-mobility-flow.jpg", muscleGroups: ["shoulders"], equipment: ["wall"], intensity: "low", impact: "low" },
+        { name: "Yoga Flow Sequence", desc: "15-minute flow: downward dog (1 min), warrior 1 both sides (30 sec each), warrior 2 both sides (30 sec each), triangle pose both sides (30 sec each), pigeon pose both sides (1 min each).", duration: 15, image: "yoga-flow-sequence.jpg", muscleGroups: ["full body"], equipment: ["mat"], intensity: "low", impact: "low" },
+        { name: "Deep Stretching Finale", desc: "Hold each 60 seconds: seated forward fold, butterfly stretch, supine twist both sides, figure-4 hip stretch both sides, final resting pose.", duration: 10, image: "deep-stretching-finale.jpg", muscleGroups: ["full body"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Push-up Variations", desc: "Total 50 push-ups: 15 standard (or on knees), 15 wide-grip, 10 diamond, 10 decline (feet elevated). Rest as needed. Modify as needed.", duration: 12, image: "push-up-variations.jpg", muscleGroups: ["chest", "arms", "core"], equipment: [], intensity: "high", impact: "low" },
+        { name: "Tricep Dips Ladder", desc: "Using sturdy chair: 5 dips, rest 20 sec, 8 dips, rest 20 sec, 10 dips, rest 20 sec, 12 dips, rest 20 sec, 15 dips. Keep shoulders down.", duration: 8, image: "tricep-dips-ladder.jpg", muscleGroups: ["arms"], equipment: ["chair"], intensity: "moderate", impact: "low" },
+        { name: "Plank to Down Dog", desc: "4 sets of 10 reps: start in plank, push hips up and back into downward dog, return to plank. Builds shoulder stability. Rest 45 seconds.", duration: 10, image: "plank-to-down-dog.jpg", muscleGroups: ["shoulders", "core"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Arm Circles with Resistance", desc: "Hold light weights or water bottles. 3 sets of: 30-second forward circles, 30-second backward circles, 30-second up-and-down pulses.", duration: 6, image: "arm-circles-resistance.jpg", muscleGroups: ["shoulders", "arms"], equipment: ["light weights"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Gentle Walking Intervals", desc: "20 minutes total: alternate 3 minutes easy pace, 2 minutes brisk pace. Focus on posture, engage core, swing arms naturally.", duration: 20, image: "gentle-walking-intervals.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Foam Rolling Routine", desc: "Spend 2 minutes on each area: calves, hamstrings, IT bands, quads, upper back, glutes. Roll slowly, pause on tender spots.", duration: 12, image: "foam-rolling-routine.jpg", muscleGroups: ["full body"], equipment: ["foam roller"], intensity: "low", impact: "low" },
+        { name: "Yin Yoga Poses", desc: "Hold each pose for 3-5 minutes: dragon pose both sides, butterfly, supine twist both sides, legs up the wall. Deep, restorative stretching.", duration: 15, image: "yin-yoga-poses.jpg", muscleGroups: ["hips", "back"], equipment: ["mat"], intensity: "low", impact: "low" },
+        { name: "Breathing & Meditation", desc: "10 minutes of breathwork: 5 minutes box breathing (4-4-4-4 pattern), 5 minutes of body scan meditation from toes to head.", duration: 10, image: "breathing-meditation.jpg", muscleGroups: ["mind"], equipment: [], intensity: "low", impact: "low" }
+    ]
+];
+
+// Joint-friendly week with no jumping or running
+const LOW_IMPACT_WEEK = [
+    [
+        { name: "Easy Walk", desc: "25 minutes at a comfortable, conversational pace. Swing your arms naturally and keep your shoulders relaxed.", duration: 25, image: "easy-walk.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Seated Hamstring Stretch", desc: "Sit tall on the edge of a chair, extend one leg with the heel down and hinge forward from the hips. Hold 45 seconds per side, twice.", duration: 5, image: "seated-hamstring-stretch.jpg", muscleGroups: ["hamstrings"], equipment: ["chair"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Chair Squats", desc: "3 sets of 10: sit back until you lightly touch the chair, then stand up by driving through your heels. Rest 60 seconds between sets.", duration: 8, image: "chair-squats.jpg", muscleGroups: ["legs", "glutes"], equipment: ["chair"], intensity: "moderate", impact: "low" },
+        { name: "Wall Push-ups", desc: "3 sets of 12 with hands on a wall at shoulder height. Keep a straight line from head to heels and lower slowly.", duration: 6, image: "wall-push-ups.jpg", muscleGroups: ["chest", "arms"], equipment: ["wall"], intensity: "low", impact: "low" },
+        { name: "Standing Marches", desc: "3 rounds of 60 seconds marching in place, lifting knees to a comfortable height. Hold a chair for balance if needed.", duration: 5, image: "standing-marches.jpg", muscleGroups: ["legs", "cardio"], equipment: [], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Glute Bridges", desc: "3 sets of 12. Lie on your back with knees bent, press through your heels to lift your hips, pause for 2 seconds at the top.", duration: 8, image: "glute-bridges.jpg", muscleGroups: ["glutes", "hamstrings"], equipment: ["mat"], intensity: "moderate", impact: "low" },
+        { name: "Bird Dog", desc: "3 sets of 8 per side. From hands and knees, extend the opposite arm and leg, hold 3 seconds, return with control.", duration: 7, image: "bird-dog.jpg", muscleGroups: ["core", "back"], equipment: ["mat"], intensity: "low", impact: "low" },
+        { name: "Side-Lying Leg Lifts", desc: "2 sets of 15 per side. Keep your hips stacked and lift the top leg slowly without rolling back.", duration: 6, image: "side-lying-leg-lifts.jpg", muscleGroups: ["hips", "glutes"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Brisk Walk Intervals", desc: "24 minutes: alternate 4 minutes at an easy pace with 2 minutes brisk. Stay tall and breathe steadily.", duration: 24, image: "brisk-walk-intervals.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "moderate", impact: "low" },
+        { name: "Calf Raises", desc: "3 sets of 15, holding a wall or chair for balance. Rise slowly onto your toes and lower over 3 seconds.", duration: 5, image: "calf-raises.jpg", muscleGroups: ["calves"], equipment: ["chair"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Step-Ups", desc: "3 sets of 10 per leg onto a low, sturdy step. Drive through the front heel and step down with control.", duration: 10, image: "step-ups.jpg", muscleGroups: ["legs", "glutes"], equipment: ["step"], intensity: "moderate", impact: "low" },
+        { name: "Modified Plank", desc: "4 holds of 20-30 seconds on forearms and knees. Keep your back flat and breathe.", duration: 5, image: "modified-plank.jpg", muscleGroups: ["core"], equipment: ["mat"], intensity: "low", impact: "low" },
+        { name: "Band Pull-Aparts", desc: "3 sets of 15. Hold a resistance band at chest height and pull it apart by squeezing your shoulder blades.", duration: 6, image: "band-pull-aparts.jpg", muscleGroups: ["back", "shoulders"], equipment: ["resistance band"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Standing Core Circuit", desc: "2 rounds of: 10 standing side crunches per side, 10 slow torso twists, 30-second standing knee-to-elbow march.", duration: 10, image: "standing-core-circuit.jpg", muscleGroups: ["core"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Seated Arm Sequence", desc: "Holding water bottles: 2 sets of 12 bicep curls, 12 overhead presses and 12 lateral raises.", duration: 8, image: "seated-arm-sequence.jpg", muscleGroups: ["arms", "shoulders"], equipment: ["light weights", "chair"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Gentle Stretch Flow", desc: "Hold each for 45 seconds: standing quad stretch, chest opener against a doorway, seated figure-4, gentle spinal twist. Repeat twice.", duration: 12, image: "gentle-stretch-flow.jpg", muscleGroups: ["full body"], equipment: [], intensity: "low", impact: "low" },
+        { name: "Breathing & Meditation", desc: "10 minutes of breathwork: 5 minutes box breathing (4-4-4-4 pattern), 5 minutes of body scan meditation from toes to head.", duration: 10, image: "breathing-meditation.jpg", muscleGroups: ["mind"], equipment: [], intensity: "low", impact: "low" }
+    ]
+];
+
+// Daily flexibility and joint mobility
+const MOBILITY_WEEK = [
+    [
+        { name: "Yin Yoga Poses", desc: "Hold each pose for 3-5 minutes: dragon pose both sides, butterfly, supine twist both sides, legs up the wall. Deep, restorative stretching.", duration: 15, image: "yin-yoga-poses.jpg", muscleGroups: ["hips", "back"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Hip Mobility Circuit", desc: "2 rounds of: 10 hip circles each direction per leg, 10 leg swings forward/back per leg, 10 leg swings side-to-side per leg, 8 deep squat holds (5 seconds each).", duration: 12, image: "hip-mobility-circuit.jpg", muscleGroups: ["hips"], equipment: [], intensity: "low", impact: "low" },
+        { name: "90/90 Hip Switches", desc: "3 sets of 8 switches. Sit with both knees bent at 90 degrees and rotate your knees side to side without using your hands.", duration: 6, image: "90-90-hip-switches.jpg", muscleGroups: ["hips"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Shoulder Mobility Flow", desc: "Complete 2 times: 10 arm circles forward, 10 backward, 8 shoulder pass-throughs, 10 wall slides. Move slowly and feel the stretch.", duration: 8, image: "shoulder-mobility-flow.jpg", muscleGroups: ["shoulders"], equipment: ["wall"], intensity: "low", impact: "low" },
+        { name: "Thoracic Rotations", desc: "3 sets of 8 per side. From hands and knees, place one hand behind your head and rotate the elbow up toward the ceiling.", duration: 6, image: "thoracic-rotations.jpg", muscleGroups: ["back"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Ankle & Calf Mobility", desc: "2 rounds of: 10 knee-to-wall ankle rocks per side, 30-second calf stretch per side, 15 ankle circles each direction.", duration: 8, image: "ankle-calf-mobility.jpg", muscleGroups: ["calves"], equipment: ["wall"], intensity: "low", impact: "low" },
+        { name: "Cat-Cow to Child's Pose", desc: "10 rounds flowing between cat-cow, then rest in child's pose for 5 deep breaths. Finish with gentle spinal twists both sides.", duration: 7, image: "cat-cow-childs-pose.jpg", muscleGroups: ["back", "core"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Yoga Flow Sequence", desc: "15-minute flow: downward dog (1 min), warrior 1 both sides (30 sec each), warrior 2 both sides (30 sec each), triangle pose both sides (30 sec each), pigeon pose both sides (1 min each).", duration: 15, image: "yoga-flow-sequence.jpg", muscleGroups: ["full body"], equipment: ["mat"], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Foam Rolling Routine", desc: "Spend 2 minutes on each area: calves, hamstrings, IT bands, quads, upper back, glutes. Roll slowly, pause on tender spots.", duration: 12, image: "foam-rolling-routine.jpg", muscleGroups: ["full body"], equipment: ["foam roller"], intensity: "low", impact: "low" },
+        { name: "World's Greatest Stretch", desc: "2 sets of 5 per side: lunge forward, place the same-side elbow toward the instep, rotate that arm to the ceiling, then straighten the front leg.", duration: 6, image: "worlds-greatest-stretch.jpg", muscleGroups: ["hips", "hamstrings", "back"], equipment: [], intensity: "low", impact: "low" }
+    ],
+    [
+        { name: "Deep Stretching Finale", desc: "Hold each 60 seconds: seated forward fold, butterfly stretch, supine twist both sides, figure-4 hip stretch both sides, final resting pose.", duration: 10, image: "deep-stretching-finale.jpg", muscleGroups: ["full body"], equipment: ["mat"], intensity: "low", impact: "low" },
+        { name: "Breathing & Meditation", desc: "10 minutes of breathwork: 5 minutes box breathing (4-4-4-4 pattern), 5 minutes of body scan meditation from toes to head.", duration: 10, image: "breathing-meditation.jpg", muscleGroups: ["mind"], equipment: [], intensity: "low", impact: "low" }
+    ]
+];
+
+/**
+ * Build one week of the 4-week beginner plan
+ * Volume grows each week: more reps, longer holds, longer walks
+ * @param {number} week - 0-based week of the plan
+ * @returns {Array} 7 days of exercises
+ */
+function beginnerWeek(week) {
+    const reps = [8, 10, 12, 15][week];
+    const hold = [15, 20, 30, 40][week];
+    const walk = [15, 20, 25, 30][week];
+
+    return [
+        [
+            { name: "Easy Walk", desc: `${walk} minutes at a comfortable pace. You should be able to hold a conversation the whole time.`, duration: walk, image: "easy-walk.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Chair Squats", desc: `2 sets of ${reps}: sit back until you lightly touch the chair, then stand up by driving through your heels.`, duration: 6, image: "chair-squats.jpg", muscleGroups: ["legs", "glutes"], equipment: ["chair"], intensity: "low", impact: "low" },
+            { name: "Wall Push-ups", desc: `2 sets of ${reps} with hands on a wall at shoulder height. Lower slowly and keep your body in one line.`, duration: 5, image: "wall-push-ups.jpg", muscleGroups: ["chest", "arms"], equipment: ["wall"], intensity: "low", impact: "low" },
+            { name: "Modified Plank", desc: `3 holds of ${hold} seconds on forearms and knees. Rest 30 seconds between holds.`, duration: 4, image: "modified-plank.jpg", muscleGroups: ["core"], equipment: ["mat"], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Gentle Stretch Flow", desc: "Hold each for 30 seconds: standing quad stretch, chest opener against a doorway, seated figure-4, gentle spinal twist. Repeat twice.", duration: 8, image: "gentle-stretch-flow.jpg", muscleGroups: ["full body"], equipment: [], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Glute Bridges", desc: `2 sets of ${reps}. Press through your heels to lift your hips and pause at the top.`, duration: 6, image: "glute-bridges.jpg", muscleGroups: ["glutes", "hamstrings"], equipment: ["mat"], intensity: "low", impact: "low" },
+            { name: "Bird Dog", desc: `2 sets of ${Math.ceil(reps / 2)} per side. Extend the opposite arm and leg and hold for 3 seconds.`, duration: 5, image: "bird-dog.jpg", muscleGroups: ["core", "back"], equipment: ["mat"], intensity: "low", impact: "low" },
+            { name: "Standing Marches", desc: `3 rounds of ${hold * 2} seconds marching in place with a short rest between.`, duration: 4, image: "standing-marches.jpg", muscleGroups: ["legs", "cardio"], equipment: [], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Easy Walk", desc: `${walk} minutes at a comfortable pace. Try a slightly hillier route if you can.`, duration: walk, image: "easy-walk.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Step-Ups", desc: `2 sets of ${reps} per leg onto a low, sturdy step. Hold a wall for balance if needed.`, duration: 7, image: "step-ups.jpg", muscleGroups: ["legs", "glutes"], equipment: ["step"], intensity: "moderate", impact: "low" },
+            { name: "Dead Bug Exercise", desc: `2 sets of ${Math.ceil(reps / 2)} per side. Lower opposite arm and leg toward the floor without arching your back.`, duration: 5, image: "dead-bug-exercise.jpg", muscleGroups: ["core"], equipment: ["mat"], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Breathing & Meditation", desc: "10 minutes of breathwork: 5 minutes box breathing (4-4-4-4 pattern), 5 minutes of body scan meditation from toes to head.", duration: 10, image: "breathing-meditation.jpg", muscleGroups: ["mind"], equipment: [], intensity: "low", impact: "low" }
+        ]
+    ];
+}
+
+/**
+ * Build one week of the 4-week strength plan
+ * Sets climb over the first three weeks, then week 4 deloads
+ * @param {number} week - 0-based week of the plan
+ * @returns {Array} 7 days of exercises
+ */
+function strengthWeek(week) {
+    const sets = [3, 4, 5, 2][week];
+    const reps = [10, 10, 12, 8][week];
+    const rest = week === 3 ? 'This is a lighter recovery week - focus on perfect form.' : 'Rest 60-90 seconds between sets.';
+
+    return [
+        [
+            { name: "Foam Rolling Routine", desc: "Spend 2 minutes on each area: calves, hamstrings, IT bands, quads, upper back, glutes. Roll slowly, pause on tender spots.", duration: 12, image: "foam-rolling-routine.jpg", muscleGroups: ["full body"], equipment: ["foam roller"], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Goblet Squats", desc: `${sets} sets of ${reps} holding a dumbbell at your chest. Sit deep and keep your chest up. ${rest}`, duration: 12, image: "goblet-squats.jpg", muscleGroups: ["legs", "glutes", "core"], equipment: ["dumbbells"], intensity: "high", impact: "low" },
+            { name: "Romanian Deadlifts", desc: `${sets} sets of ${reps}. Hinge at the hips with soft knees, lower the weights along your legs, squeeze your glutes to stand.`, duration: 10, image: "romanian-deadlifts.jpg", muscleGroups: ["hamstrings", "glutes", "back"], equipment: ["dumbbells"], intensity: "high", impact: "low" }
+        ],
+        [
+            { name: "Push-up Variations", desc: `${sets} sets of ${reps} push-ups (on knees if needed). Alternate standard and wide grip each set. ${rest}`, duration: 10, image: "push-up-variations.jpg", muscleGroups: ["chest", "arms", "core"], equipment: [], intensity: "high", impact: "low" },
+            { name: "Bent-Over Rows", desc: `${sets} sets of ${reps}. Hinge forward with a flat back and row the dumbbells to your hips.`, duration: 10, image: "bent-over-rows.jpg", muscleGroups: ["back", "arms"], equipment: ["dumbbells"], intensity: "moderate", impact: "low" }
+        ],
+        [
+            { name: "Gentle Walking Intervals", desc: "20 minutes total: alternate 3 minutes easy pace, 2 minutes brisk pace. Focus on posture, engage core, swing arms naturally.", duration: 20, image: "gentle-walking-intervals.jpg", muscleGroups: ["cardio", "legs"], equipment: [], intensity: "low", impact: "low" }
+        ],
+        [
+            { name: "Reverse Lunges", desc: `${sets} sets of ${reps} per leg holding dumbbells at your sides. ${rest}`, duration: 12, image: "reverse-lunges.jpg", muscleGroups: ["legs", "glutes"], equipment: ["dumbbells"], intensity: "high", impact: "low" },
+            { name: "Single-Leg Glute Bridges", desc: `${sets} sets of ${reps} per leg. Squeeze at the top for 2 seconds.`, duration: 8, image: "single-leg-glute-bridges.jpg", muscleGroups: ["glutes", "hamstrings"], equipment: ["mat"], intensity: "moderate", impact: "low" }
+        ],
+        [
+            { name: "Overhead Press", desc: `${sets} sets of ${reps} standing dumbbell presses. Brace your core and avoid arching your back. ${rest}`, duration: 10, image: "overhead-press.jpg", muscleGroups: ["shoulders", "arms"], equipment: ["dumbbells"], intensity: "moderate", impact: "low" },
+            { name: "Plank Variations", desc: "Complete this circuit twice: 45-second standard plank, 30-second right side plank, 30-second left side plank, 45-second plank with hip dips (15 per side). Rest 60 seconds between rounds.", duration: 8, image: "plank-variations.jpg", muscleGroups: ["core", "shoulders"], equipment: ["mat"], intensity: "moderate", impact: "low" }
+        ],
+        [
+            { name: "Deep Stretching Finale", desc: "Hold each 60 seconds: seated forward fold, butterfly stretch, supine twist both sides, figure-4 hip stretch both sides, final resting pose.", duration: 10, image: "deep-stretching-finale.jpg", muscleGroups: ["full body"], equipment: ["mat"], intensity: "low", impact: "low" }
+        ]
+    ];
+}
+
+// Program library
+export const PROGRAM_DEFINITIONS = [
+    {
+        id: 'balanced',
+        name: 'Balanced Week',
+        icon: '⚖️',
+        description: 'A different focus every day: yoga, cardio, core, legs, mobility, upper body and recovery',
+        level: 'All levels',
+        weeks: [BALANCED_WEEK]
+    },
+    {
+        id: 'beginner',
+        name: 'Beginner Foundations',
+        icon: '🌱',
+        description: '4-week progressive plan that builds from short walks and basic strength moves',
+        level: 'Beginner',
+        weeks: [0, 1, 2, 3].map(beginnerWeek)
+    },
+    {
+        id: 'low_impact',
+        name: 'Low Impact',
+        icon: '🌊',
+        description: 'Joint-friendly strength and walking with no jumping or running',
+        level: 'All levels',
+        weeks: [LOW_IMPACT_WEEK]
+    },
+    {
+        id: 'strength',
+        name: 'Strength Builder',
+        icon: '🏋️',
+        description: '4-week progressive plan with dumbbells: three weeks of building volume, then a recovery week',
+        level: 'Intermediate',
+        weeks: [0, 1, 2, 3].map(strengthWeek)
+    },
+    {
+        id: 'mobility',
+        name: 'Mobility & Flexibility',
+        icon: '🧘',
+        description: 'Daily stretching, yoga and joint mobility to move better and recover faster',
+        level: 'All levels',
+        weeks: [MOBILITY_WEEK]
+    }
+];
+
+// Image files bundled under /images/workouts/
+const WORKOUT_IMAGES = new Set(PROGRAM_DEFINITIONS.flatMap(p => p.weeks.flat(2).map(w => w.image)));
+
+/**
+ * Check if an image names a file bundled with the program library
+ * @param {*} image
+ * @returns {boolean}
+ */
+export function isBundledWorkoutImage(image) {
+    return WORKOUT_IMAGES.has(image);
+}
+
+/**
+ * Get a program by ID
+ * @param {string} programId
+ * @returns {Object} Falls back to the default program for unknown IDs
+ */
+export function getProgramById(programId) {
+    return PROGRAM_DEFINITIONS.find(p => p.id === programId) ||
+        PROGRAM_DEFINITIONS.find(p => p.id === DEFAULT_PROGRAM_ID);
+}
+
+/**
+ * Summarize a program's exercise metadata for the picker
+ * @param {Object} program
+ * @returns {Object} {weeks: number, impact: string, equipment: Array<string>, avgMinutes: number}
+ */
+export function getProgramSummary(program) {
+    const days = program.weeks.flat();
+    const exercises = days.flat();
+    const totalMinutes = exercises.reduce((sum, e) => sum + e.duration, 0);
+
+    return {
+        weeks: program.weeks.length,
+        impact: exercises.some(e => e.impact === 'high') ? 'high' : 'low',
+        equipment: [...new Set(exercises.flatMap(e => e.equipment))],
+        avgMinutes: Math.round(totalMinutes / days.length)
+    };
+}
+
+/**
+ * Get the 0-based week of the plan a date falls in
+ * Multi-week plans repeat once finished; dates before the start use week 1
+ * @param {Object} program
+ * @param {Date} date
+ * @param {string|null} startedOn - ISO date (YYYY-MM-DD) the program was chosen
+ * @returns {number}
+ */
+export function getProgramWeekIndex(program, date, startedOn) {
+    if (!startedOn || program.weeks.length === 1) return 0;
+
+    const [year, month, day] = startedOn.split('-').map(Number);
+    const daysSinceStart = Math.round(
+        (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(year, month - 1, day)) / 86400000
+    );
+
+    if (daysSinceStart < 0) return 0;
+
+    return Math.floor(daysSinceStart / 7) % program.weeks.length;
+}
+
+/**
+ * Get the exercises for a date
+ * @param {Date} date
+ * @param {Object} activeProgram - {id: string, startedOn: string|null}
+ * @returns {Array}
+ */
+export function getWorkoutsForDay(date, activeProgram = { id: DEFAULT_PROGRAM_ID, startedOn: null }) {
+    const program = getProgramById(activeProgram.id);
+    const weekIndex = getProgramWeekIndex(program, date, activeProgram.startedOn);
+    return program.weeks[weekIndex][date.getDay()];
+}
+
+/**
+ * Get the active program
+ * @returns {Object} {id: string, startedOn: string|null}
+ */
+export function getActiveProgram() {
+    const data = loadData();
+    return data.activeProgram || { id: DEFAULT_PROGRAM_ID, startedOn: null };
+}
+
+/**
+ * Check if a program ID exists in the library
+ * @param {string} programId
+ * @returns {boolean}
+ */
+export function isValidProgramId(programId) {
+    return PROGRAM_DEFINITIONS.some(p => p.id === programId);
+}
+
+/**
+ * Switch to a program, starting it today
+ * @param {string} programId
+ * @returns {boolean}
+ */
+export function updateActiveProgram(programId) {
+    if (!isValidProgramId(programId)) {
+        showToast('Please choose a program from the list', 'error');
+        return false;
+    }
+
+    const data = loadData();
+    data.activeProgram = { id: programId, startedOn: getTodayString() };
+    saveData(data);
+
+    showToast(`Switched to ${getProgramById(programId).name}`, 'success');
+    return true;
+}
+
+/**
+ * Get the active program from the user's Supabase profile
+ * @returns {Promise<Object>} {id: string, startedOn: string|null}
+ */
+export async function getActiveProgramFromSupabase() {
+    if (!supabase) return getActiveProgram();
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return getActiveProgram();
+
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('program_id, program_started_on')
+            .eq('id', user.id)
+            .single();
+
+        if (error) throw error;
+
+        return { id: data.program_id, startedOn: data.program_started_on };
+    } catch (error) {
+        console.error('Error fetching active program:', error);
+        return getActiveProgram();
+    }
+}
+
+/**
+ * Write the active program to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string} programId
+ * @param {string} startedOn - ISO date (YYYY-MM-DD)
+ */
+export async function saveActiveProgramToSupabase(programId, startedOn) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ program_id: programId, program_started_on: startedOn })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
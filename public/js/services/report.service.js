@@ -0,0 +1,174 @@
+/**
+ * Report Service
+ * Builds CSV reports of workout and donation history
+ */
+
+import { dateKeyToISO, getWeekDateKeys } from '../utils/helpers.js';
+import { summarizeWorkoutLog } from './workout.service.js';
+import { getProgramById, getWorkoutsForDay } from './program.service.js';
+import { resolveRoutineForDate } from './routine.service.js';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one CSV cell, quoting it when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function toCSVCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<string>} headers
+ * @param {Array<Array>} rows
+ * @returns {string}
+ */
+export function toCSV(headers, rows) {
+    return [headers, ...rows]
+        .map(row => row.map(toCSVCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Check if an ISO date (YYYY-MM-DD) falls in a range
+ * @param {string} isoDate
+ * @param {Object} range - {from: string, to: string}, ISO dates; empty ends are open
+ * @returns {boolean}
+ */
+function isInRange(isoDate, { from = '', to = '' } = {}) {
+    return (!from || isoDate >= from) && (!to || isoDate <= to);
+}
+
+/**
+ * Get the first and last ISO dates of a week
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @returns {Object} {start: string, end: string}
+ */
+function getWeekBounds(weekKey) {
+    return { start: weekKey, end: dateKeyToISO(getWeekDateKeys(weekKey)[6]) };
+}
+
+/**
+ * Rows of completed days
+ * A routine replaces the program on its days, like on the calendar
+ * @param {Object} params
+ * @param {Object} params.completedDays - Map of date keys (YYYY-M-D) to true
+ * @param {Object} params.logs - Map of date keys to per-exercise logs
+ * @param {Object} params.sessions - Map of date keys to stopwatch time
+ * @param {Array} params.routines
+ * @param {Object} params.activeProgram - {id: string, startedOn: string|null}
+ * @param {Object} params.range - {from: string, to: string}
+ * @returns {Object} {headers: Array<string>, rows: Array<Array>}
+ */
+export function buildCompletionRows({ completedDays, logs = {}, sessions = {}, routines = [], activeProgram, range }) {
+    const program = getProgramById(activeProgram.id);
+
+    const rows = Object.keys(completedDays)
+        .filter(dateKey => completedDays[dateKey])
+        .map(dateKey => ({ dateKey, isoDate: dateKeyToISO(dateKey) }))
+        .filter(({ isoDate }) => isInRange(isoDate, range))
+        .sort((a, b) => a.isoDate.localeCompare(b.isoDate))
+        .map(({ dateKey, isoDate }) => {
+            const [year, month, day] = isoDate.split('-').map(Number);
+            const date = new Date(year, month - 1, day);
+            const routine = resolveRoutineForDate(routines, date);
+            const log = logs[dateKey];
+            const session = sessions[dateKey];
+
+            const exercises = log
+                ? log.exercises.filter(e => e.done)
+                : (routine ? routine.exercises : getWorkoutsForDay(date, activeProgram));
+
+            let minutes = '';
+            if (session?.seconds > 0) {
+                minutes = Math.round(session.seconds / 60);
+            } else if (log) {
+                minutes = summarizeWorkoutLog(log).minutes || '';
+            }
+
+            return [
+                isoDate,
+                routine ? routine.name : program.name,
+                exercises.map(e => e.name).join('; '),
+                minutes
+            ];
+        });
+
+    return { headers: ['Date', 'Program', 'Exercises', 'Duration (min)'], rows };
+}
+
+/**
+ * Rows of weekly rewards
+ * A week belongs to the range its last day is in, like monthly totals
+ * @param {Object} params
+ * @param {Object} params.weeklyRewards - Map of week keys to amounts
+ * @param {Array} params.movements - Movements the rewards went to
+ * @param {Object} params.range - {from: string, to: string}
+ * @returns {Object} {headers: Array<string>, rows: Array<Array>}
+ */
+export function buildRewardRows({ weeklyRewards, movements = [], range }) {
+    const rows = Object.keys(weeklyRewards)
+        .map(getWeekBounds)
+        .filter(({ end }) => isInRange(end, range))
+        .sort((a, b) => a.start.localeCompare(b.start))
+        .map(({ start, end }) => {
+            const charities = movements
+                .filter(m => m.isMember !== false && m.weeklyContributions?.[start] > 0)
+                .map(m => m.charity);
+
+            return [start, end, weeklyRewards[start], [...new Set(charities)].join('; ')];
+        });
+
+    return { headers: ['Week Start', 'Week End', 'Reward ($)', 'Charity'], rows };
+}
+
+/**
+ * Rows of contributions to movements, one per movement and week
+ * @param {Object} params
+ * @param {Array} params.movements
+ * @param {Object} params.range - {from: string, to: string}
+ * @returns {Object} {headers: Array<string>, rows: Array<Array>}
+ */
+export function buildContributionRows({ movements, range }) {
+    const rows = movements
+        .flatMap(movement => Object.keys(movement.weeklyContributions || {})
+            .filter(weekKey => movement.weeklyContributions[weekKey] > 0)
+            .map(weekKey => ({ movement, ...getWeekBounds(weekKey) })))
+        .filter(({ end }) => isInRange(end, range))
+        .sort((a, b) => a.start.localeCompare(b.start) || a.movement.name.localeCompare(b.movement.name))
+        .map(({ movement, start, end }) => [
+            movement.name,
+            movement.charity,
+            start,
+            end,
+            movement.weeklyContributions[start]
+        ]);
+
+    return { headers: ['Movement', 'Charity', 'Week Start', 'Week End', 'Amount ($)'], rows };
+}
+
+/**
+ * File name for a report download
+ * @param {string} report - 'completions', 'rewards' or 'contributions'
+ * @param {Object} range - {from: string, to: string}
+ * @returns {string}
+ */
+export function getReportFileName(report, { from = '', to = '' } = {}) {
+    let span = '';
+    if (from && to) {
+        span = `-${from}_to_${to}`;
+    } else if (from || to) {
+        span = from ? `-from_${from}` : `-to_${to}`;
+    }
+    return `walktogive-${report}${span}.csv`;
+}
@@ -0,0 +1,453 @@
+/**
+ * Routine Service
+ * Custom workout routines scheduled on a weekday or a specific date, with
+ * localStorage and Supabase integration (sharing and following are cloud only)
+ */
+
+import supabase from '../config/supabase.js';
+import { showToast, generateId } from '../utils/helpers.js';
+import { formatInputDate, formatLongDate } from '../utils/formatters.js';
+import { isValidRoutineName, isValidExercise } from '../utils/validation.js';
+import { loadData as getData, saveData } from './store.service.js';
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Check if two schedules land on the same day
+ * @param {Object} a - {type, weekday, date}
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSlot(a, b) {
+    if (a.type !== b.type) return false;
+    return a.type === 'weekday' ? a.weekday === b.weekday : a.date === b.date;
+}
+
+/**
+ * Describe when a routine runs
+ * @param {Object} schedule - {type, weekday, date}
+ * @returns {string} e.g. "every Monday" or "on October 20, 2026"
+ */
+export function describeSchedule(schedule) {
+    if (schedule.type === 'weekday') {
+        return `every ${WEEKDAY_NAMES[schedule.weekday]}`;
+    }
+
+    const [year, month, day] = schedule.date.split('-').map(Number);
+    return `on ${formatLongDate(new Date(year, month - 1, day))}`;
+}
+
+/**
+ * Normalize an exercise's fields, coercing numbers so a stored string can't pass as one
+ * @param {Object} exercise - {id, name, desc, duration, sets, reps, image}
+ * @returns {Object}
+ */
+function normalizeExercise(exercise) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const count = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+    return {
+        id: typeof exercise.id === 'string' && exercise.id ? exercise.id : generateId(8),
+        name: text(exercise.name),
+        desc: text(exercise.desc),
+        duration: Number(exercise.duration),
+        sets: count(exercise.sets),
+        reps: count(exercise.reps),
+        image: text(exercise.image)
+    };
+}
+
+/**
+ * Normalize builder input into a routine's fields
+ * @param {Object} params - {name, schedule, exercises}
+ * @returns {Object}
+ */
+function normalizeRoutine({ name, schedule, exercises }) {
+    return {
+        name: (name || '').trim(),
+        schedule: {
+            type: schedule.type,
+            weekday: schedule.type === 'weekday' ? schedule.weekday : null,
+            date: schedule.type === 'date' ? schedule.date : null
+        },
+        exercises: exercises.map(normalizeExercise)
+    };
+}
+
+/**
+ * Read the exercises stored with a routine
+ * Shared routines are written by other users, so they get the same checks as the
+ * builder; exercises that fail them are left out rather than shown
+ * @param {*} exercises - Stored value, expected to be an array
+ * @returns {Array}
+ */
+function exercisesFromRow(exercises) {
+    if (!Array.isArray(exercises)) return [];
+
+    return exercises
+        .filter(exercise => exercise !== null && typeof exercise === 'object')
+        .map(normalizeExercise)
+        .filter(exercise => isValidExercise(exercise).valid);
+}
+
+/**
+ * Validate routine fields, showing a toast for the first problem
+ * @param {Object} routine - Normalized routine
+ * @param {Array} ownRoutines - The user's other routines, to catch double-booked days
+ * @returns {{valid: boolean, message: string}}
+ */
+function validateRoutine(routine, ownRoutines) {
+    const fail = message => {
+        showToast(message, 'error');
+        return { valid: false, message };
+    };
+
+    const nameValidation = isValidRoutineName(routine.name);
+    if (!nameValidation.valid) return fail(nameValidation.message);
+
+    const { type, weekday, date } = routine.schedule;
+    if (type === 'weekday' && !(Number.isInteger(weekday) && weekday >= 0 && weekday <= 6)) {
+        return fail('Please choose a day of the week');
+    }
+    if (type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return fail('Please choose a date');
+    }
+    if (type !== 'weekday' && type !== 'date') {
+        return fail('Please choose when this routine runs');
+    }
+
+    if (routine.exercises.length === 0) {
+        return fail('Add at least one exercise');
+    }
+
+    for (const exercise of routine.exercises) {
+        const exerciseValidation = isValidExercise(exercise);
+        if (!exerciseValidation.valid) return fail(exerciseValidation.message);
+    }
+
+    const clash = ownRoutines.find(r => r.id !== routine.id && isSameSlot(r.schedule, routine.schedule));
+    if (clash) {
+        return fail(`"${clash.name}" already runs ${describeSchedule(clash.schedule)}`);
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Pick the routine that replaces the program on a date
+ * A date-specific routine beats a weekly one, and your own beat ones you follow
+ * @param {Array} routines - Own and shared routines
+ * @param {Date} date
+ * @returns {Object|null}
+ */
+export function resolveRoutineForDate(routines, date) {
+    const isoDate = formatInputDate(date);
+    const weekday = date.getDay();
+
+    const own = routines.filter(r => r.isOwner);
+    const followed = routines.filter(r => !r.isOwner && r.isFollowing);
+
+    const matchesDate = r => r.schedule.type === 'date' && r.schedule.date === isoDate;
+    const matchesWeekday = r => r.schedule.type === 'weekday' && r.schedule.weekday === weekday;
+
+    return own.find(matchesDate) ||
+        followed.find(matchesDate) ||
+        own.find(matchesWeekday) ||
+        followed.find(matchesWeekday) ||
+        null;
+}
+
+/**
+ * Get all custom routines
+ * @returns {Array}
+ */
+export function getRoutines() {
+    const data = getData();
+    return (data.routines || []).map(routine => ({
+        ...routine,
+        isOwner: true,
+        isFollowing: false,
+        ownerName: 'You',
+        sharedWith: { friendIds: [], movementIds: [] },
+        followers: 0
+    }));
+}
+
+/**
+ * Create or update a routine
+ * @param {Object} params - {id?, name, schedule: {type, weekday, date}, exercises}
+ * @returns {Object} {success: boolean, routine: Object|null, error: string|null}
+ */
+export function saveRoutine(params) {
+    const data = getData();
+    if (!data.routines) {
+        data.routines = [];
+    }
+
+    const routine = { id: params.id || null, ...normalizeRoutine(params) };
+
+    const validation = validateRoutine(routine, data.routines);
+    if (!validation.valid) {
+        return { success: false, routine: null, error: validation.message };
+    }
+
+    const now = new Date().toISOString();
+    const index = data.routines.findIndex(r => r.id === routine.id);
+
+    if (index === -1) {
+        routine.id = generateId();
+        routine.createdAt = now;
+        routine.updatedAt = now;
+        data.routines.push(routine);
+    } else {
+        routine.createdAt = data.routines[index].createdAt;
+        routine.updatedAt = now;
+        data.routines[index] = routine;
+    }
+
+    saveData(data);
+
+    showToast(`Routine "${routine.name}" saved!`, 'success');
+    return { success: true, routine, error: null };
+}
+
+/**
+ * Delete a routine
+ * @param {string} routineId
+ * @returns {boolean}
+ */
+export function deleteRoutine(routineId) {
+    const data = getData();
+    const routine = (data.routines || []).find(r => r.id === routineId);
+
+    if (!routine) {
+        showToast('Routine not found', 'error');
+        return false;
+    }
+
+    data.routines = data.routines.filter(r => r.id !== routineId);
+    saveData(data);
+
+    showToast(`Deleted "${routine.name}"`, 'info');
+    return true;
+}
+
+/**
+ * Convert a Supabase row into a routine
+ * @param {Object} row
+ * @param {string} userId
+ * @returns {Object}
+ */
+function routineFromRow(row, userId) {
+    const shares = row.routine_shares || [];
+    const follows = row.routine_follows || [];
+
+    return {
+        id: row.id,
+        name: row.name,
+        schedule: {
+            type: row.schedule_type,
+            weekday: row.weekday,
+            date: row.date
+        },
+        exercises: exercisesFromRow(row.exercises),
+        isOwner: row.user_id === userId,
+        isFollowing: follows.some(f => f.user_id === userId),
+        ownerName: row.user_id === userId ? 'You' : (row.profiles?.display_name || 'A friend'),
+        sharedWith: {
+            friendIds: shares.filter(s => s.friend_id).map(s => s.friend_id),
+            movementIds: shares.filter(s => s.movement_id).map(s => s.movement_id)
+        },
+        followers: row.user_id === userId ? follows.length : 0,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Get the user's routines plus routines shared with them
+ * @returns {Promise<Array>}
+ */
+export async function getRoutinesFromSupabase() {
+    if (!supabase) return [];
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return [];
+
+        // Row level security limits this to own routines and ones shared with the user
+        const { data, error } = await supabase
+            .from('routines')
+            .select(`
+                *,
+                profiles (display_name),
+                routine_shares (friend_id, movement_id),
+                routine_follows (user_id)
+            `)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+
+        return data.map(row => routineFromRow(row, user.id));
+    } catch (error) {
+        console.error('Error fetching routines:', error);
+        return [];
+    }
+}
+
+/**
+ * Create or update a routine in Supabase
+ * @param {Object} params - {id?, name, schedule: {type, weekday, date}, exercises}
+ * @returns {Promise<Object>} {success: boolean, routine: Object|null, error: string|null}
+ */
+export async function saveRoutineInSupabase(params) {
+    if (!supabase) {
+        return { success: false, routine: null, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const routine = { id: params.id || null, ...normalizeRoutine(params) };
+        const ownRoutines = (await getRoutinesFromSupabase()).filter(r => r.isOwner);
+
+        const validation = validateRoutine(routine, ownRoutines);
+        if (!validation.valid) {
+            return { success: false, routine: null, error: validation.message };
+        }
+
+        const row = {
+            name: routine.name,
+            schedule_type: routine.schedule.type,
+            weekday: routine.schedule.weekday,
+            date: routine.schedule.date,
+            exercises: routine.exercises
+        };
+
+        const query = routine.id
+            ? supabase.from('routines').update(row).eq('id', routine.id).eq('user_id', user.id)
+            : supabase.from('routines').insert({ ...row, user_id: user.id });
+
+        const { data, error } = await query.select().single();
+
+        if (error) throw error;
+
+        showToast(`Routine "${routine.name}" saved!`, 'success');
+        return { success: true, routine: routineFromRow(data, user.id), error: null };
+    } catch (error) {
+        console.error('Error saving routine:', error);
+        showToast(error.message || 'Failed to save routine', 'error');
+        return { success: false, routine: null, error: error.message };
+    }
+}
+
+/**
+ * Delete a routine in Supabase
+ * @param {string} routineId
+ * @returns {Promise<Object>}
+ */
+export async function deleteRoutineInSupabase(routineId) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = await supabase
+            .from('routines')
+            .delete()
+            .eq('id', routineId)
+            .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        showToast('Routine deleted', 'info');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error deleting routine:', error);
+        showToast(error.message || 'Failed to delete routine', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Replace who a routine is shared with
+ * @param {string} routineId
+ * @param {Object} sharedWith
+ * @param {Array<string>} sharedWith.friendIds
+ * @param {Array<string>} sharedWith.movementIds
+ * @returns {Promise<Object>}
+ */
+export async function shareRoutineInSupabase(routineId, { friendIds, movementIds }) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error: deleteError } = await supabase
+            .from('routine_shares')
+            .delete()
+            .eq('routine_id', routineId);
+
+        if (deleteError) throw deleteError;
+
+        const shares = [
+            ...friendIds.map(friendId => ({ routine_id: routineId, friend_id: friendId })),
+            ...movementIds.map(movementId => ({ routine_id: routineId, movement_id: movementId }))
+        ];
+
+        if (shares.length > 0) {
+            const { error } = await supabase.from('routine_shares').insert(shares);
+            if (error) throw error;
+        }
+
+        showToast(shares.length > 0 ? 'Routine shared!' : 'Routine is now private', 'success');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error sharing routine:', error);
+        showToast(error.message || 'Failed to share routine', 'error');
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Follow or unfollow a routine someone shared
+ * @param {string} routineId
+ * @param {boolean} following
+ * @returns {Promise<Object>}
+ */
+export async function setRoutineFollowInSupabase(routineId, following) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not configured' };
+    }
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const { error } = following
+            ? await supabase
+                .from('routine_follows')
+                .upsert({ routine_id: routineId, user_id: user.id }, { onConflict: 'routine_id,user_id', ignoreDuplicates: true })
+            : await supabase
+                .from('routine_follows')
+                .delete()
+                .eq('routine_id', routineId)
+                .eq('user_id', user.id);
+
+        if (error) throw error;
+
+        showToast(following ? 'Routine added to your calendar!' : 'Stopped following routine', following ? 'success' : 'info');
+        return { success: true, error: null };
+    } catch (error) {
+        console.error('Error updating routine follow:', error);
+        showToast(error.message || 'Failed to update routine', 'error');
+        return { success: false, error: error.message };
+    }
+}
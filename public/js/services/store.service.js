@@ -0,0 +1,771 @@
+/**
+ * Store Service
+ * The single store for local data: defaults, a version number, ordered
+ * migrations with a backup of the pre-migration blob, and recovery when the
+ * stored JSON is corrupt
+ *
+ * Data is kept in IndexedDB and read from an in-memory copy, so reads never
+ * parse and writes don't block. Browsers without IndexedDB fall back to the
+ * walktogive_data localStorage key. Components subscribe() to changes instead
+ * of re-rendering each other
+ *
+ * Tabs share the stored copy. A save merges this tab's changes into whatever
+ * another tab stored since this tab read, and each change is announced so other
+ * tabs reload their copy and redraw
+ */
+
+import { showToast, legacyWeekKeyToWeekKey } from '../utils/helpers.js';
+import { legacyRewardsToLedger } from './ledger.service.js';
+
+const STORAGE_KEY = 'walktogive_data';
+
+// IndexedDB database with one key-value object store, holding the same keys
+const DB_NAME = 'walktogive';
+const DB_VERSION = 1;
+const DB_STORE = 'store';
+
+// Raw blob from before the last migration, as {version, savedAt, raw}
+const BACKUP_KEY = 'walktogive_data_backup';
+
+// Unreadable blob set aside by recovery, as {savedAt, raw}
+const CORRUPT_KEY = 'walktogive_data_corrupt';
+
+// Change announcements to other tabs: a BroadcastChannel, or storage events on
+// this key where BroadcastChannel is missing
+const CHANNEL_NAME = 'walktogive';
+const CHANGE_KEY = 'walktogive_data_changed';
+
+// What counts as a completed day: every exercise, at least `value` exercises,
+// at least `value` exercise minutes, or at least `value` minutes on the stopwatch
+export const DEFAULT_COMPLETION_RULE = { type: 'all', value: null };
+
+// Which days can be completed: a day can be backfilled until `graceHours` after
+// it ends, never ahead of time, optionally only with `minTimerMinutes` on the stopwatch
+export const DEFAULT_COMPLETION_POLICY = { graceHours: 48, minTimerMinutes: 0 };
+
+// How a week's reward is worked out: a random draw from the reward range, a fixed
+// `amount` per week, or `amount` per completed day. Goal weeks get `streakBonus`
+// percent more for every week of the streak before them (up to MAX_STREAK_MULTIPLIER
+// in workout.service), and weeks ending in the same month pay at most `monthlyCap`
+export const DEFAULT_REWARD_STRATEGY = { type: 'random', amount: null, streakBonus: 0, monthlyCap: null };
+
+/**
+ * Create the default local data
+ * Every field any service reads from walktogive_data is listed here
+ * @returns {Object}
+ */
+export function createDefaultData() {
+    return {
+        version: SCHEMA_VERSION,
+        completedDays: {},
+        workoutLogs: {},
+        workoutSessions: {},
+        weeklyRewards: {},
+        rewardLedger: [],
+        partialWeeks: {},
+        minReward: 1,
+        maxReward: 5,
+        rewardStrategy: DEFAULT_REWARD_STRATEGY,
+        weekStart: 0,
+        weeklyGoal: 7,
+        proportionalPayouts: false,
+        proportionalPayoutsSince: null,
+        completionRule: DEFAULT_COMPLETION_RULE,
+        completionPolicy: DEFAULT_COMPLETION_POLICY,
+        activeProgram: null,
+        routines: [],
+        unlockedBadges: [],
+        freezePurchases: [],
+        frozenWeeks: {},
+        vacations: [],
+        donations: [],
+        friends: [],
+        cheers: {},
+        inviteCode: null,
+        movements: [],
+        profiles: {},
+        linkedAccount: null
+    };
+}
+
+/**
+ * Turn a calendar date key into the YYYY-M-D form
+ * Accepts zero-padded keys (YYYY-MM-DD) written by older builds
+ * @param {string} key
+ * @returns {string|null} Null if the key isn't a date
+ */
+function normalizeDateKey(key) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(key);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Re-key a day map to YYYY-M-D keys, dropping keys that aren't dates
+ * @param {Object} map
+ * @param {Function} keep - (value) => boolean
+ * @returns {Object}
+ */
+function normalizeDayMap(map, keep = () => true) {
+    return Object.entries(map || {}).reduce((result, [key, value]) => {
+        const dateKey = normalizeDateKey(key);
+        if (dateKey && keep(value) && !(dateKey in result)) {
+            result[dateKey] = value;
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * Ordered migrations; migration N takes version N - 1 data to version N
+ * Each one gets a copy and returns the upgraded data. Never edit a released
+ * migration: add a new one instead
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Fill in fields older builds never saved',
+        migrate: data => ({ ...createDefaultData(), ...data })
+    },
+    {
+        version: 2,
+        description: 'Re-key month-bounded reward weeks (YYYY-M-weekN) to calendar weeks',
+        migrate: data => {
+            const rekey = map => Object.entries(map || {}).reduce((result, [key, amount]) => {
+                const target = legacyWeekKeyToWeekKey(key) || key;
+                if (!(target in result)) {
+                    result[target] = amount;
+                }
+                return result;
+            }, {});
+
+            return {
+                ...data,
+                weeklyRewards: rekey(data.weeklyRewards),
+                partialWeeks: rekey(data.partialWeeks),
+                rewardLedger: data.rewardLedger.map(event => ({
+                    ...event,
+                    weekKey: legacyWeekKeyToWeekKey(event.weekKey) || event.weekKey
+                })),
+                movements: data.movements.map(movement => ({
+                    ...movement,
+                    weeklyContributions: rekey(movement.weeklyContributions)
+                }))
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Normalize day keys to YYYY-M-D and drop un-completed days',
+        migrate: data => ({
+            ...data,
+            completedDays: normalizeDayMap(data.completedDays, Boolean),
+            workoutLogs: normalizeDayMap(data.workoutLogs),
+            workoutSessions: normalizeDayMap(data.workoutSessions)
+        })
+    },
+    {
+        version: 4,
+        description: 'Record rewards saved before the ledger as ledger events',
+        migrate: data => ({
+            ...data,
+            rewardLedger: data.rewardLedger.length > 0
+                ? data.rewardLedger
+                : legacyRewardsToLedger(data.weeklyRewards, data.partialWeeks)
+        })
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring data up to the current schema version
+ * @param {Object} data
+ * @returns {Object} Upgraded copy
+ */
+export function migrateData(data) {
+    const from = Number.isInteger(data.version) ? data.version : 0;
+
+    const migrated = MIGRATIONS
+        .filter(migration => migration.version > from)
+        .reduce((result, migration) => ({ ...migration.migrate(result), version: migration.version }), JSON.parse(JSON.stringify(data)));
+
+    // Data saved by a newer build keeps its version; fields it added are left alone
+    return { ...createDefaultData(), ...migrated, version: Math.max(from, SCHEMA_VERSION) };
+}
+
+// Open IndexedDB connection, or null while data lives in localStorage
+let db = null;
+
+// Current data at the schema version, or null until first read
+let cache = null;
+
+// The cached data each loadData() copy was made from, to merge saves against
+const loadedFrom = new WeakMap();
+
+// Bumped by every IndexedDB save, so a reload never overwrites a newer save
+let writeCount = 0;
+
+let channel = null;
+let listeners = [];
+let pendingSources = null;
+
+/**
+ * Check that a stored value can be local data
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDataObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Bring stored data up to the current schema in memory
+ * @param {Object} value
+ * @returns {Object}
+ */
+function toCurrentSchema(value) {
+    return value.version === SCHEMA_VERSION ? { ...createDefaultData(), ...value } : migrateData(value);
+}
+
+/**
+ * Compare two JSON values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Identify a list item across copies: by id for objects, by value otherwise
+ * @param {*} item
+ * @returns {string|null} Null if the item can't be identified
+ */
+function getItemKey(item) {
+    if (item !== null && typeof item === 'object') {
+        return item.id === undefined ? null : `id:${item.id}`;
+    }
+    return `${typeof item}:${item}`;
+}
+
+/**
+ * Merge two edited copies of a list, keeping items added on either side
+ * and dropping items removed on either side
+ * @param {Array} base
+ * @param {Array} mine
+ * @param {Array} theirs
+ * @returns {Array|null} Null if the items can't be identified
+ */
+function mergeLists(base, mine, theirs) {
+    const lists = [base, mine, theirs];
+    if (lists.some(list => list.some(item => getItemKey(item) === null))) return null;
+
+    const [baseItems, myItems, theirItems] = lists.map(list => new Map(list.map(item => [getItemKey(item), item])));
+    const merged = [];
+
+    theirs.forEach(item => {
+        const key = getItemKey(item);
+        if (myItems.has(key)) {
+            merged.push(mergeValues(baseItems.get(key), myItems.get(key), item));
+        } else if (!baseItems.has(key)) {
+            merged.push(item);
+        }
+    });
+
+    mine.forEach(item => {
+        const key = getItemKey(item);
+        if (!theirItems.has(key) && !baseItems.has(key)) {
+            merged.push(item);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Three-way merge of data edited in two places since a common copy
+ * Fields only one side changed take that side's value; where both changed
+ * the same field, maps and lists are merged entry by entry and `mine` wins the rest
+ * @param {*} base - The copy both sides started from
+ * @param {*} mine - This tab's edit
+ * @param {*} theirs - What is stored now
+ * @returns {*}
+ */
+function mergeValues(base, mine, theirs) {
+    if (isEqual(mine, base)) return theirs;
+    if (isEqual(theirs, base) || isEqual(mine, theirs)) return mine;
+
+    if (isDataObject(mine) && isDataObject(theirs)) {
+        const baseObject = isDataObject(base) ? base : {};
+        const keys = new Set([...Object.keys(baseObject), ...Object.keys(mine), ...Object.keys(theirs)]);
+
+        return [...keys].reduce((merged, key) => {
+            const value = mergeValues(baseObject[key], mine[key], theirs[key]);
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+            return merged;
+        }, {});
+    }
+
+    if (Array.isArray(mine) && Array.isArray(theirs)) {
+        return mergeLists(Array.isArray(base) ? base : [], mine, theirs) || mine;
+    }
+
+    return mine;
+}
+
+/**
+ * Read and parse a localStorage key
+ * @param {string} key
+ * @returns {{raw: string|null, value: *, corrupt: boolean}}
+ */
+function readKey(key) {
+    let raw = null;
+
+    try {
+        raw = localStorage.getItem(key);
+        const value = raw ? JSON.parse(raw) : null;
+        const corrupt = value !== null && !isDataObject(value);
+        return { raw, value: corrupt ? null : value, corrupt };
+    } catch (e) {
+        return { raw, value: null, corrupt: raw !== null };
+    }
+}
+
+/**
+ * Write a value to a localStorage key
+ * @param {string} key
+ * @param {*} value
+ * @returns {boolean}
+ */
+function writeKey(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.error('Error writing to localStorage:', e);
+        return false;
+    }
+}
+
+/**
+ * Open the IndexedDB database
+ * @returns {Promise<IDBDatabase|null>} Null if IndexedDB is missing or blocked
+ */
+function openDatabase() {
+    return new Promise(resolve => {
+        try {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Error opening IndexedDB:', request.error);
+                resolve(null);
+            };
+        } catch (e) {
+            // Missing entirely, or disabled (e.g. some private browsing modes)
+            resolve(null);
+        }
+    });
+}
+
+/**
+ * Run one IndexedDB transaction on the object store
+ * Everything `run` does commits or fails together
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - (objectStore) => IDBRequest|void
+ * @returns {Promise<*>} Result of the request `run` returned, once committed
+ */
+function runTransaction(mode, run) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(DB_STORE, mode);
+        const request = run(transaction.objectStore(DB_STORE));
+
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Write keys to IndexedDB in one transaction without waiting for it
+ * @param {Object} entries - Map of keys to values
+ */
+function writeEntries(entries) {
+    writeCount++;
+    runTransaction('readwrite', store => {
+        Object.entries(entries).forEach(([key, value]) => store.put(value, key));
+    }).catch(error => {
+        console.error('Error writing to IndexedDB:', error);
+        showToast('Your latest changes couldn\'t be saved on this device', 'error');
+    });
+}
+
+/**
+ * Build a backup entry for data about to be rewritten
+ * @param {string} raw - Data as JSON
+ * @param {number} version
+ * @returns {Object} {version, savedAt, raw}
+ */
+function createBackup(raw, version) {
+    return { version, savedAt: new Date().toISOString(), raw };
+}
+
+/**
+ * Get local data at the current schema version
+ * Returns a copy: change it and pass it to saveData()
+ * @returns {Object}
+ */
+export function loadData() {
+    if (!cache) {
+        cache = readLocalStorageData();
+    }
+
+    const copy = structuredClone(cache);
+    loadedFrom.set(copy, cache);
+    return copy;
+}
+
+/**
+ * Read local data from localStorage, recovering a corrupt blob first
+ * @returns {Object}
+ */
+function readLocalStorageData() {
+    let { value, corrupt } = readKey(STORAGE_KEY);
+
+    if (corrupt) {
+        recoverCorruptData();
+        ({ value } = readKey(STORAGE_KEY));
+    }
+
+    return value ? toCurrentSchema(value) : createDefaultData();
+}
+
+/**
+ * Save local data, stamped with the schema version, and notify subscribers
+ * Data from loadData() is merged into what is stored now, so saves made
+ * meanwhile (by another tab, or after an await) aren't overwritten.
+ * The in-memory copy updates at once; IndexedDB is written in the background.
+ * On localStorage, a blob that failed to parse is set aside before it is overwritten
+ * @param {Object} data
+ * @returns {boolean}
+ */
+export function saveData(data) {
+    const base = loadedFrom.get(data);
+    const next = { ...structuredClone(data), version: Math.max(data.version || 0, SCHEMA_VERSION) };
+    const mergeWith = stored => (base && isDataObject(stored) ? mergeValues(base, next, toCurrentSchema(stored)) : next);
+
+    if (db) {
+        cache = mergeWith(cache);
+        saveToIndexedDB(mergeWith);
+    } else {
+        if (readKey(STORAGE_KEY).corrupt) {
+            recoverCorruptData();
+        }
+
+        const merged = mergeWith(readKey(STORAGE_KEY).value);
+        if (!writeKey(STORAGE_KEY, merged)) return false;
+        cache = merged;
+    }
+
+    notifyChange('local');
+    return true;
+}
+
+/**
+ * Merge a save into the stored data in one IndexedDB transaction
+ * Transactions run one at a time across tabs, so no save is lost
+ * @param {Function} mergeWith - (stored) => data to store
+ */
+function saveToIndexedDB(mergeWith) {
+    const write = ++writeCount;
+    let merged = null;
+
+    runTransaction('readwrite', store => {
+        const request = store.get(STORAGE_KEY);
+        request.onsuccess = () => {
+            merged = mergeWith(request.result);
+            store.put(merged, STORAGE_KEY);
+        };
+    }).then(() => {
+        // The stored copy also has other tabs' changes; a later save will include this one
+        if (write === writeCount) {
+            cache = merged;
+        }
+    }).catch(error => {
+        console.error('Error writing to IndexedDB:', error);
+        showToast('Your latest changes couldn\'t be saved on this device', 'error');
+    });
+}
+
+/**
+ * Get the pre-migration backup
+ * @returns {Promise<Object|null>} {version, savedAt, raw}
+ */
+export async function getDataBackup() {
+    if (db) {
+        return (await runTransaction('readonly', store => store.get(BACKUP_KEY))) || null;
+    }
+    return readKey(BACKUP_KEY).value;
+}
+
+/**
+ * Set aside an unreadable localStorage blob and restore from the backup, or start fresh
+ * @returns {Object} {restored: boolean} - True if the backup was usable
+ */
+function recoverCorruptData() {
+    const { raw } = readKey(STORAGE_KEY);
+    writeKey(CORRUPT_KEY, { savedAt: new Date().toISOString(), raw });
+
+    const backup = readKey(BACKUP_KEY).value;
+    let restored = null;
+
+    try {
+        restored = backup ? JSON.parse(backup.raw) : null;
+    } catch (e) {
+        restored = null;
+    }
+
+    const usable = isDataObject(restored);
+    writeKey(STORAGE_KEY, usable ? migrateData(restored) : createDefaultData());
+
+    console.error('Local data was unreadable and has been set aside under', CORRUPT_KEY);
+    return { restored: usable };
+}
+
+/**
+ * Bring the localStorage blob up to the current schema, backing it up first
+ * @returns {Object} {from: number, to: number, recovered: boolean}
+ */
+function runMigrations() {
+    const { raw, value, corrupt } = readKey(STORAGE_KEY);
+
+    if (corrupt) {
+        const { restored } = recoverCorruptData();
+        showToast(
+            restored
+                ? 'Your saved data couldn\'t be read, so it was restored from the last backup'
+                : 'Your saved data couldn\'t be read, so the app started fresh. A copy was kept',
+            'error',
+            8000
+        );
+        return { from: 0, to: SCHEMA_VERSION, recovered: true };
+    }
+
+    if (!value) {
+        return { from: SCHEMA_VERSION, to: SCHEMA_VERSION, recovered: false };
+    }
+
+    const from = Number.isInteger(value.version) ? value.version : 0;
+    if (from >= SCHEMA_VERSION) {
+        return { from, to: from, recovered: false };
+    }
+
+    writeKey(BACKUP_KEY, createBackup(raw, from));
+    writeKey(STORAGE_KEY, migrateData(value));
+
+    console.log(`📦 Local data migrated from version ${from} to ${SCHEMA_VERSION}`);
+    return { from, to: SCHEMA_VERSION, recovered: false };
+}
+
+/**
+ * Load data from IndexedDB, migrating it in the same transaction as its backup
+ * The first time, whatever localStorage holds is migrated and moved over
+ * @returns {Promise<Object>} {from: number, to: number, recovered: boolean}
+ */
+async function loadFromIndexedDB() {
+    const stored = await runTransaction('readonly', store => store.get(STORAGE_KEY));
+
+    if (!isDataObject(stored)) {
+        const result = runMigrations();
+        const data = readLocalStorageData();
+        const backup = readKey(BACKUP_KEY).value;
+
+        await runTransaction('readwrite', store => {
+            store.put(data, STORAGE_KEY);
+            if (backup) store.put(backup, BACKUP_KEY);
+        });
+
+        // IndexedDB is the copy from now on
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(BACKUP_KEY);
+
+        cache = data;
+        return result;
+    }
+
+    const from = Number.isInteger(stored.version) ? stored.version : 0;
+    cache = toCurrentSchema(stored);
+
+    if (from < SCHEMA_VERSION) {
+        await runTransaction('readwrite', store => {
+            store.put(createBackup(JSON.stringify(stored), from), BACKUP_KEY);
+            store.put(cache, STORAGE_KEY);
+        });
+        console.log(`📦 Local data migrated from version ${from} to ${SCHEMA_VERSION}`);
+    }
+
+    return { from, to: Math.max(from, SCHEMA_VERSION), recovered: false };
+}
+
+/**
+ * Open the store and load local data into memory, migrating it if needed,
+ * then follow changes made in other tabs
+ * Run once at startup, before anything reads local data
+ * @returns {Promise<Object>} {backend: string, from: number, to: number, recovered: boolean}
+ */
+export async function initStore() {
+    listenToOtherTabs();
+    db = await openDatabase();
+
+    if (db) {
+        try {
+            return { backend: 'indexedDB', ...(await loadFromIndexedDB()) };
+        } catch (error) {
+            console.error('Error loading from IndexedDB, using localStorage:', error);
+            db = null;
+        }
+    }
+
+    const result = runMigrations();
+    cache = readLocalStorageData();
+    return { backend: 'localStorage', ...result };
+}
+
+/**
+ * Replace local data with an imported blob, backing up the current one first
+ * @param {Object} importedData - Any schema version
+ * @returns {boolean}
+ */
+export function replaceData(importedData) {
+    if (!isDataObject(importedData)) {
+        return false;
+    }
+
+    const data = migrateData(importedData);
+
+    if (db) {
+        const current = loadData();
+        writeEntries({
+            [BACKUP_KEY]: createBackup(JSON.stringify(current), current.version),
+            [STORAGE_KEY]: data
+        });
+    } else {
+        const { raw, value } = readKey(STORAGE_KEY);
+        if (raw !== null) {
+            writeKey(BACKUP_KEY, createBackup(raw, value?.version ?? 0));
+        }
+        if (!writeKey(STORAGE_KEY, data)) return false;
+    }
+
+    cache = data;
+    notifyChange('local');
+    return true;
+}
+
+/**
+ * Listen for changes to the data views are drawn from
+ * @param {Function} callback - ({sources: Array<string>}) => void
+ * @returns {Function} Stops listening
+ */
+export function subscribe(callback) {
+    listeners.push(callback);
+    return () => {
+        listeners = listeners.filter(listener => listener !== callback);
+    };
+}
+
+/**
+ * Tell subscribers that data changed
+ * saveData() calls this for local data; cloud writes that don't go through the
+ * outbox call it themselves. Changes in the same task are batched into one call,
+ * and changes made in this tab are announced to the others
+ * @param {string} source - 'local', 'cloud', 'outbox', 'backend' or 'tab' (another tab)
+ */
+export function notifyChange(source) {
+    if (pendingSources) {
+        pendingSources.add(source);
+        return;
+    }
+
+    pendingSources = new Set([source]);
+    setTimeout(() => {
+        const sources = [...pendingSources];
+        pendingSources = null;
+
+        // Signing in or out is seen by every tab through Supabase itself
+        if (sources.some(changeSource => changeSource !== 'tab' && changeSource !== 'backend')) {
+            announceChange(sources);
+        }
+
+        listeners.forEach(callback => callback({ sources }));
+    }, 0);
+}
+
+/**
+ * Tell other open tabs that this one changed data
+ * @param {Array<string>} sources
+ */
+function announceChange(sources) {
+    if (channel) {
+        channel.postMessage({ sources });
+        return;
+    }
+
+    try {
+        localStorage.setItem(CHANGE_KEY, JSON.stringify({ sources, at: Date.now(), nonce: Math.random() }));
+    } catch (e) {
+        // Other tabs catch up on their next save or reload
+    }
+}
+
+/**
+ * Reload the in-memory copy after another tab changed data, then redraw
+ */
+async function handleOtherTabChange() {
+    if (db) {
+        const write = writeCount;
+        try {
+            const stored = await runTransaction('readonly', store => store.get(STORAGE_KEY));
+
+            // A save started while reading already merged in the stored copy
+            if (write === writeCount && isDataObject(stored)) {
+                cache = toCurrentSchema(stored);
+            }
+        } catch (error) {
+            console.error('Error reloading from IndexedDB:', error);
+            return;
+        }
+    } else {
+        cache = readLocalStorageData();
+    }
+
+    notifyChange('tab');
+}
+
+/**
+ * Start listening for changes announced by other tabs
+ */
+function listenToOtherTabs() {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.onmessage = () => handleOtherTabChange();
+        return;
+    }
+
+    window.addEventListener('storage', event => {
+        if (event.key === CHANGE_KEY) {
+            handleOtherTabChange();
+        }
+    });
+}
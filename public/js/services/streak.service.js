@@ -0,0 +1,175 @@
+/**
+ * Streak Service
+ * Current and longest streaks of goal weeks and workout days, counted by calendar continuity
+ * Frozen weeks and days (streak freezes, vacations) are neutral: they neither add to a
+ * streak nor break it. Supabase mirrors these in get_streaks() so friends' streaks match
+ */
+
+import { getWeekKey, parseWeekKey } from '../utils/helpers.js';
+
+/**
+ * Get the date key (YYYY-M-D) of a date
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+/**
+ * Count a run of consecutive dates back from a start date
+ * @param {Function} isDone - (date) => boolean
+ * @param {Function} isFrozen - (date) => boolean; frozen dates are skipped over
+ * @param {Date} start
+ * @param {number} stepDays - 1 for days, 7 for weeks
+ * @returns {number}
+ */
+function countBack(isDone, isFrozen, start, stepDays) {
+    const cursor = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    let streak = 0;
+
+    while (isDone(cursor) || isFrozen(cursor)) {
+        if (isDone(cursor)) streak++;
+        cursor.setDate(cursor.getDate() - stepDays);
+    }
+
+    return streak;
+}
+
+/**
+ * Find the longest run of consecutive dates
+ * @param {Array<Date>} dates
+ * @param {Array<Date>} frozenDates - Keep a run going without adding to it
+ * @param {number} stepDays - 1 for days, 7 for weeks
+ * @returns {number}
+ */
+function longestRun(dates, frozenDates, stepDays) {
+    const done = new Set(dates.map(date => date.getTime()));
+    const sorted = [...new Set([...done, ...frozenDates.map(date => date.getTime())])]
+        .sort((a, b) => a - b)
+        .map(time => new Date(time));
+    let longest = 0;
+    let run = 0;
+
+    sorted.forEach((date, i) => {
+        const previous = sorted[i - 1];
+        const expected = previous && new Date(previous.getFullYear(), previous.getMonth(), previous.getDate() + stepDays);
+
+        if (!expected || expected.getTime() !== date.getTime()) {
+            run = 0;
+        }
+        if (done.has(date.getTime())) {
+            run++;
+        }
+        longest = Math.max(longest, run);
+    });
+
+    return longest;
+}
+
+/**
+ * Turn date keys (YYYY-M-D) into dates
+ * @param {Array<string>} dateKeys
+ * @returns {Array<Date>}
+ */
+function dateKeysToDates(dateKeys) {
+    return dateKeys.map(dateKey => {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    });
+}
+
+/**
+ * Key weeks by the calendar week they start in under the current week start
+ * Rewarded weeks keep their dates when the week start changes, so this lines
+ * them up with the weeks after the change
+ * @param {Object} weeks - Map of week keys (YYYY-MM-DD)
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @returns {Object}
+ */
+function alignWeeks(weeks, weekStart) {
+    return Object.keys(weeks).reduce((aligned, weekKey) => {
+        aligned[getWeekKey(parseWeekKey(weekKey), weekStart)] = weeks[weekKey];
+        return aligned;
+    }, {});
+}
+
+/**
+ * Count goal weeks in a row up to the current week
+ * The current week doesn't break the streak while it is still in progress
+ * @param {Object} goalWeeks - Map of week keys (YYYY-MM-DD) that met the goal
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @param {string|null} untilWeekKey - Count up to this week instead of the current one
+ * @param {Object} frozenWeeks - Map of week keys that are frozen
+ * @returns {number}
+ */
+export function getCurrentWeeklyStreak(goalWeeks, weekStart = 0, untilWeekKey = null, frozenWeeks = {}) {
+    const start = parseWeekKey(untilWeekKey || getWeekKey(new Date(), weekStart));
+    const alignedGoalWeeks = alignWeeks(goalWeeks, weekStart);
+    const isDone = date => getWeekKey(date, weekStart) in alignedGoalWeeks;
+    const isFrozen = date => getWeekKey(date, weekStart) in frozenWeeks;
+
+    if (!isDone(start)) {
+        start.setDate(start.getDate() - 7);
+    }
+
+    return countBack(isDone, isFrozen, start, 7);
+}
+
+/**
+ * Find the most goal weeks ever met in a row
+ * @param {Object} goalWeeks - Map of week keys (YYYY-MM-DD) that met the goal
+ * @param {Object} frozenWeeks - Map of week keys that are frozen
+ * @returns {number}
+ */
+export function getLongestWeeklyStreak(goalWeeks, frozenWeeks = {}) {
+    return longestRun(Object.keys(goalWeeks).map(parseWeekKey), Object.keys(frozenWeeks).map(parseWeekKey), 7);
+}
+
+/**
+ * Count workout days in a row up to today
+ * Today doesn't break the streak until it is over
+ * @param {Object} completedDays - Map of date keys (YYYY-M-D) to true
+ * @param {Object} frozenDays - Map of date keys that are frozen
+ * @returns {number}
+ */
+export function getCurrentDailyStreak(completedDays, frozenDays = {}) {
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const isDone = date => Boolean(completedDays[toDateKey(date)]);
+    const isFrozen = date => toDateKey(date) in frozenDays;
+
+    if (!isDone(start)) {
+        start.setDate(start.getDate() - 1);
+    }
+
+    return countBack(isDone, isFrozen, start, 1);
+}
+
+/**
+ * Find the most workout days ever completed in a row
+ * @param {Object} completedDays - Map of date keys (YYYY-M-D) to true
+ * @param {Object} frozenDays - Map of date keys that are frozen
+ * @returns {number}
+ */
+export function getLongestDailyStreak(completedDays, frozenDays = {}) {
+    const doneKeys = Object.keys(completedDays).filter(dateKey => completedDays[dateKey]);
+    return longestRun(dateKeysToDates(doneKeys), dateKeysToDates(Object.keys(frozenDays)), 1);
+}
+
+/**
+ * Get every streak at once
+ * @param {Object} completedDays - Map of date keys (YYYY-M-D) to true
+ * @param {Object} goalWeeks - Map of week keys (YYYY-MM-DD) that met the goal
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @param {Object} frozen - {weeks, days} from getFrozenPeriods()
+ * @returns {Object} {currentWeekly, longestWeekly, currentDaily, longestDaily}
+ */
+export function getStreaks(completedDays, goalWeeks, weekStart = 0, frozen = { weeks: {}, days: {} }) {
+    return {
+        currentWeekly: getCurrentWeeklyStreak(goalWeeks, weekStart, null, frozen.weeks),
+        longestWeekly: getLongestWeeklyStreak(alignWeeks(goalWeeks, weekStart), frozen.weeks),
+        currentDaily: getCurrentDailyStreak(completedDays, frozen.days),
+        longestDaily: getLongestDailyStreak(completedDays, frozen.days)
+    };
+}
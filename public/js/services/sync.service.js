@@ -0,0 +1,346 @@
+/**
+ * Sync Service
+ * Durable outbox for cloud writes made while offline, replayed with retry/backoff
+ *
+ * Every queued entry carries an idempotency key and a coalesce key. Entries
+ * with the same coalesce key replace each other (completing then un-completing
+ * the same day only sends the last state), and every handler is idempotent, so
+ * replaying an entry whose response was lost is harmless. Writes the server
+ * refuses outright (e.g. outside the completion policy) are dropped, not retried.
+ */
+
+import { getCurrentSession, isCloudMode } from '../config/supabase.js';
+import { storage, showToast, generateId } from '../utils/helpers.js';
+import {
+    syncWorkoutToSupabase,
+    saveWorkoutLogToSupabase,
+    saveRewardRangeToSupabase,
+    saveRewardStrategyToSupabase,
+    saveWeekStartToSupabase,
+    saveWeeklyGoalSettingsToSupabase,
+    saveCompletionRuleToSupabase,
+    saveCompletionPolicyToSupabase,
+    showPartialPayoutToast
+} from './workout.service.js';
+import { addMovementMemberInSupabase } from './movement.service.js';
+import { saveActiveProgramToSupabase } from './program.service.js';
+
+const OUTBOX_KEY = 'walktogive_outbox';
+const SYNC_TAG = 'sync-workouts';
+
+const BASE_RETRY_DELAY = 5000; // 5 seconds
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+
+// Replays each operation type against Supabase; must throw on failure
+const HANDLERS = {
+    complete_workout: ({ dateKey, log, session, completedAt }) => syncWorkoutToSupabase(dateKey, true, log, session, completedAt),
+    uncomplete_workout: ({ dateKey }) => syncWorkoutToSupabase(dateKey, false),
+    save_workout_log: ({ dateKey, log, session }) => saveWorkoutLogToSupabase(dateKey, log, session),
+    update_reward_range: ({ min, max }) => saveRewardRangeToSupabase(min, max),
+    update_reward_strategy: (strategy) => saveRewardStrategyToSupabase(strategy),
+    update_week_start: ({ weekStart }) => saveWeekStartToSupabase(weekStart),
+    update_weekly_goal: ({ weeklyGoal, proportionalPayouts }) => saveWeeklyGoalSettingsToSupabase(weeklyGoal, proportionalPayouts),
+    update_completion_rule: ({ type, value }) => saveCompletionRuleToSupabase(type, value),
+    update_completion_policy: ({ graceHours, minTimerMinutes }) => saveCompletionPolicyToSupabase(graceHours, minTimerMinutes),
+    update_program: ({ programId, startedOn }) => saveActiveProgramToSupabase(programId, startedOn),
+    join_movement: ({ movementId }) => addMovementMemberInSupabase(movementId)
+};
+
+let listeners = [];
+let flushing = null; // Pass in progress
+let followUp = null; // One more pass queued behind it
+let retryTimer = null;
+
+/**
+ * Get queued entries
+ * @returns {Array}
+ */
+function getOutbox() {
+    return storage.get(OUTBOX_KEY) || [];
+}
+
+/**
+ * Save queued entries and notify listeners
+ * @param {Array} outbox
+ * @param {number} synced - Entries applied since the last notification
+ */
+function saveOutbox(outbox, synced = 0) {
+    storage.set(OUTBOX_KEY, outbox);
+    listeners.forEach(callback => callback({ pending: outbox.length, synced }));
+}
+
+/**
+ * Get the key that makes later writes replace earlier ones
+ * @param {string} type
+ * @param {Object} payload
+ * @returns {string}
+ */
+function getCoalesceKey(type, payload) {
+    switch (type) {
+        case 'complete_workout':
+        case 'uncomplete_workout':
+            return `workout:${payload.dateKey}`;
+        case 'save_workout_log':
+            // Kept apart from completion so saving progress never cancels a queued completion
+            return `workout-log:${payload.dateKey}`;
+        case 'update_reward_range':
+            return 'reward-range';
+        case 'update_reward_strategy':
+            return 'reward-strategy';
+        case 'update_week_start':
+            return 'week-start';
+        case 'update_weekly_goal':
+            return 'weekly-goal';
+        case 'update_completion_rule':
+            return 'completion-rule';
+        case 'update_completion_policy':
+            return 'completion-policy';
+        case 'update_program':
+            return 'program';
+        case 'join_movement':
+            return `movement:${payload.movementId}`;
+        default:
+            return `${type}:${generateId()}`;
+    }
+}
+
+/**
+ * Exponential backoff with jitter
+ * @param {number} attempts
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+    return delay + Math.floor(Math.random() * 1000);
+}
+
+/**
+ * Check if an error means the write already happened
+ * @param {Object} error
+ * @returns {boolean}
+ */
+function isAlreadyApplied(error) {
+    // Postgres unique_violation
+    return error?.code === '23505';
+}
+
+/**
+ * Check if an error means the server refused the write for good
+ * (e.g. a completion outside the completion policy), so retrying won't help
+ * @param {Object} error
+ * @returns {boolean}
+ */
+function isRejected(error) {
+    // Postgres check_violation
+    return error?.code === '23514';
+}
+
+/**
+ * Ask the service worker to wake us when connectivity returns
+ */
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync?.register(SYNC_TAG))
+        .catch(error => console.warn('Background sync unavailable:', error));
+}
+
+/**
+ * Schedule the next flush for the earliest entry still backing off
+ * @param {Array} outbox
+ */
+function scheduleRetry(outbox) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    if (outbox.length === 0) return;
+
+    const nextAttemptAt = Math.min(...outbox.map(entry => entry.nextAttemptAt));
+    retryTimer = setTimeout(flushOutbox, Math.max(0, nextAttemptAt - Date.now()));
+}
+
+/**
+ * Queue a cloud write
+ * @param {string} type - One of the HANDLERS keys
+ * @param {Object} payload
+ * @returns {Promise<Object>} The queued entry
+ */
+export async function enqueue(type, payload) {
+    if (!HANDLERS[type]) {
+        throw new Error(`Unknown outbox operation: ${type}`);
+    }
+
+    const { user } = await getCurrentSession();
+    const coalesceKey = getCoalesceKey(type, payload);
+
+    const entry = {
+        id: generateId(),
+        type,
+        payload,
+        coalesceKey,
+        userId: user?.id || null,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString()
+    };
+
+    const outbox = getOutbox().filter(e => e.coalesceKey !== coalesceKey || e.userId !== entry.userId);
+    outbox.push(entry);
+    saveOutbox(outbox);
+
+    requestBackgroundSync();
+
+    return entry;
+}
+
+/**
+ * Replay due entries for the signed-in user
+ * A call made while a pass is running waits for it and one more pass that picks
+ * up entries queued meanwhile, so callers always get the result for their entry
+ * @returns {Promise<Object>} {synced: number, pending: number, results: Object} results keyed by entry id
+ */
+export function flushOutbox() {
+    if (!navigator.onLine || !isCloudMode()) {
+        return Promise.resolve({ synced: 0, pending: getOutbox().length, results: {} });
+    }
+
+    if (!flushing) {
+        flushing = replayOutbox().finally(() => {
+            flushing = null;
+        });
+        return flushing;
+    }
+
+    if (!followUp) {
+        followUp = flushing
+            .catch(() => ({ synced: 0, results: {} }))
+            .then(async first => {
+                followUp = null;
+                const second = await flushOutbox();
+                return {
+                    synced: first.synced + second.synced,
+                    pending: second.pending,
+                    results: { ...first.results, ...second.results }
+                };
+            });
+    }
+    return followUp;
+}
+
+/**
+ * Run one pass over the entries that are due
+ * @returns {Promise<Object>} {synced: number, pending: number, results: Object}
+ */
+async function replayOutbox() {
+    const results = {};
+    let synced = 0;
+
+    const { user } = await getCurrentSession();
+    const now = Date.now();
+    const due = getOutbox().filter(e => e.userId === user?.id && e.nextAttemptAt <= now);
+
+    for (const entry of due) {
+        let applied = false;
+        let failure = null;
+
+        try {
+            results[entry.id] = await HANDLERS[entry.type](entry.payload);
+            applied = true;
+
+            if (results[entry.id]?.reward) {
+                showToast(`🎉 Week complete! You earned $${results[entry.id].reward} for charity!`, 'success');
+            }
+            if (results[entry.id]?.partialRewards?.length > 0) {
+                showPartialPayoutToast(results[entry.id].partialRewards);
+            }
+        } catch (error) {
+            if (isAlreadyApplied(error)) {
+                results[entry.id] = null;
+                applied = true;
+            } else if (isRejected(error)) {
+                showToast(error.message, 'error');
+                results[entry.id] = { rejected: true, error: error.message };
+                applied = true;
+            } else {
+                console.warn(`Outbox ${entry.type} failed (attempt ${entry.attempts + 1}):`, error);
+                failure = error;
+            }
+        }
+
+        // Re-read so entries queued while we were awaiting are kept
+        const outbox = getOutbox();
+        const index = outbox.findIndex(e => e.id === entry.id);
+        if (index === -1) continue;
+
+        if (applied) {
+            outbox.splice(index, 1);
+            synced++;
+        } else {
+            const attempts = outbox[index].attempts + 1;
+            outbox[index] = {
+                ...outbox[index],
+                attempts,
+                nextAttemptAt: Date.now() + getRetryDelay(attempts),
+                lastError: failure?.message || String(failure)
+            };
+        }
+
+        saveOutbox(outbox);
+    }
+
+    const remaining = getOutbox();
+    scheduleRetry(remaining);
+    saveOutbox(remaining, synced);
+
+    return { synced, pending: remaining.length, results };
+}
+
+/**
+ * Get queued entries of the given types, oldest first
+ * @param {...string} types
+ * @returns {Array}
+ */
+export function getPendingOperations(...types) {
+    return getOutbox().filter(entry => types.length === 0 || types.includes(entry.type));
+}
+
+/**
+ * Get number of queued entries
+ * @returns {number}
+ */
+export function getPendingCount() {
+    return getOutbox().length;
+}
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} callback - Receives {pending: number, synced: number}
+ * @returns {Function} Unsubscribe function
+ */
+export function onOutboxChange(callback) {
+    listeners.push(callback);
+    return () => {
+        listeners = listeners.filter(l => l !== callback);
+    };
+}
+
+/**
+ * Initialize sync triggers (connectivity, service worker background sync)
+ */
+export function initSync() {
+    window.addEventListener('online', flushOutbox);
+
+    // The service worker can't reach localStorage or the auth session,
+    // so its background sync event just asks an open page to flush
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', event => {
+            if (event.data?.type === SYNC_TAG) {
+                flushOutbox();
+            }
+        });
+    }
+
+    flushOutbox();
+}
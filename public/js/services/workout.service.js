@@ -1,179 +1,440 @@
 /**
  * Workout Service
- * Handles workout tracking with localStorage fallback
+ * Handles workout tracking with localStorage fallback and Supabase integration
  */
 
-import { storage, getTodayString, getWeekNumberInMonth, randomInt } from '../utils/helpers.js';
+import supabase from '../config/supabase.js';
+import { getTodayString, getWeekKey, getWeekDateKeys, dateKeyToISO, isoToDateKey } from '../utils/helpers.js';
 import { showToast } from '../utils/helpers.js';
+import {
+    isValidRewardRange,
+    isValidRewardStrategy,
+    isValidWeekStart,
+    isValidWeeklyGoal,
+    isValidCompletionRule,
+    isValidCompletionPolicy
+} from '../utils/validation.js';
+import {
+    createSeed,
+    drawReward,
+    createRewardEvent,
+    getWeeklyRewardsFromLedger,
+    findActiveAward,
+    getRewardLedgerFromSupabase
+} from './ledger.service.js';
+import { getCurrentWeeklyStreak, getStreaks } from './streak.service.js';
+import { getFrozenPeriods, getFreezeStateFromSupabase } from './freeze.service.js';
+import { createBackupFile, parseBackupFile, mergeBackupData, getBackupDiff } from './backup.service.js';
+import {
+    loadData,
+    saveData,
+    replaceData,
+    DEFAULT_COMPLETION_RULE,
+    DEFAULT_COMPLETION_POLICY
+} from './store.service.js';
 
-const STORAGE_KEY = 'walktogive_data';
-
-// Workout definitions for each day of the week
-export const WORKOUT_DEFINITIONS = [
-    [
-        { name: "Sun Salutation Flow", desc: "Complete 5 rounds of sun salutations. Each round: reach up, fold forward, step back to plank, lower down, upward dog, downward dog, step forward, fold, reach up. Flow smoothly with your breath.", duration: 15, image: "sun-salutation-flow.jpg" },
-        { name: "Dynamic Lunges", desc: "12 reps per leg of alternating forward lunges with a twist. As you lunge, rotate your torso toward the front leg. Engage your core and maintain balance throughout.", duration: 10, image: "dynamic-lunges.jpg" },
-        { name: "Arm Circles & Shoulder Rolls", desc: "2 minutes of continuous movement: 20 forward arm circles, 20 backward, 15 shoulder rolls back, 15 forward. Keep movements controlled.", duration: 5, image: "arm-circles-shoulder-rolls.jpg" },
-        { name: "Morning Stretch Hold", desc: "Hold each for 45 seconds: standing quad stretch both sides, standing hamstring fold, tricep overhead stretch both sides, neck tilts both sides.", duration: 8, image: "morning-stretch-hold.jpg" }
-    ],
-    [
-        { name: "Jumping Jacks Pyramid", desc: "Pyramid style: 10 jumping jacks, 20, 30, 40, 50, then back down: 40, 30, 20, 10. Take 20-second breaks between each set.", duration: 12, image: "jumping-jacks-pyramid.jpg" },
-        { name: "High Knees Intervals", desc: "6 rounds of 30 seconds high knees at maximum intensity, followed by 30 seconds walking in place. Drive those knees up to hip level.", duration: 6, image: "high-knees-intervals.jpg" },
-        { name: "Burpee Challenge", desc: "3 sets of 8 burpees. Each burpee: squat, jump back to plank, optional push-up, jump feet forward, explosive jump up. Rest 90 seconds between sets.", duration: 10, image: "burpee-challenge.jpg" },
-        { name: "Cool Down Walk & Breathe", desc: "5-minute slow walk while practicing deep breathing: 4-count inhale through nose, 4-count hold, 6-count exhale through mouth.", duration: 5, image: "cool-down-walk-breathe.jpg" }
-    ],
-    [
-        { name: "Plank Variations", desc: "Complete this circuit twice: 45-second standard plank, 30-second right side plank, 30-second left side plank, 45-second plank with hip dips (15 per side). Rest 60 seconds between rounds.", duration: 8, image: "plank-variations.jpg" },
-        { name: "Bicycle Crunches", desc: "4 sets of 30 reps total (15 per side). Lie on back, hands behind head, bring opposite elbow to opposite knee while extending other leg. Don't pull on neck.", duration: 8, image: "bicycle-crunches.jpg" },
-        { name: "Dead Bug Exercise", desc: "3 sets of 12 reps per side. Lie on back, arms straight up, knees at 90°. Lower opposite arm and leg toward floor without arching back. Rest 45 seconds between sets.", duration: 10, image: "dead-bug-exercise.jpg" },
-        { name: "Cat-Cow to Child's Pose", desc: "10 rounds flowing between cat-cow, then rest in child's pose for 5 deep breaths. Finish with gentle spinal twists both sides.", duration: 7, image: "cat-cow-childs-pose.jpg" }
-    ],
-    [
-        { name: "Bodyweight Squat Pyramid", desc: "Pyramid up then down: 5 squats, 10, 15, 20, 15, 10, 5. Rest 30 seconds between sets. Focus on sitting back, chest up. Total: 80 squats!", duration: 15, image: "bodyweight-squat-pyramid.jpg" },
-        { name: "Reverse Lunges", desc: "4 sets of 12 reps per leg. Step back into lunge, lower back knee almost to floor, drive through front heel to return. Add a knee drive at top. Rest 45 seconds.", duration: 12, image: "reverse-lunges.jpg" },
-        { name: "Single-Leg Glute Bridges", desc: "3 sets of 10 reps per leg. Lie on back, one foot flat, other leg extended. Lift hips high, squeezing glutes at top. Lower with control.", duration: 8, image: "single-leg-glute-bridges.jpg" },
-        { name: "Wall Sit Hold", desc: "3 rounds of maximum holds: sit against wall with thighs parallel to ground. Hold as long as possible (aim for 45+ seconds). Rest 60 seconds between.", duration: 7, image: "wall-sit-hold.jpg" }
-    ],
-    [
-        { name: "Hip Mobility Circuit", desc: "2 rounds of: 10 hip circles each direction per leg, 10 leg swings forward/back per leg, 10 leg swings side-to-side per leg, 8 deep squat holds (5 seconds each).", duration: 12, image: "hip-mobility-circuit.jpg" },
-        { name: "Shoulder Mobility Flow", desc: "Complete 2 times: 10 arm circles forward, 10 backward, 8 shoulder pass-throughs, 10 wall slides. Move slowly and feel the stretch.", duration: 8, image: "shoulder-mobility-flow.jpg" },
-        { name: "Yoga Flow Sequence", desc: "15-minute flow: downward dog (1 min), warrior 1 both sides (30 sec each), warrior 2 both sides (30 sec each), triangle pose both sides (30 sec each), pigeon pose both sides (1 min each).", duration: 15, image: "yoga-flow-sequence.jpg" },
-        { name: "Deep Stretching Finale", desc: "Hold each 60 seconds: seated forward fold, butterfly stretch, supine twist both sides, figure-4 hip stretch both sides, final resting pose.", duration: 10, image: "deep-stretching-finale.jpg" }
-    ],
-    [
-        { name: "Push-up Variations", desc: "Total 50 push-ups: 15 standard (or on knees), 15 wide-grip, 10 diamond, 10 decline (feet elevated). Rest as needed. Modify as needed.", duration: 12, image: "push-up-variations.jpg" },
-        { name: "Tricep Dips Ladder", desc: "Using sturdy chair: 5 dips, rest 20 sec, 8 dips, rest 20 sec, 10 dips, rest 20 sec, 12 dips, rest 20 sec, 15 dips. Keep shoulders down.", duration: 8, image: "tricep-dips-ladder.jpg" },
-        { name: "Plank to Down Dog", desc: "4 sets of 10 reps: start in plank, push hips up and back into downward dog, return to plank. Builds shoulder stability. Rest 45 seconds.", duration: 10, image: "plank-to-down-dog.jpg" },
-        { name: "Arm Circles with Resistance", desc: "Hold light weights or water bottles. 3 sets of: 30-second forward circles, 30-second backward circles, 30-second up-and-down pulses.", duration: 6, image: "arm-circles-resistance.jpg" }
-    ],
-    [
-        { name: "Gentle Walking Intervals", desc: "20 minutes total: alternate 3 minutes easy pace, 2 minutes brisk pace. Focus on posture, engage core, swing arms naturally.", duration: 20, image: "gentle-walking-intervals.jpg" },
-        { name: "Foam Rolling Routine", desc: "Spend 2 minutes on each area: calves, hamstrings, IT bands, quads, upper back, glutes. Roll slowly, pause on tender spots.", duration: 12, image: "foam-rolling-routine.jpg" },
-        { name: "Yin Yoga Poses", desc: "Hold each pose for 3-5 minutes: dragon pose both sides, butterfly, supine twist both sides, legs up the wall. Deep, restorative stretching.", duration: 15, image: "yin-yoga-poses.jpg" },
-        { name: "Breathing & Meditation", desc: "10 minutes of breathwork: 5 minutes box breathing (4-4-4-4 pattern), 5 minutes of body scan meditation from toes to head.", duration: 10, image: "breathing-meditation.jpg" }
-    ]
-];
+export const MAX_STREAK_MULTIPLIER = 2;
 
 /**
  * Get all data from storage
  * @returns {Object}
  */
 function getData() {
-    const storedData = storage.get(STORAGE_KEY);
-
-    // Default structure
-    const defaultData = {
-        completedDays: {},
-        weeklyRewards: {},
-        minReward: 1,
-        maxReward: 5,
-        friends: [],
-        movements: [],
-        cheers: {},
-        inviteCode: generateInviteCode(),
-        unlockedBadges: [],
-        profiles: {}
-    };
+    const data = loadData();
+
+    // The ledger is the record; weeklyRewards is derived from it. Set on the
+    // loaded copy itself so saveData() can merge it with other tabs' saves
+    data.weeklyRewards = getWeeklyRewardsFromLedger(data.rewardLedger);
+    return data;
+}
+
+/**
+ * Complete a workout for a specific date
+ * @param {string} dateKey (YYYY-MM-DD)
+ * @param {Object|null} log - Per-exercise log to keep with the day
+ * @param {Object|null} session - Stopwatch time {seconds, pausedSeconds, segments}
+ * @returns {Object} {success: boolean, weekCompleted: boolean, reward: number|null, partialRewards: Array}
+ */
+export function completeWorkout(dateKey, log = null, session = null) {
+    const data = getData();
+
+    const policyCheck = checkCompletionPolicy(dateKey, session, data.completionPolicy);
+    if (!policyCheck.valid) {
+        showToast(policyCheck.message, 'error');
+        return { success: false, weekCompleted: false, reward: null, partialRewards: [] };
+    }
+
+    const wasCompleted = Boolean(data.completedDays[dateKey]);
+
+    // Mark day as completed
+    data.completedDays[dateKey] = true;
+    if (log) {
+        data.workoutLogs[dateKey] = log;
+    }
+    if (session) {
+        data.workoutSessions[dateKey] = session;
+    }
+
+    // Check if week is complete
+    const weekKey = getRewardWeekKey(data, dateKey);
+    const weekCompleted = countRewardDaysInWeek(data, weekKey) >= data.weeklyGoal;
+    let reward = null;
 
-    // If no stored data, return defaults
-    if (!storedData) {
-        return defaultData;
+    if (weekCompleted && !(weekKey in data.weeklyRewards)) {
+        // Award reward
+        const event = createAwardEvent(data, weekKey, true);
+        reward = event.amount;
+        awardWeek(data, event, dateKey);
+        showToast(reward > 0
+            ? `🎉 Week complete! You earned $${reward} for charity!`
+            : '🎉 Week complete! This month\'s reward cap is already reached.', 'success');
+    } else if (!wasCompleted && weekKey in data.weeklyRewards) {
+        adjustPerDayWeek(data, weekKey, true, dateKey);
+    }
+
+    // The week just worked on may still be filling in (backfilled days), so it isn't settled yet
+    const partialRewards = settlePartialWeeksInData(data, weekKey);
+    if (partialRewards.length > 0) {
+        showPartialPayoutToast(partialRewards);
     }
 
-    // Merge stored data with defaults to ensure all properties exist
+    saveData(data);
+
     return {
-        ...defaultData,
-        ...storedData,
-        // Ensure nested objects exist
-        completedDays: storedData.completedDays || {},
-        weeklyRewards: storedData.weeklyRewards || {},
-        friends: storedData.friends || [],
-        movements: storedData.movements || [],
-        cheers: storedData.cheers || {},
-        unlockedBadges: storedData.unlockedBadges || [],
-        profiles: storedData.profiles || {}
+        success: true,
+        weekCompleted,
+        reward,
+        partialRewards
     };
 }
 
 /**
- * Save data to storage
+ * Work out a week's reward under the current reward strategy
  * @param {Object} data
+ * @param {string} weekKey
+ * @param {boolean} goalMet - False for a proportional partial payout
+ * @returns {Object} Award event from createRewardEvent()
+ */
+function createAwardEvent(data, weekKey, goalMet) {
+    const strategy = data.rewardStrategy;
+    const daysCompleted = countRewardDaysInWeek(data, weekKey);
+    const [year, month] = getWeekDateKeys(weekKey)[6].split('-').map(Number);
+    const seed = strategy.type === 'random' ? createSeed() : null;
+
+    const { amount, algorithm, multiplier, capped } = calculateReward(strategy, {
+        range: { min: data.minReward, max: data.maxReward },
+        daysCompleted,
+        weeklyGoal: data.weeklyGoal,
+        goalMet,
+        streak: goalMet ? getCurrentWeeklyStreak(
+            getGoalMetWeeks(data.weeklyRewards, data.partialWeeks), data.weekStart, weekKey, getFrozenPeriodsInData(data).weeks
+        ) : 0,
+        monthTotal: getMonthlyRewardTotal(data.weeklyRewards, year, month),
+        seed
+    });
+
+    const reason = goalMet ? 'Weekly goal reached' : 'Partial week payout';
+
+    return createRewardEvent({
+        type: 'award',
+        weekKey,
+        amount,
+        range: strategy.type === 'random' ? { min: data.minReward, max: data.maxReward } : null,
+        rate: strategy.type === 'random' ? null : strategy.amount,
+        multiplier,
+        monthlyCap: strategy.monthlyCap,
+        algorithm,
+        seed,
+        daysCompleted,
+        weeklyGoal: data.weeklyGoal,
+        reason: capped ? `${reason} (monthly cap reached)` : reason
+    });
+}
+
+/**
+ * Work out a week's reward under a reward strategy
+ * Supabase runs the same calculation in award_week()
+ * @param {Object} strategy - {type, amount, streakBonus, monthlyCap}, see DEFAULT_REWARD_STRATEGY in store.service
+ * @param {Object} week
+ * @param {Object} week.range - {min, max} for the random strategy
+ * @param {number} week.daysCompleted
+ * @param {number} week.weeklyGoal
+ * @param {boolean} week.goalMet - False for a proportional partial payout
+ * @param {number} week.streak - Goal weeks in a row before this one
+ * @param {number} week.monthTotal - Already paid to weeks ending in the same month
+ * @param {number|null} week.seed - Seed for the random strategy
+ * @returns {Object} {amount: number, algorithm: string, multiplier: number|null, capped: boolean}
  */
-function saveData(data) {
-    storage.set(STORAGE_KEY, data);
+export function calculateReward(strategy, { range, daysCompleted, weeklyGoal, goalMet, streak = 0, monthTotal = 0, seed = null }) {
+    let amount;
+    let algorithm;
+
+    if (strategy.type === 'fixed') {
+        amount = goalMet ? strategy.amount : Math.max(1, Math.round(strategy.amount * daysCompleted / weeklyGoal));
+        algorithm = goalMet ? 'fixed' : 'fixed_proportional';
+    } else if (strategy.type === 'per_day') {
+        amount = strategy.amount * daysCompleted;
+        algorithm = 'per_day';
+    } else {
+        amount = goalMet
+            ? drawReward(range.min, range.max, seed)
+            : calculatePartialReward(range.min, range.max, daysCompleted, weeklyGoal, seed);
+        algorithm = goalMet ? 'uniform' : 'proportional';
+    }
+
+    // Whole percentages keep the rounding identical to the database
+    let multiplier = null;
+    if (goalMet && strategy.streakBonus > 0) {
+        const percent = Math.min(MAX_STREAK_MULTIPLIER * 100, 100 + strategy.streakBonus * streak);
+        amount = Math.round(amount * percent / 100);
+        multiplier = percent / 100;
+    }
+
+    let capped = false;
+    if (strategy.monthlyCap !== null) {
+        amount = Math.min(amount, Math.max(0, strategy.monthlyCap - monthTotal));
+        capped = monthTotal + amount >= strategy.monthlyCap;
+    }
+
+    return { amount, algorithm, multiplier, capped };
 }
 
 /**
- * Generate invite code
- * @returns {string}
+ * Record a week's reward in the ledger and credit it to the user's active movements
+ * @param {Object} data
+ * @param {Object} event - Award event from createRewardEvent()
+ * @param {string} dateKey - Day the reward was earned on (decides which movements are active)
  */
-function generateInviteCode() {
-    const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-    let code = 'WALK';
-    for (let i = 0; i < 6; i++) {
-        code += chars.charAt(Math.floor(Math.random() * chars.length));
+function awardWeek(data, event, dateKey) {
+    const { weekKey, amount: reward } = event;
+
+    data.rewardLedger.push(event);
+    data.weeklyRewards[weekKey] = reward;
+
+    // Update movement contributions
+    if (data.movements && reward > 0) {
+        data.movements.forEach(movement => {
+            if (movement.members.includes('You') && isMovementActiveForDate(movement, dateKey)) {
+                if (!movement.weeklyContributions) {
+                    movement.weeklyContributions = {};
+                }
+                if (!movement.weeklyContributions[weekKey]) {
+                    movement.weeklyContributions[weekKey] = 0;
+                }
+                movement.weeklyContributions[weekKey] += reward;
+                movement.totalRaised += reward;
+            }
+        });
     }
-    return code;
 }
 
 /**
- * Get workouts for a specific day
- * @param {number} dayOfWeek (0-6)
- * @returns {Array}
+ * Add a day completed after a per-day week was paid, or take the latest such day back
+ * A per_day reward is worked out when the goal is reached, so each later day adds the
+ * award's rate (within the monthly cap) as an adjustment. Supabase does the same in
+ * adjust_per_day_reward()
+ * @param {Object} data - Mutated in place
+ * @param {string} weekKey
+ * @param {boolean} completed - False when a day was marked as not done
+ * @param {string} dateKey
  */
-export function getWorkoutsForDay(dayOfWeek) {
-    return WORKOUT_DEFINITIONS[dayOfWeek];
+function adjustPerDayWeek(data, weekKey, completed, dateKey) {
+    const award = findActiveAward(data.rewardLedger, weekKey);
+    if (award?.algorithm !== 'per_day' || weekKey in data.partialWeeks) return;
+
+    let amount = 0;
+    let reversesId = null;
+
+    if (completed) {
+        const [year, month] = getWeekDateKeys(weekKey)[6].split('-').map(Number);
+        const monthTotal = getMonthlyRewardTotal(data.weeklyRewards, year, month);
+        amount = award.monthlyCap === null
+            ? award.rate
+            : Math.min(award.rate, Math.max(0, award.monthlyCap - monthTotal));
+    } else {
+        // Latest addition since the week's award that hasn't been taken back
+        const takenBack = new Set(data.rewardLedger.map(e => e.reversesId));
+        const added = data.rewardLedger
+            .slice(data.rewardLedger.indexOf(award))
+            .filter(e => e.type === 'adjustment' && e.weekKey === weekKey && e.amount > 0 && !takenBack.has(e.id))
+            .pop();
+        if (added) {
+            amount = -added.amount;
+            reversesId = added.id;
+        }
+    }
+
+    if (amount === 0) return;
+
+    data.rewardLedger.push(createRewardEvent({
+        type: 'adjustment',
+        weekKey,
+        amount,
+        rate: award.rate,
+        monthlyCap: award.monthlyCap,
+        algorithm: 'per_day',
+        daysCompleted: countRewardDaysInWeek(data, weekKey),
+        weeklyGoal: data.weeklyGoal,
+        reason: completed ? `${dateKey} completed after the week was paid` : `${dateKey} marked as not done`,
+        reversesId
+    }));
+    data.weeklyRewards[weekKey] += amount;
+
+    (data.movements || []).forEach(movement => {
+        if (!movement.weeklyContributions?.[weekKey]) return;
+
+        movement.weeklyContributions[weekKey] += amount;
+        movement.totalRaised = Math.max(0, movement.totalRaised + amount);
+    });
 }
 
 /**
- * Complete a workout for a specific date
- * @param {string} dateKey (YYYY-MM-DD)
- * @returns {Object} {success: boolean, weekCompleted: boolean, reward: number|null}
+ * Un-complete a workout, taking back the week's reward if the week no longer earns it
+ * A goal reward is taken back when this day was needed to reach the goal; a partial
+ * payout is always taken back since it was paid for a fixed number of days, and the
+ * week is settled again later with what is left
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {Object} {success: boolean, revokedReward: number}
  */
-export function completeWorkout(dateKey) {
+export function uncompleteWorkout(dateKey) {
     const data = getData();
 
-    // Mark day as completed
-    data.completedDays[dateKey] = true;
+    if (!data.completedDays[dateKey]) {
+        return { success: false, revokedReward: 0 };
+    }
 
-    // Check if week is complete
-    const [year, month, day] = dateKey.split('-').map(Number);
-    const weekNum = getWeekNumberInMonth(new Date(year, month - 1, day));
-    const weekKey = `${year}-${month}-week${weekNum}`;
+    const weekKey = getRewardWeekKey(data, dateKey);
+    const metGoalBefore = countRewardDaysInWeek(data, weekKey) >= data.weeklyGoal;
 
-    const weekCompleted = isWeekComplete(data, year, month, weekNum);
-    let reward = null;
+    delete data.completedDays[dateKey];
 
-    if (weekCompleted && !data.weeklyRewards[weekKey]) {
-        // Award reward
-        reward = randomInt(data.minReward, data.maxReward);
-        data.weeklyRewards[weekKey] = reward;
-        showToast(`🎉 Week complete! You earned $${reward} for charity!`, 'success');
-
-        // Update movement contributions
-        if (data.movements) {
-            data.movements.forEach(movement => {
-                if (movement.members.includes('You') && isMovementActiveForDate(movement, dateKey)) {
-                    if (!movement.weeklyContributions) {
-                        movement.weeklyContributions = {};
-                    }
-                    if (!movement.weeklyContributions[weekKey]) {
-                        movement.weeklyContributions[weekKey] = 0;
-                    }
-                    movement.weeklyContributions[weekKey] += reward;
-                    movement.totalRaised += reward;
-                }
-            });
+    let revokedReward = 0;
+    if (weekKey in data.weeklyRewards) {
+        const isPartial = weekKey in data.partialWeeks;
+        const lostGoal = metGoalBefore && countRewardDaysInWeek(data, weekKey) < data.weeklyGoal;
+
+        if (isPartial || lostGoal) {
+            revokedReward = data.weeklyRewards[weekKey];
+            revokeWeek(data, weekKey, `${dateKey} marked as not done`);
+        } else {
+            adjustPerDayWeek(data, weekKey, false, dateKey);
         }
     }
 
     saveData(data);
 
-    return {
-        success: true,
-        weekCompleted,
-        reward
-    };
+    return { success: true, revokedReward };
+}
+
+/**
+ * Reverse a week's reward in the ledger and take it back from the movements it was credited to
+ * @param {Object} data - Mutated in place
+ * @param {string} weekKey
+ * @param {string} reason
+ */
+function revokeWeek(data, weekKey, reason) {
+    const reward = data.weeklyRewards[weekKey];
+
+    data.rewardLedger.push(createRewardEvent({
+        type: 'reversal',
+        weekKey,
+        amount: -reward,
+        daysCompleted: countRewardDaysInWeek(data, weekKey),
+        weeklyGoal: data.weeklyGoal,
+        reason,
+        reversesId: findActiveAward(data.rewardLedger, weekKey)?.id || null
+    }));
+    delete data.weeklyRewards[weekKey];
+    delete data.partialWeeks[weekKey];
+
+    (data.movements || []).forEach(movement => {
+        const contribution = movement.weeklyContributions?.[weekKey];
+        if (!contribution) return;
+
+        const amount = Math.min(contribution, reward);
+        movement.weeklyContributions[weekKey] -= amount;
+        if (movement.weeklyContributions[weekKey] === 0) {
+            delete movement.weeklyContributions[weekKey];
+        }
+        movement.totalRaised = Math.max(0, movement.totalRaised - amount);
+    });
+}
+
+/**
+ * Calculate a proportional reward for a week that missed its goal
+ * @param {number} min
+ * @param {number} max
+ * @param {number} daysCompleted
+ * @param {number} weeklyGoal
+ * @param {number} seed - Seed for the random draw
+ * @returns {number} At least $1 so every active week gives something
+ */
+export function calculatePartialReward(min, max, daysCompleted, weeklyGoal, seed) {
+    return Math.max(1, Math.round(drawReward(min, max, seed) * daysCompleted / weeklyGoal));
+}
+
+/**
+ * Pay out finished weeks that missed the goal, when proportional payouts are on
+ * Only weeks since the setting was turned on are paid, so enabling it doesn't back-pay old history.
+ * A week is finished once its last day can no longer be backfilled, so a partial payout is never
+ * overtaken by the week reaching its goal
+ * @param {Object} data - Mutated in place
+ * @param {string|null} excludeWeekKey - Week to leave unsettled
+ * @returns {Array} [{weekKey, daysCompleted, reward}]
+ */
+function settlePartialWeeksInData(data, excludeWeekKey = null) {
+    if (!data.proportionalPayouts || !data.proportionalPayoutsSince) return [];
+
+    const now = new Date();
+    const graceMs = data.completionPolicy.graceHours * 60 * 60 * 1000;
+    const weekKeys = new Set(Object.keys(data.completedDays)
+        .filter(dateKey => data.completedDays[dateKey])
+        .map(dateKey => getRewardWeekKey(data, dateKey)));
+
+    const settled = [];
+
+    [...weekKeys].sort().forEach(weekKey => {
+        const [year, month, day] = weekKey.split('-').map(Number);
+        const weekEnd = new Date(year, month - 1, day + 7);
+
+        if (weekKey < data.proportionalPayoutsSince || now - weekEnd <= graceMs) return;
+        if (weekKey === excludeWeekKey) return;
+        if (weekKey in data.weeklyRewards) return;
+
+        const event = createAwardEvent(data, weekKey, false);
+        awardWeek(data, event, getWeekDateKeys(weekKey)[6]);
+        data.partialWeeks[weekKey] = event.daysCompleted;
+        settled.push({ weekKey, daysCompleted: event.daysCompleted, reward: event.amount });
+    });
+
+    return settled;
+}
+
+/**
+ * Pay out finished weeks that missed the goal (proportional payouts)
+ * @returns {Array} [{weekKey, daysCompleted, reward}]
+ */
+export function settlePartialWeeks() {
+    const data = getData();
+    const settled = settlePartialWeeksInData(data);
+
+    if (settled.length > 0) {
+        saveData(data);
+        showPartialPayoutToast(settled);
+    }
+
+    return settled;
+}
+
+/**
+ * Announce proportional payouts
+ * @param {Array} settled - [{daysCompleted, reward}]
+ */
+export function showPartialPayoutToast(settled) {
+    const total = settled.reduce((sum, week) => sum + week.reward, 0);
+    const days = settled.reduce((sum, week) => sum + week.daysCompleted, 0);
+
+    showToast(`📆 Partial week payout: $${total} for charity from ${days} workout ${days === 1 ? 'day' : 'days'}!`, 'success');
 }
 
 /**
@@ -190,32 +451,84 @@ function isMovementActiveForDate(movement, dateKey) {
 }
 
 /**
- * Check if a specific week is complete
+ * Count completed days in a week
+ * @param {Object} completedDays - Map of date keys to completion flags
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @returns {number}
+ */
+export function countCompletedDaysInWeek(completedDays, weekKey) {
+    return getWeekDateKeys(weekKey).filter(dateKey => completedDays[dateKey]).length;
+}
+
+/**
+ * Get the week a day counts toward
+ * Rewarded weeks keep their dates when the week start changes, so a day inside
+ * one (the first rewarded, if weeks overlap) stays paid by it; any other day
+ * counts toward its calendar week. Supabase has the same rule in reward_week_for()
  * @param {Object} data
- * @param {number} year
- * @param {number} month
- * @param {number} weekNum
- * @returns {boolean}
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {string} Week key (YYYY-MM-DD)
  */
-function isWeekComplete(data, year, month, weekNum) {
-    // Count completed days in this week
-    let count = 0;
-    const daysInMonth = new Date(year, month, 0).getDate();
+function getRewardWeekKey(data, dateKey) {
+    const reversed = new Set(data.rewardLedger.filter(e => e.type === 'reversal').map(e => e.reversesId));
+    const rewarded = data.rewardLedger.find(e =>
+        e.type === 'award' &&
+        !reversed.has(e.id) &&
+        e.weekKey in data.weeklyRewards &&
+        getWeekDateKeys(e.weekKey).includes(dateKey)
+    );
+    if (rewarded) return rewarded.weekKey;
 
-    for (let day = 1; day <= daysInMonth; day++) {
-        const date = new Date(year, month - 1, day);
-        const dayWeek = getWeekNumberInMonth(date);
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return getWeekKey(new Date(year, month - 1, day), data.weekStart);
+}
 
-        if (dayWeek === weekNum) {
-            const dateKey = `${year}-${month}-${day}`;
-            if (data.completedDays[dateKey]) {
-                count++;
-            }
-        }
-    }
+/**
+ * Count completed days that count toward a week
+ * A day already paid by another rewarded week isn't paid again
+ * @param {Object} data
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @returns {number}
+ */
+function countRewardDaysInWeek(data, weekKey) {
+    return getWeekDateKeys(weekKey)
+        .filter(dateKey => data.completedDays[dateKey] && getRewardWeekKey(data, dateKey) === weekKey)
+        .length;
+}
+
+/**
+ * Check if a specific week reached the weekly goal
+ * @param {Object} completedDays - Map of date keys to completion flags
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @param {number} weeklyGoal - Days needed (1-7)
+ * @returns {boolean}
+ */
+function isWeekComplete(completedDays, weekKey, weeklyGoal = 7) {
+    return countCompletedDaysInWeek(completedDays, weekKey) >= weeklyGoal;
+}
+
+/**
+ * Get rewarded weeks that met the goal (partial payouts don't count toward streaks or week badges)
+ * @param {Object} weeklyRewards - Map of week keys to reward amounts
+ * @param {Object} partialWeeks - Map of week keys paid proportionally to days completed
+ * @returns {Object} Map of week keys to reward amounts
+ */
+export function getGoalMetWeeks(weeklyRewards, partialWeeks = {}) {
+    return Object.keys(weeklyRewards)
+        .filter(weekKey => !(weekKey in partialWeeks))
+        .reduce((weeks, weekKey) => {
+            weeks[weekKey] = weeklyRewards[weekKey];
+            return weeks;
+        }, {});
+}
 
-    // Need 7 days for a complete week
-    return count >= 7;
+/**
+ * Get number of weeks that met the goal
+ * @returns {number}
+ */
+export function getTotalGoalWeeks() {
+    const data = getData();
+    return Object.keys(getGoalMetWeeks(data.weeklyRewards, data.partialWeeks)).length;
 }
 
 /**
@@ -227,6 +540,106 @@ export function getCompletedDays() {
     return data.completedDays;
 }
 
+/**
+ * Summarize a per-exercise log
+ * @param {Object} log - {exercises: [{name, done, sets, reps, minutes}]}
+ * @returns {Object} {done: number, total: number, minutes: number}
+ */
+export function summarizeWorkoutLog(log) {
+    const done = log.exercises.filter(e => e.done);
+    return {
+        done: done.length,
+        total: log.exercises.length,
+        minutes: done.reduce((sum, e) => sum + (e.minutes || 0), 0)
+    };
+}
+
+/**
+ * Check if a log satisfies the completion rule
+ * A count rule asks for no more exercises than the day has
+ * @param {Object} log
+ * @param {Object} rule - {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ * @param {Object|null} session - Stopwatch time, for the timer rule
+ * @returns {boolean}
+ */
+export function isDayCompleteByRule(log, rule = DEFAULT_COMPLETION_RULE, session = null) {
+    const { done, total, minutes } = summarizeWorkoutLog(log);
+
+    switch (rule.type) {
+        case 'timer':
+            return (session?.seconds || 0) >= rule.value * 60;
+        case 'count':
+            return done > 0 && done >= Math.min(rule.value, total);
+        case 'minutes':
+            return done > 0 && minutes >= rule.value;
+        default:
+            return total > 0 && done === total;
+    }
+}
+
+/**
+ * Get the per-exercise log for a day
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {Object|null}
+ */
+export function getWorkoutLog(dateKey) {
+    const data = getData();
+    return data.workoutLogs[dateKey] || null;
+}
+
+/**
+ * Get the per-exercise logs for every day
+ * @returns {Object} Map of date keys (YYYY-M-D) to logs
+ */
+export function getWorkoutLogs() {
+    const data = getData();
+    return data.workoutLogs;
+}
+
+/**
+ * Save progress on a day without completing it
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {Object} log
+ * @param {Object|null} session - Stopwatch time so far
+ * @returns {boolean}
+ */
+export function saveWorkoutLog(dateKey, log, session = null) {
+    const data = getData();
+    data.workoutLogs[dateKey] = log;
+    if (session) {
+        data.workoutSessions[dateKey] = session;
+    }
+    saveData(data);
+
+    showToast('Progress saved', 'success');
+    return true;
+}
+
+/**
+ * Get stopwatch time recorded for each day
+ * @returns {Object} Map of date keys (YYYY-M-D) to {seconds, pausedSeconds, segments}
+ */
+export function getWorkoutSessions() {
+    const data = getData();
+    return data.workoutSessions;
+}
+
+/**
+ * Total and average stopwatch minutes over completed days
+ * @param {Object} sessions - Map of date keys to sessions
+ * @param {Object} completedDays
+ * @returns {Object} {totalMinutes: number, avgMinutes: number}
+ */
+export function getTrainingTimeStats(sessions, completedDays) {
+    const timed = Object.keys(sessions).filter(key => completedDays[key] && sessions[key].seconds > 0);
+    const totalSeconds = timed.reduce((sum, key) => sum + sessions[key].seconds, 0);
+
+    return {
+        totalMinutes: Math.round(totalSeconds / 60),
+        avgMinutes: timed.length > 0 ? Math.round(totalSeconds / 60 / timed.length) : 0
+    };
+}
+
 /**
  * Get weekly rewards
  * @returns {Object}
@@ -236,6 +649,15 @@ export function getWeeklyRewards() {
     return data.weeklyRewards;
 }
 
+/**
+ * Get the local reward ledger, oldest first
+ * @returns {Array}
+ */
+export function getRewardLedger() {
+    const data = getData();
+    return data.rewardLedger;
+}
+
 /**
  * Check if a day is completed
  * @param {string} dateKey
@@ -261,106 +683,993 @@ export function getTotalCompletedDays() {
  */
 export function getTotalEarnings() {
     const data = getData();
-    return Object.values(data.weeklyRewards).reduce((sum, val) => sum + val, 0);
+    return data.rewardLedger.reduce((sum, event) => sum + event.amount, 0);
+}
+
+/**
+ * Get the weeks and days frozen by streak freezes and vacations
+ * @param {Object} data
+ * @returns {Object} {weeks, days}
+ */
+function getFrozenPeriodsInData(data) {
+    return getFrozenPeriods(data.frozenWeeks, data.vacations, data.weekStart);
 }
 
 /**
- * Get current streak (consecutive weeks with rewards)
+ * Get current streak (goal weeks in a row, frozen weeks skipped)
  * @returns {number}
  */
 export function getCurrentStreak() {
     const data = getData();
-    const weekKeys = Object.keys(data.weeklyRewards).sort().reverse();
+    return getCurrentWeeklyStreak(
+        getGoalMetWeeks(data.weeklyRewards, data.partialWeeks), data.weekStart, null, getFrozenPeriodsInData(data).weeks
+    );
+}
 
-    let streak = 0;
-    for (const key of weekKeys) {
-        if (data.weeklyRewards[key]) {
-            streak++;
-        } else {
-            break;
-        }
-    }
+/**
+ * Get current and longest weekly and daily streaks
+ * @returns {Object} {currentWeekly, longestWeekly, currentDaily, longestDaily}
+ */
+export function getAllStreaks() {
+    const data = getData();
+    return getStreaks(
+        data.completedDays, getGoalMetWeeks(data.weeklyRewards, data.partialWeeks), data.weekStart, getFrozenPeriodsInData(data)
+    );
+}
 
-    return streak;
+/**
+ * Get total rewards for weeks that end in a month
+ * A week spanning two months counts toward the month it finishes in
+ * @param {Object} weeklyRewards - Map of week keys to reward amounts
+ * @param {number} year
+ * @param {number} month (1-12)
+ * @returns {number}
+ */
+export function getMonthlyRewardTotal(weeklyRewards, year, month) {
+    return Object.keys(weeklyRewards)
+        .filter(weekKey => {
+            const lastDay = getWeekDateKeys(weekKey)[6];
+            return lastDay.startsWith(`${year}-${month}-`);
+        })
+        .reduce((total, weekKey) => total + weeklyRewards[weekKey], 0);
 }
 
 /**
- * Update reward range
- * @param {number} min
- * @param {number} max
+ * Get the day the week starts on
+ * @returns {number} 0 = Sunday, 1 = Monday, ...
+ */
+export function getWeekStart() {
+    const data = getData();
+    return data.weekStart;
+}
+
+/**
+ * Update the day the week starts on
+ * Weeks that already paid out keep their original dates, and their days stay
+ * with them (see getRewardWeekKey())
+ * @param {number} weekStart - 0 = Sunday, 1 = Monday, ...
  * @returns {boolean}
  */
-export function updateRewardRange(min, max) {
-    if (min > max || min < 1) {
-        showToast('Invalid reward range', 'error');
+export function updateWeekStart(weekStart) {
+    if (!isValidWeekStart(weekStart)) {
+        showToast('Please choose a valid day for the week to start on', 'error');
         return false;
     }
 
     const data = getData();
-    data.minReward = min;
-    data.maxReward = max;
+    data.weekStart = weekStart;
     saveData(data);
 
-    showToast(`Reward range updated to $${min} - $${max}`, 'success');
+    showToast('Week start updated', 'success');
     return true;
 }
 
 /**
- * Get reward range
- * @returns {Object} {min: number, max: number}
+ * Get weekly goal settings
+ * @returns {Object} {weeklyGoal: number, proportionalPayouts: boolean}
  */
-export function getRewardRange() {
+export function getWeeklyGoalSettings() {
     const data = getData();
     return {
-        min: data.minReward,
-        max: data.maxReward
+        weeklyGoal: data.weeklyGoal,
+        proportionalPayouts: data.proportionalPayouts
     };
 }
 
 /**
- * Get statistics for display
- * @returns {Object}
+ * Update weekly goal settings
+ * @param {Object} settings
+ * @param {number} settings.weeklyGoal - Days needed each week (1-7)
+ * @param {boolean} settings.proportionalPayouts - Pay partial weeks in proportion to days completed
+ * @returns {boolean}
  */
-export function getStats() {
-    return {
-        totalDays: getTotalCompletedDays(),
-        currentStreak: getCurrentStreak(),
-        totalEarned: getTotalEarnings()
-    };
-}
+export function updateWeeklyGoalSettings({ weeklyGoal, proportionalPayouts }) {
+    if (!isValidWeeklyGoal(weeklyGoal)) {
+        showToast('Weekly goal must be between 1 and 7 days', 'error');
+        return false;
+    }
 
-/**
- * Get monthly total
- * @param {number} year
- * @param {number} month
- * @returns {number}
- */
-export function getMonthlyTotal(year, month) {
     const data = getData();
-    let total = 0;
 
-    Object.keys(data.weeklyRewards).forEach(key => {
-        if (key.startsWith(`${year}-${month}-`)) {
-            total += data.weeklyRewards[key];
-        }
-    });
+    // Only weeks from now on qualify for proportional payouts
+    if (proportionalPayouts && !data.proportionalPayouts) {
+        data.proportionalPayoutsSince = getWeekKey(new Date(), data.weekStart);
+    }
+
+    data.weeklyGoal = weeklyGoal;
+    data.proportionalPayouts = proportionalPayouts;
+    saveData(data);
 
-    return total;
+    showToast(`Weekly goal set to ${weeklyGoal} ${weeklyGoal === 1 ? 'day' : 'days'}`, 'success');
+    return true;
 }
 
 /**
- * Export all workout data
- * @returns {Object}
+ * Get the rule for what counts as a completed day
+ * @returns {Object} {type: 'all'|'count'|'minutes'|'timer', value: number|null}
  */
-export function exportData() {
-    return getData();
+export function getCompletionRule() {
+    const data = getData();
+    return data.completionRule;
 }
 
 /**
- * Import workout data (for syncing with Supabase later)
- * @param {Object} importedData
+ * Update the rule for what counts as a completed day
+ * @param {Object} rule - {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ * @returns {boolean}
  */
-export function importData(importedData) {
-    saveData(importedData);
-    showToast('Data imported successfully', 'success');
+export function updateCompletionRule(rule) {
+    if (!isValidCompletionRule(rule)) {
+        showToast('Please choose a valid completion rule', 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.completionRule = { type: rule.type, value: rule.type === 'all' ? null : rule.value };
+    saveData(data);
+
+    showToast('Completion rule updated', 'success');
+    return true;
+}
+
+/**
+ * Check a completion against the completion policy
+ * Supabase runs the same check in complete_workout()
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {Object|null} session - Stopwatch time {seconds, pausedSeconds, segments}
+ * @param {Object} policy - {graceHours: number, minTimerMinutes: number}
+ * @param {Date} now
+ * @returns {{valid: boolean, message: string}}
+ */
+export function checkCompletionPolicy(dateKey, session = null, policy = DEFAULT_COMPLETION_POLICY, now = new Date()) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const dayStart = new Date(year, month - 1, day);
+    const dayEnd = new Date(year, month - 1, day + 1);
+
+    if (dayStart > now) {
+        return { valid: false, message: 'You can\'t complete a day that hasn\'t happened yet' };
+    }
+
+    if (now - dayEnd > policy.graceHours * 60 * 60 * 1000) {
+        const allowed = policy.graceHours === 0 ? 'on the day itself' : `within ${policy.graceHours} hours`;
+        return { valid: false, message: `Days can only be completed ${allowed}` };
+    }
+
+    if ((session?.seconds || 0) < policy.minTimerMinutes * 60) {
+        return { valid: false, message: `Run the stopwatch for at least ${policy.minTimerMinutes} minutes to complete a day` };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Work out how a calendar day stands
+ * Missed days can still be completed within the grace window; after that they're locked
+ * @param {Date} date
+ * @param {Object} day
+ * @param {boolean} day.completed
+ * @param {string|null} day.frozenBy - 'freeze' or 'vacation', from getFrozenPeriods()
+ * @param {number} day.planned - How many exercises the day has; none makes it a rest day
+ * @param {Object} day.policy - {graceHours: number, minTimerMinutes: number}
+ * @param {Date} now
+ * @returns {Object} {state: 'completed'|'frozen'|'rest'|'today'|'upcoming'|'missed'|'locked', isToday: boolean, label: string}
+ */
+export function getDayState(date, { completed, frozenBy = null, planned, policy = DEFAULT_COMPLETION_POLICY }, now = new Date()) {
+    const isToday = date.toDateString() === now.toDateString();
+    const dayState = (state, label) => ({ state, isToday, label: isToday ? `Today · ${label}` : label });
+
+    if (completed) return dayState('completed', 'Completed');
+    if (frozenBy) return dayState('frozen', frozenBy === 'vacation' ? 'Vacation' : 'Streak freeze');
+    if (planned === 0) return dayState('rest', 'Rest day');
+    if (isToday) return { state: 'today', isToday, label: 'Today' };
+    if (date > now) return dayState('upcoming', 'Upcoming');
+
+    const dateKey = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    const { valid, message } = checkCompletionPolicy(dateKey, null, { ...policy, minTimerMinutes: 0 }, now);
+    if (!valid) return dayState('locked', `Missed · ${message}`);
+
+    const dayEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    const hoursLeft = Math.ceil((dayEnd.getTime() + policy.graceHours * 3600000 - now.getTime()) / 3600000);
+    return dayState('missed', `Missed · ${hoursLeft} ${hoursLeft === 1 ? 'hour' : 'hours'} left to complete it`);
+}
+
+/**
+ * Get the completion policy
+ * @returns {Object} {graceHours: number, minTimerMinutes: number}
+ */
+export function getCompletionPolicy() {
+    const data = getData();
+    return data.completionPolicy;
+}
+
+/**
+ * Update the completion policy
+ * @param {Object} policy - {graceHours: number, minTimerMinutes: number}
+ * @returns {boolean}
+ */
+export function updateCompletionPolicy(policy) {
+    if (!isValidCompletionPolicy(policy)) {
+        showToast('Grace window must be 0-168 hours and stopwatch minimum 0-300 minutes', 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.completionPolicy = { graceHours: policy.graceHours, minTimerMinutes: policy.minTimerMinutes };
+    saveData(data);
+
+    showToast('Completion policy updated', 'success');
+    return true;
+}
+
+/**
+ * Get weeks paid proportionally because they missed the goal
+ * @returns {Object} Map of week keys to days completed
+ */
+export function getPartialWeeks() {
+    const data = getData();
+    return data.partialWeeks;
+}
+
+/**
+ * Update reward range
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+export function updateRewardRange(min, max) {
+    const validation = isValidRewardRange(min, max);
+    if (!validation.valid) {
+        showToast(validation.message, 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.minReward = min;
+    data.maxReward = max;
+    saveData(data);
+
+    showToast(`Reward range updated to $${min} - $${max}`, 'success');
+    return true;
+}
+
+/**
+ * Get reward range
+ * @returns {Object} {min: number, max: number}
+ */
+export function getRewardRange() {
+    const data = getData();
+    return {
+        min: data.minReward,
+        max: data.maxReward
+    };
+}
+
+/**
+ * Get the reward strategy
+ * @returns {Object} {type: 'random'|'fixed'|'per_day', amount: number|null, streakBonus: number, monthlyCap: number|null}
+ */
+export function getRewardStrategy() {
+    const data = getData();
+    return data.rewardStrategy;
+}
+
+/**
+ * Update the reward strategy
+ * Weeks that already paid out keep their amounts
+ * @param {Object} strategy - {type, amount, streakBonus, monthlyCap}
+ * @returns {boolean}
+ */
+export function updateRewardStrategy(strategy) {
+    if (!isValidRewardStrategy(strategy)) {
+        showToast('Please choose a valid reward strategy', 'error');
+        return false;
+    }
+
+    const data = getData();
+    data.rewardStrategy = normalizeRewardStrategy(strategy);
+    saveData(data);
+
+    showToast('Reward strategy updated', 'success');
+    return true;
+}
+
+/**
+ * Keep only the fields a strategy uses
+ * @param {Object} strategy
+ * @returns {Object}
+ */
+export function normalizeRewardStrategy({ type, amount, streakBonus, monthlyCap }) {
+    return {
+        type,
+        amount: type === 'random' ? null : amount,
+        streakBonus,
+        monthlyCap
+    };
+}
+
+/**
+ * Get statistics for display from a single read of local data
+ * @returns {Object}
+ */
+export function getStats() {
+    const data = getData();
+    const goalWeeks = getGoalMetWeeks(data.weeklyRewards, data.partialWeeks);
+    const streaks = getStreaks(data.completedDays, goalWeeks, data.weekStart, getFrozenPeriodsInData(data));
+
+    return {
+        totalDays: Object.keys(data.completedDays).length,
+        currentStreak: streaks.currentWeekly,
+        longestStreak: streaks.longestWeekly,
+        dailyStreak: streaks.currentDaily,
+        longestDailyStreak: streaks.longestDaily,
+        goalWeeks: Object.keys(goalWeeks).length,
+        totalEarned: data.rewardLedger.reduce((sum, event) => sum + event.amount, 0),
+        ...getTrainingTimeStats(data.workoutSessions, data.completedDays)
+    };
+}
+
+/**
+ * Get monthly total
+ * @param {number} year
+ * @param {number} month (1-12)
+ * @returns {number}
+ */
+export function getMonthlyTotal(year, month) {
+    const data = getData();
+    return getMonthlyRewardTotal(data.weeklyRewards, year, month);
+}
+
+/**
+ * Export all workout data as a versioned backup file
+ * @returns {Object} {format, schemaVersion, exportedAt, data}
+ */
+export function exportData() {
+    return createBackupFile(loadData());
+}
+
+/**
+ * Check a backup file and preview what replacing or merging with it would change
+ * @param {string} text - File contents
+ * @returns {Object} {valid, errors, exportedAt, schemaVersion, diff: Object|null} - See getBackupDiff()
+ */
+export function previewImport(text) {
+    const { valid, errors, data, exportedAt, schemaVersion } = parseBackupFile(text);
+
+    return {
+        valid,
+        errors,
+        exportedAt,
+        schemaVersion,
+        diff: valid ? getBackupDiff(getData(), data) : null
+    };
+}
+
+/**
+ * Import a backup file, replacing what is stored or merging into it
+ * The file is checked against the schema and older versions are migrated;
+ * the current data is backed up first
+ * @param {string} text - File contents
+ * @param {string} mode - 'replace' or 'merge'
+ * @returns {boolean}
+ */
+export function importData(text, mode = 'replace') {
+    const { valid, errors, data } = parseBackupFile(text);
+    if (!valid) {
+        showToast(errors[0], 'error');
+        return false;
+    }
+
+    if (!replaceData(mode === 'merge' ? mergeBackupData(getData(), data) : data)) {
+        showToast('The backup couldn\'t be saved on this device', 'error');
+        return false;
+    }
+
+    showToast(mode === 'merge' ? 'Backup merged with your data' : 'Backup restored', 'success');
+    return true;
+}
+
+/**
+ * Get completed days from Supabase
+ * Throws on failure (e.g. offline) so callers can fall back to what was last read
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to true
+ */
+export async function getCompletedDaysFromSupabase() {
+    if (!supabase) return {};
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError) throw authError;
+    if (!user) return {};
+
+    const { data: workouts, error } = await supabase
+        .from('workouts')
+        .select('date')
+        .eq('user_id', user.id)
+        .eq('completed', true);
+
+    if (error) throw error;
+
+    return workouts.reduce((days, workout) => {
+        days[isoToDateKey(workout.date)] = true;
+        return days;
+    }, {});
+}
+
+/**
+ * Get weekly rewards from Supabase, net of reversals in the reward ledger
+ * Throws on failure, like getRewardLedgerFromSupabase()
+ * @returns {Promise<Object>} Map of week keys (YYYY-MM-DD) to amounts
+ */
+export async function getWeeklyRewardsFromSupabase() {
+    return getWeeklyRewardsFromLedger(await getRewardLedgerFromSupabase());
+}
+
+/**
+ * Get the per-exercise log for a day from Supabase
+ * Throws on failure (e.g. offline) so callers can fall back to what was last read
+ * @param {string} dateKey (YYYY-M-D)
+ * @returns {Promise<Object|null>}
+ */
+export async function getWorkoutLogFromSupabase(dateKey) {
+    if (!supabase) return null;
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError) throw authError;
+    if (!user) return null;
+
+    const { data, error } = await supabase
+        .from('workouts')
+        .select('exercise_log')
+        .eq('user_id', user.id)
+        .eq('date', dateKeyToISO(dateKey))
+        .maybeSingle();
+
+    if (error) throw error;
+
+    return data?.exercise_log || null;
+}
+
+/**
+ * Get the per-exercise logs for every day from Supabase
+ * Throws on failure (e.g. offline) so callers can fall back to what was last read
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to logs
+ */
+export async function getWorkoutLogsFromSupabase() {
+    if (!supabase) return {};
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError) throw authError;
+    if (!user) return {};
+
+    const { data: workouts, error } = await supabase
+        .from('workouts')
+        .select('date, exercise_log')
+        .eq('user_id', user.id)
+        .not('exercise_log', 'is', null);
+
+    if (error) throw error;
+
+    return workouts.reduce((logs, workout) => {
+        logs[isoToDateKey(workout.date)] = workout.exercise_log;
+        return logs;
+    }, {});
+}
+
+/**
+ * Get stopwatch time recorded for each day from Supabase
+ * Throws on failure (e.g. offline) so callers can fall back to what was last read
+ * @returns {Promise<Object>} Map of date keys (YYYY-M-D) to {seconds, pausedSeconds, segments}
+ */
+export async function getWorkoutSessionsFromSupabase() {
+    if (!supabase) return {};
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser();
+    if (authError) throw authError;
+    if (!user) return {};
+
+    const { data: workouts, error } = await supabase
+        .from('workouts')
+        .select('date, duration_seconds, paused_seconds, timer_segments')
+        .eq('user_id', user.id)
+        .not('duration_seconds', 'is', null);
+
+    if (error) throw error;
+
+    return workouts.reduce((sessions, workout) => {
+        sessions[isoToDateKey(workout.date)] = sessionFromRow(workout);
+        return sessions;
+    }, {});
+}
+
+/**
+ * Convert stopwatch columns into a session
+ * @param {Object} row
+ * @returns {Object}
+ */
+function sessionFromRow(row) {
+    return {
+        seconds: row.duration_seconds,
+        pausedSeconds: row.paused_seconds || 0,
+        segments: row.timer_segments || []
+    };
+}
+
+/**
+ * Convert a session into stopwatch columns
+ * @param {Object} session
+ * @returns {Object}
+ */
+function sessionToRow(session) {
+    return {
+        duration_seconds: session.seconds,
+        paused_seconds: session.pausedSeconds,
+        timer_segments: session.segments
+    };
+}
+
+/**
+ * Write a day's per-exercise log to Supabase without changing its completion
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {Object} log
+ * @param {Object|null} session - Stopwatch time so far
+ */
+export async function saveWorkoutLogToSupabase(dateKey, log, session = null) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('workouts')
+        .upsert({
+            user_id: user.id,
+            date: dateKeyToISO(dateKey),
+            exercise_log: log,
+            ...(session ? sessionToRow(session) : {})
+        }, { onConflict: 'user_id,date' });
+
+    if (error) throw error;
+}
+
+/**
+ * Write a workout's completion state to Supabase and award the week if it is now complete,
+ * or take the week's reward back if un-completing the day loses it
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string} dateKey (YYYY-M-D)
+ * @param {boolean} completed
+ * @param {Object|null} log - Per-exercise log to keep with the day
+ * @param {Object|null} session - Stopwatch time {seconds, pausedSeconds, segments}
+ * @param {string|null} completedAt - When the day was completed (ISO), if not now
+ * @returns {Promise<Object>} {weekCompleted: boolean, reward: number|null, partialRewards: Array, revokedReward?: number}
+ */
+export async function syncWorkoutToSupabase(dateKey, completed = true, log = null, session = null, completedAt = null) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    if (!completed) {
+        // Takes back the week's reward and movement contributions server-side when the week no longer earns it
+        const { data: revokedReward, error: undoError } = await supabase.rpc('uncomplete_workout', {
+            p_user_id: user.id,
+            p_date: dateKeyToISO(dateKey)
+        });
+
+        if (undoError) throw undoError;
+
+        return { weekCompleted: false, reward: null, partialRewards: [], revokedReward: revokedReward || 0 };
+    }
+
+    // Completions go through an RPC that enforces the completion policy as of
+    // completedAt; replaying one for a day that is already completed just
+    // updates its log and time
+    const timer = session ? sessionToRow(session) : {};
+    const { error } = await supabase.rpc('complete_workout', {
+        p_user_id: user.id,
+        p_date: dateKeyToISO(dateKey),
+        p_exercise_log: log,
+        p_duration_seconds: timer.duration_seconds ?? null,
+        p_paused_seconds: timer.paused_seconds ?? 0,
+        p_timer_segments: timer.timer_segments ?? [],
+        p_completed_at: completedAt
+    });
+
+    if (error) throw error;
+
+    const [completedDays, weeklyRewards, settings] = await Promise.all([
+        getCompletedDaysFromSupabase(),
+        getWeeklyRewardsFromSupabase(),
+        getCalendarSettingsFromSupabase()
+    ]);
+
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const weekKey = getWeekKey(new Date(year, month - 1, day), settings.weekStart);
+
+    const weekCompleted = isWeekComplete(completedDays, weekKey, settings.weeklyGoal);
+    let reward = null;
+
+    if (weekCompleted && !(weekKey in weeklyRewards)) {
+        // Reward amount and movement contributions are decided server-side
+        const { data: amount, error: rewardError } = await supabase.rpc('award_weekly_reward', {
+            p_user_id: user.id,
+            p_week_start: weekKey
+        });
+
+        if (rewardError) throw rewardError;
+
+        reward = amount;
+    }
+
+    const partialRewards = await settlePartialWeeksInSupabase(weekKey);
+
+    return { weekCompleted, reward, partialRewards };
+}
+
+/**
+ * Pay out finished weeks that missed the goal (no-op unless proportional payouts are on)
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string|null} excludeWeekKey - Week to leave unsettled
+ * @returns {Promise<Array>} [{weekKey, daysCompleted, reward}]
+ */
+export async function settlePartialWeeksInSupabase(excludeWeekKey = null) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { data: settled, error } = await supabase.rpc('settle_partial_weeks', {
+        p_user_id: user.id,
+        p_exclude_week: excludeWeekKey
+    });
+
+    if (error) throw error;
+
+    return (settled || []).map(week => ({
+        weekKey: week.week_start,
+        daysCompleted: week.days_completed,
+        reward: week.amount
+    }));
+}
+
+/**
+ * Get reward range from the user's Supabase profile
+ * @returns {Promise<Object>} {min: number, max: number}
+ */
+export async function getRewardRangeFromSupabase() {
+    if (!supabase) return getRewardRange();
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return getRewardRange();
+
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('min_reward, max_reward')
+            .eq('id', user.id)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            min: data.min_reward,
+            max: data.max_reward
+        };
+    } catch (error) {
+        console.error('Error fetching reward range:', error);
+        return getRewardRange();
+    }
+}
+
+/**
+ * Write the reward range to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {number} min
+ * @param {number} max
+ */
+export async function saveRewardRangeToSupabase(min, max) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ min_reward: min, max_reward: max })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get the reward strategy from the user's Supabase profile
+ * @returns {Promise<Object>} {type: 'random'|'fixed'|'per_day', amount: number|null, streakBonus: number, monthlyCap: number|null}
+ */
+export async function getRewardStrategyFromSupabase() {
+    if (!supabase) return getRewardStrategy();
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return getRewardStrategy();
+
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('reward_strategy, reward_amount, streak_bonus_percent, monthly_reward_cap')
+            .eq('id', user.id)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            type: data.reward_strategy,
+            amount: data.reward_amount,
+            streakBonus: data.streak_bonus_percent,
+            monthlyCap: data.monthly_reward_cap
+        };
+    } catch (error) {
+        console.error('Error fetching reward strategy:', error);
+        return getRewardStrategy();
+    }
+}
+
+/**
+ * Write the reward strategy to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {Object} strategy - {type, amount, streakBonus, monthlyCap}
+ */
+export async function saveRewardStrategyToSupabase(strategy) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { type, amount, streakBonus, monthlyCap } = normalizeRewardStrategy(strategy);
+    const { error } = await supabase
+        .from('profiles')
+        .update({
+            reward_strategy: type,
+            reward_amount: amount,
+            streak_bonus_percent: streakBonus,
+            monthly_reward_cap: monthlyCap
+        })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get week start and weekly goal settings from the user's Supabase profile
+ * @returns {Promise<Object>} {weekStart: number, weeklyGoal: number, proportionalPayouts: boolean, completionRule: Object}
+ */
+async function getCalendarSettingsFromSupabase() {
+    const localSettings = {
+        weekStart: getWeekStart(),
+        ...getWeeklyGoalSettings(),
+        completionRule: getCompletionRule(),
+        completionPolicy: getCompletionPolicy()
+    };
+
+    if (!supabase) return localSettings;
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return localSettings;
+
+        const { data, error } = await supabase
+            .from('profiles')
+            .select('week_start, weekly_goal, proportional_payouts, completion_rule, completion_rule_value, backfill_grace_hours, min_timer_minutes')
+            .eq('id', user.id)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            weekStart: data.week_start,
+            weeklyGoal: data.weekly_goal,
+            proportionalPayouts: data.proportional_payouts,
+            completionRule: { type: data.completion_rule, value: data.completion_rule_value },
+            completionPolicy: { graceHours: data.backfill_grace_hours, minTimerMinutes: data.min_timer_minutes }
+        };
+    } catch (error) {
+        console.error('Error fetching calendar settings:', error);
+        return localSettings;
+    }
+}
+
+/**
+ * Get the day the week starts on from the user's Supabase profile
+ * @returns {Promise<number>} 0 = Sunday, 1 = Monday, ...
+ */
+export async function getWeekStartFromSupabase() {
+    const { weekStart } = await getCalendarSettingsFromSupabase();
+    return weekStart;
+}
+
+/**
+ * Get weekly goal settings from the user's Supabase profile
+ * @returns {Promise<Object>} {weeklyGoal: number, proportionalPayouts: boolean}
+ */
+export async function getWeeklyGoalSettingsFromSupabase() {
+    const { weeklyGoal, proportionalPayouts } = await getCalendarSettingsFromSupabase();
+    return { weeklyGoal, proportionalPayouts };
+}
+
+/**
+ * Write weekly goal settings to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {number} weeklyGoal
+ * @param {boolean} proportionalPayouts
+ */
+export async function saveWeeklyGoalSettingsToSupabase(weeklyGoal, proportionalPayouts) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    // The server stamps proportional_payouts_since when the flag is switched on
+    const { error } = await supabase
+        .from('profiles')
+        .update({ weekly_goal: weeklyGoal, proportional_payouts: proportionalPayouts })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get the completion rule from the user's Supabase profile
+ * @returns {Promise<Object>} {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ */
+export async function getCompletionRuleFromSupabase() {
+    const { completionRule } = await getCalendarSettingsFromSupabase();
+    return completionRule;
+}
+
+/**
+ * Write the completion rule to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {string} type - 'all' | 'count' | 'minutes' | 'timer'
+ * @param {number|null} value
+ */
+export async function saveCompletionRuleToSupabase(type, value) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ completion_rule: type, completion_rule_value: type === 'all' ? null : value })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get the completion policy from the user's Supabase profile
+ * @returns {Promise<Object>} {graceHours: number, minTimerMinutes: number}
+ */
+export async function getCompletionPolicyFromSupabase() {
+    const { completionPolicy } = await getCalendarSettingsFromSupabase();
+    return completionPolicy;
+}
+
+/**
+ * Write the completion policy to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {number} graceHours
+ * @param {number} minTimerMinutes
+ */
+export async function saveCompletionPolicyToSupabase(graceHours, minTimerMinutes) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ backfill_grace_hours: graceHours, min_timer_minutes: minTimerMinutes })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get weeks paid proportionally from Supabase
+ * @returns {Promise<Object>} Map of week keys (YYYY-MM-DD) to days completed
+ */
+export async function getPartialWeeksFromSupabase() {
+    if (!supabase) return {};
+
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) return {};
+
+        const { data: rewards, error } = await supabase
+            .from('weekly_rewards')
+            .select('week_start, days_completed')
+            .eq('user_id', user.id)
+            .eq('goal_met', false);
+
+        if (error) throw error;
+
+        return rewards.reduce((map, r) => {
+            map[r.week_start] = r.days_completed;
+            return map;
+        }, {});
+    } catch (error) {
+        console.error('Error fetching partial weeks:', error);
+        return {};
+    }
+}
+
+/**
+ * Write the week start day to the user's Supabase profile
+ * Throws on failure so callers (including the offline outbox) can retry
+ * @param {number} weekStart - 0 = Sunday, 1 = Monday, ...
+ */
+export async function saveWeekStartToSupabase(weekStart) {
+    if (!supabase) throw new Error('Supabase not configured');
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const { error } = await supabase
+        .from('profiles')
+        .update({ week_start: weekStart })
+        .eq('id', user.id);
+
+    if (error) throw error;
+}
+
+/**
+ * Get statistics for display from Supabase
+ * @param {Object} known - Data already read, fetched if left out
+ * @param {Object} [known.completedDays]
+ * @param {Object} [known.weeklyRewards]
+ * @param {Object} [known.sessions]
+ * @returns {Promise<Object>}
+ */
+export async function getStatsFromSupabase(known = {}) {
+    const [completedDays, weeklyRewards, partialWeeks, weekStart, sessions, freezeState] = await Promise.all([
+        known.completedDays || getCompletedDaysFromSupabase(),
+        known.weeklyRewards || getWeeklyRewardsFromSupabase(),
+        getPartialWeeksFromSupabase(),
+        getWeekStartFromSupabase(),
+        known.sessions || getWorkoutSessionsFromSupabase(),
+        getFreezeStateFromSupabase()
+    ]);
+
+    const goalMetWeeks = getGoalMetWeeks(weeklyRewards, partialWeeks);
+    const frozen = getFrozenPeriods(freezeState.frozenWeeks, freezeState.vacations, weekStart);
+    const streaks = getStreaks(completedDays, goalMetWeeks, weekStart, frozen);
+
+    return {
+        totalDays: Object.keys(completedDays).length,
+        currentStreak: streaks.currentWeekly,
+        longestStreak: streaks.longestWeekly,
+        dailyStreak: streaks.currentDaily,
+        longestDailyStreak: streaks.longestDaily,
+        goalWeeks: Object.keys(goalMetWeeks).length,
+        totalEarned: Object.values(weeklyRewards).reduce((sum, val) => sum + val, 0),
+        ...getTrainingTimeStats(sessions, completedDays)
+    };
 }
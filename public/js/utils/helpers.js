@@ -98,6 +98,24 @@ export async function copyToClipboard(text) {
     }
 }
 
+/**
+ * Save text as a file through the browser's download
+ * @param {string} fileName
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Check if element is in viewport
  * @param {HTMLElement} element
@@ -173,15 +191,86 @@ export function getTodayString() {
 }
 
 /**
- * Calculate week number in month
+ * Convert a calendar date key (YYYY-M-D) to an ISO date (YYYY-MM-DD)
+ * @param {string} dateKey
+ * @returns {string}
+ */
+export function dateKeyToISO(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert an ISO date (YYYY-MM-DD) to a calendar date key (YYYY-M-D)
+ * @param {string} isoDate
+ * @returns {string}
+ */
+export function isoToDateKey(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the first day of the calendar week containing a date
  * @param {Date} date
- * @returns {number}
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @returns {Date}
+ */
+export function getWeekStartDate(date, weekStart = 0) {
+    const offset = (date.getDay() - weekStart + 7) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset);
+}
+
+/**
+ * Get the key of the calendar week containing a date
+ * Weeks are keyed by the ISO date (YYYY-MM-DD) of their first day so keys sort chronologically
+ * @param {Date} date
+ * @param {number} weekStart - Day the week starts on (0 = Sunday, 1 = Monday, ...)
+ * @returns {string}
+ */
+export function getWeekKey(date, weekStart = 0) {
+    const start = getWeekStartDate(date, weekStart);
+    return dateKeyToISO(`${start.getFullYear()}-${start.getMonth() + 1}-${start.getDate()}`);
+}
+
+/**
+ * Get the first day of a week from its key
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @returns {Date}
  */
-export function getWeekNumberInMonth(date) {
-    const firstDay = new Date(date.getFullYear(), date.getMonth(), 1);
-    const firstDayOfWeek = firstDay.getDay();
-    const dayOfMonth = date.getDate();
-    return Math.ceil((firstDayOfWeek + dayOfMonth) / 7);
+export function parseWeekKey(weekKey) {
+    const [year, month, day] = weekKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the calendar date keys (YYYY-M-D) of the 7 days in a week
+ * @param {string} weekKey (YYYY-MM-DD)
+ * @returns {Array<string>}
+ */
+export function getWeekDateKeys(weekKey) {
+    const start = parseWeekKey(weekKey);
+
+    return Array.from({ length: 7 }, (_, i) => {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    });
+}
+
+/**
+ * Convert a month-bounded week key (YYYY-M-weekN) from older versions to a week key
+ * Week N of a month was row N of a Sunday-first calendar grid, so it maps to the Sunday that starts that row
+ * @param {string} legacyKey
+ * @returns {string|null} Week key, or null if legacyKey isn't in the old format
+ */
+export function legacyWeekKeyToWeekKey(legacyKey) {
+    const match = /^(\d{4})-(\d{1,2})-week(\d)$/.exec(legacyKey);
+    if (!match) return null;
+
+    const [, year, month, weekNum] = match.map(Number);
+    const firstOfMonth = new Date(year, month - 1, 1);
+
+    return getWeekKey(new Date(year, month - 1, 1 - firstOfMonth.getDay() + (weekNum - 1) * 7));
 }
 
 /**
@@ -241,8 +330,9 @@ export function createConfetti(count = 50) {
  * @param {string} message
  * @param {string} type ('success'|'error'|'info'|'warning')
  * @param {number} duration
+ * @param {Object|null} action - Optional button {label, onClick} that dismisses the toast
  */
-export function showToast(message, type = 'info', duration = 3000) {
+export function showToast(message, type = 'info', duration = 3000, action = null) {
     // Create toast element
     const toast = document.createElement('div');
     toast.className = `toast toast-${type}`;
@@ -261,6 +351,17 @@ export function showToast(message, type = 'info', duration = 3000) {
         animation: slideIn 0.3s ease-out;
     `;
 
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast-action';
+        button.textContent = action.label;
+        button.onclick = () => {
+            toast.remove();
+            action.onClick();
+        };
+        toast.appendChild(button);
+    }
+
     document.body.appendChild(toast);
 
     setTimeout(() => {
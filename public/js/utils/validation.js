@@ -90,6 +90,85 @@ export function isValidRange(value, min, max) {
     return { valid: true, message: '' };
 }
 
+/**
+ * Validate a weekly reward range
+ * @param {number} min
+ * @param {number} max
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidRewardRange(min, max) {
+    if (isNaN(min) || isNaN(max) || min > max || min < 1) {
+        return { valid: false, message: 'Invalid reward range' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate week start day
+ * @param {number} weekStart - 0 = Sunday, 1 = Monday, ...
+ * @returns {boolean}
+ */
+export function isValidWeekStart(weekStart) {
+    return Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6;
+}
+
+/**
+ * Validate weekly goal (days per week needed to earn the reward)
+ * @param {number} weeklyGoal
+ * @returns {boolean}
+ */
+export function isValidWeeklyGoal(weeklyGoal) {
+    return Number.isInteger(weeklyGoal) && weeklyGoal >= 1 && weeklyGoal <= 7;
+}
+
+/**
+ * Validate the rule for what counts as a completed day
+ * @param {Object} rule - {type: 'all'|'count'|'minutes'|'timer', value: number|null}
+ * @returns {boolean}
+ */
+export function isValidCompletionRule(rule) {
+    switch (rule?.type) {
+        case 'all':
+            return true;
+        case 'count':
+            return Number.isInteger(rule.value) && rule.value >= 1 && rule.value <= 10;
+        case 'minutes':
+        case 'timer':
+            return Number.isInteger(rule.value) && rule.value >= 1 && rule.value <= 300;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Validate the backdating and anti-cheat policy for completions
+ * @param {Object} policy - {graceHours: number, minTimerMinutes: number}
+ * @returns {boolean}
+ */
+export function isValidCompletionPolicy(policy) {
+    return Number.isInteger(policy?.graceHours) && policy.graceHours >= 0 && policy.graceHours <= 168 &&
+        Number.isInteger(policy.minTimerMinutes) && policy.minTimerMinutes >= 0 && policy.minTimerMinutes <= 300;
+}
+
+/**
+ * Validate a reward strategy
+ * @param {Object} strategy - {type: 'random'|'fixed'|'per_day', amount: number|null, streakBonus: number, monthlyCap: number|null}
+ * @returns {boolean}
+ */
+export function isValidRewardStrategy(strategy) {
+    if (!['random', 'fixed', 'per_day'].includes(strategy?.type)) return false;
+
+    if (strategy.type !== 'random' && !(Number.isInteger(strategy.amount) && strategy.amount >= 1 && strategy.amount <= 1000)) {
+        return false;
+    }
+
+    const validCap = strategy.monthlyCap === null ||
+        (Number.isInteger(strategy.monthlyCap) && strategy.monthlyCap >= 1 && strategy.monthlyCap <= 10000);
+
+    return validCap && Number.isInteger(strategy.streakBonus) && strategy.streakBonus >= 0 && strategy.streakBonus <= 50;
+}
+
 /**
  * Validate date
  * @param {string} dateString
@@ -220,3 +299,57 @@ export function isValidInviteCode(code) {
 
     return { valid: true, message: '' };
 }
+
+/**
+ * Validate custom routine name
+ * @param {string} name
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidRoutineName(name) {
+    if (!name || name.trim().length === 0) {
+        return { valid: false, message: 'Routine name cannot be empty' };
+    }
+
+    if (name.trim().length > 60) {
+        return { valid: false, message: 'Routine name must be less than 60 characters' };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * Validate a custom exercise
+ * @param {Object} exercise - {name, desc, duration, sets, reps, image}
+ * @returns {{valid: boolean, message: string}}
+ */
+export function isValidExercise(exercise) {
+    if (!exercise.name || exercise.name.trim().length === 0) {
+        return { valid: false, message: 'Every exercise needs a name' };
+    }
+
+    if (exercise.name.trim().length > 80) {
+        return { valid: false, message: 'Exercise names must be less than 80 characters' };
+    }
+
+    if (exercise.desc && exercise.desc.length > 1000) {
+        return { valid: false, message: 'Exercise descriptions must be less than 1000 characters' };
+    }
+
+    if (!Number.isInteger(exercise.duration) || exercise.duration < 1 || exercise.duration > 180) {
+        return { valid: false, message: `Duration for "${exercise.name}" must be between 1 and 180 minutes` };
+    }
+
+    if (exercise.sets !== null && (!Number.isInteger(exercise.sets) || exercise.sets < 1 || exercise.sets > 20)) {
+        return { valid: false, message: `Sets for "${exercise.name}" must be between 1 and 20` };
+    }
+
+    if (exercise.reps !== null && (!Number.isInteger(exercise.reps) || exercise.reps < 1 || exercise.reps > 200)) {
+        return { valid: false, message: `Reps for "${exercise.name}" must be between 1 and 200` };
+    }
+
+    if (exercise.image && !/^https:\/\/\S+$/.test(exercise.image)) {
+        return { valid: false, message: 'Exercise images must be https:// links' };
+    }
+
+    return { valid: true, message: '' };
+}
@@ -17,12 +17,43 @@ const urlsToCache = [
   '/js/services/badge.service.js',
   '/js/services/friend.service.js',
   '/js/services/movement.service.js',
+  '/js/services/sync.service.js',
+  '/js/services/migration.service.js',
+  '/js/services/program.service.js',
+  '/js/services/routine.service.js',
+  '/js/services/ledger.service.js',
+  '/js/services/streak.service.js',
+  '/js/services/freeze.service.js',
+  '/js/services/backup.service.js',
+  '/js/services/report.service.js',
+  '/js/services/ical.service.js',
+  '/js/services/donation.service.js',
+  '/js/services/store.service.js',
+  '/js/repositories/workout.repository.js',
+  '/js/repositories/reward.repository.js',
+  '/js/repositories/friend.repository.js',
+  '/js/repositories/movement.repository.js',
+  '/js/repositories/badge.repository.js',
+  '/js/repositories/settings.repository.js',
+  '/js/repositories/program.repository.js',
+  '/js/repositories/routine.repository.js',
+  '/js/repositories/freeze.repository.js',
+  '/js/repositories/donation.repository.js',
   '/js/components/calendar.js',
   '/js/components/modal.js',
   '/js/components/stats.js',
   '/js/components/badges.js',
   '/js/components/navigation.js',
   '/js/components/settings.js',
+  '/js/components/sync-status.js',
+  '/js/components/guest-migration.js',
+  '/js/components/routine-builder.js',
+  '/js/components/reward-history.js',
+  '/js/components/streak-freeze.js',
+  '/js/components/backup.js',
+  '/js/components/reports.js',
+  '/js/components/calendar-export.js',
+  '/js/components/donation-history.js',
   '/js/pages/friends.js',
   '/js/pages/movements.js',
   '/manifest.json'
@@ -145,10 +176,16 @@ self.addEventListener('notificationclick', event => {
   }
 });
 
-// Helper function to sync pending workouts (placeholder)
+// Ask open pages to replay their outbox. The outbox and the auth session
+// live in the page's localStorage, which service workers can't read.
 async function syncPendingWorkouts() {
-  // This will be implemented when Supabase backend is connected
-  // For now, data is already in localStorage
-  console.log('✅ Workouts synced (localStorage)');
-  return Promise.resolve();
+  const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windowClients.length === 0) {
+    // Throwing makes the browser retry this sync event later
+    throw new Error('No open WalkToGive page to sync from');
+  }
+
+  windowClients.forEach(client => client.postMessage({ type: 'sync-workouts' }));
+  console.log('✅ Asked', windowClients.length, 'page(s) to sync pending workouts');
 }
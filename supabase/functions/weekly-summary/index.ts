@@ -12,6 +12,22 @@ interface WeeklySummaryPayload {
   user_id?: string // If provided, send to specific user. Otherwise, send to all users.
 }
 
+// Format a date as YYYY-MM-DD (the key weeks and workouts are stored under)
+function toISODate(date: Date): string {
+  return date.toISOString().split('T')[0]
+}
+
+// First and last day of the calendar week containing `date`
+function getWeekRange(date: Date, weekStart: number): { start: string, end: string } {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() - weekStart + 7) % 7))
+
+  const end = new Date(start)
+  end.setUTCDate(end.getUTCDate() + 6)
+
+  return { start: toISODate(start), end: toISODate(end) }
+}
+
 serve(async (req) => {
   try {
     const payload: WeeklySummaryPayload = await req.json()
@@ -20,7 +36,7 @@ serve(async (req) => {
     // Get users to send summaries to
     let usersQuery = supabase
       .from('profiles')
-      .select('id, display_name')
+      .select('id, display_name, week_start, weekly_goal')
       .limit(100)
 
     if (payload.user_id) {
@@ -38,31 +54,27 @@ serve(async (req) => {
       const { data: { user }, error: userError } = await supabase.auth.admin.getUserById(profile.id)
       if (userError || !user) continue
 
-      // Get workout stats for the week
-      const oneWeekAgo = new Date()
-      oneWeekAgo.setDate(oneWeekAgo.getDate() - 7)
+      // Get workout stats for the user's current calendar week
+      const week = getWeekRange(new Date(), profile.week_start ?? 0)
+      const weeklyGoal = profile.weekly_goal ?? 7
 
       const { count: workoutCount } = await supabase
         .from('workouts')
         .select('*', { count: 'exact', head: true })
         .eq('user_id', profile.id)
         .eq('completed', true)
-        .gte('completed_at', oneWeekAgo.toISOString())
-
-      // Get weekly rewards
-      const currentYear = new Date().getFullYear()
-      const currentMonth = new Date().getMonth() + 1
-      const currentWeek = Math.ceil(new Date().getDate() / 7)
+        .gte('date', week.start)
+        .lte('date', week.end)
 
+      // Get this week's reward
       const { data: rewards } = await supabase
         .from('weekly_rewards')
         .select('amount')
         .eq('user_id', profile.id)
-        .eq('year', currentYear)
-        .eq('month', currentMonth)
-        .eq('week_number', currentWeek)
+        .eq('week_start', week.start)
 
       const weeklyEarning = rewards && rewards.length > 0 ? rewards[0].amount : 0
+      const daysRemaining = Math.max(0, weeklyGoal - (workoutCount || 0))
 
       // Get total earnings
       const { data: allRewards } = await supabase
@@ -82,7 +94,7 @@ serve(async (req) => {
         body: JSON.stringify({
           from: 'WalkToGive <noreply@walktogive.com>',
           to: [user.email],
-          subject: `📊 Your Weekly Progress - ${workoutCount}/7 Days!`,
+          subject: `📊 Your Weekly Progress - ${workoutCount}/${weeklyGoal} Days!`,
           html: `
             <!DOCTYPE html>
             <html>
@@ -176,8 +188,8 @@ serve(async (req) => {
                   <h2>This Week's Progress</h2>
 
                   <div class="progress-bar">
-                    <div class="progress-fill" style="width: ${(workoutCount || 0) / 7 * 100}%">
-                      ${workoutCount || 0}/7 Days
+                    <div class="progress-fill" style="width: ${Math.min(100, (workoutCount || 0) / weeklyGoal * 100)}%">
+                      ${workoutCount || 0}/${weeklyGoal} Days
                     </div>
                   </div>
 
@@ -188,7 +200,7 @@ serve(async (req) => {
                     </div>
                   ` : `
                     <p style="font-size: 16px; color: #666;">
-                      Complete ${7 - (workoutCount || 0)} more ${7 - (workoutCount || 0) === 1 ? 'day' : 'days'} this week to earn your reward!
+                      Complete ${daysRemaining} more ${daysRemaining === 1 ? 'day' : 'days'} this week to earn your reward!
                     </p>
                   `}
 
@@ -0,0 +1,70 @@
+-- WalkToGive Reward Contributions
+-- Lets the web client award weekly rewards and unlock badges directly
+-- against the cloud tables when a user is signed in
+
+-- =====================================================
+-- AWARD WEEKLY REWARD
+-- =====================================================
+-- Only the signed-in user can award themselves, an existing reward is
+-- returned instead of a fresh random amount, and the reward is credited to
+-- every active movement the user belongs to
+CREATE OR REPLACE FUNCTION award_weekly_reward(
+    p_user_id UUID,
+    p_year INTEGER,
+    p_month INTEGER,
+    p_week_number INTEGER
+)
+RETURNS INTEGER AS $$
+DECLARE
+    reward_amount INTEGER;
+    user_min_reward INTEGER;
+    user_max_reward INTEGER;
+    week_key TEXT := p_year || '-' || p_month || '-week' || p_week_number;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot award rewards for another user';
+    END IF;
+
+    -- Return the existing reward if this week was already paid
+    SELECT amount
+    INTO reward_amount
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND year = p_year
+      AND month = p_month
+      AND week_number = p_week_number;
+
+    IF reward_amount IS NOT NULL THEN
+        RETURN reward_amount;
+    END IF;
+
+    -- Get user's reward range
+    SELECT min_reward, max_reward
+    INTO user_min_reward, user_max_reward
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    -- Generate random reward in range
+    reward_amount := floor(random() * (user_max_reward - user_min_reward + 1) + user_min_reward)::INTEGER;
+
+    INSERT INTO public.weekly_rewards (user_id, year, month, week_number, amount)
+    VALUES (p_user_id, p_year, p_month, p_week_number, reward_amount);
+
+    -- Credit active movements the user is a member of
+    INSERT INTO public.movement_contributions (movement_id, user_id, week_key, amount)
+    SELECT mm.movement_id, p_user_id, week_key, reward_amount
+    FROM public.movement_members mm
+    JOIN public.movements m ON m.id = mm.movement_id
+    WHERE mm.user_id = p_user_id
+      AND CURRENT_DATE BETWEEN m.start_date AND m.end_date;
+
+    RETURN reward_amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- USER BADGES
+-- =====================================================
+CREATE POLICY "Users can unlock their own badges"
+    ON public.user_badges FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
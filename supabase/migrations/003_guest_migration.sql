@@ -0,0 +1,168 @@
+-- WalkToGive Guest Migration
+-- Uploads history recorded in offline (guest) mode into the signed-in account
+-- the first time a user signs in on a device
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+-- When guest data was imported; an account takes one import
+ALTER TABLE public.profiles
+    ADD COLUMN guest_imported_at TIMESTAMP WITH TIME ZONE;
+
+-- Only import_guest_data() sets it, so clearing it can't reopen the import
+CREATE OR REPLACE FUNCTION keep_guest_imported_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated') THEN
+        NEW.guest_imported_at := OLD.guest_imported_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER keep_guest_imported_at
+    BEFORE UPDATE OF guest_imported_at ON public.profiles
+    FOR EACH ROW EXECUTE FUNCTION keep_guest_imported_at();
+
+-- =====================================================
+-- IMPORT GUEST DATA
+-- =====================================================
+-- Runs as one transaction so a failed upload leaves the account untouched.
+-- Conflict rules:
+--   workouts        - union; a day completed on the device stays completed.
+--                     Days in the future are skipped
+--   weekly_rewards  - never uploaded; weeks the imported days complete are
+--                     awarded by award_weekly_reward() as if completed here,
+--                     and weeks the account already paid keep their amount
+--   user_badges     - union
+--   profiles range  - only overwritten when p_min_reward/p_max_reward are set
+--   movements       - guest-created movements are recreated unless the user
+--                     already created one with the same name and start date
+CREATE OR REPLACE FUNCTION import_guest_data(
+    p_completed_dates DATE[],
+    p_badge_keys TEXT[],
+    p_min_reward INTEGER DEFAULT NULL,
+    p_max_reward INTEGER DEFAULT NULL,
+    p_movements JSONB DEFAULT '[]'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_dates DATE[];
+    v_workouts INTEGER;
+    v_skipped INTEGER;
+    v_rewards INTEGER := 0;
+    v_week RECORD;
+    v_badges INTEGER;
+    v_movements INTEGER := 0;
+    v_movement JSONB;
+    v_movement_id UUID;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    UPDATE public.profiles
+    SET guest_imported_at = NOW()
+    WHERE id = v_user_id
+      AND guest_imported_at IS NULL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Progress from a device was already uploaded to this account';
+    END IF;
+
+    -- Workouts, up to today in the time zone furthest ahead of UTC
+    v_dates := ARRAY(
+        SELECT DISTINCT d
+        FROM unnest(COALESCE(p_completed_dates, '{}')) AS d
+        WHERE d <= (NOW() AT TIME ZONE 'Etc/GMT-14')::DATE
+    );
+    v_skipped := cardinality(ARRAY(SELECT DISTINCT unnest(COALESCE(p_completed_dates, '{}')))) - cardinality(v_dates);
+
+    INSERT INTO public.workouts (user_id, date, completed, completed_at)
+    SELECT v_user_id, d, true, NOW()
+    FROM unnest(v_dates) AS d
+    ON CONFLICT (user_id, date) DO UPDATE
+        SET completed = true,
+            completed_at = COALESCE(public.workouts.completed_at, EXCLUDED.completed_at)
+        WHERE public.workouts.completed = false;
+
+    GET DIAGNOSTICS v_workouts = ROW_COUNT;
+
+    -- Weekly rewards for the (month-bounded) weeks the imported days complete
+    FOR v_week IN
+        SELECT EXTRACT(YEAR FROM w.date)::INTEGER AS year,
+               EXTRACT(MONTH FROM w.date)::INTEGER AS month,
+               (EXTRACT(DAY FROM w.date)::INTEGER + EXTRACT(DOW FROM date_trunc('month', w.date))::INTEGER - 1) / 7 + 1 AS week_number
+        FROM public.workouts w
+        WHERE w.user_id = v_user_id
+          AND w.completed = true
+        GROUP BY 1, 2, 3
+        HAVING COUNT(DISTINCT w.date) >= 7
+           AND bool_or(w.date = ANY(v_dates))
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = v_user_id
+              AND r.year = v_week.year
+              AND r.month = v_week.month
+              AND r.week_number = v_week.week_number
+        );
+
+        PERFORM award_weekly_reward(v_user_id, v_week.year, v_week.month, v_week.week_number);
+        v_rewards := v_rewards + 1;
+    END LOOP;
+
+    -- Badges
+    INSERT INTO public.user_badges (user_id, badge_id)
+    SELECT v_user_id, b.id
+    FROM public.badges b
+    WHERE b.badge_key = ANY(COALESCE(p_badge_keys, '{}'))
+    ON CONFLICT (user_id, badge_id) DO NOTHING;
+
+    GET DIAGNOSTICS v_badges = ROW_COUNT;
+
+    -- Reward range
+    IF p_min_reward IS NOT NULL AND p_max_reward IS NOT NULL THEN
+        UPDATE public.profiles
+        SET min_reward = p_min_reward,
+            max_reward = p_max_reward
+        WHERE id = v_user_id;
+    END IF;
+
+    -- Movements created as a guest
+    FOR v_movement IN SELECT * FROM jsonb_array_elements(COALESCE(p_movements, '[]'::JSONB))
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.movements
+            WHERE creator_id = v_user_id
+              AND name = v_movement->>'name'
+              AND start_date = (v_movement->>'start_date')::DATE
+        );
+
+        INSERT INTO public.movements (name, charity, description, start_date, end_date, creator_id)
+        VALUES (
+            v_movement->>'name',
+            v_movement->>'charity',
+            v_movement->>'description',
+            (v_movement->>'start_date')::DATE,
+            (v_movement->>'end_date')::DATE,
+            v_user_id
+        )
+        RETURNING id INTO v_movement_id;
+
+        INSERT INTO public.movement_members (movement_id, user_id)
+        VALUES (v_movement_id, v_user_id);
+
+        v_movements := v_movements + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'workouts', v_workouts,
+        'skipped', v_skipped,
+        'rewards', v_rewards,
+        'badges', v_badges,
+        'movements', v_movements
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,285 @@
+-- WalkToGive Calendar Weeks
+-- Replaces month-bounded weeks (year, month, week_number) with real 7-day
+-- weeks identified by their first day, so weeks that straddle two months can
+-- be completed and paid out
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+-- Day the user's week starts on (0 = Sunday, 1 = Monday, ...)
+ALTER TABLE public.profiles
+    ADD COLUMN week_start SMALLINT NOT NULL DEFAULT 0 CHECK (week_start >= 0 AND week_start <= 6);
+
+-- =====================================================
+-- WEEKLY REWARDS
+-- =====================================================
+-- Week N of a month was row N of a Sunday-first calendar grid, so it maps
+-- to the Sunday that starts that row
+CREATE OR REPLACE FUNCTION legacy_week_start(p_year INTEGER, p_month INTEGER, p_week_number INTEGER)
+RETURNS DATE AS $$
+    SELECT make_date(p_year, p_month, 1)
+         - EXTRACT(DOW FROM make_date(p_year, p_month, 1))::INTEGER
+         + (p_week_number - 1) * 7;
+$$ LANGUAGE sql IMMUTABLE;
+
+ALTER TABLE public.weekly_rewards ADD COLUMN week_start DATE;
+
+UPDATE public.weekly_rewards
+SET week_start = legacy_week_start(year, month, week_number);
+
+-- A straddling week was split across two month rows; keep the earliest reward
+DELETE FROM public.weekly_rewards a
+USING public.weekly_rewards b
+WHERE a.user_id = b.user_id
+  AND a.week_start = b.week_start
+  AND (a.created_at, a.id) > (b.created_at, b.id);
+
+ALTER TABLE public.weekly_rewards ALTER COLUMN week_start SET NOT NULL;
+ALTER TABLE public.weekly_rewards DROP CONSTRAINT weekly_rewards_user_id_year_month_week_number_key;
+ALTER TABLE public.weekly_rewards ADD CONSTRAINT weekly_rewards_user_id_week_start_key UNIQUE (user_id, week_start);
+
+DROP FUNCTION IF EXISTS award_weekly_reward(UUID, INTEGER, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS check_week_completion(UUID, INTEGER, INTEGER, INTEGER);
+
+ALTER TABLE public.weekly_rewards
+    DROP COLUMN year,
+    DROP COLUMN month,
+    DROP COLUMN week_number;
+
+-- =====================================================
+-- MOVEMENT CONTRIBUTIONS
+-- =====================================================
+-- week_key switches from YYYY-M-weekN to the week's first day (YYYY-MM-DD)
+UPDATE public.movement_contributions
+SET week_key = to_char(
+    legacy_week_start(
+        split_part(week_key, '-', 1)::INTEGER,
+        split_part(week_key, '-', 2)::INTEGER,
+        replace(split_part(week_key, '-', 3), 'week', '')::INTEGER
+    ),
+    'YYYY-MM-DD'
+)
+WHERE week_key ~ '^\d{4}-\d{1,2}-week\d$';
+
+DROP FUNCTION legacy_week_start(INTEGER, INTEGER, INTEGER);
+
+-- =====================================================
+-- CHECK WEEK COMPLETION
+-- =====================================================
+-- Paid weeks keep their dates when the week start changes, so days another
+-- week's reward already covers don't count again
+CREATE OR REPLACE FUNCTION check_week_completion(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    workouts_count INTEGER;
+BEGIN
+    SELECT COUNT(DISTINCT w.date)
+    INTO workouts_count
+    FROM public.workouts w
+    WHERE w.user_id = p_user_id
+      AND w.completed = true
+      AND w.date BETWEEN p_week_start AND p_week_start + 6
+      AND NOT EXISTS (
+          SELECT 1 FROM public.weekly_rewards r
+          WHERE r.user_id = p_user_id
+            AND r.week_start <> p_week_start
+            AND w.date BETWEEN r.week_start AND r.week_start + 6
+      );
+
+    RETURN workouts_count >= 7;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- AWARD WEEKLY REWARD
+-- =====================================================
+-- Same rules as before, but the week must now actually be complete;
+-- returns NULL when it isn't. Only a week starting on the user's week start
+-- day can be paid, so the same days can't be paid once per weekday
+CREATE OR REPLACE FUNCTION award_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    reward_amount INTEGER;
+    user_min_reward INTEGER;
+    user_max_reward INTEGER;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot award rewards for another user';
+    END IF;
+
+    IF EXTRACT(DOW FROM p_week_start) <> (SELECT week_start FROM public.profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'Weeks start on the day set in your calendar settings'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Return the existing reward if this week was already paid
+    SELECT amount
+    INTO reward_amount
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = p_week_start;
+
+    IF reward_amount IS NOT NULL THEN
+        RETURN reward_amount;
+    END IF;
+
+    IF NOT check_week_completion(p_user_id, p_week_start) THEN
+        RETURN NULL;
+    END IF;
+
+    -- Get user's reward range
+    SELECT min_reward, max_reward
+    INTO user_min_reward, user_max_reward
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    -- Generate random reward in range
+    reward_amount := floor(random() * (user_max_reward - user_min_reward + 1) + user_min_reward)::INTEGER;
+
+    INSERT INTO public.weekly_rewards (user_id, week_start, amount)
+    VALUES (p_user_id, p_week_start, reward_amount);
+
+    -- Credit active movements the user is a member of
+    INSERT INTO public.movement_contributions (movement_id, user_id, week_key, amount)
+    SELECT mm.movement_id, p_user_id, to_char(p_week_start, 'YYYY-MM-DD'), reward_amount
+    FROM public.movement_members mm
+    JOIN public.movements m ON m.id = mm.movement_id
+    WHERE mm.user_id = p_user_id
+      AND CURRENT_DATE BETWEEN m.start_date AND m.end_date;
+
+    RETURN reward_amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- IMPORT GUEST DATA
+-- =====================================================
+-- Rewards are now earned for the calendar weeks the imported days complete
+CREATE OR REPLACE FUNCTION import_guest_data(
+    p_completed_dates DATE[],
+    p_badge_keys TEXT[],
+    p_min_reward INTEGER DEFAULT NULL,
+    p_max_reward INTEGER DEFAULT NULL,
+    p_movements JSONB DEFAULT '[]'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_week_start SMALLINT;
+    v_dates DATE[];
+    v_workouts INTEGER;
+    v_skipped INTEGER;
+    v_rewards INTEGER := 0;
+    v_week RECORD;
+    v_badges INTEGER;
+    v_movements INTEGER := 0;
+    v_movement JSONB;
+    v_movement_id UUID;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    UPDATE public.profiles
+    SET guest_imported_at = NOW()
+    WHERE id = v_user_id
+      AND guest_imported_at IS NULL
+    RETURNING week_start INTO v_week_start;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Progress from a device was already uploaded to this account';
+    END IF;
+
+    -- Workouts, up to today in the time zone furthest ahead of UTC
+    v_dates := ARRAY(
+        SELECT DISTINCT d
+        FROM unnest(COALESCE(p_completed_dates, '{}')) AS d
+        WHERE d <= (NOW() AT TIME ZONE 'Etc/GMT-14')::DATE
+    );
+    v_skipped := cardinality(ARRAY(SELECT DISTINCT unnest(COALESCE(p_completed_dates, '{}')))) - cardinality(v_dates);
+
+    INSERT INTO public.workouts (user_id, date, completed, completed_at)
+    SELECT v_user_id, d, true, NOW()
+    FROM unnest(v_dates) AS d
+    ON CONFLICT (user_id, date) DO UPDATE
+        SET completed = true,
+            completed_at = COALESCE(public.workouts.completed_at, EXCLUDED.completed_at)
+        WHERE public.workouts.completed = false;
+
+    GET DIAGNOSTICS v_workouts = ROW_COUNT;
+
+    -- Weekly rewards for the weeks the imported days complete
+    FOR v_week IN
+        SELECT DISTINCT d - ((EXTRACT(DOW FROM d)::INTEGER - v_week_start + 7) % 7) AS start_date
+        FROM unnest(v_dates) AS d
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = v_user_id
+              AND r.week_start = v_week.start_date
+        );
+        CONTINUE WHEN award_weekly_reward(v_user_id, v_week.start_date) IS NULL;
+
+        v_rewards := v_rewards + 1;
+    END LOOP;
+
+    -- Badges
+    INSERT INTO public.user_badges (user_id, badge_id)
+    SELECT v_user_id, b.id
+    FROM public.badges b
+    WHERE b.badge_key = ANY(COALESCE(p_badge_keys, '{}'))
+    ON CONFLICT (user_id, badge_id) DO NOTHING;
+
+    GET DIAGNOSTICS v_badges = ROW_COUNT;
+
+    -- Reward range
+    IF p_min_reward IS NOT NULL AND p_max_reward IS NOT NULL THEN
+        UPDATE public.profiles
+        SET min_reward = p_min_reward,
+            max_reward = p_max_reward
+        WHERE id = v_user_id;
+    END IF;
+
+    -- Movements created as a guest
+    FOR v_movement IN SELECT * FROM jsonb_array_elements(COALESCE(p_movements, '[]'::JSONB))
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.movements
+            WHERE creator_id = v_user_id
+              AND name = v_movement->>'name'
+              AND start_date = (v_movement->>'start_date')::DATE
+        );
+
+        INSERT INTO public.movements (name, charity, description, start_date, end_date, creator_id)
+        VALUES (
+            v_movement->>'name',
+            v_movement->>'charity',
+            v_movement->>'description',
+            (v_movement->>'start_date')::DATE,
+            (v_movement->>'end_date')::DATE,
+            v_user_id
+        )
+        RETURNING id INTO v_movement_id;
+
+        INSERT INTO public.movement_members (movement_id, user_id)
+        VALUES (v_movement_id, v_user_id);
+
+        v_movements := v_movements + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'workouts', v_workouts,
+        'skipped', v_skipped,
+        'rewards', v_rewards,
+        'badges', v_badges,
+        'movements', v_movements
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -0,0 +1,381 @@
+-- WalkToGive Weekly Goal
+-- Lets users earn the weekly reward on fewer than 7 days, with optional
+-- proportional payouts for weeks that end short of the goal
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+ALTER TABLE public.profiles
+    ADD COLUMN weekly_goal SMALLINT NOT NULL DEFAULT 7 CHECK (weekly_goal >= 1 AND weekly_goal <= 7),
+    ADD COLUMN proportional_payouts BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN proportional_payouts_since DATE;
+
+-- =====================================================
+-- WEEKLY REWARDS
+-- =====================================================
+-- Partial payouts don't count toward streaks or week badges
+ALTER TABLE public.weekly_rewards
+    ADD COLUMN days_completed SMALLINT,
+    ADD COLUMN goal_met BOOLEAN NOT NULL DEFAULT true;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+-- First day of the calendar week containing p_date
+CREATE OR REPLACE FUNCTION week_start_for(p_date DATE, p_week_start INTEGER)
+RETURNS DATE AS $$
+    SELECT p_date - ((EXTRACT(DOW FROM p_date)::INTEGER - p_week_start + 7) % 7);
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Only weeks after proportional payouts were switched on are paid, so
+-- enabling the setting doesn't back-pay old history
+CREATE OR REPLACE FUNCTION stamp_proportional_payouts_since()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.proportional_payouts AND NOT COALESCE(OLD.proportional_payouts, false) THEN
+        NEW.proportional_payouts_since := week_start_for(CURRENT_DATE, NEW.week_start);
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER stamp_proportional_payouts_since
+    BEFORE UPDATE OF proportional_payouts ON public.profiles
+    FOR EACH ROW EXECUTE FUNCTION stamp_proportional_payouts_since();
+
+-- Week a day counts toward. Paid weeks keep their dates when the week start
+-- changes, so a day inside one (the first paid, if weeks overlap) stays paid
+-- by it; any other day counts toward its calendar week. Mirrors
+-- getRewardWeekKey() in workout.service.js
+CREATE OR REPLACE FUNCTION reward_week_for(p_user_id UUID, p_date DATE)
+RETURNS DATE AS $$
+    SELECT COALESCE(
+        (
+            SELECT r.week_start FROM public.weekly_rewards r
+            WHERE r.user_id = p_user_id
+              AND p_date BETWEEN r.week_start AND r.week_start + 6
+            ORDER BY r.created_at, r.id
+            LIMIT 1
+        ),
+        (
+            SELECT week_start_for(p_date, p.week_start) FROM public.profiles p
+            WHERE p.id = p_user_id
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION reward_week_for(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- Number of distinct completed days that count toward a week
+CREATE OR REPLACE FUNCTION count_week_workouts(p_user_id UUID, p_week_start DATE)
+RETURNS INTEGER AS $$
+    SELECT COUNT(DISTINCT date)::INTEGER
+    FROM public.workouts
+    WHERE user_id = p_user_id
+      AND completed = true
+      AND date BETWEEN p_week_start AND p_week_start + 6
+      AND reward_week_for(p_user_id, date) = p_week_start;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION count_week_workouts(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- Record a reward and credit it to the user's active movements
+CREATE OR REPLACE FUNCTION insert_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE,
+    p_amount INTEGER,
+    p_days_completed INTEGER,
+    p_goal_met BOOLEAN
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.weekly_rewards (user_id, week_start, amount, days_completed, goal_met)
+    VALUES (p_user_id, p_week_start, p_amount, p_days_completed, p_goal_met);
+
+    INSERT INTO public.movement_contributions (movement_id, user_id, week_key, amount)
+    SELECT mm.movement_id, p_user_id, to_char(p_week_start, 'YYYY-MM-DD'), p_amount
+    FROM public.movement_members mm
+    JOIN public.movements m ON m.id = mm.movement_id
+    WHERE mm.user_id = p_user_id
+      AND CURRENT_DATE BETWEEN m.start_date AND m.end_date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION insert_weekly_reward(UUID, DATE, INTEGER, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- CHECK WEEK COMPLETION
+-- =====================================================
+CREATE OR REPLACE FUNCTION check_week_completion(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    user_weekly_goal INTEGER;
+BEGIN
+    SELECT weekly_goal
+    INTO user_weekly_goal
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    RETURN count_week_workouts(p_user_id, p_week_start) >= COALESCE(user_weekly_goal, 7);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- AWARD WEEKLY REWARD
+-- =====================================================
+CREATE OR REPLACE FUNCTION award_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    reward_amount INTEGER;
+    user_min_reward INTEGER;
+    user_max_reward INTEGER;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot award rewards for another user';
+    END IF;
+
+    IF p_week_start <> (SELECT week_start_for(p_week_start, week_start) FROM public.profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'Weeks start on the day set in your calendar settings'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Return the existing reward if this week was already paid
+    SELECT amount
+    INTO reward_amount
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = p_week_start;
+
+    IF reward_amount IS NOT NULL THEN
+        RETURN reward_amount;
+    END IF;
+
+    IF NOT check_week_completion(p_user_id, p_week_start) THEN
+        RETURN NULL;
+    END IF;
+
+    -- Get user's reward range
+    SELECT min_reward, max_reward
+    INTO user_min_reward, user_max_reward
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    -- Generate random reward in range
+    reward_amount := floor(random() * (user_max_reward - user_min_reward + 1) + user_min_reward)::INTEGER;
+
+    PERFORM insert_weekly_reward(
+        p_user_id, p_week_start, reward_amount,
+        count_week_workouts(p_user_id, p_week_start), true
+    );
+
+    RETURN reward_amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- SETTLE PARTIAL WEEKS
+-- =====================================================
+-- Pays finished weeks that ended short of the goal in proportion to the
+-- days completed (at least 1). No-op unless proportional payouts are on.
+-- p_exclude_week skips a week the user is still backfilling.
+CREATE OR REPLACE FUNCTION settle_partial_weeks(
+    p_user_id UUID,
+    p_exclude_week DATE DEFAULT NULL
+)
+RETURNS TABLE (week_start DATE, days_completed INTEGER, amount INTEGER) AS $$
+DECLARE
+    v_profile RECORD;
+    v_current_week DATE;
+    v_week RECORD;
+    v_amount INTEGER;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot settle rewards for another user';
+    END IF;
+
+    SELECT p.min_reward, p.max_reward, p.weekly_goal, p.week_start,
+           p.proportional_payouts, p.proportional_payouts_since
+    INTO v_profile
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF NOT v_profile.proportional_payouts OR v_profile.proportional_payouts_since IS NULL THEN
+        RETURN;
+    END IF;
+
+    v_current_week := week_start_for(CURRENT_DATE, v_profile.week_start);
+
+    FOR v_week IN
+        SELECT reward_week_for(p_user_id, w.date) AS start_date,
+               COUNT(DISTINCT w.date)::INTEGER AS days
+        FROM public.workouts w
+        WHERE w.user_id = p_user_id
+          AND w.completed = true
+          AND w.date >= v_profile.proportional_payouts_since
+          AND w.date < v_current_week
+        GROUP BY 1
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN v_week.start_date = p_exclude_week;
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = p_user_id
+              AND r.week_start = v_week.start_date
+        );
+
+        v_amount := GREATEST(1, round(
+            floor(random() * (v_profile.max_reward - v_profile.min_reward + 1) + v_profile.min_reward)
+            * v_week.days / v_profile.weekly_goal
+        ))::INTEGER;
+
+        PERFORM insert_weekly_reward(p_user_id, v_week.start_date, v_amount, v_week.days, false);
+
+        week_start := v_week.start_date;
+        days_completed := v_week.days;
+        amount := v_amount;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- IMPORT GUEST DATA
+-- =====================================================
+-- Imported weeks that ended short of the goal are settled like any other
+CREATE OR REPLACE FUNCTION import_guest_data(
+    p_completed_dates DATE[],
+    p_badge_keys TEXT[],
+    p_min_reward INTEGER DEFAULT NULL,
+    p_max_reward INTEGER DEFAULT NULL,
+    p_movements JSONB DEFAULT '[]'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_week_start SMALLINT;
+    v_dates DATE[];
+    v_workouts INTEGER;
+    v_skipped INTEGER;
+    v_rewards INTEGER := 0;
+    v_week RECORD;
+    v_badges INTEGER;
+    v_movements INTEGER := 0;
+    v_movement JSONB;
+    v_movement_id UUID;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    UPDATE public.profiles
+    SET guest_imported_at = NOW()
+    WHERE id = v_user_id
+      AND guest_imported_at IS NULL
+    RETURNING week_start INTO v_week_start;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Progress from a device was already uploaded to this account';
+    END IF;
+
+    -- Workouts, up to today in the time zone furthest ahead of UTC
+    v_dates := ARRAY(
+        SELECT DISTINCT d
+        FROM unnest(COALESCE(p_completed_dates, '{}')) AS d
+        WHERE d <= (NOW() AT TIME ZONE 'Etc/GMT-14')::DATE
+    );
+    v_skipped := cardinality(ARRAY(SELECT DISTINCT unnest(COALESCE(p_completed_dates, '{}')))) - cardinality(v_dates);
+
+    INSERT INTO public.workouts (user_id, date, completed, completed_at)
+    SELECT v_user_id, d, true, NOW()
+    FROM unnest(v_dates) AS d
+    ON CONFLICT (user_id, date) DO UPDATE
+        SET completed = true,
+            completed_at = COALESCE(public.workouts.completed_at, EXCLUDED.completed_at)
+        WHERE public.workouts.completed = false;
+
+    GET DIAGNOSTICS v_workouts = ROW_COUNT;
+
+    -- Weekly rewards for the weeks the imported days complete
+    FOR v_week IN
+        SELECT DISTINCT week_start_for(d, v_week_start) AS start_date
+        FROM unnest(v_dates) AS d
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = v_user_id
+              AND r.week_start = v_week.start_date
+        );
+        CONTINUE WHEN award_weekly_reward(v_user_id, v_week.start_date) IS NULL;
+
+        v_rewards := v_rewards + 1;
+    END LOOP;
+
+    v_rewards := v_rewards + (SELECT COUNT(*) FROM settle_partial_weeks(v_user_id));
+
+    -- Badges
+    INSERT INTO public.user_badges (user_id, badge_id)
+    SELECT v_user_id, b.id
+    FROM public.badges b
+    WHERE b.badge_key = ANY(COALESCE(p_badge_keys, '{}'))
+    ON CONFLICT (user_id, badge_id) DO NOTHING;
+
+    GET DIAGNOSTICS v_badges = ROW_COUNT;
+
+    -- Reward range
+    IF p_min_reward IS NOT NULL AND p_max_reward IS NOT NULL THEN
+        UPDATE public.profiles
+        SET min_reward = p_min_reward,
+            max_reward = p_max_reward
+        WHERE id = v_user_id;
+    END IF;
+
+    -- Movements created as a guest
+    FOR v_movement IN SELECT * FROM jsonb_array_elements(COALESCE(p_movements, '[]'::JSONB))
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.movements
+            WHERE creator_id = v_user_id
+              AND name = v_movement->>'name'
+              AND start_date = (v_movement->>'start_date')::DATE
+        );
+
+        INSERT INTO public.movements (name, charity, description, start_date, end_date, creator_id)
+        VALUES (
+            v_movement->>'name',
+            v_movement->>'charity',
+            v_movement->>'description',
+            (v_movement->>'start_date')::DATE,
+            (v_movement->>'end_date')::DATE,
+            v_user_id
+        )
+        RETURNING id INTO v_movement_id;
+
+        INSERT INTO public.movement_members (movement_id, user_id)
+        VALUES (v_movement_id, v_user_id);
+
+        v_movements := v_movements + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'workouts', v_workouts,
+        'skipped', v_skipped,
+        'rewards', v_rewards,
+        'badges', v_badges,
+        'movements', v_movements
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- BADGES
+-- =====================================================
+UPDATE public.badges
+SET description = 'Reach your weekly goal for the first time'
+WHERE badge_key = 'week_warrior';
@@ -0,0 +1,11 @@
+-- WalkToGive Workout Programs
+-- Stores the program each user has chosen from the in-app library and the
+-- day they started it, which decides the current week of multi-week plans
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+ALTER TABLE public.profiles
+    ADD COLUMN program_id TEXT NOT NULL DEFAULT 'balanced'
+        CHECK (program_id IN ('balanced', 'beginner', 'low_impact', 'strength', 'mobility')),
+    ADD COLUMN program_started_on DATE;
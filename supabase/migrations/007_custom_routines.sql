@@ -0,0 +1,194 @@
+-- WalkToGive Custom Routines
+-- User-built routines that replace the program on a weekday or a specific
+-- date, shareable with friends and movement members who can follow them
+
+-- =====================================================
+-- EXERCISE SHAPE
+-- =====================================================
+-- Shared routines are shown to other users, so stored exercises must match
+-- what isValidExercise() in validation.js accepts
+CREATE OR REPLACE FUNCTION jsonb_int_between(p_value JSONB, p_min INTEGER, p_max INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT CASE
+        WHEN jsonb_typeof(p_value) = 'number'
+        THEN p_value::NUMERIC = trunc(p_value::NUMERIC) AND p_value::NUMERIC BETWEEN p_min AND p_max
+        ELSE false
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION routine_exercises_valid(p_exercises JSONB)
+RETURNS BOOLEAN AS $$
+    SELECT jsonb_typeof(p_exercises) = 'array'
+       AND NOT EXISTS (
+           SELECT 1
+           FROM jsonb_array_elements(p_exercises) e
+           WHERE NOT (
+               jsonb_typeof(e) = 'object'
+               AND COALESCE(jsonb_typeof(e->'id'), 'null') IN ('string', 'null')
+               AND jsonb_typeof(e->'name') = 'string'
+               AND char_length(trim(e->>'name')) BETWEEN 1 AND 80
+               AND COALESCE(jsonb_typeof(e->'desc'), 'null') IN ('string', 'null')
+               AND char_length(COALESCE(e->>'desc', '')) <= 1000
+               AND jsonb_int_between(e->'duration', 1, 180)
+               AND (COALESCE(jsonb_typeof(e->'sets'), 'null') = 'null' OR jsonb_int_between(e->'sets', 1, 20))
+               AND (COALESCE(jsonb_typeof(e->'reps'), 'null') = 'null' OR jsonb_int_between(e->'reps', 1, 200))
+               AND COALESCE(jsonb_typeof(e->'image'), 'null') IN ('string', 'null')
+               AND (COALESCE(e->>'image', '') = '' OR e->>'image' ~ '^https://\S+$')
+           )
+       );
+$$ LANGUAGE sql IMMUTABLE;
+
+-- =====================================================
+-- ROUTINES TABLE
+-- =====================================================
+CREATE TABLE public.routines (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    -- References profiles so the owner's display name can be embedded
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 60),
+    schedule_type TEXT NOT NULL CHECK (schedule_type IN ('weekday', 'date')),
+    weekday SMALLINT CHECK (weekday >= 0 AND weekday <= 6),
+    date DATE,
+    -- Ordered array of {id, name, desc, duration, sets, reps, image}
+    exercises JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (routine_exercises_valid(exercises)),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CHECK (
+        (schedule_type = 'weekday' AND weekday IS NOT NULL AND date IS NULL) OR
+        (schedule_type = 'date' AND date IS NOT NULL AND weekday IS NULL)
+    )
+);
+
+CREATE INDEX idx_routines_user ON public.routines(user_id);
+
+-- One routine per weekday and per date for each user
+CREATE UNIQUE INDEX idx_routines_user_weekday ON public.routines(user_id, weekday) WHERE schedule_type = 'weekday';
+CREATE UNIQUE INDEX idx_routines_user_date ON public.routines(user_id, date) WHERE schedule_type = 'date';
+
+CREATE TRIGGER update_routines_updated_at
+    BEFORE UPDATE ON public.routines
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- ROUTINE SHARES TABLE
+-- =====================================================
+-- Each row shares a routine with one friend or with every member of a movement
+CREATE TABLE public.routine_shares (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    routine_id UUID REFERENCES public.routines(id) ON DELETE CASCADE NOT NULL,
+    friend_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    movement_id UUID REFERENCES public.movements(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CHECK (num_nonnulls(friend_id, movement_id) = 1)
+);
+
+CREATE INDEX idx_routine_shares_routine ON public.routine_shares(routine_id);
+CREATE UNIQUE INDEX idx_routine_shares_friend ON public.routine_shares(routine_id, friend_id) WHERE friend_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_routine_shares_movement ON public.routine_shares(routine_id, movement_id) WHERE movement_id IS NOT NULL;
+
+-- =====================================================
+-- ROUTINE FOLLOWS TABLE
+-- =====================================================
+CREATE TABLE public.routine_follows (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    routine_id UUID REFERENCES public.routines(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE(routine_id, user_id)
+);
+
+CREATE INDEX idx_routine_follows_user ON public.routine_follows(user_id);
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+-- Owners, friends it was shared with and members of movements it was shared
+-- with can see a routine. SECURITY DEFINER keeps the policies below from
+-- recursing into each other.
+CREATE OR REPLACE FUNCTION public.can_view_routine(p_routine_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.routines
+        WHERE id = p_routine_id AND user_id = auth.uid()
+    ) OR EXISTS (
+        SELECT 1 FROM public.routine_shares s
+        WHERE s.routine_id = p_routine_id
+          AND (s.friend_id = auth.uid()
+               OR s.movement_id IN (
+                   SELECT movement_id FROM public.movement_members WHERE user_id = auth.uid()
+               ))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.owns_routine(p_routine_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM public.routines
+        WHERE id = p_routine_id AND user_id = auth.uid()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE public.routines ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own and shared routines"
+    ON public.routines FOR SELECT
+    USING (public.can_view_routine(id));
+
+CREATE POLICY "Users can create their own routines"
+    ON public.routines FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own routines"
+    ON public.routines FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own routines"
+    ON public.routines FOR DELETE
+    USING (auth.uid() = user_id);
+
+ALTER TABLE public.routine_shares ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Shares are viewable by anyone who can view the routine"
+    ON public.routine_shares FOR SELECT
+    USING (public.can_view_routine(routine_id));
+
+-- Owners can only share with accepted friends and movements they belong to
+CREATE POLICY "Owners can share with friends and their movements"
+    ON public.routine_shares FOR INSERT
+    WITH CHECK (
+        public.owns_routine(routine_id) AND (
+            (friend_id IS NOT NULL AND EXISTS (
+                SELECT 1 FROM public.friendships
+                WHERE user_id = auth.uid() AND friend_id = routine_shares.friend_id AND status = 'accepted'
+            )) OR
+            (movement_id IS NOT NULL AND EXISTS (
+                SELECT 1 FROM public.movement_members
+                WHERE user_id = auth.uid() AND movement_id = routine_shares.movement_id
+            ))
+        )
+    );
+
+CREATE POLICY "Owners can unshare their routines"
+    ON public.routine_shares FOR DELETE
+    USING (public.owns_routine(routine_id));
+
+ALTER TABLE public.routine_follows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users and routine owners can view follows"
+    ON public.routine_follows FOR SELECT
+    USING (auth.uid() = user_id OR public.owns_routine(routine_id));
+
+CREATE POLICY "Users can follow routines shared with them"
+    ON public.routine_follows FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        public.can_view_routine(routine_id) AND
+        NOT public.owns_routine(routine_id)
+    );
+
+CREATE POLICY "Users can unfollow routines"
+    ON public.routine_follows FOR DELETE
+    USING (auth.uid() = user_id);
@@ -0,0 +1,23 @@
+-- WalkToGive Exercise Log
+-- Keeps what was actually done on each day (per-exercise checklist with
+-- sets, reps and minutes) and the rule for what counts as a completed day
+
+-- =====================================================
+-- WORKOUTS
+-- =====================================================
+-- {exercises: [{name, planned: {duration, sets, reps}, done, sets, reps, minutes}], updatedAt}
+-- A row can hold a log for a day that isn't completed yet (saved progress)
+ALTER TABLE public.workouts
+    ADD COLUMN exercise_log JSONB CHECK (exercise_log IS NULL OR jsonb_typeof(exercise_log) = 'object');
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+-- 'all' = every exercise, 'count' = at least N exercises, 'minutes' = at least N minutes
+ALTER TABLE public.profiles
+    ADD COLUMN completion_rule TEXT NOT NULL DEFAULT 'all' CHECK (completion_rule IN ('all', 'count', 'minutes')),
+    ADD COLUMN completion_rule_value SMALLINT CHECK (completion_rule_value >= 1 AND completion_rule_value <= 300),
+    ADD CONSTRAINT profiles_completion_rule_value_required CHECK (
+        (completion_rule = 'all' AND completion_rule_value IS NULL) OR
+        (completion_rule <> 'all' AND completion_rule_value IS NOT NULL)
+    );
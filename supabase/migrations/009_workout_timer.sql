@@ -0,0 +1,21 @@
+-- WalkToGive Workout Timer
+-- Keeps the stopwatch time recorded with each day and lets it count
+-- towards what makes a completed day
+
+-- =====================================================
+-- WORKOUTS
+-- =====================================================
+-- timer_segments: [{startedAt, endedAt}], one entry per start/pause
+-- paused_seconds is the time between segments
+ALTER TABLE public.workouts
+    ADD COLUMN duration_seconds INTEGER CHECK (duration_seconds >= 0),
+    ADD COLUMN paused_seconds INTEGER NOT NULL DEFAULT 0 CHECK (paused_seconds >= 0),
+    ADD COLUMN timer_segments JSONB NOT NULL DEFAULT '[]'::jsonb CHECK (jsonb_typeof(timer_segments) = 'array');
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+-- 'timer' = at least N minutes on the stopwatch
+ALTER TABLE public.profiles
+    DROP CONSTRAINT profiles_completion_rule_check,
+    ADD CONSTRAINT profiles_completion_rule_check CHECK (completion_rule IN ('all', 'count', 'minutes', 'timer'));
@@ -0,0 +1,81 @@
+-- WalkToGive Uncomplete Workout
+-- Lets users unmark a day they completed by mistake, taking back the
+-- week's reward, its movement contributions and any badge it earned
+
+-- =====================================================
+-- UNCOMPLETE WORKOUT
+-- =====================================================
+-- A goal reward is taken back when this day was needed to reach the goal,
+-- so a reward earned under an older, lower goal stands. A partial payout is
+-- always taken back since it was paid for a fixed number of days;
+-- settle_partial_weeks pays the week again for the days that are left.
+-- Returns the amount taken back (0 if the week keeps its reward).
+CREATE OR REPLACE FUNCTION uncomplete_workout(
+    p_user_id UUID,
+    p_date DATE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_week_start DATE;
+    v_weekly_goal INTEGER;
+    v_met_goal_before BOOLEAN;
+    v_reward RECORD;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot change workouts for another user';
+    END IF;
+
+    SELECT reward_week_for(p_user_id, p_date), p.weekly_goal
+    INTO v_week_start, v_weekly_goal
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    v_met_goal_before := count_week_workouts(p_user_id, v_week_start) >= v_weekly_goal;
+
+    UPDATE public.workouts
+    SET completed = false,
+        completed_at = NULL
+    WHERE user_id = p_user_id
+      AND date = p_date
+      AND completed = true;
+
+    -- Replaying an undo that already landed changes nothing
+    IF NOT FOUND THEN
+        RETURN 0;
+    END IF;
+
+    SELECT amount, goal_met
+    INTO v_reward
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = v_week_start;
+
+    IF NOT FOUND THEN
+        RETURN 0;
+    END IF;
+
+    IF v_reward.goal_met AND NOT (
+        v_met_goal_before AND count_week_workouts(p_user_id, v_week_start) < v_weekly_goal
+    ) THEN
+        RETURN 0;
+    END IF;
+
+    DELETE FROM public.movement_contributions
+    WHERE user_id = p_user_id
+      AND week_key = to_char(v_week_start, 'YYYY-MM-DD');
+
+    DELETE FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = v_week_start;
+
+    RETURN v_reward.amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- USER BADGES
+-- =====================================================
+-- Badges an undone workout no longer qualifies for are removed by the client
+CREATE POLICY "Users can revoke their own badges"
+    ON public.user_badges FOR DELETE
+    USING (auth.uid() = user_id);
@@ -0,0 +1,242 @@
+-- WalkToGive Completion Policy
+-- Stops week rewards being farmed by completing arbitrary days: no future
+-- days, a grace window for backfilling, an optional stopwatch minimum, and
+-- completions only through complete_workout() so clients can't write them
+-- straight into the workouts table
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+-- A day can be completed until backfill_grace_hours after it ends
+ALTER TABLE public.profiles
+    ADD COLUMN backfill_grace_hours SMALLINT NOT NULL DEFAULT 48 CHECK (backfill_grace_hours >= 0 AND backfill_grace_hours <= 168),
+    ADD COLUMN min_timer_minutes SMALLINT NOT NULL DEFAULT 0 CHECK (min_timer_minutes >= 0 AND min_timer_minutes <= 300);
+
+-- =====================================================
+-- COMPLETE WORKOUT
+-- =====================================================
+-- The server doesn't know the device's time zone, so day boundaries are
+-- taken as wide as they go: a day has started once it has started anywhere
+-- (UTC+14) and ends once it has ended everywhere (UTC-12).
+-- Violations raise check_violation, which the client's outbox drops
+-- instead of retrying. Re-completing a completed day skips the policy and
+-- just updates its log and time, so replays are harmless.
+-- p_completed_at is when the device completed the day, so a completion
+-- made on time offline still counts when the outbox replays it late. It is
+-- never taken as later than now, and a replay still has to arrive within
+-- the longest grace window anyone can choose (168 hours).
+CREATE OR REPLACE FUNCTION complete_workout(
+    p_user_id UUID,
+    p_date DATE,
+    p_exercise_log JSONB DEFAULT NULL,
+    p_duration_seconds INTEGER DEFAULT NULL,
+    p_paused_seconds INTEGER DEFAULT 0,
+    p_timer_segments JSONB DEFAULT '[]'::JSONB,
+    p_completed_at TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS VOID AS $$
+DECLARE
+    v_grace_hours INTEGER;
+    v_min_timer_minutes INTEGER;
+    v_completed_at TIMESTAMP WITH TIME ZONE := LEAST(COALESCE(p_completed_at, now()), now());
+    v_day_ended TIMESTAMP WITH TIME ZONE := (p_date + 1)::TIMESTAMP AT TIME ZONE 'Etc/GMT+12';
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot complete workouts for another user';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.workouts
+        WHERE user_id = p_user_id
+          AND date = p_date
+          AND completed = true
+    ) THEN
+        SELECT backfill_grace_hours, min_timer_minutes
+        INTO v_grace_hours, v_min_timer_minutes
+        FROM public.profiles
+        WHERE id = p_user_id;
+
+        IF p_date > (v_completed_at AT TIME ZONE 'Etc/GMT-14')::DATE THEN
+            RAISE EXCEPTION 'You can''t complete a day that hasn''t happened yet'
+                USING ERRCODE = 'check_violation';
+        END IF;
+
+        IF v_completed_at > v_day_ended + make_interval(hours => v_grace_hours)
+           OR now() > v_day_ended + make_interval(hours => 168) THEN
+            RAISE EXCEPTION 'Days can only be completed within % hours', v_grace_hours
+                USING ERRCODE = 'check_violation';
+        END IF;
+
+        IF COALESCE(p_duration_seconds, 0) < v_min_timer_minutes * 60 THEN
+            RAISE EXCEPTION 'Run the stopwatch for at least % minutes to complete a day', v_min_timer_minutes
+                USING ERRCODE = 'check_violation';
+        END IF;
+    END IF;
+
+    INSERT INTO public.workouts (
+        user_id, date, completed, completed_at,
+        exercise_log, duration_seconds, paused_seconds, timer_segments
+    )
+    VALUES (
+        p_user_id, p_date, true, v_completed_at,
+        p_exercise_log, p_duration_seconds, COALESCE(p_paused_seconds, 0), COALESCE(p_timer_segments, '[]'::JSONB)
+    )
+    ON CONFLICT (user_id, date) DO UPDATE
+        SET completed = true,
+            completed_at = COALESCE(public.workouts.completed_at, EXCLUDED.completed_at),
+            exercise_log = COALESCE(EXCLUDED.exercise_log, public.workouts.exercise_log),
+            duration_seconds = COALESCE(EXCLUDED.duration_seconds, public.workouts.duration_seconds),
+            paused_seconds = CASE WHEN EXCLUDED.duration_seconds IS NULL
+                THEN public.workouts.paused_seconds ELSE EXCLUDED.paused_seconds END,
+            timer_segments = CASE WHEN EXCLUDED.duration_seconds IS NULL
+                THEN public.workouts.timer_segments ELSE EXCLUDED.timer_segments END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- WORKOUTS
+-- =====================================================
+-- Clients may still save progress (exercise log, stopwatch time) directly,
+-- but only complete_workout() and other SECURITY DEFINER functions (which
+-- run as the table owner) can mark a day completed
+CREATE OR REPLACE FUNCTION guard_workout_completion()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.completed
+       AND (TG_OP = 'INSERT' OR NOT COALESCE(OLD.completed, false) OR NEW.date <> OLD.date)
+       AND current_user IN ('anon', 'authenticated') THEN
+        RAISE EXCEPTION 'Workouts can only be completed through complete_workout()'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER guard_workout_completion
+    BEFORE INSERT OR UPDATE ON public.workouts
+    FOR EACH ROW EXECUTE FUNCTION guard_workout_completion();
+
+-- =====================================================
+-- IMPORT GUEST DATA
+-- =====================================================
+-- Uploaded days go through complete_workout() too, so an import can't
+-- complete days a client couldn't. Badges aren't uploaded either; the client
+-- unlocks them again from the uploaded history
+DROP FUNCTION import_guest_data(DATE[], TEXT[], INTEGER, INTEGER, JSONB);
+
+CREATE OR REPLACE FUNCTION import_guest_data(
+    p_completed_dates DATE[],
+    p_min_reward INTEGER DEFAULT NULL,
+    p_max_reward INTEGER DEFAULT NULL,
+    p_movements JSONB DEFAULT '[]'::JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_week_start SMALLINT;
+    v_dates DATE[];
+    v_date DATE;
+    v_workouts INTEGER := 0;
+    v_skipped INTEGER := 0;
+    v_rewards INTEGER := 0;
+    v_week RECORD;
+    v_movements INTEGER := 0;
+    v_movement JSONB;
+    v_movement_id UUID;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    UPDATE public.profiles
+    SET guest_imported_at = NOW()
+    WHERE id = v_user_id
+      AND guest_imported_at IS NULL
+    RETURNING week_start INTO v_week_start;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Progress from a device was already uploaded to this account';
+    END IF;
+
+    -- Workouts, each completed as if on the day it's uploaded; days the
+    -- completion policy refuses are skipped
+    v_dates := ARRAY(SELECT DISTINCT unnest(COALESCE(p_completed_dates, '{}')) ORDER BY 1);
+
+    FOREACH v_date IN ARRAY v_dates
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.workouts
+            WHERE user_id = v_user_id
+              AND date = v_date
+              AND completed = true
+        );
+
+        BEGIN
+            PERFORM complete_workout(v_user_id, v_date);
+            v_workouts := v_workouts + 1;
+        EXCEPTION WHEN check_violation THEN
+            v_skipped := v_skipped + 1;
+        END;
+    END LOOP;
+
+    -- Weekly rewards for the weeks the imported days complete
+    FOR v_week IN
+        SELECT DISTINCT week_start_for(d, v_week_start) AS start_date
+        FROM unnest(v_dates) AS d
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = v_user_id
+              AND r.week_start = v_week.start_date
+        );
+        CONTINUE WHEN award_weekly_reward(v_user_id, v_week.start_date) IS NULL;
+
+        v_rewards := v_rewards + 1;
+    END LOOP;
+
+    v_rewards := v_rewards + (SELECT COUNT(*) FROM settle_partial_weeks(v_user_id));
+
+    -- Reward range
+    IF p_min_reward IS NOT NULL AND p_max_reward IS NOT NULL THEN
+        UPDATE public.profiles
+        SET min_reward = p_min_reward,
+            max_reward = p_max_reward
+        WHERE id = v_user_id;
+    END IF;
+
+    -- Movements created as a guest
+    FOR v_movement IN SELECT * FROM jsonb_array_elements(COALESCE(p_movements, '[]'::JSONB))
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.movements
+            WHERE creator_id = v_user_id
+              AND name = v_movement->>'name'
+              AND start_date = (v_movement->>'start_date')::DATE
+        );
+
+        INSERT INTO public.movements (name, charity, description, start_date, end_date, creator_id)
+        VALUES (
+            v_movement->>'name',
+            v_movement->>'charity',
+            v_movement->>'description',
+            (v_movement->>'start_date')::DATE,
+            (v_movement->>'end_date')::DATE,
+            v_user_id
+        )
+        RETURNING id INTO v_movement_id;
+
+        INSERT INTO public.movement_members (movement_id, user_id)
+        VALUES (v_movement_id, v_user_id);
+
+        v_movements := v_movements + 1;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'workouts', v_workouts,
+        'skipped', v_skipped,
+        'rewards', v_rewards,
+        'movements', v_movements
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
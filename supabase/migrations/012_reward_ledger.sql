@@ -0,0 +1,304 @@
+-- WalkToGive Reward Ledger
+-- Append-only record of every reward event (award, adjustment, reversal)
+-- with the range, algorithm and seed behind each amount. weekly_rewards
+-- stays as the current state per week; every insert and delete on it is
+-- written to the ledger by trigger, and the app derives totals from the ledger.
+
+-- =====================================================
+-- REWARD EVENTS TABLE
+-- =====================================================
+-- amount is signed: reversals are negative. Adjustments change the amount
+-- of a week that stays rewarded (see adjust_per_day_reward() in 013).
+CREATE TABLE public.reward_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    week_start DATE NOT NULL,
+    event_type TEXT NOT NULL CHECK (event_type IN ('award', 'adjustment', 'reversal')),
+    amount INTEGER NOT NULL CHECK (amount <> 0),
+    min_reward INTEGER,
+    max_reward INTEGER,
+    algorithm TEXT,
+    seed BIGINT,
+    days_completed SMALLINT,
+    weekly_goal SMALLINT,
+    reason TEXT,
+    reverses_id UUID REFERENCES public.reward_events(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX idx_reward_events_user_week ON public.reward_events(user_id, week_start);
+
+-- RLS Policies for reward_events
+ALTER TABLE public.reward_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own reward events"
+    ON public.reward_events FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Events are written by trigger only, and never changed once written
+CREATE OR REPLACE FUNCTION prevent_reward_event_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Reward events are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER prevent_reward_event_update
+    BEFORE UPDATE ON public.reward_events
+    FOR EACH ROW EXECUTE FUNCTION prevent_reward_event_update();
+
+-- =====================================================
+-- WEEKLY REWARDS
+-- =====================================================
+-- How the current amount was decided; rows inserted without it (guest
+-- uploads) are recorded as imported
+ALTER TABLE public.weekly_rewards
+    ADD COLUMN min_reward INTEGER,
+    ADD COLUMN max_reward INTEGER,
+    ADD COLUMN algorithm TEXT NOT NULL DEFAULT 'imported',
+    ADD COLUMN seed BIGINT;
+
+UPDATE public.weekly_rewards SET algorithm = 'legacy';
+
+INSERT INTO public.reward_events (user_id, week_start, event_type, amount, algorithm, days_completed, reason, created_at)
+SELECT user_id, week_start, 'award', amount, 'legacy', days_completed,
+       CASE WHEN goal_met THEN 'Weekly goal reached' ELSE 'Partial week payout' END,
+       created_at
+FROM public.weekly_rewards
+WHERE amount > 0;
+
+CREATE OR REPLACE FUNCTION record_reward_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.reward_events (
+            user_id, week_start, event_type, amount, min_reward, max_reward,
+            algorithm, seed, days_completed, weekly_goal, reason
+        )
+        SELECT NEW.user_id, NEW.week_start, 'award', NEW.amount, NEW.min_reward, NEW.max_reward,
+               NEW.algorithm, NEW.seed, NEW.days_completed, p.weekly_goal,
+               CASE
+                   WHEN NEW.algorithm = 'imported' THEN 'Uploaded from guest mode'
+                   WHEN NEW.goal_met THEN 'Weekly goal reached'
+                   ELSE 'Partial week payout'
+               END
+        FROM public.profiles p
+        WHERE p.id = NEW.user_id;
+
+        RETURN NEW;
+    END IF;
+
+    -- Deleting the account cascades here; there is nothing left to record against
+    IF NOT EXISTS (SELECT 1 FROM auth.users WHERE id = OLD.user_id) THEN
+        RETURN OLD;
+    END IF;
+
+    INSERT INTO public.reward_events (
+        user_id, week_start, event_type, amount, days_completed, weekly_goal, reason, reverses_id
+    )
+    SELECT OLD.user_id, OLD.week_start, 'reversal', -OLD.amount,
+           count_week_workouts(OLD.user_id, OLD.week_start), p.weekly_goal,
+           'Week no longer earns its reward',
+           (
+               SELECT e.id FROM public.reward_events e
+               WHERE e.user_id = OLD.user_id
+                 AND e.week_start = OLD.week_start
+                 AND e.event_type = 'award'
+               ORDER BY e.created_at DESC
+               LIMIT 1
+           )
+    FROM public.profiles p
+    WHERE p.id = OLD.user_id;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER record_reward_event
+    AFTER INSERT OR DELETE ON public.weekly_rewards
+    FOR EACH ROW EXECUTE FUNCTION record_reward_event();
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+-- Fresh 32-bit seed, independent of the random() stream draw_reward() reseeds
+CREATE OR REPLACE FUNCTION new_reward_seed()
+RETURNS BIGINT AS $$
+    SELECT ('x' || left(replace(gen_random_uuid()::TEXT, '-', ''), 8))::BIT(32)::BIGINT;
+$$ LANGUAGE sql VOLATILE;
+
+-- Reward in range (inclusive); the same seed always gives the same amount
+CREATE OR REPLACE FUNCTION draw_reward(p_min INTEGER, p_max INTEGER, p_seed BIGINT)
+RETURNS INTEGER AS $$
+BEGIN
+    PERFORM setseed(p_seed / 4294967296.0);
+    RETURN floor(random() * (p_max - p_min + 1) + p_min)::INTEGER;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+DROP FUNCTION insert_weekly_reward(UUID, DATE, INTEGER, INTEGER, BOOLEAN);
+
+-- Record a reward and credit it to the user's active movements
+CREATE OR REPLACE FUNCTION insert_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE,
+    p_amount INTEGER,
+    p_days_completed INTEGER,
+    p_goal_met BOOLEAN,
+    p_min_reward INTEGER,
+    p_max_reward INTEGER,
+    p_algorithm TEXT,
+    p_seed BIGINT
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.weekly_rewards (
+        user_id, week_start, amount, days_completed, goal_met,
+        min_reward, max_reward, algorithm, seed
+    )
+    VALUES (
+        p_user_id, p_week_start, p_amount, p_days_completed, p_goal_met,
+        p_min_reward, p_max_reward, p_algorithm, p_seed
+    );
+
+    INSERT INTO public.movement_contributions (movement_id, user_id, week_key, amount)
+    SELECT mm.movement_id, p_user_id, to_char(p_week_start, 'YYYY-MM-DD'), p_amount
+    FROM public.movement_members mm
+    JOIN public.movements m ON m.id = mm.movement_id
+    WHERE mm.user_id = p_user_id
+      AND CURRENT_DATE BETWEEN m.start_date AND m.end_date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION insert_weekly_reward(UUID, DATE, INTEGER, INTEGER, BOOLEAN, INTEGER, INTEGER, TEXT, BIGINT) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- AWARD WEEKLY REWARD
+-- =====================================================
+CREATE OR REPLACE FUNCTION award_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    reward_amount INTEGER;
+    user_min_reward INTEGER;
+    user_max_reward INTEGER;
+    v_seed BIGINT;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot award rewards for another user';
+    END IF;
+
+    IF p_week_start <> (SELECT week_start_for(p_week_start, week_start) FROM public.profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'Weeks start on the day set in your calendar settings'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Return the existing reward if this week was already paid
+    SELECT amount
+    INTO reward_amount
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = p_week_start;
+
+    IF reward_amount IS NOT NULL THEN
+        RETURN reward_amount;
+    END IF;
+
+    IF NOT check_week_completion(p_user_id, p_week_start) THEN
+        RETURN NULL;
+    END IF;
+
+    -- Get user's reward range
+    SELECT min_reward, max_reward
+    INTO user_min_reward, user_max_reward
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    v_seed := new_reward_seed();
+    reward_amount := draw_reward(user_min_reward, user_max_reward, v_seed);
+
+    PERFORM insert_weekly_reward(
+        p_user_id, p_week_start, reward_amount,
+        count_week_workouts(p_user_id, p_week_start), true,
+        user_min_reward, user_max_reward, 'uniform_pg', v_seed
+    );
+
+    RETURN reward_amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- SETTLE PARTIAL WEEKS
+-- =====================================================
+-- Same payout rule as before; each draw now keeps its seed, and a week waits
+-- for its backfill window (011) to close so it can't reach the goal after
+-- being paid in part
+CREATE OR REPLACE FUNCTION settle_partial_weeks(
+    p_user_id UUID,
+    p_exclude_week DATE DEFAULT NULL
+)
+RETURNS TABLE (week_start DATE, days_completed INTEGER, amount INTEGER) AS $$
+DECLARE
+    v_profile RECORD;
+    v_current_week DATE;
+    v_week RECORD;
+    v_amount INTEGER;
+    v_seed BIGINT;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot settle rewards for another user';
+    END IF;
+
+    SELECT p.min_reward, p.max_reward, p.weekly_goal, p.week_start,
+           p.proportional_payouts, p.proportional_payouts_since, p.backfill_grace_hours
+    INTO v_profile
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF NOT v_profile.proportional_payouts OR v_profile.proportional_payouts_since IS NULL THEN
+        RETURN;
+    END IF;
+
+    v_current_week := week_start_for(CURRENT_DATE, v_profile.week_start);
+
+    FOR v_week IN
+        SELECT reward_week_for(p_user_id, w.date) AS start_date,
+               COUNT(DISTINCT w.date)::INTEGER AS days
+        FROM public.workouts w
+        WHERE w.user_id = p_user_id
+          AND w.completed = true
+          AND w.date >= v_profile.proportional_payouts_since
+          AND w.date < v_current_week
+        GROUP BY 1
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN v_week.start_date = p_exclude_week;
+        -- Not until its last day is past the backfill window, as in complete_workout()
+        CONTINUE WHEN now() <= ((v_week.start_date + 7)::TIMESTAMP AT TIME ZONE 'Etc/GMT+12')
+            + make_interval(hours => v_profile.backfill_grace_hours);
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = p_user_id
+              AND r.week_start = v_week.start_date
+        );
+
+        v_seed := new_reward_seed();
+        v_amount := GREATEST(1, round(
+            draw_reward(v_profile.min_reward, v_profile.max_reward, v_seed)
+            * v_week.days / v_profile.weekly_goal
+        ))::INTEGER;
+
+        PERFORM insert_weekly_reward(
+            p_user_id, v_week.start_date, v_amount, v_week.days, false,
+            v_profile.min_reward, v_profile.max_reward, 'proportional_pg', v_seed
+        );
+
+        week_start := v_week.start_date;
+        days_completed := v_week.days;
+        amount := v_amount;
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
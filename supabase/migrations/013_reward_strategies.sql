@@ -0,0 +1,450 @@
+-- WalkToGive Reward Strategies
+-- Weekly rewards can be a random amount in range (as before), a fixed
+-- amount, or an amount per completed day, with an optional streak bonus and
+-- monthly cap. award_week() mirrors calculateReward() in workout.service.js
+-- so local and cloud rewards agree.
+
+-- =====================================================
+-- PROFILES
+-- =====================================================
+ALTER TABLE public.profiles
+    ADD COLUMN reward_strategy TEXT NOT NULL DEFAULT 'random' CHECK (reward_strategy IN ('random', 'fixed', 'per_day')),
+    ADD COLUMN reward_amount INTEGER CHECK (reward_amount >= 1 AND reward_amount <= 1000),
+    ADD COLUMN streak_bonus_percent SMALLINT NOT NULL DEFAULT 0 CHECK (streak_bonus_percent >= 0 AND streak_bonus_percent <= 50),
+    ADD COLUMN monthly_reward_cap INTEGER CHECK (monthly_reward_cap >= 1 AND monthly_reward_cap <= 10000),
+    ADD CONSTRAINT profiles_reward_amount_required
+        CHECK (reward_strategy = 'random' OR reward_amount IS NOT NULL);
+
+-- =====================================================
+-- WEEKLY REWARDS AND LEDGER
+-- =====================================================
+-- A monthly cap can use up a week's whole reward; the week still counts as
+-- rewarded (for streaks and badges) at $0
+ALTER TABLE public.weekly_rewards DROP CONSTRAINT weekly_rewards_amount_check;
+ALTER TABLE public.weekly_rewards ADD CONSTRAINT weekly_rewards_amount_check CHECK (amount >= 0);
+
+ALTER TABLE public.weekly_rewards
+    ADD COLUMN rate INTEGER,
+    ADD COLUMN multiplier NUMERIC(3, 2),
+    ADD COLUMN monthly_cap INTEGER;
+
+ALTER TABLE public.reward_events DROP CONSTRAINT reward_events_amount_check;
+ALTER TABLE public.reward_events ADD CONSTRAINT reward_events_amount_check CHECK (
+    (event_type = 'award' AND amount >= 0) OR
+    (event_type = 'reversal' AND amount <= 0) OR
+    (event_type = 'adjustment' AND amount <> 0)
+);
+
+ALTER TABLE public.reward_events
+    ADD COLUMN rate INTEGER,
+    ADD COLUMN multiplier NUMERIC(3, 2),
+    ADD COLUMN monthly_cap INTEGER;
+
+CREATE OR REPLACE FUNCTION record_reward_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO public.reward_events (
+            user_id, week_start, event_type, amount, min_reward, max_reward, rate,
+            multiplier, monthly_cap, algorithm, seed, days_completed, weekly_goal, reason
+        )
+        SELECT NEW.user_id, NEW.week_start, 'award', NEW.amount, NEW.min_reward, NEW.max_reward, NEW.rate,
+               NEW.multiplier, NEW.monthly_cap, NEW.algorithm, NEW.seed, NEW.days_completed, p.weekly_goal,
+               CASE
+                   WHEN NEW.algorithm = 'imported' THEN 'Uploaded from guest mode'
+                   WHEN NEW.goal_met THEN 'Weekly goal reached'
+                   ELSE 'Partial week payout'
+               END ||
+               CASE
+                   WHEN NEW.monthly_cap IS NOT NULL
+                        AND month_reward_total(NEW.user_id, NEW.week_start) >= NEW.monthly_cap
+                   THEN ' (monthly cap reached)'
+                   ELSE ''
+               END
+        FROM public.profiles p
+        WHERE p.id = NEW.user_id;
+
+        RETURN NEW;
+    END IF;
+
+    -- Deleting the account cascades here; there is nothing left to record against
+    IF NOT EXISTS (SELECT 1 FROM auth.users WHERE id = OLD.user_id) THEN
+        RETURN OLD;
+    END IF;
+
+    INSERT INTO public.reward_events (
+        user_id, week_start, event_type, amount, days_completed, weekly_goal, reason, reverses_id
+    )
+    SELECT OLD.user_id, OLD.week_start, 'reversal', -OLD.amount,
+           count_week_workouts(OLD.user_id, OLD.week_start), p.weekly_goal,
+           'Week no longer earns its reward',
+           (
+               SELECT e.id FROM public.reward_events e
+               WHERE e.user_id = OLD.user_id
+                 AND e.week_start = OLD.week_start
+                 AND e.event_type = 'award'
+               ORDER BY e.created_at DESC
+               LIMIT 1
+           )
+    FROM public.profiles p
+    WHERE p.id = OLD.user_id;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+-- Rewards already paid to weeks ending in the same month as this week
+-- (a week spanning two months counts toward the month it finishes in)
+CREATE OR REPLACE FUNCTION month_reward_total(p_user_id UUID, p_week_start DATE)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(SUM(amount), 0)::INTEGER
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND date_trunc('month', week_start + 6) = date_trunc('month', p_week_start + 6);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Goal weeks in a row right before this week. A week paid under an older
+-- week start stands in for the calendar week it starts in
+CREATE OR REPLACE FUNCTION goal_streak_before(p_user_id UUID, p_week_start DATE)
+RETURNS INTEGER AS $$
+DECLARE
+    v_cursor DATE := p_week_start - 7;
+    v_streak INTEGER := 0;
+BEGIN
+    WHILE EXISTS (
+        SELECT 1 FROM public.weekly_rewards
+        WHERE user_id = p_user_id
+          AND week_start BETWEEN v_cursor AND v_cursor + 6
+          AND goal_met = true
+    ) LOOP
+        v_streak := v_streak + 1;
+        v_cursor := v_cursor - 7;
+    END LOOP;
+
+    RETURN v_streak;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+DROP FUNCTION insert_weekly_reward(UUID, DATE, INTEGER, INTEGER, BOOLEAN, INTEGER, INTEGER, TEXT, BIGINT);
+
+-- Record a reward and credit it to the user's active movements
+CREATE OR REPLACE FUNCTION insert_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE,
+    p_amount INTEGER,
+    p_days_completed INTEGER,
+    p_goal_met BOOLEAN,
+    p_min_reward INTEGER,
+    p_max_reward INTEGER,
+    p_rate INTEGER,
+    p_multiplier NUMERIC,
+    p_monthly_cap INTEGER,
+    p_algorithm TEXT,
+    p_seed BIGINT
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.weekly_rewards (
+        user_id, week_start, amount, days_completed, goal_met,
+        min_reward, max_reward, rate, multiplier, monthly_cap, algorithm, seed
+    )
+    VALUES (
+        p_user_id, p_week_start, p_amount, p_days_completed, p_goal_met,
+        p_min_reward, p_max_reward, p_rate, p_multiplier, p_monthly_cap, p_algorithm, p_seed
+    );
+
+    IF p_amount = 0 THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO public.movement_contributions (movement_id, user_id, week_key, amount)
+    SELECT mm.movement_id, p_user_id, to_char(p_week_start, 'YYYY-MM-DD'), p_amount
+    FROM public.movement_members mm
+    JOIN public.movements m ON m.id = mm.movement_id
+    WHERE mm.user_id = p_user_id
+      AND CURRENT_DATE BETWEEN m.start_date AND m.end_date;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION insert_weekly_reward(UUID, DATE, INTEGER, INTEGER, BOOLEAN, INTEGER, INTEGER, INTEGER, NUMERIC, INTEGER, TEXT, BIGINT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION month_reward_total(UUID, DATE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION goal_streak_before(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- AWARD WEEK
+-- =====================================================
+-- Works out a week's reward under the user's reward strategy and records it.
+-- p_goal_met is false for a proportional partial payout, which never gets a
+-- streak bonus. Whole percentages keep the rounding identical to the client.
+CREATE OR REPLACE FUNCTION award_week(
+    p_user_id UUID,
+    p_week_start DATE,
+    p_goal_met BOOLEAN
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_profile RECORD;
+    v_days INTEGER := count_week_workouts(p_user_id, p_week_start);
+    v_amount INTEGER;
+    v_algorithm TEXT;
+    v_seed BIGINT;
+    v_percent INTEGER;
+    v_multiplier NUMERIC;
+BEGIN
+    SELECT p.min_reward, p.max_reward, p.weekly_goal, p.reward_strategy, p.reward_amount,
+           p.streak_bonus_percent, p.monthly_reward_cap
+    INTO v_profile
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF v_profile.reward_strategy = 'fixed' THEN
+        IF p_goal_met THEN
+            v_amount := v_profile.reward_amount;
+            v_algorithm := 'fixed';
+        ELSE
+            v_amount := GREATEST(1, round((v_profile.reward_amount * v_days)::NUMERIC / v_profile.weekly_goal))::INTEGER;
+            v_algorithm := 'fixed_proportional';
+        END IF;
+    ELSIF v_profile.reward_strategy = 'per_day' THEN
+        v_amount := v_profile.reward_amount * v_days;
+        v_algorithm := 'per_day';
+    ELSE
+        v_seed := new_reward_seed();
+        v_amount := draw_reward(v_profile.min_reward, v_profile.max_reward, v_seed);
+
+        IF p_goal_met THEN
+            v_algorithm := 'uniform_pg';
+        ELSE
+            v_amount := GREATEST(1, round((v_amount * v_days)::NUMERIC / v_profile.weekly_goal))::INTEGER;
+            v_algorithm := 'proportional_pg';
+        END IF;
+    END IF;
+
+    IF p_goal_met AND v_profile.streak_bonus_percent > 0 THEN
+        v_percent := LEAST(200, 100 + v_profile.streak_bonus_percent * goal_streak_before(p_user_id, p_week_start));
+        v_amount := round(v_amount * v_percent / 100.0)::INTEGER;
+        v_multiplier := v_percent / 100.0;
+    END IF;
+
+    IF v_profile.monthly_reward_cap IS NOT NULL THEN
+        v_amount := LEAST(v_amount, GREATEST(0, v_profile.monthly_reward_cap - month_reward_total(p_user_id, p_week_start)));
+    END IF;
+
+    PERFORM insert_weekly_reward(
+        p_user_id, p_week_start, v_amount, v_days, p_goal_met,
+        CASE WHEN v_profile.reward_strategy = 'random' THEN v_profile.min_reward END,
+        CASE WHEN v_profile.reward_strategy = 'random' THEN v_profile.max_reward END,
+        CASE WHEN v_profile.reward_strategy <> 'random' THEN v_profile.reward_amount END,
+        v_multiplier, v_profile.monthly_reward_cap, v_algorithm, v_seed
+    );
+
+    RETURN v_amount;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION award_week(UUID, DATE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- AWARD WEEKLY REWARD
+-- =====================================================
+CREATE OR REPLACE FUNCTION award_weekly_reward(
+    p_user_id UUID,
+    p_week_start DATE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    reward_amount INTEGER;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot award rewards for another user';
+    END IF;
+
+    IF p_week_start <> (SELECT week_start_for(p_week_start, week_start) FROM public.profiles WHERE id = p_user_id) THEN
+        RAISE EXCEPTION 'Weeks start on the day set in your calendar settings'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Return the existing reward if this week was already paid
+    SELECT amount
+    INTO reward_amount
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id
+      AND week_start = p_week_start;
+
+    IF reward_amount IS NOT NULL THEN
+        RETURN reward_amount;
+    END IF;
+
+    IF NOT check_week_completion(p_user_id, p_week_start) THEN
+        RETURN NULL;
+    END IF;
+
+    RETURN award_week(p_user_id, p_week_start, true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- SETTLE PARTIAL WEEKS
+-- =====================================================
+CREATE OR REPLACE FUNCTION settle_partial_weeks(
+    p_user_id UUID,
+    p_exclude_week DATE DEFAULT NULL
+)
+RETURNS TABLE (week_start DATE, days_completed INTEGER, amount INTEGER) AS $$
+DECLARE
+    v_profile RECORD;
+    v_current_week DATE;
+    v_week RECORD;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id THEN
+        RAISE EXCEPTION 'Cannot settle rewards for another user';
+    END IF;
+
+    SELECT p.week_start, p.proportional_payouts, p.proportional_payouts_since, p.backfill_grace_hours
+    INTO v_profile
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF NOT v_profile.proportional_payouts OR v_profile.proportional_payouts_since IS NULL THEN
+        RETURN;
+    END IF;
+
+    v_current_week := week_start_for(CURRENT_DATE, v_profile.week_start);
+
+    FOR v_week IN
+        SELECT reward_week_for(p_user_id, w.date) AS start_date,
+               COUNT(DISTINCT w.date)::INTEGER AS days
+        FROM public.workouts w
+        WHERE w.user_id = p_user_id
+          AND w.completed = true
+          AND w.date >= v_profile.proportional_payouts_since
+          AND w.date < v_current_week
+        GROUP BY 1
+        ORDER BY 1
+    LOOP
+        CONTINUE WHEN v_week.start_date = p_exclude_week;
+        -- Not until its last day is past the backfill window, as in complete_workout()
+        CONTINUE WHEN now() <= ((v_week.start_date + 7)::TIMESTAMP AT TIME ZONE 'Etc/GMT+12')
+            + make_interval(hours => v_profile.backfill_grace_hours);
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM public.weekly_rewards r
+            WHERE r.user_id = p_user_id
+              AND r.week_start = v_week.start_date
+        );
+
+        week_start := v_week.start_date;
+        days_completed := v_week.days;
+        amount := award_week(p_user_id, v_week.start_date, false);
+        RETURN NEXT;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- PER-DAY LATE DAYS
+-- =====================================================
+-- A per_day reward is worked out when the goal is reached, so each day
+-- completed in the week after that adds the award's rate (within the monthly
+-- cap) as an adjustment, and un-completing a day takes the latest one back.
+-- A week that loses its goal is then reversed in full by uncomplete_workout().
+-- Mirrors adjustPerDayWeek() in workout.service.js
+CREATE OR REPLACE FUNCTION adjust_per_day_reward()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_week_start DATE;
+    v_reward RECORD;
+    v_added RECORD;
+    v_amount INTEGER;
+    v_reverses_id UUID;
+BEGIN
+    IF TG_OP = 'INSERT' AND NOT NEW.completed THEN
+        RETURN NEW;
+    END IF;
+    IF TG_OP = 'UPDATE' AND NEW.completed = OLD.completed THEN
+        RETURN NEW;
+    END IF;
+
+    v_week_start := reward_week_for(NEW.user_id, NEW.date);
+
+    SELECT r.rate, r.monthly_cap, r.goal_met, r.algorithm
+    INTO v_reward
+    FROM public.weekly_rewards r
+    WHERE r.user_id = NEW.user_id
+      AND r.week_start = v_week_start;
+
+    IF NOT FOUND OR NOT v_reward.goal_met OR v_reward.algorithm <> 'per_day' THEN
+        RETURN NEW;
+    END IF;
+
+    IF NEW.completed THEN
+        v_amount := v_reward.rate;
+        IF v_reward.monthly_cap IS NOT NULL THEN
+            v_amount := LEAST(v_amount, GREATEST(0, v_reward.monthly_cap - month_reward_total(NEW.user_id, v_week_start)));
+        END IF;
+    ELSE
+        -- Latest addition since the week's award that hasn't been taken back
+        SELECT e.id, e.amount
+        INTO v_added
+        FROM public.reward_events e
+        WHERE e.user_id = NEW.user_id
+          AND e.week_start = v_week_start
+          AND e.event_type = 'adjustment'
+          AND e.amount > 0
+          AND e.created_at >= (
+              SELECT MAX(a.created_at) FROM public.reward_events a
+              WHERE a.user_id = NEW.user_id
+                AND a.week_start = v_week_start
+                AND a.event_type = 'award'
+          )
+          AND NOT EXISTS (
+              SELECT 1 FROM public.reward_events x
+              WHERE x.reverses_id = e.id
+          )
+        ORDER BY e.created_at DESC
+        LIMIT 1;
+
+        IF FOUND THEN
+            v_amount := -v_added.amount;
+            v_reverses_id := v_added.id;
+        END IF;
+    END IF;
+
+    IF COALESCE(v_amount, 0) = 0 THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE public.weekly_rewards
+    SET amount = amount + v_amount,
+        days_completed = count_week_workouts(NEW.user_id, v_week_start)
+    WHERE user_id = NEW.user_id
+      AND week_start = v_week_start;
+
+    INSERT INTO public.reward_events (
+        user_id, week_start, event_type, amount, rate, monthly_cap, algorithm,
+        days_completed, weekly_goal, reason, reverses_id
+    )
+    SELECT NEW.user_id, v_week_start, 'adjustment', v_amount, v_reward.rate, v_reward.monthly_cap, 'per_day',
+           count_week_workouts(NEW.user_id, v_week_start), p.weekly_goal,
+           CASE
+               WHEN NEW.completed THEN 'Day completed after the week was paid'
+               ELSE 'Day marked as not done'
+           END,
+           v_reverses_id
+    FROM public.profiles p
+    WHERE p.id = NEW.user_id;
+
+    UPDATE public.movement_contributions
+    SET amount = amount + v_amount
+    WHERE user_id = NEW.user_id
+      AND week_key = to_char(v_week_start, 'YYYY-MM-DD');
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER adjust_per_day_reward
+    AFTER INSERT OR UPDATE OF completed ON public.workouts
+    FOR EACH ROW EXECUTE FUNCTION adjust_per_day_reward();
@@ -0,0 +1,106 @@
+-- WalkToGive Streaks
+-- Current and longest streaks of goal weeks and workout days, counted by
+-- calendar continuity. Mirrors streak.service.js so a friend's card shows
+-- the same streaks they see themselves.
+
+-- =====================================================
+-- GET STREAKS
+-- =====================================================
+-- p_today is the caller's local date: the current week and today don't
+-- break a streak while they are still in progress. A week paid under an
+-- older week start stands in for the calendar week it starts in.
+-- Callable for yourself and for accepted friends.
+CREATE OR REPLACE FUNCTION get_streaks(
+    p_user_id UUID,
+    p_today DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+    current_weekly INTEGER,
+    longest_weekly INTEGER,
+    current_daily INTEGER,
+    longest_daily INTEGER
+) AS $$
+DECLARE
+    v_week_start SMALLINT;
+    v_cursor DATE;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND NOT EXISTS (
+        SELECT 1 FROM public.friendships f
+        WHERE f.status = 'accepted'
+          AND ((f.user_id = auth.uid() AND f.friend_id = p_user_id)
+            OR (f.friend_id = auth.uid() AND f.user_id = p_user_id))
+    ) THEN
+        RAISE EXCEPTION 'Cannot view streaks for this user';
+    END IF;
+
+    -- Current weekly: goal weeks in a row back from this week
+    SELECT p.week_start, week_start_for(p_today, p.week_start)
+    INTO v_week_start, v_cursor
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.weekly_rewards r
+        WHERE r.user_id = p_user_id AND r.week_start BETWEEN v_cursor AND v_cursor + 6 AND r.goal_met
+    ) THEN
+        v_cursor := v_cursor - 7;
+    END IF;
+
+    current_weekly := 0;
+    WHILE EXISTS (
+        SELECT 1 FROM public.weekly_rewards r
+        WHERE r.user_id = p_user_id AND r.week_start BETWEEN v_cursor AND v_cursor + 6 AND r.goal_met
+    ) LOOP
+        current_weekly := current_weekly + 1;
+        v_cursor := v_cursor - 7;
+    END LOOP;
+
+    -- Current daily: workout days in a row back from today
+    v_cursor := p_today;
+    IF NOT EXISTS (
+        SELECT 1 FROM public.workouts w
+        WHERE w.user_id = p_user_id AND w.date = v_cursor AND w.completed
+    ) THEN
+        v_cursor := v_cursor - 1;
+    END IF;
+
+    current_daily := 0;
+    WHILE EXISTS (
+        SELECT 1 FROM public.workouts w
+        WHERE w.user_id = p_user_id AND w.date = v_cursor AND w.completed
+    ) LOOP
+        current_daily := current_daily + 1;
+        v_cursor := v_cursor - 1;
+    END LOOP;
+
+    -- Longest runs: consecutive dates share the same offset from their row number
+    SELECT COALESCE(MAX(run), 0)::INTEGER
+    INTO longest_weekly
+    FROM (
+        SELECT COUNT(*) AS run
+        FROM (
+            SELECT week_start - (7 * ROW_NUMBER() OVER (ORDER BY week_start))::INTEGER AS grp
+            FROM (
+                SELECT DISTINCT week_start_for(r.week_start, v_week_start) AS week_start
+                FROM public.weekly_rewards r
+                WHERE r.user_id = p_user_id AND r.goal_met
+            ) aligned
+        ) weeks
+        GROUP BY grp
+    ) runs;
+
+    SELECT COALESCE(MAX(run), 0)::INTEGER
+    INTO longest_daily
+    FROM (
+        SELECT COUNT(*) AS run
+        FROM (
+            SELECT w.date - (ROW_NUMBER() OVER (ORDER BY w.date))::INTEGER AS grp
+            FROM public.workouts w
+            WHERE w.user_id = p_user_id AND w.completed
+        ) days
+        GROUP BY grp
+    ) runs;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,387 @@
+-- WalkToGive Streak Freezes & Vacations
+-- Freeze tokens (one earned every 4 goal weeks, or bought for 10 points at one
+-- point per workout day) and vacation ranges. Frozen weeks and days are
+-- neutral to streaks: they neither add to a streak nor break it. Mirrors
+-- freeze.service.js and streak.service.js.
+
+-- =====================================================
+-- STREAK FREEZE PURCHASES TABLE
+-- =====================================================
+-- Written only by buy_streak_freeze(), which checks the points balance
+CREATE TABLE public.streak_freeze_purchases (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    points INTEGER NOT NULL CHECK (points > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX idx_streak_freeze_purchases_user ON public.streak_freeze_purchases(user_id);
+
+-- =====================================================
+-- STREAK FREEZES TABLE
+-- =====================================================
+-- One row per week frozen with a token; written only by freeze_week()
+CREATE TABLE public.streak_freezes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    week_start DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE(user_id, week_start)
+);
+
+-- =====================================================
+-- VACATIONS TABLE
+-- =====================================================
+CREATE TABLE public.vacations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    note TEXT CHECK (char_length(note) <= 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CHECK (end_date >= start_date),
+    CHECK (end_date - start_date < 90)
+);
+
+CREATE INDEX idx_vacations_user ON public.vacations(user_id);
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE public.streak_freeze_purchases ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own freeze purchases"
+    ON public.streak_freeze_purchases FOR SELECT
+    USING (auth.uid() = user_id);
+
+ALTER TABLE public.streak_freezes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own streak freezes"
+    ON public.streak_freezes FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Unfreezing hands the token back
+CREATE POLICY "Users can unfreeze their own weeks"
+    ON public.streak_freezes FOR DELETE
+    USING (auth.uid() = user_id);
+
+ALTER TABLE public.vacations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own vacations"
+    ON public.vacations FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- Vacations are planned ahead; a day of slack covers time zones ahead of UTC
+CREATE POLICY "Users can plan their own vacations"
+    ON public.vacations FOR INSERT
+    WITH CHECK (auth.uid() = user_id AND start_date >= CURRENT_DATE - 1);
+
+CREATE POLICY "Users can remove their own vacations"
+    ON public.vacations FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- =====================================================
+-- FREEZE BALANCE
+-- =====================================================
+CREATE OR REPLACE FUNCTION freeze_balance(p_user_id UUID)
+RETURNS TABLE (
+    points INTEGER,
+    earned INTEGER,
+    purchased INTEGER,
+    used INTEGER,
+    available INTEGER
+) AS $$
+DECLARE
+    v_days INTEGER;
+    v_spent INTEGER;
+BEGIN
+    SELECT COUNT(*)::INTEGER INTO v_days
+    FROM public.workouts
+    WHERE user_id = p_user_id AND completed = true;
+
+    SELECT COALESCE(SUM(p.points), 0)::INTEGER, COUNT(*)::INTEGER
+    INTO v_spent, purchased
+    FROM public.streak_freeze_purchases p
+    WHERE p.user_id = p_user_id;
+
+    SELECT (COUNT(*) / 4)::INTEGER INTO earned
+    FROM public.weekly_rewards
+    WHERE user_id = p_user_id AND goal_met = true;
+
+    SELECT COUNT(*)::INTEGER INTO used
+    FROM public.streak_freezes f
+    WHERE f.user_id = p_user_id;
+
+    points := GREATEST(0, v_days - v_spent);
+    available := GREATEST(0, earned + purchased - used);
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION freeze_balance(UUID) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- BUY STREAK FREEZE
+-- =====================================================
+-- Violations raise check_violation so the client can show the message
+CREATE OR REPLACE FUNCTION buy_streak_freeze()
+RETURNS VOID AS $$
+DECLARE
+    v_points INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    -- Serialize purchases so two taps can't spend the same points
+    PERFORM 1 FROM public.profiles WHERE id = auth.uid() FOR UPDATE;
+
+    SELECT b.points INTO v_points FROM freeze_balance(auth.uid()) b;
+
+    IF v_points < 10 THEN
+        RAISE EXCEPTION 'You need 10 points to buy a streak freeze'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.streak_freeze_purchases (user_id, points)
+    VALUES (auth.uid(), 10);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- FREEZE WEEK
+-- =====================================================
+-- p_today is the caller's local date, checked against the widest time zones.
+-- Only this week and last week can be frozen, and only if their goal isn't met.
+CREATE OR REPLACE FUNCTION freeze_week(p_week_start DATE, p_today DATE)
+RETURNS VOID AS $$
+DECLARE
+    v_current_week DATE;
+    v_available INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not authenticated';
+    END IF;
+
+    IF p_today NOT BETWEEN (now() AT TIME ZONE 'Etc/GMT+12')::DATE AND (now() AT TIME ZONE 'Etc/GMT-14')::DATE THEN
+        RAISE EXCEPTION 'Your device date looks wrong'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    -- Serialize freezes so two taps can't spend the same token
+    SELECT week_start_for(p_today, p.week_start) INTO v_current_week
+    FROM public.profiles p
+    WHERE p.id = auth.uid()
+    FOR UPDATE;
+
+    IF p_week_start NOT IN (v_current_week, v_current_week - 7) THEN
+        RAISE EXCEPTION 'Only this week or last week can be frozen'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.streak_freezes
+        WHERE user_id = auth.uid() AND week_start = p_week_start
+    ) THEN
+        RAISE EXCEPTION 'This week is already frozen'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM public.weekly_rewards
+        WHERE user_id = auth.uid() AND week_start = p_week_start AND goal_met = true
+    ) THEN
+        RAISE EXCEPTION 'This week already met its goal'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    SELECT b.available INTO v_available FROM freeze_balance(auth.uid()) b;
+
+    IF v_available < 1 THEN
+        RAISE EXCEPTION 'No streak freezes left'
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    INSERT INTO public.streak_freezes (user_id, week_start)
+    VALUES (auth.uid(), p_week_start);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- FROZEN PERIODS
+-- =====================================================
+-- Days covered by a vacation or a token-frozen week
+CREATE OR REPLACE FUNCTION frozen_days(p_user_id UUID)
+RETURNS TABLE (day DATE) AS $$
+    SELECT generate_series(v.start_date, v.end_date, INTERVAL '1 day')::DATE
+    FROM public.vacations v
+    WHERE v.user_id = p_user_id
+    UNION
+    SELECT generate_series(f.week_start, f.week_start + 6, INTERVAL '1 day')::DATE
+    FROM public.streak_freezes f
+    WHERE f.user_id = p_user_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Token-frozen weeks, plus any week with a vacation day in it
+CREATE OR REPLACE FUNCTION frozen_weeks(p_user_id UUID)
+RETURNS TABLE (week_start DATE) AS $$
+    SELECT f.week_start
+    FROM public.streak_freezes f
+    WHERE f.user_id = p_user_id
+    UNION
+    SELECT week_start_for(d.day, p.week_start)
+    FROM public.vacations v
+    CROSS JOIN LATERAL generate_series(v.start_date, v.end_date, INTERVAL '1 day') AS d(day)
+    JOIN public.profiles p ON p.id = v.user_id
+    WHERE v.user_id = p_user_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION frozen_days(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION frozen_weeks(UUID) FROM PUBLIC, anon, authenticated;
+
+-- =====================================================
+-- STREAKS
+-- =====================================================
+-- Goal weeks in a row right before this week, skipping frozen weeks. A week
+-- paid under an older week start stands in for the calendar week it starts in
+CREATE OR REPLACE FUNCTION goal_streak_before(p_user_id UUID, p_week_start DATE)
+RETURNS INTEGER AS $$
+DECLARE
+    v_cursor DATE := p_week_start - 7;
+    v_streak INTEGER := 0;
+    v_goal_met BOOLEAN;
+BEGIN
+    LOOP
+        v_goal_met := EXISTS (
+            SELECT 1 FROM public.weekly_rewards
+            WHERE user_id = p_user_id
+              AND week_start BETWEEN v_cursor AND v_cursor + 6
+              AND goal_met = true
+        );
+
+        EXIT WHEN NOT v_goal_met AND NOT EXISTS (
+            SELECT 1 FROM frozen_weeks(p_user_id) fw WHERE fw.week_start = v_cursor
+        );
+
+        IF v_goal_met THEN
+            v_streak := v_streak + 1;
+        END IF;
+        v_cursor := v_cursor - 7;
+    END LOOP;
+
+    RETURN v_streak;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION goal_streak_before(UUID, DATE) FROM PUBLIC, anon, authenticated;
+
+-- Same as 014, with frozen weeks and days neutral
+CREATE OR REPLACE FUNCTION get_streaks(
+    p_user_id UUID,
+    p_today DATE DEFAULT CURRENT_DATE
+)
+RETURNS TABLE (
+    current_weekly INTEGER,
+    longest_weekly INTEGER,
+    current_daily INTEGER,
+    longest_daily INTEGER
+) AS $$
+DECLARE
+    v_week_start SMALLINT;
+    v_cursor DATE;
+    v_done BOOLEAN;
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND NOT EXISTS (
+        SELECT 1 FROM public.friendships f
+        WHERE f.status = 'accepted'
+          AND ((f.user_id = auth.uid() AND f.friend_id = p_user_id)
+            OR (f.friend_id = auth.uid() AND f.user_id = p_user_id))
+    ) THEN
+        RAISE EXCEPTION 'Cannot view streaks for this user';
+    END IF;
+
+    -- Current weekly: goal weeks in a row back from this week
+    SELECT p.week_start, week_start_for(p_today, p.week_start)
+    INTO v_week_start, v_cursor
+    FROM public.profiles p
+    WHERE p.id = p_user_id;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM public.weekly_rewards r
+        WHERE r.user_id = p_user_id AND r.week_start BETWEEN v_cursor AND v_cursor + 6 AND r.goal_met
+    ) THEN
+        v_cursor := v_cursor - 7;
+    END IF;
+
+    current_weekly := goal_streak_before(p_user_id, v_cursor + 7);
+
+    -- Current daily: workout days in a row back from today
+    v_cursor := p_today;
+    IF NOT EXISTS (
+        SELECT 1 FROM public.workouts w
+        WHERE w.user_id = p_user_id AND w.date = v_cursor AND w.completed
+    ) THEN
+        v_cursor := v_cursor - 1;
+    END IF;
+
+    current_daily := 0;
+    LOOP
+        v_done := EXISTS (
+            SELECT 1 FROM public.workouts w
+            WHERE w.user_id = p_user_id AND w.date = v_cursor AND w.completed
+        );
+
+        EXIT WHEN NOT v_done AND NOT EXISTS (
+            SELECT 1 FROM frozen_days(p_user_id) fd WHERE fd.day = v_cursor
+        );
+
+        IF v_done THEN
+            current_daily := current_daily + 1;
+        END IF;
+        v_cursor := v_cursor - 1;
+    END LOOP;
+
+    -- Longest runs: frozen dates join runs, but only done dates are counted
+    SELECT COALESCE(MAX(run), 0)::INTEGER
+    INTO longest_weekly
+    FROM (
+        SELECT COUNT(*) FILTER (WHERE done) AS run
+        FROM (
+            SELECT week_start, bool_or(done) AS done,
+                   week_start - (7 * ROW_NUMBER() OVER (ORDER BY week_start))::INTEGER AS grp
+            FROM (
+                SELECT week_start_for(r.week_start, v_week_start) AS week_start, true AS done
+                FROM public.weekly_rewards r
+                WHERE r.user_id = p_user_id AND r.goal_met
+                UNION ALL
+                SELECT fw.week_start, false
+                FROM frozen_weeks(p_user_id) fw
+            ) marked
+            GROUP BY week_start
+        ) weeks
+        GROUP BY grp
+    ) runs;
+
+    SELECT COALESCE(MAX(run), 0)::INTEGER
+    INTO longest_daily
+    FROM (
+        SELECT COUNT(*) FILTER (WHERE done) AS run
+        FROM (
+            SELECT day, bool_or(done) AS done,
+                   day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS grp
+            FROM (
+                SELECT w.date AS day, true AS done
+                FROM public.workouts w
+                WHERE w.user_id = p_user_id AND w.completed
+                UNION ALL
+                SELECT fd.day, false
+                FROM frozen_days(p_user_id) fd
+            ) marked
+            GROUP BY day
+        ) days
+        GROUP BY grp
+    ) runs;
+
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
@@ -0,0 +1,74 @@
+-- WalkToGive Donations
+-- A pledge or donation of each month's earnings to a charity. A month is given
+-- once, up to what it earned; a week's reward belongs to the month its last day
+-- is in. Pledges can be marked donated or cancelled; donations stay on record.
+-- Mirrors donation.service.js.
+
+-- =====================================================
+-- DONATIONS TABLE
+-- =====================================================
+-- month is the first day of the month the earnings came from
+CREATE TABLE public.donations (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    month DATE NOT NULL CHECK (EXTRACT(DAY FROM month) = 1),
+    charity TEXT NOT NULL CHECK (char_length(trim(charity)) BETWEEN 1 AND 100),
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    status TEXT NOT NULL CHECK (status IN ('pledged', 'donated')),
+    donated_on DATE,
+    receipt TEXT CHECK (char_length(receipt) <= 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    UNIQUE(user_id, month),
+    CHECK ((status = 'donated') = (donated_on IS NOT NULL))
+);
+
+CREATE INDEX idx_donations_user ON public.donations(user_id);
+
+-- =====================================================
+-- MONTH EARNINGS
+-- =====================================================
+-- Runs as the caller, so weekly_rewards RLS limits it to their own rewards
+CREATE OR REPLACE FUNCTION month_earnings(p_month DATE)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(SUM(amount), 0)::INTEGER
+    FROM public.weekly_rewards
+    WHERE user_id = auth.uid()
+      AND week_start + 6 >= p_month
+      AND week_start + 6 < (p_month + INTERVAL '1 month')::DATE;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- ROW LEVEL SECURITY
+-- =====================================================
+ALTER TABLE public.donations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own donations"
+    ON public.donations FOR SELECT
+    USING (auth.uid() = user_id);
+
+-- A day of slack on the donation date covers time zones ahead of UTC
+CREATE POLICY "Users can give their own earnings"
+    ON public.donations FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id
+        AND amount <= month_earnings(month)
+        AND (donated_on IS NULL OR donated_on <= CURRENT_DATE + 1)
+    );
+
+-- Only a pledge can change, and only into a donation; the column grants
+-- keep its month, charity and amount as pledged
+CREATE POLICY "Users can complete their own pledges"
+    ON public.donations FOR UPDATE
+    USING (auth.uid() = user_id AND status = 'pledged')
+    WITH CHECK (
+        auth.uid() = user_id
+        AND status = 'donated'
+        AND donated_on <= CURRENT_DATE + 1
+    );
+
+REVOKE UPDATE ON public.donations FROM anon, authenticated;
+GRANT UPDATE (status, donated_on, receipt) ON public.donations TO authenticated;
+
+CREATE POLICY "Users can cancel their own pledges"
+    ON public.donations FOR DELETE
+    USING (auth.uid() = user_id AND status = 'pledged');
@@ -13,7 +13,7 @@ INSERT INTO public.badges (badge_key, name, description, icon, requirement_type,
 ('year_long', 'Year-Long Warrior', 'Complete 365 days', '👑', 'days', 365),
 
 -- Week-based badges
-('week_warrior', 'Week Warrior', 'Complete your first full week', '💪', 'weeks', 1),
+('week_warrior', 'Week Warrior', 'Reach your weekly goal for the first time', '💪', 'weeks', 1),
 
 -- Streak-based badges
 ('streak_starter', 'Streak Starter', 'Maintain a 3-week streak', '🔥', 'streak', 3),